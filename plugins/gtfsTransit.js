@@ -0,0 +1,163 @@
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { buildTransit, EMPTY_TRANSIT } from "../src/lib/transit.js";
+
+// ✅ Transit data from a static GTFS feed
+//
+// Reads the feed in src/data/gtfs: either the unzipped .txt files or the
+// agency's .zip dropped in as-is. A zip, when there is one, is used instead
+// of loose files (the newest one if there are several).
+// Only stops, routes, trips, stop_times and shapes are used; calendars and
+// times aren't, since the app shows where buses go, not when.
+//
+// The compact result (see src/lib/transit.js) is served to the app as
+// `virtual:transit`. With no feed the app simply has no transit features.
+
+const VIRTUAL_ID = "virtual:transit";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+const GTFS_FILES = [
+  "agency.txt",
+  "feed_info.txt",
+  "routes.txt",
+  "stops.txt",
+  "trips.txt",
+  "stop_times.txt",
+  "shapes.txt",
+];
+
+/**
+ * The GTFS files we use from a zip archive, as { "stops.txt": text }.
+ * Reads the central directory, so it copes with the data-descriptor zips
+ * most feed exporters write; nested folders in the archive are ignored.
+ */
+export function readGtfsZip(buffer) {
+  const EOCD = 0x06054b50;
+  const CENTRAL = 0x02014b50;
+
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("not a zip file");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = {};
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL) throw new Error("corrupt zip directory");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const baseName = path.posix.basename(name);
+    if (!GTFS_FILES.includes(baseName)) continue;
+
+    const localHeaderLength =
+      30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + localHeaderLength;
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) files[baseName] = data.toString("utf8");
+    else if (method === 8) files[baseName] = zlib.inflateRawSync(data).toString("utf8");
+    else throw new Error(`${name}: unsupported compression method ${method}`);
+  }
+
+  return files;
+}
+
+/**
+ * Reads and converts the feed in `dir`. Returns { transit, warnings };
+ * an empty transit model when there's no feed.
+ */
+export function loadGtfs(dir) {
+  if (!fs.existsSync(dir)) return { transit: EMPTY_TRANSIT, warnings: [] };
+
+  const entries = fs.readdirSync(dir);
+  const zip = entries
+    .filter((name) => name.toLowerCase().endsWith(".zip"))
+    .map((name) => path.join(dir, name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)[0];
+
+  let files;
+  if (zip) {
+    try {
+      files = readGtfsZip(fs.readFileSync(zip));
+    } catch (err) {
+      return { transit: EMPTY_TRANSIT, warnings: [`${path.basename(zip)}: ${err.message}`] };
+    }
+  } else {
+    files = Object.fromEntries(
+      GTFS_FILES.filter((name) => entries.includes(name)).map((name) => [
+        name,
+        fs.readFileSync(path.join(dir, name), "utf8"),
+      ])
+    );
+  }
+
+  if (Object.keys(files).length === 0) return { transit: EMPTY_TRANSIT, warnings: [] };
+  return buildTransit(files);
+}
+
+/**
+ * Vite plugin: converts the feed on startup (dev and build) and serves it
+ * as `virtual:transit`. In dev, changing the feed rebuilds it.
+ */
+export default function gtfsTransit({ gtfsDir = "src/data/gtfs" } = {}) {
+  let root = process.cwd();
+  let transit = EMPTY_TRANSIT;
+
+  const dir = () => path.resolve(root, gtfsDir);
+
+  function rebuild(logger) {
+    const result = loadGtfs(dir());
+    transit = result.transit;
+    result.warnings.forEach((w) => logger(`transit: ${w}`));
+  }
+
+  return {
+    name: "gtfs-transit",
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    buildStart() {
+      rebuild((msg) => this.warn(msg));
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      return id === RESOLVED_ID ? `export default ${JSON.stringify(transit)};` : null;
+    },
+
+    configureServer(server) {
+      const watched = dir();
+      server.watcher.add(watched);
+
+      const onChange = (file) => {
+        if (!file.startsWith(watched + path.sep)) return;
+        rebuild((msg) => server.config.logger.warn(msg));
+
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.reloadModule(mod);
+      };
+
+      server.watcher.on("add", onChange);
+      server.watcher.on("unlink", onChange);
+      server.watcher.on("change", onChange);
+    },
+  };
+}
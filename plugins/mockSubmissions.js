@@ -0,0 +1,175 @@
+import fs from "node:fs";
+import path from "node:path";
+import { readCityFiles } from "./validateLandmarks.js";
+import { validateSubmission } from "../src/lib/submissions.js";
+
+// ✅ Mock submissions endpoint for `npm run dev` and `npm run preview`
+//
+// Stands in for the real backend behind "Suggest a place"
+// (src/lib/submissions.js):
+//
+//   POST  /api/submissions           { clientId, createdAt, city, place, photos }
+//         -> 201 { id, status: "pending" } | 422 { error, fields }
+//   GET   /api/submissions?ids=a,b   -> [{ id, status, note }]
+//   GET   /api/submissions           -> every submission, photos left out
+//   PATCH /api/submissions/:id       { status, note } to play the reviewer:
+//
+//   curl -X PATCH localhost:5173/api/submissions/s1 -d '{"status":"approved"}'
+//
+// Everything is kept in .submissions/submissions.json (ignored by git) so it
+// survives restarts. A production deployment points VITE_SUBMISSIONS_URL at
+// a real service with the same contract.
+
+const ROUTE = "/api/submissions";
+const MAX_BODY_BYTES = 8 * 1024 * 1024;
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("request too large"));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(new Error("body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+export default function mockSubmissions({
+  storeFile = ".submissions/submissions.json",
+  dataDir = "src/data/cities",
+} = {}) {
+  let root = process.cwd();
+
+  const storePath = () => path.resolve(root, storeFile);
+
+  function load() {
+    try {
+      return JSON.parse(fs.readFileSync(storePath(), "utf8"));
+    } catch {
+      return [];
+    }
+  }
+
+  function save(submissions) {
+    fs.mkdirSync(path.dirname(storePath()), { recursive: true });
+    fs.writeFileSync(storePath(), JSON.stringify(submissions, null, 2));
+  }
+
+  const knownCities = () =>
+    new Set(readCityFiles(path.resolve(root, dataDir)).files.map(({ data }) => data?.city));
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const id = url.pathname.slice(ROUTE.length + 1);
+
+    if (req.method === "POST" && !id) {
+      const { clientId, createdAt, city, place, photos = [] } = await readBody(req);
+      const fields = validateSubmission(city, place ?? {}, photos);
+      if (city && !knownCities().has(city)) fields.city = `unknown city "${city}"`;
+      if (Object.keys(fields).length > 0) {
+        const error = Object.entries(fields)
+          .map(([field, message]) => `${field}: ${message}`)
+          .join("; ");
+        return send(res, 422, { error, fields });
+      }
+
+      const submissions = load();
+      // A retried send after a dropped response gets the same record back
+      const existing = submissions.find((s) => clientId && s.clientId === clientId);
+      if (existing) return send(res, 201, { id: existing.id, status: existing.status });
+
+      const record = {
+        id: `s${submissions.length + 1}`,
+        clientId,
+        createdAt,
+        receivedAt: new Date().toISOString(),
+        city,
+        place,
+        photos,
+        status: "pending",
+        note: null,
+      };
+      save([...submissions, record]);
+      return send(res, 201, { id: record.id, status: record.status });
+    }
+
+    if (req.method === "GET" && !id) {
+      const ids = url.searchParams.get("ids");
+      const submissions = load();
+      if (ids == null) {
+        return send(
+          res,
+          200,
+          submissions.map(({ photos, ...rest }) => ({ ...rest, photos: photos.length }))
+        );
+      }
+      const wanted = new Set(ids.split(","));
+      return send(
+        res,
+        200,
+        submissions
+          .filter((s) => wanted.has(s.id))
+          .map(({ id: sid, status, note }) => ({ id: sid, status, note }))
+      );
+    }
+
+    if (req.method === "PATCH" && id) {
+      const { status, note = null } = await readBody(req);
+      if (!REVIEW_STATUSES.includes(status)) {
+        return send(res, 422, { error: `status must be one of ${REVIEW_STATUSES.join(", ")}` });
+      }
+      const submissions = load();
+      const record = submissions.find((s) => s.id === id);
+      if (!record) return send(res, 404, { error: `no submission ${id}` });
+
+      Object.assign(record, { status, note });
+      save(submissions);
+      return send(res, 200, { id, status, note });
+    }
+
+    return send(res, 405, { error: `${req.method} not supported` });
+  }
+
+  function middleware(req, res, next) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== ROUTE && !pathname.startsWith(`${ROUTE}/`)) return next();
+    handle(req, res).catch((err) => send(res, 400, { error: err.message }));
+  }
+
+  return {
+    name: "mock-submissions",
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    configureServer(server) {
+      server.middlewares.use(middleware);
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware);
+    },
+  };
+}
+
@@ -0,0 +1,49 @@
+import { WEATHER_CONDITIONS } from "../src/lib/weather.js";
+
+// ✅ Local weather stand-in for `npm run dev` and `npm run preview`
+//
+// Answers the weather provider in src/lib/weather.js with the same contract
+// a real service would use:
+//
+//   GET /api/weather?lat=42.65&lng=-73.75
+//       -> { condition, tempF, source: "Local stand-in" }
+//
+// There's no forecast behind it: the answer is whatever you set, so
+// recommendations can be tried in any weather:
+//
+//   MOCK_WEATHER=rain MOCK_WEATHER_TEMP_F=48 npm run dev
+//   curl "localhost:5173/api/weather?condition=snow"   (one-off override)
+
+const ROUTE = "/api/weather";
+
+export default function mockWeather({
+  condition = process.env.MOCK_WEATHER || "clear",
+  tempF = Number(process.env.MOCK_WEATHER_TEMP_F || 62),
+} = {}) {
+  function middleware(req, res, next) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== ROUTE) return next();
+
+    const wanted = url.searchParams.get("condition") ?? condition;
+    res.setHeader("Content-Type", "application/json");
+    if (!Object.hasOwn(WEATHER_CONDITIONS, wanted)) {
+      const allowed = Object.keys(WEATHER_CONDITIONS).join(", ");
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: `condition must be one of ${allowed}` }));
+      return;
+    }
+    res.end(JSON.stringify({ condition: wanted, tempF, source: "Local stand-in" }));
+  }
+
+  return {
+    name: "mock-weather",
+
+    configureServer(server) {
+      server.middlewares.use(middleware);
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware);
+    },
+  };
+}
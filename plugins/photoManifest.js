@@ -0,0 +1,230 @@
+import fs from "node:fs";
+import path from "node:path";
+import sharp from "sharp";
+import { readCityFiles } from "./validateLandmarks.js";
+
+// ✅ Photo manifest
+//
+// Scans public/photos/{city}/{landmark name}/ and builds a manifest keyed by
+// the app's landmark id ("troy-3"). For every photo it records width/height,
+// writes a 320px WebP thumbnail and a WebP of at most 1600px next to it under
+// public/photos-generated/ (recording the widths they came out at), and pulls
+// alt text and credits from an optional credits.json in the same folder:
+//
+//   {
+//     "download.jpg": {
+//       "alt": "The Egg lit up at night",
+//       "credit": "Jane Doe",
+//       "license": "CC BY-SA 4.0",
+//       "source": "https://commons.wikimedia.org/..."
+//     }
+//   }
+//
+// Photos listed in a landmark's `images` array come first, in that order.
+// The app imports the result as `virtual:photo-manifest`.
+
+const VIRTUAL_ID = "virtual:photo-manifest";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+const PHOTO_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp"]);
+const THUMB_WIDTH = 320;
+const MAX_WEBP_WIDTH = 1600;
+
+function isNewer(target, source) {
+  try {
+    return fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+  } catch {
+    return false;
+  }
+}
+
+// Writes a resized WebP unless it's already up to date; either way resolves
+// to its { width, height }
+async function writeWebp(source, target, { width, quality }) {
+  if (isNewer(target, source)) return sharp(target).metadata();
+  return sharp(source)
+    .resize({ width, withoutEnlargement: true })
+    .webp({ quality })
+    .toFile(target);
+}
+
+function readCredits(dir) {
+  const file = path.join(dir, "credits.json");
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: invalid JSON: ${err.message}`);
+  }
+}
+
+// Folder names don't always match the landmark name exactly
+// ("St. John's Episcopal Church Tiffany" vs "... Tiffany Windows").
+function findLandmark(landmarks, folderName) {
+  const key = folderName.toLowerCase();
+  return (
+    landmarks.find((lm) => lm.name.toLowerCase() === key) ??
+    landmarks.find((lm) => lm.name.toLowerCase().startsWith(key))
+  );
+}
+
+async function describePhoto({ publicDir, outDir, url, alt, credits }) {
+  const file = path.join(publicDir, decodeURI(url));
+  const rel = path.relative(path.join(publicDir, "photos"), file);
+  const base = rel.slice(0, -path.extname(rel).length);
+
+  const webpFile = path.join(outDir, `${base}.webp`);
+  const thumbFile = path.join(outDir, `${base}-thumb.webp`);
+  fs.mkdirSync(path.dirname(webpFile), { recursive: true });
+
+  const { width, height } = await sharp(file).metadata();
+
+  const webp = await writeWebp(file, webpFile, { width: MAX_WEBP_WIDTH, quality: 80 });
+  const thumb = await writeWebp(file, thumbFile, { width: THUMB_WIDTH, quality: 70 });
+
+  const toUrl = (f) => `/${path.relative(publicDir, f).split(path.sep).join("/")}`;
+  const credit = credits[path.basename(file)] ?? {};
+
+  return {
+    src: url,
+    width,
+    height,
+    webp: toUrl(webpFile),
+    webpWidth: webp.width,
+    thumb: toUrl(thumbFile),
+    thumbWidth: thumb.width,
+    alt: credit.alt ?? alt,
+    credit: credit.credit ?? null,
+    license: credit.license ?? null,
+    source: credit.source ?? null,
+  };
+}
+
+/**
+ * Build the manifest: { [landmarkId]: Photo[] }. Returns warnings for
+ * folders that match no landmark and `images` entries that don't exist.
+ */
+export async function buildPhotoManifest({ root, dataDir, photosDir, outDir }) {
+  const publicDir = path.dirname(photosDir);
+  const { files } = readCityFiles(dataDir);
+  const manifest = {};
+  const warnings = [];
+
+  for (const { data } of files) {
+    if (typeof data?.city !== "string" || !Array.isArray(data.landmarks)) continue;
+
+    const cityDir = path.join(photosDir, data.city);
+    const folders = fs.existsSync(cityDir)
+      ? fs.readdirSync(cityDir, { withFileTypes: true }).filter((d) => d.isDirectory())
+      : [];
+    const folderFor = new Map();
+
+    folders.forEach(({ name }) => {
+      const lm = findLandmark(data.landmarks, name);
+      if (lm) folderFor.set(lm, name);
+      else warnings.push(`${path.relative(root, path.join(cityDir, name))}: no landmark with that name`);
+    });
+
+    for (const lm of data.landmarks) {
+      const id = `${data.city.toLowerCase()}-${lm.id}`;
+      const urls = [];
+
+      (Array.isArray(lm.images) ? lm.images : []).forEach((url) => {
+        if (fs.existsSync(path.join(publicDir, decodeURI(url)))) urls.push(url);
+        else warnings.push(`${data.city} › id ${lm.id} › images: ${url} not found`);
+      });
+
+      const folder = folderFor.get(lm);
+      if (folder) {
+        fs.readdirSync(path.join(cityDir, folder))
+          .filter((f) => PHOTO_EXTENSIONS.has(path.extname(f).toLowerCase()))
+          .sort()
+          .forEach((f) => urls.push(`/photos/${data.city}/${folder}/${f}`));
+      }
+
+      const unique = Array.from(new Set(urls));
+      if (unique.length === 0) continue;
+
+      const photos = [];
+      for (const [index, url] of unique.entries()) {
+        photos.push(
+          await describePhoto({
+            publicDir,
+            outDir,
+            url,
+            alt: unique.length > 1 ? `${lm.name} (photo ${index + 1})` : lm.name,
+            credits: readCredits(path.dirname(path.join(publicDir, decodeURI(url)))),
+          })
+        );
+      }
+      manifest[id] = photos;
+    }
+  }
+
+  return { manifest, warnings };
+}
+
+/**
+ * Vite plugin: builds the manifest on startup (dev and build) and serves it
+ * as `virtual:photo-manifest`. In dev, adding or removing a photo rebuilds it.
+ */
+export default function photoManifest({
+  dataDir = "src/data/cities",
+  photosDir = "public/photos",
+  outDir = "public/photos-generated",
+} = {}) {
+  let root = process.cwd();
+  let manifest = {};
+
+  const options = () => ({
+    root,
+    dataDir: path.resolve(root, dataDir),
+    photosDir: path.resolve(root, photosDir),
+    outDir: path.resolve(root, outDir),
+  });
+
+  async function rebuild(logger) {
+    const result = await buildPhotoManifest(options());
+    manifest = result.manifest;
+    result.warnings.forEach((w) => logger(`photo manifest: ${w}`));
+  }
+
+  return {
+    name: "photo-manifest",
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    async buildStart() {
+      await rebuild((msg) => this.warn(msg));
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      return id === RESOLVED_ID ? `export default ${JSON.stringify(manifest)};` : null;
+    },
+
+    configureServer(server) {
+      const { photosDir: watched } = options();
+      server.watcher.add(watched);
+
+      const onChange = async (file) => {
+        if (!file.startsWith(watched + path.sep)) return;
+        await rebuild((msg) => server.config.logger.warn(msg));
+
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.reloadModule(mod);
+      };
+
+      server.watcher.on("add", onChange);
+      server.watcher.on("unlink", onChange);
+      server.watcher.on("change", (file) => {
+        if (path.basename(file) === "credits.json") onChange(file);
+      });
+    },
+  };
+}
@@ -0,0 +1,115 @@
+import fs from "node:fs";
+import path from "node:path";
+import {
+  validateCityFiles,
+  validateEventsFile,
+  formatValidationIssues,
+} from "../src/data/schema.js";
+
+// ✅ Read every city file in the data folder. Unparseable JSON becomes an
+// issue instead of an exception so one typo doesn't hide the rest.
+export function readCityFiles(dataDir) {
+  const files = [];
+  const parseIssues = [];
+
+  fs.readdirSync(dataDir)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .forEach((name) => {
+      const source = path.basename(name, ".json");
+      try {
+        files.push({ source, data: JSON.parse(fs.readFileSync(path.join(dataDir, name), "utf8")) });
+      } catch (err) {
+        parseIssues.push({
+          severity: "error",
+          city: source,
+          id: null,
+          field: null,
+          message: `invalid JSON: ${err.message}`,
+        });
+      }
+    });
+
+  return { files, parseIssues };
+}
+
+export function validateDataDir(dataDir, eventsFile = null) {
+  const { files, parseIssues } = readCityFiles(dataDir);
+  const issues = [...parseIssues, ...validateCityFiles(files)];
+
+  if (eventsFile && fs.existsSync(eventsFile)) {
+    try {
+      const events = JSON.parse(fs.readFileSync(eventsFile, "utf8"));
+      issues.push(...validateEventsFile(events, files));
+    } catch (err) {
+      issues.push({
+        severity: "error",
+        city: "events",
+        id: null,
+        field: null,
+        message: `invalid JSON: ${err.message}`,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Vite plugin: validates the city JSON files (and the events file, which
+ * points into them) on startup and whenever one changes. `vite build` fails
+ * on errors; the dev server shows them in the error overlay and the terminal
+ * but keeps running.
+ */
+export default function validateLandmarks({
+  dataDir = "src/data/cities",
+  eventsFile = "src/data/events.json",
+} = {}) {
+  let root = process.cwd();
+  let isBuild = false;
+
+  const resolveDir = () => path.resolve(root, dataDir);
+  const resolveEvents = () => path.resolve(root, eventsFile);
+  const validate = () => validateDataDir(resolveDir(), resolveEvents());
+
+  function summarize(issues) {
+    const errors = issues.filter((i) => i.severity === "error").length;
+    const warnings = issues.length - errors;
+    return `Landmark data: ${errors} error(s), ${warnings} warning(s)\n${formatValidationIssues(issues)}`;
+  }
+
+  return {
+    name: "validate-landmarks",
+
+    configResolved(config) {
+      root = config.root;
+      isBuild = config.command === "build";
+    },
+
+    buildStart() {
+      const issues = validate();
+      if (issues.length === 0) return;
+
+      if (isBuild && issues.some((i) => i.severity === "error")) {
+        this.error(summarize(issues));
+      }
+      this.warn(summarize(issues));
+    },
+
+    handleHotUpdate({ file, server }) {
+      const isCityFile = file.endsWith(".json") && path.dirname(file) === resolveDir();
+      if (!isCityFile && file !== resolveEvents()) return;
+
+      const issues = validate();
+      if (issues.length === 0) return;
+
+      server.config.logger.warn(summarize(issues));
+      if (issues.some((i) => i.severity === "error")) {
+        server.ws.send({
+          type: "error",
+          err: { message: summarize(issues), stack: "", plugin: "validate-landmarks", id: file },
+        });
+      }
+    },
+  };
+}
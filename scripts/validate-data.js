@@ -0,0 +1,20 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { validateDataDir } from "../plugins/validateLandmarks.js";
+import { formatValidationIssues } from "../src/data/schema.js";
+
+// Usage: npm run validate:data
+// Exits non-zero when any city file has errors (warnings alone pass).
+
+const dataRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../src/data");
+const issues = validateDataDir(path.join(dataRoot, "cities"), path.join(dataRoot, "events.json"));
+const errors = issues.filter((i) => i.severity === "error");
+
+if (issues.length === 0) {
+  console.log("Landmark data OK");
+} else {
+  console.log(formatValidationIssues(issues));
+  console.log(`\n${errors.length} error(s), ${issues.length - errors.length} warning(s)`);
+}
+
+process.exit(errors.length > 0 ? 1 : 0);
@@ -1,12 +1,15 @@
 import MapView from "./components/MapView";
+import { I18nProvider } from "./lib/i18n";
 import "./App.css";
 
 export default function App() {
   return (
-    <div className="app">
+    <I18nProvider>
+      <div className="app">
         <main className="app-main">
-            <MapView />
+          <MapView />
         </main>
-    </div>
+      </div>
+    </I18nProvider>
   );
-}
\ No newline at end of file
+}
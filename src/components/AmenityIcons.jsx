@@ -0,0 +1,42 @@
+import { describeAmenities } from "../lib/amenities";
+import { useI18n } from "../lib/i18n";
+import "./AmenityIcons.css";
+
+/**
+ * Icon row of accessibility and amenity details for the bottom sheet.
+ * Fields the data doesn't cover are shown greyed out as unknown, not as "no".
+ */
+export default function AmenityIcons({ amenities }) {
+  const { t } = useI18n();
+  const items = describeAmenities(amenities).map((item) => ({
+    ...item,
+    text: item.known
+      ? t(`amenities.values.${item.field}.${item.value}`)
+      : t("amenities.unknown", { label: t(`amenities.fields.${item.field}`) }),
+  }));
+  const knownCount = items.filter((item) => item.known).length;
+
+  return (
+    <div className="amenity-icons">
+      <ul className="amenity-row" aria-label={t("amenities.title")}>
+        {items.map((item) => (
+          <li
+            key={item.field}
+            className={`amenity-item ${item.known ? "" : "amenity-unknown"} ${
+              item.value === false || item.value === "none" ? "amenity-no" : ""
+            }`}
+            title={item.text}
+          >
+            <span className="amenity-icon" aria-hidden="true">
+              {item.icon}
+            </span>
+            <span className="amenity-text">{item.text}</span>
+          </li>
+        ))}
+      </ul>
+      {knownCount === 0 && (
+        <div className="amenity-note">{t("amenities.noDetails")}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { checkInEligibility, checkedInToday, CHECKIN_RADIUS_M } from "../lib/checkins";
+import { useI18n } from "../lib/i18n";
+import "./CheckInButton.css";
+
+/**
+ * Bottom-sheet check-in: only enabled when the user's location is within
+ * range of the landmark (see lib/checkins.js).
+ */
+export default function CheckInButton({ landmark, userLocation, checkIns, onCheckIn, onRequestLocation }) {
+  const { t, formatShortDistance } = useI18n();
+  const done = checkedInToday(checkIns, landmark.id);
+  const { ok, code, distanceM } = checkInEligibility(landmark, userLocation);
+  const visits = checkIns.filter((c) => c.landmarkId === landmark.id).length;
+  const radius = formatShortDistance(CHECKIN_RADIUS_M);
+  const reasonText = code && t(`checkIn.reasons.${code}`, { radius });
+
+  let hint = null;
+  if (done) hint = t("checkIn.collected");
+  else if (ok) hint = t("checkIn.here", { distance: formatShortDistance(distanceM) });
+  else if (distanceM != null) {
+    hint = t("checkIn.away", { reason: reasonText, distance: formatShortDistance(distanceM) });
+  } else hint = reasonText;
+
+  return (
+    <div className="checkin-row">
+      {!userLocation && !done ? (
+        <button className="checkin-btn" type="button" onClick={onRequestLocation}>
+          📍 {t("checkIn.useLocation")}
+        </button>
+      ) : (
+        <button
+          className={`checkin-btn ${done ? "checkin-btn-done" : ""}`}
+          type="button"
+          disabled={done || !ok}
+          onClick={onCheckIn}
+          title={t("checkIn.radiusHint", { radius })}
+        >
+          {done ? `✓ ${t("checkIn.checkedIn")}` : `📍 ${t("checkIn.checkIn")}`}
+        </button>
+      )}
+      <span className="checkin-hint">
+        {hint}
+        {visits > 0 && !done ? ` · ${t("checkIn.previousVisits", { count: visits })}` : ""}
+      </span>
+    </div>
+  );
+}
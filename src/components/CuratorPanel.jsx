@@ -0,0 +1,181 @@
+import {
+  diffCityFile,
+  countChanges,
+  curatorIssues,
+  formatCityFile,
+  cityFileName,
+} from "../lib/curator";
+import { downloadFile } from "../lib/exportFormats";
+import { useDialogFocus } from "../lib/a11y";
+import { useI18n } from "../lib/i18n";
+import "./CuratorPanel.css";
+
+const MAX_VALUE_CHARS = 80;
+
+// A field value as one short line for the diff
+function formatValue(value) {
+  if (value === undefined || value === "") return "—";
+  if (typeof value === "string") {
+    return value.length > MAX_VALUE_CHARS ? `${value.slice(0, MAX_VALUE_CHARS - 1)}…` : value;
+  }
+  if (Array.isArray(value) && value.every((v) => typeof v === "string")) {
+    return value.join(", ") || "—";
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Curator mode's "Review & download" dialog: per city, what was added,
+ * removed and changed compared to the shipped file, what the schema still
+ * objects to, and the corrected `{ city, landmarks }` file to download.
+ * Any single change can be undone here, including a delete.
+ */
+export default function CuratorPanel({ cities, edits, onRestore, onDiscard, onOpen, onClose }) {
+  const { t } = useI18n();
+  const dialogFocus = useDialogFocus(true, onClose);
+  const fieldLabel = (field) => t(`curator.fields.${field}`, { defaultValue: field });
+
+  const edited = cities
+    .filter((city) => edits[city.name])
+    .map((city) => {
+      const file = edits[city.name];
+      const diff = diffCityFile(city.data, file);
+      const errors = curatorIssues(file).filter((issue) => issue.severity === "error");
+      return { city, file, diff, errors };
+    })
+    .filter(({ diff }) => countChanges(diff) > 0);
+
+  const undoButton = (city, id, name) => (
+    <button
+      className="offline-small-btn"
+      type="button"
+      onClick={() => onRestore(city.name, id)}
+      aria-label={t("curator.undoName", { name })}
+    >
+      {t("curator.undo")}
+    </button>
+  );
+
+  return (
+    <>
+      <button
+        className="filters-backdrop"
+        type="button"
+        aria-label={t("curator.close")}
+        onClick={onClose}
+      />
+      <div
+        className="help-modal curator-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="curator-panel-title"
+        {...dialogFocus}
+      >
+        <button className="close-btn" onClick={onClose} type="button" aria-label={t("common.close")}>
+          ✕
+        </button>
+        <h2 className="help-title" id="curator-panel-title">
+          {t("curator.reviewTitle")}
+        </h2>
+
+        {edited.length === 0 && <p className="offline-text">{t("curator.noChanges")}</p>}
+
+        {edited.map(({ city, file, diff, errors }) => (
+          <section key={city.id} className="curator-city" aria-labelledby={`curator-${city.id}`}>
+            <h3 className="help-subtitle" id={`curator-${city.id}`}>
+              {city.displayName} · {t("curator.changes", { count: countChanges(diff) })}
+            </h3>
+
+            <ul className="curator-diff">
+              {diff.added.map((lm) => (
+                <li key={`added-${lm.id}`} className="curator-diff-item">
+                  <div className="curator-diff-head">
+                    <span className="curator-diff-added">
+                      ＋ {t("curator.added", { name: lm.name || `#${lm.id}` })}
+                    </span>
+                    {undoButton(city, lm.id, lm.name)}
+                  </div>
+                </li>
+              ))}
+
+              {diff.removed.map((lm) => (
+                <li key={`removed-${lm.id}`} className="curator-diff-item">
+                  <div className="curator-diff-head">
+                    <span className="curator-diff-removed">
+                      − {t("curator.removed", { name: lm.name })}
+                    </span>
+                    {undoButton(city, lm.id, lm.name)}
+                  </div>
+                </li>
+              ))}
+
+              {diff.changed.map(({ id, name, fields }) => (
+                <li key={`changed-${id}`} className="curator-diff-item">
+                  <div className="curator-diff-head">
+                    <button
+                      className="curator-diff-name"
+                      type="button"
+                      onClick={() => onOpen(city.name, id)}
+                    >
+                      ✎ {name}
+                    </button>
+                    {undoButton(city, id, name)}
+                  </div>
+                  <dl className="curator-fields">
+                    {fields.map(({ field, before, after }) => (
+                      <div key={field} className="curator-field">
+                        <dt>{fieldLabel(field)}</dt>
+                        <dd>
+                          <del>{formatValue(before)}</del> → <ins>{formatValue(after)}</ins>
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                </li>
+              ))}
+            </ul>
+
+            {errors.length > 0 && (
+              <div className="curator-errors" role="alert">
+                <p>{t("curator.fixFirst", { count: errors.length })}</p>
+                <ul>
+                  {errors.map((issue) => (
+                    <li key={`${issue.id}-${issue.field}-${issue.message}`}>
+                      {[issue.id != null && `#${issue.id}`, issue.field && fieldLabel(issue.field)]
+                        .filter(Boolean)
+                        .join(" › ")}
+                      : {issue.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="curator-actions">
+              <button
+                className="clear-btn"
+                type="button"
+                disabled={errors.length > 0}
+                onClick={() =>
+                  downloadFile(cityFileName(city.name), formatCityFile(file), "application/json")
+                }
+              >
+                ⬇️ {t("curator.download", { file: cityFileName(city.name) })}
+              </button>
+              <button
+                className="offline-small-btn"
+                type="button"
+                onClick={() => onDiscard(city.name)}
+              >
+                {t("curator.discard")}
+              </button>
+            </div>
+            <p className="offline-text">
+              {t("curator.replaceHint", { path: `src/data/cities/${cityFileName(city.name)}` })}
+            </p>
+          </section>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState } from "react";
+import {
+  eventsBetween,
+  agendaWindow,
+  nowLocalString,
+  addDays,
+  formatEventDay,
+  formatEventTime,
+  formatPrice,
+} from "../lib/events";
+import { useI18n } from "../lib/i18n";
+import "./EventsPanel.css";
+
+// Agenda windows; labels are events.windows.<key> in the locale files
+const WINDOWS = ["today", "weekend", "week", "dates"];
+
+// Longest custom range we expand, so a typo'd year can't freeze the tab
+const MAX_RANGE_DAYS = 366;
+
+function groupByDay(occurrences) {
+  const groups = [];
+  occurrences.forEach((occ) => {
+    const day = occ.start.slice(0, 10);
+    const last = groups[groups.length - 1];
+    if (last?.day === day) last.items.push(occ);
+    else groups.push({ day, items: [occ] });
+  });
+  return groups;
+}
+
+/**
+ * Events tab: agenda of upcoming events grouped by day, for today, the
+ * weekend, the next week or a custom date range (New York time).
+ */
+export default function EventsPanel({ events, landmarksById, onOpenEvent }) {
+  const { t, intl } = useI18n();
+  const now = nowLocalString();
+  const today = now.slice(0, 10);
+
+  const [windowKey, setWindowKey] = useState("week");
+  const [fromDate, setFromDate] = useState(today);
+  const [toDate, setToDate] = useState(addDays(today, 30));
+
+  let range;
+  if (windowKey === "dates") {
+    const maxTo = addDays(fromDate, MAX_RANGE_DAYS);
+    const to = toDate < fromDate ? fromDate : toDate > maxTo ? maxTo : toDate;
+    range = { from: `${fromDate}T00:00`, to: `${addDays(to, 1)}T00:00` };
+  } else {
+    range = agendaWindow(windowKey, now);
+  }
+
+  const groups = groupByDay(eventsBetween(events, range.from, range.to));
+
+  return (
+    <div className="list-view events-panel">
+      <div className="chip-row events-windows">
+        {WINDOWS.map((key) => (
+          <button
+            key={key}
+            className={`chip ${windowKey === key ? "chip-active" : ""}`}
+            type="button"
+            onClick={() => setWindowKey(key)}
+          >
+            {t(`events.windows.${key}`)}
+          </button>
+        ))}
+      </div>
+
+      {windowKey === "dates" && (
+        <div className="events-range">
+          <label>
+            {t("events.from")}
+            <input
+              type="date"
+              value={fromDate}
+              onChange={(e) => e.target.value && setFromDate(e.target.value)}
+            />
+          </label>
+          <label>
+            {t("events.to")}
+            <input
+              type="date"
+              value={toDate}
+              min={fromDate}
+              onChange={(e) => e.target.value && setToDate(e.target.value)}
+            />
+          </label>
+        </div>
+      )}
+
+      {groups.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">📅</div>
+          <div className="empty-state-title">{t("events.emptyTitle")}</div>
+          <div className="empty-state-text">{t("events.emptyText")}</div>
+        </div>
+      ) : (
+        groups.map(({ day, items }) => (
+          <section key={day} className="events-day">
+            <div className="list-header">
+              {day === today ? t("events.windows.today") : formatEventDay(day, intl)}
+            </div>
+            {items.map((occ) => {
+              const { event } = occ;
+              const place = event.landmark
+                ? landmarksById.get(event.landmark)?.name
+                : event.location?.name;
+              const price = formatPrice(event.price, t("events.free"));
+
+              return (
+                <div key={`${event.id}-${occ.start}`} className="list-item event-item">
+                  <span className="event-time">{formatEventTime(occ, intl)}</span>
+                  <button
+                    className="list-item-content"
+                    type="button"
+                    onClick={() => onOpenEvent(event)}
+                  >
+                    <span className="list-item-title">{event.title}</span>
+                    <span className="list-item-subtitle">
+                      {[place, price].filter(Boolean).join(" · ")}
+                    </span>
+                  </button>
+                </div>
+              );
+            })}
+          </section>
+        ))
+      )}
+    </div>
+  );
+}
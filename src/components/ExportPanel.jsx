@@ -0,0 +1,137 @@
+import { useRef, useState } from "react";
+import { EXPORT_FORMATS, exportLandmarks, downloadFile } from "../lib/exportFormats";
+import { createBackup, backupFilename, parseBackup, BackupError } from "../lib/backup";
+import { useI18n } from "../lib/i18n";
+import "./ExportPanel.css";
+
+/**
+ * Export & backup block under the Saved list: saved places (or the current
+ * map results) as GPX/KML/GeoJSON, and a JSON backup that can be restored.
+ */
+export default function ExportPanel({
+  savedLandmarks,
+  savedLabel,
+  filteredLandmarks,
+  backupState,
+  knownIds,
+  onRestore,
+}) {
+  const { t } = useI18n();
+  const [source, setSource] = useState("saved");
+  const [report, setReport] = useState(null); // {ok, text}
+  const fileInputRef = useRef(null);
+
+  const exportList = source === "saved" ? savedLandmarks : filteredLandmarks;
+
+  function exportAs(format) {
+    const { extension, mime } = EXPORT_FORMATS[format];
+    const name = source === "saved" ? savedLabel : t("export.mapResults");
+    const filename = `capital-region-${source === "saved" ? "saved" : "results"}.${extension}`;
+    downloadFile(filename, exportLandmarks(format, exportList, { name }), mime);
+  }
+
+  async function restoreFrom(file) {
+    try {
+      const restored = parseBackup(await file.text(), knownIds, {
+        defaultList: t("lists.defaultName"),
+        untitledList: t("lists.untitled"),
+        restoredTrip: t("trip.restoredName"),
+      });
+      const summary = onRestore(restored);
+      const { missingIds } = restored;
+      const skipped =
+        missingIds.length > 0
+          ? t("export.skipped", { count: missingIds.length, ids: missingIds.join(", ") })
+          : "";
+      setReport({
+        ok: true,
+        text: [
+          t("export.restored", {
+            places: t("export.savedPlaces", { count: summary.saved }),
+            trips: t("export.trips", { count: summary.trips }),
+          }),
+          skipped,
+        ]
+          .filter(Boolean)
+          .join(" "),
+      });
+    } catch (err) {
+      const code = err instanceof BackupError ? err.code : "unreadable";
+      setReport({ ok: false, text: t(`export.errors.${code}`) });
+    }
+  }
+
+  return (
+    <div className="export-panel">
+      <div className="filter-section-title">{t("export.title")}</div>
+      <div className="chip-row">
+        <button
+          className={`chip ${source === "saved" ? "chip-active" : ""}`}
+          type="button"
+          onClick={() => setSource("saved")}
+        >
+          {savedLabel} ({savedLandmarks.length})
+        </button>
+        <button
+          className={`chip ${source === "results" ? "chip-active" : ""}`}
+          type="button"
+          onClick={() => setSource("results")}
+        >
+          {t("export.mapResults")} ({filteredLandmarks.length})
+        </button>
+      </div>
+      <div className="export-buttons">
+        {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+          <button
+            key={key}
+            className="export-btn"
+            type="button"
+            disabled={exportList.length === 0}
+            onClick={() => exportAs(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="filter-hint">
+        {t("export.formatsHint")}
+      </div>
+
+      <div className="filter-section-title export-backup-title">{t("export.backup")}</div>
+      <div className="export-buttons">
+        <button
+          className="export-btn"
+          type="button"
+          onClick={() =>
+            downloadFile(backupFilename(), createBackup(backupState), "application/json")
+          }
+        >
+          {t("export.download")}
+        </button>
+        <button className="export-btn" type="button" onClick={() => fileInputRef.current?.click()}>
+          {t("export.restore")}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) restoreFrom(file);
+            e.target.value = "";
+          }}
+        />
+      </div>
+      <div className="filter-hint">
+        {t("export.backupHint")}
+      </div>
+
+      {report && (
+        <div className={`export-report ${report.ok ? "" : "export-report-error"}`} role="status">
+          {report.text}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import { useRef } from "react";
+import { useI18n } from "../lib/i18n";
+import "./FilterChip.css";
+
+const LONG_PRESS_MS = 500;
+
+/**
+ * Filter chip with a live count. When `onExclude` is given, a long press,
+ * right-click or Shift/Alt-click excludes the value instead of selecting it.
+ * Chips that would return nothing are disabled unless already in use.
+ */
+export default function FilterChip({
+  label,
+  title,
+  count,
+  active,
+  excluded = false,
+  onToggle,
+  onExclude,
+}) {
+  const { t } = useI18n();
+  const timerRef = useRef(null);
+  const longPressedRef = useRef(false);
+
+  const inUse = active || excluded;
+  const disabled = !inUse && count === 0;
+
+  function cancelPress() {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+  }
+
+  const excludeHandlers = onExclude
+    ? {
+        onPointerDown: () => {
+          longPressedRef.current = false;
+          timerRef.current = setTimeout(() => {
+            longPressedRef.current = true;
+            onExclude();
+          }, LONG_PRESS_MS);
+        },
+        onPointerUp: cancelPress,
+        onPointerLeave: cancelPress,
+        onPointerCancel: cancelPress,
+        onContextMenu: (e) => {
+          e.preventDefault();
+          cancelPress();
+          if (!longPressedRef.current) onExclude();
+          longPressedRef.current = true;
+        },
+      }
+    : {};
+
+  function handleClick(e) {
+    if (longPressedRef.current) {
+      longPressedRef.current = false;
+      return;
+    }
+    if (onExclude && (e.shiftKey || e.altKey)) onExclude();
+    else onToggle();
+  }
+
+  return (
+    <button
+      className={`chip ${active ? "chip-active" : ""} ${excluded ? "chip-excluded" : ""}`}
+      type="button"
+      disabled={disabled}
+      aria-pressed={active}
+      aria-label={[
+        excluded ? t("chip.excluded", { label }) : label,
+        count != null && t("common.places", { count }),
+      ]
+        .filter(Boolean)
+        .join(", ")}
+      title={
+        [title, onExclude && t("chip.excludeHint")]
+          .filter(Boolean)
+          .join(" · ") || undefined
+      }
+      onClick={handleClick}
+      {...excludeHandlers}
+    >
+      {excluded && <span className="chip-excluded-mark">{t("chip.not")} </span>}
+      {label}
+      {count != null && <span className="chip-count">{count}</span>}
+    </button>
+  );
+}
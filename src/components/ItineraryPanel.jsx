@@ -0,0 +1,216 @@
+import { useState } from "react";
+import {
+  TRAVEL_MODES,
+  planLegs,
+  optimizeStopOrder,
+  formatMinutes,
+} from "../lib/itinerary";
+import { typeLabel } from "../data/taxonomy";
+import { useI18n } from "../lib/i18n";
+import "./ItineraryPanel.css";
+
+function moveItem(list, from, to) {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/**
+ * Trip tab: pick/create an itinerary, reorder its stops (drag or ↑/↓),
+ * auto-order them from the user's location and see time per leg.
+ */
+export default function ItineraryPanel({
+  itineraries,
+  itinerary,
+  landmarksById,
+  savedLandmarks,
+  userLocation,
+  onSelectItinerary,
+  onCreateItinerary,
+  onDeleteItinerary,
+  onChange,
+  onOpenLandmark,
+}) {
+  const { t, locale, formatDistance } = useI18n();
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const stops = itinerary.stops.map((id) => landmarksById.get(id)).filter(Boolean);
+  const start = userLocation ? { lat: userLocation.lat, lng: userLocation.lng } : null;
+  const legs = planLegs(stops, itinerary.mode, start);
+  const totalMinutes = legs.reduce((sum, leg) => sum + leg.minutes, 0);
+  const totalMiles = legs.reduce((sum, leg) => sum + leg.miles, 0);
+
+  // With a start point, legs[0] is "you -> stop 1", so stop i follows legs[i]
+  const legBefore = (i) => (start ? legs[i] : legs[i - 1]);
+
+  const unplannedSaved = savedLandmarks.filter((id) => !itinerary.stops.includes(id));
+
+  const setStops = (ids) => onChange({ ...itinerary, stops: ids });
+
+  // `i` counts shown stops only; itinerary.stops may still hold ids of places
+  // that are gone (deleted, or a city file changed), so move by id position
+  const moveStop = (from, to) =>
+    setStops(
+      moveItem(
+        itinerary.stops,
+        itinerary.stops.indexOf(stops[from].id),
+        itinerary.stops.indexOf(stops[to].id)
+      )
+    );
+
+  return (
+    <div className="list-view itinerary">
+      <div className="itinerary-toolbar">
+        <select
+          className="itinerary-select"
+          value={itinerary.id}
+          onChange={(e) => onSelectItinerary(e.target.value)}
+          aria-label={t("trip.choose")}
+        >
+          {itineraries.map((it) => (
+            <option key={it.id} value={it.id}>
+              {it.name}
+            </option>
+          ))}
+        </select>
+        <button className="itinerary-small-btn" type="button" onClick={onCreateItinerary}>
+          ＋ {t("trip.new")}
+        </button>
+        {itineraries.length > 1 && (
+          <button
+            className="itinerary-small-btn"
+            type="button"
+            onClick={() => onDeleteItinerary(itinerary.id)}
+            title={t("trip.delete")}
+          >
+            🗑
+          </button>
+        )}
+      </div>
+
+      <input
+        className="itinerary-name"
+        value={itinerary.name}
+        onChange={(e) => onChange({ ...itinerary, name: e.target.value })}
+        aria-label={t("trip.name")}
+      />
+
+      <div className="chip-row itinerary-modes">
+        {Object.keys(TRAVEL_MODES).map((key) => (
+          <button
+            key={key}
+            className={`chip ${itinerary.mode === key ? "chip-active" : ""}`}
+            type="button"
+            onClick={() => onChange({ ...itinerary, mode: key })}
+          >
+            {t(`trip.modes.${key}`)}
+          </button>
+        ))}
+      </div>
+
+      {stops.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">🗺️</div>
+          <div className="empty-state-title">{t("trip.emptyTitle")}</div>
+          <div className="empty-state-text">{t("trip.emptyText")}</div>
+        </div>
+      ) : (
+        <>
+          <div className="list-header">
+            {t("trip.stops", { count: stops.length })} · {formatMinutes(totalMinutes)} ·{" "}
+            {formatDistance(totalMiles)}
+          </div>
+
+          {start && <div className="itinerary-start">📍 {t("trip.startFromLocation")}</div>}
+
+          <ol className="itinerary-stops">
+            {stops.map((lm, i) => {
+              const leg = legBefore(i);
+              return (
+                <li
+                  key={lm.id}
+                  draggable
+                  onDragStart={() => setDragIndex(i)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => {
+                    if (dragIndex != null && dragIndex !== i) {
+                      moveStop(dragIndex, i);
+                    }
+                    setDragIndex(null);
+                  }}
+                  onDragEnd={() => setDragIndex(null)}
+                  className={dragIndex === i ? "dragging" : ""}
+                >
+                  {leg && (
+                    <div className="itinerary-leg">
+                      ↓ {formatMinutes(leg.minutes)} · {formatDistance(leg.miles)}
+                    </div>
+                  )}
+                  <div className="list-item itinerary-stop">
+                    <span className="itinerary-number">{i + 1}</span>
+                    <button
+                      className="list-item-content"
+                      type="button"
+                      onClick={() => onOpenLandmark(lm)}
+                    >
+                      <span className="list-item-title">{lm.name}</span>
+                      <span className="list-item-subtitle">
+                        {lm.city} · {typeLabel(lm.typetag, locale)}
+                      </span>
+                    </button>
+                    <div className="itinerary-stop-actions">
+                      <button
+                        type="button"
+                        disabled={i === 0}
+                        onClick={() => moveStop(i, i - 1)}
+                        aria-label={t("trip.moveUp", { name: lm.name })}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        disabled={i === stops.length - 1}
+                        onClick={() => moveStop(i, i + 1)}
+                        aria-label={t("trip.moveDown", { name: lm.name })}
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setStops(itinerary.stops.filter((id) => id !== lm.id))}
+                        aria-label={t("trip.remove", { name: lm.name })}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+        </>
+      )}
+
+      {stops.length > 1 && (
+        <button
+          className="clear-btn"
+          type="button"
+          onClick={() => setStops(optimizeStopOrder(stops, start).map((lm) => lm.id))}
+        >
+          {start ? t("trip.autoOrderFromLocation") : t("trip.autoOrder")}
+        </button>
+      )}
+
+      {unplannedSaved.length > 0 && (
+        <button
+          className="clear-btn itinerary-secondary"
+          type="button"
+          onClick={() => setStops([...itinerary.stops, ...unplannedSaved])}
+        >
+          {t("trip.addSaved", { count: unplannedSaved.length })}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import { Fragment, useEffect, useState } from "react";
+import {
+  TYPE_TAGS,
+  TYPE_GROUPS,
+  SETTABLE_EXPERIENCE_TAGS,
+  canonicalExperienceTags,
+  typeLabel,
+  experienceLabel,
+} from "../data/taxonomy";
+import { localizedKey } from "../lib/locales";
+import { useI18n } from "../lib/i18n";
+import "./LandmarkEditor.css";
+
+const DESCRIPTION_ES = localizedKey("description", "es");
+
+// Text fields in the order they appear in the city files
+const TEXT_FIELDS = [
+  { field: "name" },
+  { field: "description", rows: 3 },
+  { field: DESCRIPTION_ES, rows: 3, lang: "es" },
+  { field: "address" },
+  { field: "website", type: "url" },
+];
+
+/**
+ * Latitude/longitude box. Keeps what's typed until it's a number, so a
+ * half-typed "42." doesn't move (or hide) the marker; a drag on the map
+ * replaces the text.
+ */
+function CoordinateInput({ id, value, onChange, ...props }) {
+  const [text, setText] = useState(String(value ?? ""));
+
+  useEffect(() => {
+    if (Number(text) !== value) setText(String(value ?? ""));
+  }, [value]);
+
+  return (
+    <input
+      {...props}
+      id={id}
+      className="curator-input"
+      type="number"
+      step="0.00001"
+      inputMode="decimal"
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        const number = Number(e.target.value);
+        if (e.target.value.trim() && Number.isFinite(number)) onChange(number);
+      }}
+    />
+  );
+}
+
+/**
+ * Curator-mode fields for the open landmark, shown in the bottom sheet.
+ * Edits the raw city-file record (city-file field names) and lists the
+ * schema problems it still has.
+ */
+export default function LandmarkEditor({ record, issues, onChange, onDelete }) {
+  const { t, locale } = useI18n();
+  const tags = canonicalExperienceTags(record.experiencetag ?? []);
+  const fieldLabel = (field) => t(`curator.fields.${field}`, { defaultValue: field });
+
+  const fieldProps = (field) => {
+    const invalid = issues.some((issue) => issue.field === field && issue.severity === "error");
+    return { id: `curator-${field}`, "aria-invalid": invalid || undefined };
+  };
+
+  // A label + input/textarea for one of TEXT_FIELDS
+  const textField = ({ field, rows, type = "text", lang }) => {
+    const Control = rows ? "textarea" : "input";
+    return (
+      <Fragment key={field}>
+        <label className="curator-label" htmlFor={`curator-${field}`}>
+          {fieldLabel(field)}
+        </label>
+        <Control
+          {...fieldProps(field)}
+          className="curator-input"
+          rows={rows}
+          type={rows ? undefined : type}
+          lang={lang}
+          value={record[field] ?? ""}
+          onChange={(e) => onChange({ [field]: e.target.value })}
+        />
+      </Fragment>
+    );
+  };
+
+  function toggleTag(tag) {
+    onChange({
+      experiencetag: tags.includes(tag) ? tags.filter((x) => x !== tag) : [...tags, tag],
+    });
+  }
+
+  return (
+    <section className="curator-editor" aria-labelledby="curator-editor-title">
+      <div className="curator-editor-head">
+        <h3 className="curator-editor-title" id="curator-editor-title">
+          ✏️ {t("curator.editing", { id: record.id })}
+        </h3>
+        <button className="offline-small-btn curator-delete" type="button" onClick={onDelete}>
+          🗑 {t("curator.delete")}
+        </button>
+      </div>
+
+      {issues.length > 0 && (
+        <ul className="curator-issues" aria-label={t("curator.issues")}>
+          {issues.map((issue) => (
+            <li
+              key={`${issue.field}-${issue.message}`}
+              className={`curator-issue curator-issue-${issue.severity}`}
+            >
+              {issue.severity === "error" ? "✖" : "⚠"} {fieldLabel(issue.field)}: {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {TEXT_FIELDS.slice(0, 1).map(textField)}
+
+      <label className="curator-label" htmlFor="curator-typetag">
+        {fieldLabel("typetag")}
+      </label>
+      <select
+        {...fieldProps("typetag")}
+        className="curator-input"
+        value={record.typetag ?? ""}
+        onChange={(e) => onChange({ typetag: e.target.value })}
+      >
+        <option value="">{t("suggest.chooseType")}</option>
+        {record.typetag && !TYPE_TAGS[record.typetag] && (
+          <option value={record.typetag}>{record.typetag}</option>
+        )}
+        {Object.entries(TYPE_GROUPS).map(([group, { icon }]) => (
+          <optgroup key={group} label={`${icon} ${typeLabel(group, locale)}`}>
+            {Object.keys(TYPE_TAGS)
+              .filter((type) => TYPE_TAGS[type].group === group)
+              .map((type) => (
+                <option key={type} value={type}>
+                  {typeLabel(type, locale)}
+                </option>
+              ))}
+          </optgroup>
+        ))}
+      </select>
+
+      <div className="curator-label" id="curator-tags-label">
+        {fieldLabel("experiencetag")}
+      </div>
+      <div className="chip-row" role="group" aria-labelledby="curator-tags-label">
+        {Object.entries(SETTABLE_EXPERIENCE_TAGS).map(([tag, { icon }]) => (
+          <button
+            key={tag}
+            type="button"
+            className={`chip ${tags.includes(tag) ? "chip-active" : ""}`}
+            aria-pressed={tags.includes(tag)}
+            onClick={() => toggleTag(tag)}
+          >
+            {icon} {experienceLabel(tag, locale)}
+          </button>
+        ))}
+      </div>
+
+      {TEXT_FIELDS.slice(1).map(textField)}
+
+      <div className="curator-label" id="curator-location-label">
+        {t("curator.location")}
+      </div>
+      <div className="curator-coords" role="group" aria-labelledby="curator-location-label">
+        <CoordinateInput
+          {...fieldProps("latitude")}
+          aria-label={fieldLabel("latitude")}
+          value={record.latitude}
+          onChange={(latitude) => onChange({ latitude })}
+        />
+        <CoordinateInput
+          {...fieldProps("longitude")}
+          aria-label={fieldLabel("longitude")}
+          value={record.longitude}
+          onChange={(longitude) => onChange({ longitude })}
+        />
+      </div>
+      <p className="curator-hint">{t("curator.dragHint")}</p>
+    </section>
+  );
+}
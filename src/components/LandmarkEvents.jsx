@@ -0,0 +1,60 @@
+import {
+  eventsBetween,
+  nowLocalString,
+  addDays,
+  formatEventDay,
+  formatEventTime,
+  formatPrice,
+} from "../lib/events";
+import { useI18n } from "../lib/i18n";
+import "./LandmarkEvents.css";
+
+const LOOKAHEAD_DAYS = 60;
+const MAX_SHOWN = 5;
+
+/**
+ * "Upcoming events" for one landmark's bottom sheet: the next few
+ * occurrences within two months. Renders nothing when there are none.
+ */
+export default function LandmarkEvents({ landmark, events }) {
+  const { t, intl } = useI18n();
+  const now = nowLocalString();
+  const mine = events.filter((e) => e.landmark === landmark.id);
+  if (mine.length === 0) return null;
+
+  const upcoming = eventsBetween(mine, now, `${addDays(now.slice(0, 10), LOOKAHEAD_DAYS)}T00:00`);
+  if (upcoming.length === 0) return null;
+
+  return (
+    <div className="landmark-events">
+      <div className="landmark-events-title">{t("events.upcoming")}</div>
+      <ul>
+        {upcoming.slice(0, MAX_SHOWN).map((occ) => {
+          const price = formatPrice(occ.event.price, t("events.free"));
+          return (
+            <li key={`${occ.event.id}-${occ.start}`}>
+              <div className="landmark-event-when">
+                {formatEventDay(occ.start.slice(0, 10), intl)} · {formatEventTime(occ, intl)}
+              </div>
+              <div className="landmark-event-title">
+                {occ.event.link ? (
+                  <a href={occ.event.link} target="_blank" rel="noreferrer">
+                    {occ.event.title}
+                  </a>
+                ) : (
+                  occ.event.title
+                )}
+                {price && <span className="landmark-event-price">{price}</span>}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {upcoming.length > MAX_SHOWN && (
+        <div className="landmark-events-more">
+          {t("events.more", { count: upcoming.length - MAX_SHOWN })}
+        </div>
+      )}
+    </div>
+  );
+}
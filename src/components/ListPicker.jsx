@@ -0,0 +1,126 @@
+import { useState } from "react";
+import {
+  addList,
+  toggleInList,
+  getPlace,
+  updatePlace,
+  todayString,
+} from "../lib/lists";
+import { useDialogFocus } from "../lib/a11y";
+import { useI18n } from "../lib/i18n";
+import "./ListPicker.css";
+
+/**
+ * Dialog behind every star button: which lists a place is in, plus its
+ * private note and visited date. Changes apply as they're made.
+ */
+export default function ListPicker({ landmark, listsState, onChange, onClose }) {
+  const { t } = useI18n();
+  const [newListName, setNewListName] = useState("");
+  const place = getPlace(listsState, landmark.id);
+  const dialogFocus = useDialogFocus(true, onClose);
+
+  function createAndAdd(e) {
+    e.preventDefault();
+    const name = newListName.trim();
+    if (!name) return;
+    const { state, list } = addList(listsState, name);
+    onChange(toggleInList(state, list.id, landmark.id));
+    setNewListName("");
+  }
+
+  return (
+    <>
+      <button
+        className="filters-backdrop list-picker-backdrop"
+        type="button"
+        aria-label={t("lists.close")}
+        onClick={onClose}
+      />
+      <div
+        className="help-modal list-picker"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="list-picker-title"
+        {...dialogFocus}
+      >
+        <button className="close-btn" onClick={onClose} type="button" aria-label={t("common.close")}>
+          ✕
+        </button>
+        <h2 className="help-title" id="list-picker-title">
+          {landmark.name}
+        </h2>
+
+        <div className="filter-section-title">{t("lists.saveTo")}</div>
+        <div className="list-picker-lists">
+          {listsState.lists.map((list) => (
+            <label key={list.id} className="list-picker-option">
+              <input
+                type="checkbox"
+                checked={list.items.includes(landmark.id)}
+                onChange={() => onChange(toggleInList(listsState, list.id, landmark.id))}
+              />
+              <span className="list-picker-name">{list.name}</span>
+              <span className="list-picker-count">{list.items.length}</span>
+            </label>
+          ))}
+        </div>
+
+        <form className="list-picker-new" onSubmit={createAndAdd}>
+          <input
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+            placeholder={t("lists.newPlaceholder")}
+            aria-label={t("lists.newLabel")}
+          />
+          <button type="submit" disabled={!newListName.trim()}>
+            ＋ {t("lists.add")}
+          </button>
+        </form>
+
+        <div className="filter-section-title">{t("lists.visited")}</div>
+        <div className="list-picker-visited">
+          <label className="filter-checkbox">
+            <input
+              type="checkbox"
+              checked={Boolean(place.visitedAt)}
+              onChange={(e) =>
+                onChange(
+                  updatePlace(listsState, landmark.id, {
+                    visitedAt: e.target.checked ? todayString() : null,
+                  })
+                )
+              }
+            />
+            {t("lists.beenHere")}
+          </label>
+          {place.visitedAt && (
+            <input
+              type="date"
+              value={place.visitedAt}
+              max={todayString()}
+              onChange={(e) =>
+                e.target.value &&
+                onChange(updatePlace(listsState, landmark.id, { visitedAt: e.target.value }))
+              }
+              aria-label={t("lists.dateVisited")}
+            />
+          )}
+        </div>
+
+        <div className="filter-section-title">{t("lists.note")}</div>
+        <textarea
+          className="list-picker-note"
+          value={place.note}
+          onChange={(e) => onChange(updatePlace(listsState, landmark.id, { note: e.target.value }))}
+          placeholder={t("lists.notePlaceholder")}
+          rows={3}
+        />
+
+        <button className="clear-btn" type="button" onClick={onClose}>
+          {t("common.done")}
+        </button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,54 @@
+import { useState } from "react";
+import { getTypeStyle } from "./mapIcons";
+import { typeLabel } from "../data/taxonomy";
+import { useI18n } from "../lib/i18n";
+import "./MapLegend.css";
+
+/**
+ * Collapsible legend of marker types. Each row is also a shortcut for the
+ * Type filter: tapping it adds (or removes) that type.
+ */
+export default function MapLegend({ types, selectedTypes, onToggleType }) {
+  const { t, locale } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className={`map-legend ${open ? "open" : ""}`}>
+      <button
+        className="map-legend-toggle"
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+      >
+        {open ? t("legend.hide") : t("legend.show")}
+      </button>
+
+      {open && (
+        <ul className="map-legend-list">
+          {types.map((type) => {
+            const { color, icon } = getTypeStyle(type);
+            const label = typeLabel(type, locale);
+            return (
+              <li key={type}>
+                <button
+                  className={`map-legend-item ${selectedTypes.includes(type) ? "active" : ""}`}
+                  type="button"
+                  onClick={() => onToggleType(type)}
+                  aria-pressed={selectedTypes.includes(type)}
+                  title={t(selectedTypes.includes(type) ? "legend.hideType" : "legend.showType", {
+                    type: label,
+                  })}
+                >
+                  <span className="map-legend-swatch" style={{ background: color }}>
+                    {icon}
+                  </span>
+                  {label}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
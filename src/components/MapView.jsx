@@ -1,16 +1,106 @@
-import { MapContainer, TileLayer, Marker, Circle, useMap } from "react-leaflet";
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  Circle,
+  CircleMarker,
+  GeoJSON,
+  Polygon,
+  Polyline,
+  Tooltip,
+  useMap,
+  useMapEvents,
+} from "react-leaflet";
 import { useMemo, useState, useEffect, useRef } from "react";
 import "leaflet/dist/leaflet.css";
 import "./MapView.css";
 
 import L from "leaflet";
+import MarkerClusterGroup from "react-leaflet-cluster";
 import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
 import markerIcon from "leaflet/dist/images/marker-icon.png";
 import markerShadow from "leaflet/dist/images/marker-shadow.png";
 
-import AlbanyData from "../data/Albany.json";
-import TroyData from "../data/Troy.json";
-import SchenectadyData from "../data/Schenectady.json";
+import { cities, getCity, regionBounds, regionCenter } from "../data/cities";
+import photoManifest from "virtual:photo-manifest";
+import transit from "virtual:transit";
+import { createSearchIndex, searchLandmarks } from "../lib/search";
+import SearchBox from "./SearchBox";
+import MapLegend from "./MapLegend";
+import ItineraryPanel from "./ItineraryPanel";
+import { getLandmarkIcon, createClusterIcon, getStopIcon, getTypeStyle } from "./mapIcons";
+import { parseUrlState, buildUrlSearch, pickOption } from "../lib/urlState";
+import { createItinerary } from "../lib/itinerary";
+import { zonedParts, partsFromLocalString, nextHourLocalString } from "../lib/hours";
+import OpeningHours from "./OpeningHours";
+import eventsData from "../data/events.json";
+import EventsPanel from "./EventsPanel";
+import LandmarkEvents from "./LandmarkEvents";
+import OfflinePanel from "./OfflinePanel";
+import ExportPanel from "./ExportPanel";
+import ListPicker from "./ListPicker";
+import SavedListsPanel, { ALL_LISTS } from "./SavedListsPanel";
+import { normalizeListsState, allSavedIds, mergeListsState, getPlace, updatePlace } from "../lib/lists";
+import { createCheckIn, checkInDay } from "../lib/checkins";
+import CheckInButton from "./CheckInButton";
+import PassportPanel from "./PassportPanel";
+import NearbyPanel from "./NearbyPanel";
+import { NEARBY_RADII_MI, DEFAULT_NEARBY_RADIUS_MI } from "../lib/nearby";
+import {
+  EMPTY_FACETS,
+  TAG_MODES,
+  matchesFacets,
+  countActiveFacets,
+  facetCounts,
+  nextTagState,
+  toggleValue,
+  createPreset,
+  describeFacets,
+} from "../lib/filters";
+import FilterChip from "./FilterChip";
+import {
+  TYPE_TAGS,
+  TYPE_GROUPS,
+  EXPERIENCE_TAGS,
+  typeLabel,
+  experienceLabel,
+  tagDescription,
+} from "../data/taxonomy";
+import { TILE_URL, TILE_ATTRIBUTION } from "../lib/offline";
+import { AMENITY_FILTERS } from "../lib/amenities";
+import AmenityIcons from "./AmenityIcons";
+import { useDialogFocus, useMarkerA11y } from "../lib/a11y";
+import ResultsList from "./ResultsList";
+import SuggestPlacePanel from "./SuggestPlacePanel";
+import { EMPTY_DRAFT, sendQueued, fetchStatuses, cityForPoint } from "../lib/submissions";
+import { useI18n } from "../lib/i18n";
+import { LOCALES, DEFAULT_LOCALE, localizedField } from "../lib/locales";
+import {
+  loadLandmarks,
+  landmarkOptions,
+  query,
+  normalizeCityFile,
+  landmarkId,
+} from "../lib/landmarks";
+import {
+  findRecord,
+  updateRecord,
+  addRecord,
+  removeRecord,
+  restoreRecord,
+  diffCityFile,
+  countChanges,
+  curatorIssues,
+} from "../lib/curator";
+import LandmarkEditor from "./LandmarkEditor";
+import { addTransitTags, nearestStops } from "../lib/transit";
+import TransitInfo from "./TransitInfo";
+import { geometryKind, toLatLngs } from "../lib/geometry";
+import TrailInfo from "./TrailInfo";
+import CuratorPanel from "./CuratorPanel";
+import RecommendPanel from "./RecommendPanel";
+import { recommend } from "../lib/recommend";
+import { WEATHER_CONDITIONS, createHttpWeatherProvider } from "../lib/weather";
 
 // Fix Leaflet marker icons for Vite
 delete L.Icon.Default.prototype._getIconUrl;
@@ -20,57 +110,96 @@ L.Icon.Default.mergeOptions({
   shadowUrl: markerShadow,
 });
 
-// ✅ Adapter: JSON -> app format
-function normalizeCityFile(cityFile) {
-  return cityFile.landmarks.map((lm) => {
-    const city = cityFile.city;
-
-    const typeTag = lm.typetag ?? lm.type ?? "";
-    const experienceTags = Array.isArray(lm.experiencetag) ? lm.experiencetag : [];
-
-    return {
-      id: `${city.toLowerCase()}-${lm.id}`,
-      city,
-      name: lm.name,
-      description: lm.description,
-      address: lm.address,
-      lat: lm.latitude,
-      lng: lm.longitude,
-      website: lm.website,
-      typetag: typeTag,
-      experiencetag: experienceTags,
-    };
-  });
-}
+// ✅ Weather for "What should I do now?" (swap the provider here; see lib/weather.js)
+const weatherProvider = createHttpWeatherProvider();
 
-// ✅ Helper to get photo paths for a landmark
+// ✅ Photos for a landmark, from the build-time manifest (plugins/photoManifest.js)
 function getLandmarkPhotos(landmark) {
-  // Base path: /photos/{city}/{landmark name}/
-  const basePath = `/photos/${landmark.city}/${landmark.name}`;
-  
-  // Only jpg and png extensions
-  const extensions = ['jpg', 'png'];
-  const filenames = ['download', 'images', 'imagess'];
-  
-  const photos = [];
-  
-  // Try each combination
-  filenames.forEach(filename => {
-    extensions.forEach(ext => {
-      photos.push(`${basePath}/${filename}.${ext}`);
-    });
+  return photoManifest[landmark.id] ?? [];
+}
+
+// Accessible name for a landmark's map marker
+function markerLabel(landmark, { t, locale }) {
+  return t("map.markerLabel", {
+    name: landmark.name,
+    type: typeLabel(landmark.typetag, locale),
+    city: landmark.city,
   });
-  
-  return photos;
 }
 
-// ✅ AND logic for experience tags
-function matchesExperienceTags(landmark, selectedExperienceTags) {
-  if (selectedExperienceTags.length === 0) return true;
-  return selectedExperienceTags.every((tag) => landmark.experiencetag.includes(tag));
+// ✅ URL params -> validated app state (unknown cities/tags/places are dropped)
+function resolveUrlState(search, { landmarks, typeOptions, typeGroupOptions, experienceOptions }) {
+  const state = parseUrlState(search);
+
+  const pickAll = (values, options) =>
+    Array.from(new Set(values.map((v) => pickOption(v, options)).filter(Boolean)));
+
+  return {
+    facets: {
+      cities: pickAll(state.cities, cities.map((c) => c.name)),
+      types: pickAll(state.types, [...typeGroupOptions, ...typeOptions]),
+      tags: pickAll(state.tags, experienceOptions),
+      tagMode: state.tagMode,
+      excludedTags: pickAll(state.excludedTags, experienceOptions),
+      amenities: state.amenities.filter((id) => Object.hasOwn(AMENITY_FILTERS, id)),
+      amenitiesIncludeUnknown: state.amenitiesIncludeUnknown,
+    },
+    q: state.q,
+    open: openFilterFromParam(state.open),
+    selected: landmarks.find((l) => l.id === state.place) ?? null,
+    view: state.view,
+  };
+}
+
+// ✅ Share a link to the current view (falls back to copying it)
+async function shareLink({ title, text }) {
+  const url = window.location.href;
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text, url });
+      return "shared";
+    } catch (err) {
+      if (err?.name === "AbortError") return "cancelled";
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    return "copied";
+  } catch {
+    return "failed";
+  }
+}
+
+// ✅ "Open now" / "Open at…" filter
+//   openFilter: { mode: "any" | "now" | "at", at: "YYYY-MM-DDTHH:MM", includeUnknown }
+// Places without hours pass when includeUnknown is on (unknown ≠ closed).
+// Returns the moment to check, or null when the filter is off.
+function openFilterParts(openFilter, nowParts) {
+  if (openFilter.mode === "any") return null;
+  return openFilter.mode === "now" ? nowParts : partsFromLocalString(openFilter.at);
+}
+
+const OPEN_FILTER_NONE = { mode: "any", at: "", includeUnknown: true };
+
+// Bus stops crowd the map further out than this (the open place's are always shown)
+const TRANSIT_STOPS_MIN_ZOOM = 15;
+
+function openFilterFromParam(value) {
+  if (value === "now") return { ...OPEN_FILTER_NONE, mode: "now" };
+  if (partsFromLocalString(value)) return { ...OPEN_FILTER_NONE, mode: "at", at: value };
+  return OPEN_FILTER_NONE;
+}
+
+function openFilterToParam(openFilter) {
+  if (openFilter.mode === "now") return "now";
+  if (openFilter.mode === "at" && openFilter.at) return openFilter.at;
+  return "";
 }
 
 function LocateButton({ userLocation, onRequestLocation, mapRef }) {
+  const { t } = useI18n();
   const map = useMap();
 
   // Store map reference
@@ -93,137 +222,218 @@ function LocateButton({ userLocation, onRequestLocation, mapRef }) {
           animate: true,
         });
       }}
-      title="Center on my location"
+      title={t("map.locate")}
+      aria-label={t("map.locate")}
     >
       ◎
     </button>
   );
 }
 
-function haversineMiles(lat1, lon1, lat2, lon2) {
-  const toRad = (v) => (v * Math.PI) / 180;
-  const R = 3958.7613; // Earth radius in miles
-
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
+// ✅ Reports the map's center/zoom after every pan or zoom
+function MapViewSync({ onViewChange }) {
+  useMapEvents({
+    moveend: (e) => {
+      const map = e.target;
+      const { lat, lng } = map.getCenter();
+      onViewChange({ center: [lat, lng], zoom: map.getZoom() });
+    },
+  });
+  return null;
+}
 
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+// ✅ A landmark marker that screen readers can name and keyboard users open
+function LandmarkMarker({ landmark, label, onOpen, eventHandlers, ...props }) {
+  const a11y = useMarkerA11y(label, onOpen);
+  return (
+    <Marker
+      ref={a11y.ref}
+      position={[landmark.lat, landmark.lng]}
+      title={landmark.name}
+      eventHandlers={{ click: onOpen, ...eventHandlers, ...a11y.eventHandlers }}
+      {...props}
+    />
+  );
+}
 
-  return 2 * R * Math.asin(Math.sqrt(a));
+// ✅ Drop a pin for "Suggest a place": the next tap on the map picks the spot
+function PinPicker({ onPick }) {
+  useMapEvents({
+    click: (e) => onPick(e.latlng),
+  });
+  return null;
 }
 
 // ✅ Photo Carousel Component
 function PhotoCarousel({ photos }) {
+  const { t } = useI18n();
   const [currentIndex, setCurrentIndex] = useState(0);
-  const [loadedPhotos, setLoadedPhotos] = useState([]);
-  const [loading, setLoading] = useState(true);
 
+  // Reset when photos change
   useEffect(() => {
-    // Reset when photos change
     setCurrentIndex(0);
-    setLoadedPhotos([]);
-    setLoading(true);
-
-    // Try to load each photo using Image objects
-    const checkPhotos = async () => {
-      const validPhotos = [];
-      
-      for (const photoUrl of photos) {
-        try {
-          // Create a promise that resolves when image loads
-          await new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-              validPhotos.push(photoUrl);
-              resolve();
-            };
-            img.onerror = () => reject();
-            img.src = photoUrl;
-          });
-        } catch (e) {
-          // Photo doesn't exist or failed to load, skip it
-        }
-      }
-      
-      setLoadedPhotos(validPhotos);
-      setLoading(false);
-    };
-
-    checkPhotos();
   }, [photos]);
 
-  if (loading) {
-    return (
-      <div className="photo-carousel loading">
-        <div className="photo-placeholder">Loading photos...</div>
-      </div>
-    );
-  }
-
-  if (loadedPhotos.length === 0) {
+  if (photos.length === 0) {
     return null; // No photos available
   }
 
+  const photo = photos[Math.min(currentIndex, photos.length - 1)];
+
   return (
-    <div className="photo-carousel">
+    <figure className="photo-carousel">
       <div className="photo-container">
-        <img
-          src={loadedPhotos[currentIndex]}
-          alt={`View ${currentIndex + 1}`}
-          className="landmark-photo"
-        />
+        <picture>
+          <source
+            type="image/webp"
+            srcSet={
+              photo.webpWidth > photo.thumbWidth
+                ? `${photo.thumb} ${photo.thumbWidth}w, ${photo.webp} ${photo.webpWidth}w`
+                : photo.webp
+            }
+            sizes="(max-width: 600px) 100vw, 600px"
+          />
+          <img
+            src={photo.src}
+            width={photo.width}
+            height={photo.height}
+            alt={photo.alt}
+            className="landmark-photo"
+          />
+        </picture>
         
-        {loadedPhotos.length > 1 && (
+        {photos.length > 1 && (
           <>
             <button
               className="photo-nav photo-nav-prev"
               onClick={() => setCurrentIndex((prev) => 
-                prev === 0 ? loadedPhotos.length - 1 : prev - 1
+                prev === 0 ? photos.length - 1 : prev - 1
               )}
               type="button"
-              aria-label="Previous photo"
+              aria-label={t("photos.previous")}
             >
               ‹
             </button>
             <button
               className="photo-nav photo-nav-next"
               onClick={() => setCurrentIndex((prev) => 
-                (prev + 1) % loadedPhotos.length
+                (prev + 1) % photos.length
               )}
               type="button"
-              aria-label="Next photo"
+              aria-label={t("photos.next")}
             >
               ›
             </button>
             
             <div className="photo-dots">
-              {loadedPhotos.map((_, idx) => (
+              {photos.map((_, idx) => (
                 <button
                   key={idx}
                   className={`photo-dot ${idx === currentIndex ? 'photo-dot-active' : ''}`}
                   onClick={() => setCurrentIndex(idx)}
                   type="button"
-                  aria-label={`View photo ${idx + 1}`}
+                  aria-label={t("photos.view", { number: idx + 1 })}
                 />
               ))}
             </div>
           </>
         )}
       </div>
-    </div>
+
+      {photo.credit && (
+        <figcaption className="photo-credit">
+          {t("photos.credit")}{" "}
+          {photo.source ? (
+            <a href={photo.source} target="_blank" rel="noreferrer">
+              {photo.credit}
+            </a>
+          ) : (
+            photo.credit
+          )}
+          {photo.license && ` · ${photo.license}`}
+        </figcaption>
+      )}
+    </figure>
   );
 }
 
 export default function MapView() {
-  const [selected, setSelected] = useState(null);
+  const i18n = useI18n();
+  const { t, locale, message, setLocale } = i18n;
+
+  // ✅ Curator mode (see lib/curator.js). Unlocked on this device by opening
+  // the app once with ?curator=on, locked again with ?curator=off or Exit.
+  // Edited city files are kept until they're discarded.
+  const [curatorMode, setCuratorMode] = useState(() => {
+    const param = new URLSearchParams(window.location.search).get("curator");
+    if (param === "on" || param === "off") return param === "on";
+    return localStorage.getItem("curatorMode") === "true";
+  });
+  const [curatorEdits, setCuratorEdits] = useState(() => {
+    try {
+      const saved = localStorage.getItem("curatorEdits");
+      return saved ? JSON.parse(saved) : {};
+    } catch {
+      return {};
+    }
+  });
+  const [showCurator, setShowCurator] = useState(false);
+  const [curatorNotice, setCuratorNotice] = useState("");
+
+  // ✅ Bus route overlay (persisted to localStorage)
+  const [showTransit, setShowTransit] = useState(
+    () => localStorage.getItem("showTransit") === "true"
+  );
+
+  // In curator mode the map shows the edited files instead of the shipped ones.
+  // Places near a bus stop get the derived "Reachable by Bus" tag.
+  const landmarks = useMemo(
+    () =>
+      addTransitTags(
+        loadLandmarks(
+          cities.map((city) => (curatorMode && curatorEdits[city.name]) || city.data)
+        ),
+        transit
+      ),
+    [curatorMode, curatorEdits]
+  );
+
+  // ✅ Build filter options from the taxonomy, limited to tags the data uses
+  const cityOptions = cities;
+
+  // typeGroups: [{ name, icon, description, types }] for groups with a type in use
+  const {
+    types: typeOptions,
+    typeGroups,
+    experienceTags: experienceOptions,
+  } = useMemo(() => landmarkOptions(landmarks), [landmarks]);
+
+  const typeGroupOptions = useMemo(
+    () => typeGroups.map((group) => group.name).filter(Boolean),
+    [typeGroups]
+  );
+
+  // ✅ Initial state from the URL (shared links / reloads)
+  const [initialUrlState] = useState(() =>
+    resolveUrlState(window.location.search, {
+      landmarks,
+      typeOptions,
+      typeGroupOptions,
+      experienceOptions,
+    })
+  );
+
+  const [selected, setSelected] = useState(initialUrlState.selected);
+  const [mapView, setMapView] = useState(initialUrlState.view); // {center, zoom}
   
   // location states
   const [userLocation, setUserLocation] = useState(null); // {lat, lng, accuracy}
   const [geoError, setGeoError] = useState("");
   const [showLocationPrompt, setShowLocationPrompt] = useState(true);
-  const [hasAutocentered, setHasAutocentered] = useState(false);
+  // A shared link already says where to look, so don't jump to the user
+  const [hasAutocentered, setHasAutocentered] = useState(
+    Boolean(initialUrlState.view || initialUrlState.selected)
+  );
 
   const [watchId, setWatchId] = useState(null);
   const mapRef = useRef(null);
@@ -238,19 +448,130 @@ export default function MapView() {
     }
   }, [userLocation, hasAutocentered]);
 
-  // ✅ Saved landmarks (persisted to localStorage)
-  const [savedLandmarks, setSavedLandmarks] = useState(() => {
+  // ✅ Saved lists (persisted to localStorage). The old single "savedLandmarks"
+  // array migrates into the default list the first time this runs.
+  const [savedLists, setSavedLists] = useState(() => {
+    const listNames = { defaultList: t("lists.defaultName"), untitledList: t("lists.untitled") };
+    try {
+      const saved = localStorage.getItem("savedLists");
+      if (saved) return normalizeListsState(JSON.parse(saved), listNames);
+      const legacy = localStorage.getItem("savedLandmarks");
+      return normalizeListsState(null, listNames, legacy ? JSON.parse(legacy) : null);
+    } catch {
+      return normalizeListsState(null, listNames);
+    }
+  });
+  const savedLandmarks = useMemo(() => allSavedIds(savedLists), [savedLists]);
+  const [activeListId, setActiveListId] = useState(ALL_LISTS);
+  const [listPickerFor, setListPickerFor] = useState(null); // landmark
+
+  // ✅ Check-ins for the passport (persisted to localStorage)
+  const [checkIns, setCheckIns] = useState(() => {
+    try {
+      const saved = localStorage.getItem("checkIns");
+      return saved ? JSON.parse(saved) : [];
+    } catch {
+      return [];
+    }
+  });
+
+  // ✅ "Suggest a place" submissions and the form draft (see lib/submissions.js)
+  const [submissions, setSubmissions] = useState(() => {
     try {
-      const saved = localStorage.getItem("savedLandmarks");
+      const saved = localStorage.getItem("submissions");
       return saved ? JSON.parse(saved) : [];
     } catch {
       return [];
     }
   });
+  const [suggestDraft, setSuggestDraft] = useState(EMPTY_DRAFT);
+  const [suggestView, setSuggestView] = useState(null); // "form" | "list" while open
+  const [pickingPin, setPickingPin] = useState(false);
+
+  // ✅ Trip itineraries (persisted next to savedLists)
+  const [itineraries, setItineraries] = useState(() => {
+    try {
+      const saved = localStorage.getItem("itineraries");
+      const parsed = saved ? JSON.parse(saved) : [];
+      return parsed.length > 0 ? parsed : [createItinerary(t("trip.firstName"))];
+    } catch {
+      return [createItinerary(t("trip.firstName"))];
+    }
+  });
+  const [activeItineraryId, setActiveItineraryId] = useState(
+    () => localStorage.getItem("activeItinerary") ?? ""
+  );
+  const activeItinerary =
+    itineraries.find((it) => it.id === activeItineraryId) ?? itineraries[0];
 
   // ✅ UI states
   const [activeView, setActiveView] = useState("filters");
   const [showHelp, setShowHelp] = useState(false);
+  const [showOffline, setShowOffline] = useState(false);
+
+  // ✅ Connection status for the offline indicator
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  // ✅ Send queued suggestions whenever there's a connection. After a failed
+  // try, wait for the connection to come back or a new suggestion.
+  const [sendingSubmissions, setSendingSubmissions] = useState(false);
+  const [sendBlocked, setSendBlocked] = useState(false);
+  const queuedCount = submissions.filter((s) => s.status === "queued").length;
+
+  const replaceSubmission = (updated) =>
+    setSubmissions((prev) => prev.map((s) => (s.id === updated.id ? updated : s)));
+
+  useEffect(() => {
+    setSendBlocked(false);
+  }, [isOnline]);
+
+  useEffect(() => {
+    if (!isOnline || queuedCount === 0 || sendingSubmissions || sendBlocked) return;
+    setSendingSubmissions(true);
+    sendQueued(submissions, replaceSubmission).then((allSent) => {
+      setSendBlocked(!allSent);
+      setSendingSubmissions(false);
+    });
+  }, [isOnline, queuedCount, sendingSubmissions, sendBlocked]);
+
+  function addSubmission(submission) {
+    setSubmissions((prev) => [...prev, submission]);
+    setSendBlocked(false);
+  }
+
+  async function refreshSubmissions() {
+    const statuses = await fetchStatuses(submissions);
+    if (statuses.size === 0) return;
+    setSubmissions((prev) =>
+      prev.map((s) => (statuses.has(s.id) ? { ...s, ...statuses.get(s.id) } : s))
+    );
+  }
+
+  // Tapping the map (or "Use map center") sets the pin and reopens the form
+  function finishPinPick(latlng) {
+    if (latlng) {
+      const { lat, lng } = latlng;
+      setSuggestDraft((prev) => ({
+        ...prev,
+        lat,
+        lng,
+        city: prev.city || cityForPoint(cityOptions, lat, lng)?.name || "",
+      }));
+    }
+    setPickingPin(false);
+    setSuggestView("form");
+  }
+
   const [darkMode, setDarkMode] = useState(() => {
     try {
       const saved = localStorage.getItem("darkMode");
@@ -274,136 +595,561 @@ export default function MapView() {
     }
   }, [userLocation]);
 
-  // ✅ Save to localStorage whenever savedLandmarks changes
+  // ✅ Save to localStorage whenever the lists change
+  useEffect(() => {
+    localStorage.setItem("savedLists", JSON.stringify(savedLists));
+    localStorage.removeItem("savedLandmarks");
+  }, [savedLists]);
+
   useEffect(() => {
-    localStorage.setItem("savedLandmarks", JSON.stringify(savedLandmarks));
-  }, [savedLandmarks]);
+    localStorage.setItem("checkIns", JSON.stringify(checkIns));
+  }, [checkIns]);
+
+  useEffect(() => {
+    localStorage.setItem("curatorMode", String(curatorMode));
+  }, [curatorMode]);
+
+  useEffect(() => {
+    localStorage.setItem("showTransit", String(showTransit));
+  }, [showTransit]);
+
+  useEffect(() => {
+    localStorage.setItem("curatorEdits", JSON.stringify(curatorEdits));
+  }, [curatorEdits]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem("submissions", JSON.stringify(submissions));
+    } catch {
+      // Out of space (photos waiting to be sent); the queue stays in memory
+    }
+  }, [submissions]);
+
+  useEffect(() => {
+    localStorage.setItem("itineraries", JSON.stringify(itineraries));
+  }, [itineraries]);
+
+  useEffect(() => {
+    localStorage.setItem("activeItinerary", activeItinerary.id);
+  }, [activeItinerary.id]);
 
   // ✅ Save dark mode preference
   useEffect(() => {
     localStorage.setItem("darkMode", darkMode.toString());
   }, [darkMode]);
 
+  // ✅ Share button feedback ("copied" etc.), reset per landmark
+  const [shareStatus, setShareStatus] = useState("");
+
+  useEffect(() => {
+    setShareStatus("");
+  }, [selected]);
+
   // ✅ Drawer open/close
   const [filtersOpen, setFiltersOpen] = useState(false);
 
-  // ✅ separate filter states
-  const [selectedCity, setSelectedCity] = useState(""); // single
-  const [selectedType, setSelectedType] = useState(""); // single
-  const [selectedExperienceTags, setSelectedExperienceTags] = useState([]); // multi AND
-
-  const landmarks = useMemo(() => {
-    return [
-      ...normalizeCityFile(AlbanyData),
-      ...normalizeCityFile(TroyData),
-      ...normalizeCityFile(SchenectadyData),
-    ];
-  }, []);
+  // ✅ Filter states: city/type/experience facets (see lib/filters.js), search, hours
+  const [facets, setFacets] = useState(initialUrlState.facets);
+  const [searchQuery, setSearchQuery] = useState(initialUrlState.q);
+  const [openFilter, setOpenFilter] = useState(initialUrlState.open);
+
+  // ✅ New York wall-clock time, refreshed every minute while "Open now" is on
+  const [nowParts, setNowParts] = useState(() => zonedParts());
 
-  // ✅ Build filter options from data
-  const cityOptions = useMemo(() => {
-    return Array.from(new Set(landmarks.map((l) => l.city))).sort();
-  }, [landmarks]);
-
-  const typeOptions = useMemo(() => {
-    return Array.from(new Set(landmarks.map((l) => l.typetag).filter(Boolean))).sort();
-  }, [landmarks]);
-
-  const experienceOptions = useMemo(() => {
-    const set = new Set();
-    landmarks.forEach((l) => l.experiencetag.forEach((t) => set.add(t)));
-    return Array.from(set).sort();
-  }, [landmarks]);
-
-  // ✅ Apply all filters
-  const filteredLandmarks = useMemo(() => {
-    return landmarks.filter((l) => {
-      const cityOk = selectedCity ? l.city === selectedCity : true;
-      const typeOk = selectedType ? l.typetag === selectedType : true;
-      const expOk = matchesExperienceTags(l, selectedExperienceTags);
-      return cityOk && typeOk && expOk;
+  useEffect(() => {
+    if (openFilter.mode !== "now") return undefined;
+    setNowParts(zonedParts());
+    const id = setInterval(() => setNowParts(zonedParts()), 60 * 1000);
+    return () => clearInterval(id);
+  }, [openFilter.mode]);
+
+  const selectedCityEntries = facets.cities.map(getCity).filter(Boolean);
+
+  // ✅ Keep the URL in sync with the view. Opening a place pushes a history
+  // entry (so Back returns to the previous one); everything else replaces.
+  useEffect(() => {
+    const search = buildUrlSearch({
+      ...facets,
+      q: searchQuery,
+      open: openFilterToParam(openFilter),
+      place: selected?.id,
+      view: mapView,
     });
-  }, [landmarks, selectedCity, selectedType, selectedExperienceTags]);
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const currentPlace = new URLSearchParams(window.location.search).get("place");
+
+    if (selected && selected.id !== currentPlace) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+  }, [facets, searchQuery, openFilter, selected, mapView]);
+
+  // ✅ Back/forward: restore filters, selection and map view from the URL
+  useEffect(() => {
+    function handlePopState() {
+      const state = resolveUrlState(window.location.search, {
+        landmarks,
+        typeOptions,
+        typeGroupOptions,
+        experienceOptions,
+      });
+
+      setFacets(state.facets);
+      setSearchQuery(state.q);
+      setOpenFilter(state.open);
+      setSelected(state.selected);
+
+      if (state.view) {
+        mapRef.current?.setView(state.view.center, state.view.zoom, { animate: true });
+      }
+    }
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [landmarks, typeOptions, typeGroupOptions, experienceOptions]);
+
+  // ✅ Search index (built client-side so it works offline)
+  const searchIndex = useMemo(() => createSearchIndex(landmarks), [landmarks]);
+
+  const searchResults = useMemo(() => {
+    return searchQuery.trim() ? searchLandmarks(searchIndex, searchQuery) : null;
+  }, [searchIndex, searchQuery]);
+
+  // ✅ Apply all filters (search narrows the same set as the chips). Search and
+  // hours apply first, so chip counts reflect them too.
+  const searchAndHoursMatches = useMemo(
+    () =>
+      query(landmarks, {
+        ids: searchResults?.map((r) => r.landmark.id),
+        openAt: openFilterParts(openFilter, nowParts),
+        includeUnknownHours: openFilter.includeUnknown,
+      }),
+    [landmarks, searchResults, openFilter, nowParts]
+  );
+
+  const filteredLandmarks = useMemo(
+    () => query(searchAndHoursMatches, facets),
+    [searchAndHoursMatches, facets]
+  );
+
+  // How many places each chip would show given the other active filters
+  const chipCounts = useMemo(
+    () =>
+      facetCounts(searchAndHoursMatches, facets, {
+        cities: cityOptions.map((c) => c.name),
+        types: [...typeGroupOptions, ...typeOptions],
+        tags: experienceOptions,
+        amenities: Object.keys(AMENITY_FILTERS),
+      }),
+    [searchAndHoursMatches, facets, cityOptions, typeGroupOptions, typeOptions, experienceOptions]
+  );
+
+  // Ranked search results, limited to what the filters allow
+  const visibleSearchResults = useMemo(() => {
+    if (!searchResults) return [];
+    const visibleIds = new Set(filteredLandmarks.map((l) => l.id));
+    return searchResults.filter((r) => visibleIds.has(r.landmark.id));
+  }, [searchResults, filteredLandmarks]);
+
+  // ✅ Pick a search result: pan to it and open the bottom sheet
+  function selectSearchResult(landmark) {
+    setSelected(landmark);
+    mapRef.current?.setView([landmark.lat, landmark.lng], Math.max(mapRef.current.getZoom(), 15), {
+      animate: true,
+    });
+  }
+
+  // ✅ Nearby: around the user, or around a landmark ("What's near here?")
+  const [nearbyRadius, setNearbyRadius] = useState(() => {
+    const saved = Number(localStorage.getItem("nearbyRadius"));
+    return NEARBY_RADII_MI.includes(saved) ? saved : DEFAULT_NEARBY_RADIUS_MI;
+  });
+  const [nearbySort, setNearbySort] = useState("distance");
+  const [nearbyOrigin, setNearbyOrigin] = useState(null); // landmark, or null for the user
+
+  useEffect(() => {
+    localStorage.setItem("nearbyRadius", String(nearbyRadius));
+  }, [nearbyRadius]);
 
-  const NEARBY_RADIUS_MI = 3;
-  const NEARBY_LIMIT = 10;
+  const nearbyCenter = nearbyOrigin ?? userLocation;
 
   const nearby = useMemo(() => {
-    if (!userLocation) return [];
+    if (!nearbyCenter) return [];
+    return query(filteredLandmarks, {
+      near: nearbyCenter,
+      radius: nearbyRadius,
+      sort: nearbySort,
+      excludeId: nearbyOrigin?.id,
+    });
+  }, [nearbyCenter, nearbyOrigin, filteredLandmarks, nearbyRadius, nearbySort]);
+
+  function showNearbyOf(landmark) {
+    setNearbyOrigin(landmark);
+    setSelected(null);
+    setActiveView("nearby");
+    setFiltersOpen(true);
+    mapRef.current?.flyTo([landmark.lat, landmark.lng], mapRef.current.getZoom());
+  }
 
-    const withDistance = filteredLandmarks
-      .map((l) => ({
-        ...l,
-        distanceMi: haversineMiles(userLocation.lat, userLocation.lng, l.lat, l.lng),
-      }))
-      .filter((l) => l.distanceMi <= NEARBY_RADIUS_MI)
-      .sort((a, b) => a.distanceMi - b.distanceMi)
-      .slice(0, NEARBY_LIMIT);
+  // ✅ "What should I do now?": picks for this moment (see lib/recommend.js),
+  // worked out again each time the Now tab opens or "Ask again" is pressed
+  const [recommendAsk, setRecommendAsk] = useState(0);
+  const [recommendNow, setRecommendNow] = useState(() => zonedParts());
+  const [weatherReport, setWeatherReport] = useState(null);
+  const [weatherOverride, setWeatherOverride] = useState(() => {
+    const saved = localStorage.getItem("weatherOverride");
+    return Object.hasOwn(WEATHER_CONDITIONS, saved ?? "") ? saved : null;
+  });
+  const recommendOpen = filtersOpen && activeView === "now";
+  const hasLocation = Boolean(userLocation);
+
+  useEffect(() => {
+    if (weatherOverride) localStorage.setItem("weatherOverride", weatherOverride);
+    else localStorage.removeItem("weatherOverride");
+  }, [weatherOverride]);
 
-    return withDistance;
-  }, [userLocation, filteredLandmarks]);
+  // Keyed on whether there's a location, not the location itself, so the
+  // position watcher doesn't ask for the weather every few seconds
+  useEffect(() => {
+    if (!recommendOpen) return undefined;
+    let cancelled = false;
+    setRecommendNow(zonedParts());
+    const [lat, lng] = userLocation ? [userLocation.lat, userLocation.lng] : regionCenter;
+    weatherProvider.getWeather({ lat, lng }).then((report) => {
+      if (!cancelled) setWeatherReport(report);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [recommendOpen, recommendAsk, hasLocation]);
+
+  const weather = useMemo(
+    () =>
+      weatherOverride
+        ? { condition: weatherOverride, tempF: weatherReport?.tempF ?? null, source: null }
+        : weatherReport,
+    [weatherOverride, weatherReport]
+  );
+
+  // Checked in, or marked visited on a list
+  const visitedIds = useMemo(() => {
+    const ids = new Set(checkIns.map((c) => c.landmarkId));
+    Object.entries(savedLists.places).forEach(([id, place]) => {
+      if (place.visitedAt) ids.add(id);
+    });
+    return [...ids];
+  }, [checkIns, savedLists]);
+
+  const recommendations = useMemo(() => {
+    if (!recommendOpen) return [];
+    return recommend(filteredLandmarks, {
+      now: recommendNow,
+      origin: userLocation,
+      weather,
+      savedIds: savedLandmarks,
+      visitedIds,
+      intl: i18n.intl,
+    });
+  }, [
+    recommendOpen,
+    filteredLandmarks,
+    recommendNow,
+    userLocation,
+    weather,
+    savedLandmarks,
+    visitedIds,
+    i18n.intl,
+  ]);
+
+  function openRecommendations() {
+    setSelected(null);
+    setActiveView("now");
+    setFiltersOpen(true);
+  }
 
   // ✅ Get saved landmark objects
-  const savedLandmarkObjects = useMemo(() => {
-    return landmarks.filter((l) => savedLandmarks.includes(l.id));
-  }, [landmarks, savedLandmarks]);
-
-  // ✅ Toggle saved
-  function toggleSaved(landmarkId) {
-    setSavedLandmarks((prev) =>
-      prev.includes(landmarkId)
-        ? prev.filter((id) => id !== landmarkId)
-        : [...prev, landmarkId]
-    );
+  const landmarksById = useMemo(() => new Map(landmarks.map((l) => [l.id, l])), [landmarks]);
+
+  // ✅ Curator edits: every change goes to a copy of the city's file
+  const curatorFile = (cityName) => curatorEdits[cityName] ?? getCity(cityName).data;
+
+  function editCityFile(cityName, edit) {
+    setCuratorEdits((prev) => ({
+      ...prev,
+      [cityName]: edit(prev[cityName] ?? getCity(cityName).data),
+    }));
   }
 
-  // ✅ Chip toggles
-  function toggleCity(city) {
-    setSelectedCity((prev) => (prev === city ? "" : city));
-    setSelected(null);
+  function updateLandmark(landmark, changes) {
+    editCityFile(landmark.city, (file) => {
+      const record = findRecord(file, landmark.id);
+      return record ? updateRecord(file, record.id, changes) : file;
+    });
   }
 
-  function toggleType(type) {
-    setSelectedType((prev) => (prev === type ? "" : type));
+  const moveLandmark = (landmark, { lat, lng }) =>
+    updateLandmark(landmark, { latitude: lat, longitude: lng });
+
+  function deleteLandmark(landmark) {
+    editCityFile(landmark.city, (file) => {
+      const record = findRecord(file, landmark.id);
+      return record ? removeRecord(file, record.id) : file;
+    });
     setSelected(null);
+    setAnnouncement(t("curator.deleted", { name: landmark.name }));
+  }
+
+  // New landmark at the map center, in the city that covers it
+  function addLandmarkHere() {
+    const { lat, lng } = mapRef.current.getCenter();
+    const city = cityForPoint(cityOptions, lat, lng);
+    if (!city) {
+      setCuratorNotice(t("curator.noCityHere"));
+      return;
+    }
+    setCuratorNotice("");
+    const { file, record } = addRecord(curatorFile(city.name), getCity(city.name).data, {
+      name: t("curator.newLandmark"),
+      latitude: lat,
+      longitude: lng,
+    });
+    setCuratorEdits((prev) => ({ ...prev, [city.name]: file }));
+    setSelected(normalizeCityFile({ city: city.name, landmarks: [record] })[0]);
   }
 
-  function toggleExperienceTag(tag) {
-    setSelectedExperienceTags((prev) =>
-      prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]
+  function discardCityEdits(cityName) {
+    setCuratorEdits((prev) =>
+      Object.fromEntries(Object.entries(prev).filter(([name]) => name !== cityName))
     );
+  }
+
+  // Keep the open sheet in step with edits, and close it when its landmark goes
+  useEffect(() => {
+    setSelected((prev) => (prev ? (landmarksById.get(prev.id) ?? null) : prev));
+  }, [landmarksById]);
+
+  const curatorChangeCount = useMemo(
+    () =>
+      cities
+        .filter((city) => curatorEdits[city.name])
+        .reduce(
+          (sum, city) => sum + countChanges(diffCityFile(city.data, curatorEdits[city.name])),
+          0
+        ),
+    [curatorEdits]
+  );
 
-    setSelected((prevSelected) => {
-      if (!prevSelected) return null;
+  // Bus stops near the open place; with the overlay on, their routes stand out
+  const selectedStops = useMemo(
+    () => (selected ? nearestStops(transit, selected) : []),
+    [selected]
+  );
+  const highlightedRoutes = useMemo(
+    () => new Set(selectedStops.flatMap((stop) => stop.routes)),
+    [selectedStops]
+  );
 
-      const nextTags = selectedExperienceTags.includes(tag)
-        ? selectedExperienceTags.filter((t) => t !== tag)
-        : [...selectedExperienceTags, tag];
+  const selectedRecord =
+    curatorMode && selected ? findRecord(curatorFile(selected.city), selected.id) : null;
+  const selectedIssues = selectedRecord
+    ? curatorIssues(curatorFile(selected.city)).filter((issue) => issue.id === selectedRecord.id)
+    : [];
+
+  // Stops of the active trip, in order, for the route line on the map
+  const itineraryStops = useMemo(() => {
+    return activeItinerary.stops.map((id) => landmarksById.get(id)).filter(Boolean);
+  }, [activeItinerary, landmarksById]);
+
+  // ✅ Events: a landmark event opens that landmark; a standalone one drops a pin
+  const events = eventsData.events;
+  const [eventPin, setEventPin] = useState(null); // {title, name, lat, lng}
+
+  function openEvent(event) {
+    const landmark = event.landmark ? landmarksById.get(event.landmark) : null;
+    if (landmark) {
+      setEventPin(null);
+      selectSearchResult(landmark);
+    } else if (event.location) {
+      const { name, lat, lng } = event.location;
+      setSelected(null);
+      setEventPin({ title: event.title, name, lat, lng });
+      mapRef.current?.setView([lat, lng], Math.max(mapRef.current.getZoom(), 15), { animate: true });
+    }
+    setFiltersOpen(false);
+  }
 
-      const stillVisible =
-        (selectedCity ? prevSelected.city === selectedCity : true) &&
-        (selectedType ? prevSelected.typetag === selectedType : true) &&
-        matchesExperienceTags(prevSelected, nextTags);
+  // ✅ Check in at a landmark; also marks it visited in the user's lists
+  function checkIn(landmark) {
+    const record = createCheckIn(landmark, userLocation);
+    setCheckIns((prev) => [...prev, record]);
+    setSavedLists((prev) =>
+      getPlace(prev, landmark.id).visitedAt
+        ? prev
+        : updatePlace(prev, landmark.id, { visitedAt: checkInDay(record) })
+    );
+  }
 
-      return stillVisible ? prevSelected : null;
+  // ✅ Restore from a backup file: merged into what's here, never replacing it
+  function restoreBackup(restored) {
+    setSavedLists((prev) => mergeListsState(prev, restored.savedLists));
+    setCheckIns((prev) => {
+      const seen = new Set(prev.map((c) => `${c.landmarkId}|${c.at}`));
+      return [...prev, ...restored.checkIns.filter((c) => !seen.has(`${c.landmarkId}|${c.at}`))];
     });
+    setItineraries((prev) => {
+      const byId = new Map(prev.map((it) => [it.id, it]));
+      restored.itineraries.forEach((it) => byId.set(it.id, it));
+      return Array.from(byId.values());
+    });
+    if (restored.activeItinerary) setActiveItineraryId(restored.activeItinerary);
+    setDarkMode(restored.preferences.darkMode);
+    return { saved: allSavedIds(restored.savedLists).length, trips: restored.itineraries.length };
+  }
+
+  // ✅ Itinerary updates
+  function updateItinerary(next) {
+    setItineraries((prev) => prev.map((it) => (it.id === next.id ? next : it)));
+  }
+
+  function addItinerary() {
+    const next = createItinerary(t("trip.defaultName", { number: itineraries.length + 1 }));
+    setItineraries((prev) => [...prev, next]);
+    setActiveItineraryId(next.id);
+  }
+
+  function deleteItinerary(id) {
+    setItineraries((prev) => prev.filter((it) => it.id !== id));
+    setActiveItineraryId("");
+  }
+
+  function toggleInItinerary(landmarkId) {
+    const { stops } = activeItinerary;
+    updateItinerary({
+      ...activeItinerary,
+      stops: stops.includes(landmarkId)
+        ? stops.filter((id) => id !== landmarkId)
+        : [...stops, landmarkId],
+    });
+  }
+
+  // Landmarks shown in the Saved tab (and offered for export)
+  const activeList = savedLists.lists.find((list) => list.id === activeListId) ?? null;
+  const activeListLandmarks = (activeList ? activeList.items : savedLandmarks)
+    .map((id) => landmarksById.get(id))
+    .filter(Boolean);
+
+  // ✅ Chip toggles. A selected place stays open only while it still matches.
+  function applyFacets(next) {
+    setFacets(next);
+    setSelected((prev) => (prev && matchesFacets(prev, next) ? prev : null));
+  }
+
+  function toggleCity(city) {
+    const cities = toggleValue(facets.cities, city);
+    applyFacets({ ...facets, cities });
+    flyToCities(cities);
+  }
+
+  // ✅ Fly to the selected cities' bounds, or back out to the whole region
+  function flyToCities(cityNames) {
+    const map = mapRef.current;
+    if (!map) return;
+
+    const entries = cityNames.map(getCity).filter(Boolean);
+    const bounds = entries.map((e) => e.bounds).filter(Boolean);
+
+    if (entries.length === 0) {
+      map.flyToBounds(regionBounds, { padding: [24, 24] });
+    } else if (bounds.length > 0) {
+      const maxZoom = Math.min(...entries.map((e) => e.zoom));
+      map.flyToBounds(L.latLngBounds(bounds.flat()), { padding: [24, 24], maxZoom });
+    } else if (entries[0].center) {
+      map.flyTo(entries[0].center, entries[0].zoom);
+    }
+  }
+
+  function toggleType(type) {
+    applyFacets({ ...facets, types: toggleValue(facets.types, type) });
+  }
+
+  function toggleExperienceTag(tag, options) {
+    applyFacets(nextTagState(facets, tag, options));
+  }
+
+  function setTagMode(tagMode) {
+    applyFacets({ ...facets, tagMode });
+  }
+
+  function toggleAmenity(id) {
+    applyFacets({ ...facets, amenities: toggleValue(facets.amenities, id) });
   }
 
   function clearAllFilters() {
-    setSelectedCity("");
-    setSelectedType("");
-    setSelectedExperienceTags([]);
+    if (facets.cities.length > 0) flyToCities([]);
+    setFacets(EMPTY_FACETS);
+    setOpenFilter(OPEN_FILTER_NONE);
     setSelected(null);
   }
 
-  const activeCount =
-    (selectedCity ? 1 : 0) + (selectedType ? 1 : 0) + selectedExperienceTags.length;
+  // ✅ Saved filter presets (persisted to localStorage)
+  const [filterPresets, setFilterPresets] = useState(() => {
+    try {
+      const saved = localStorage.getItem("filterPresets");
+      return saved ? JSON.parse(saved) : [];
+    } catch {
+      return [];
+    }
+  });
+  const [presetName, setPresetName] = useState("");
+
+  useEffect(() => {
+    localStorage.setItem("filterPresets", JSON.stringify(filterPresets));
+  }, [filterPresets]);
+
+  // describeFacets() in the current language
+  const facetWords = {
+    or: t("filters.describe.or"),
+    and: t("filters.describe.and"),
+    inCities: (cities) => t("filters.describe.inCities", { cities }),
+    notTags: (tags) => t("filters.describe.notTags", { tags }),
+    everything: t("filters.describe.everything"),
+    type: (value) => typeLabel(value, locale),
+    tag: (value) => experienceLabel(value, locale),
+    amenity: (id) => t(`amenities.filters.${id}`),
+  };
+
+  function savePreset(e) {
+    e.preventDefault();
+    const name = presetName.trim() || describeFacets(facets, facetWords);
+    setFilterPresets((prev) => [...prev, createPreset(name, facets, searchQuery)]);
+    setPresetName("");
+  }
+
+  function applyPreset(preset) {
+    const next = { ...EMPTY_FACETS, ...preset.facets };
+    applyFacets(next);
+    setSearchQuery(preset.q ?? "");
+    flyToCities(next.cities);
+  }
+
+  function setOpenMode(mode) {
+    setOpenFilter((prev) => ({
+      ...prev,
+      mode: prev.mode === mode ? "any" : mode,
+      at: prev.at || nextHourLocalString(), // default "Open at…" to the next hour
+    }));
+  }
+
+  const activeCount = countActiveFacets(facets) + (openFilter.mode !== "any" ? 1 : 0);
 
   function startLocationTracking() {
     setGeoError("");
 
     if (!("geolocation" in navigator)) {
-      setGeoError("Geolocation isn't supported in this browser.");
+      setGeoError(t("location.unsupported"));
       return;
     }
 
@@ -421,7 +1167,7 @@ export default function MapView() {
         });
       },
       (err) => {
-        setGeoError(err.message || "Couldn't get your location.");
+        setGeoError(err.message || t("location.failed"));
       },
       {
         enableHighAccuracy: true,
@@ -434,26 +1180,283 @@ export default function MapView() {
     return id;
   }
 
+  // ✅ Accessibility: list-only view, result-count announcements, overlay focus
+  const [listMode, setListMode] = useState(() => {
+    try {
+      return localStorage.getItem("listMode") === "true";
+    } catch {
+      return false;
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem("listMode", listMode);
+  }, [listMode]);
+
+  const [announcement, setAnnouncement] = useState("");
+  const announcedOnceRef = useRef(false);
+
+  useEffect(() => {
+    // Skip the first render; only changes are worth announcing
+    if (!announcedOnceRef.current) {
+      announcedOnceRef.current = true;
+      return undefined;
+    }
+    const id = setTimeout(() => {
+      setAnnouncement(t("a11y.matching", { count: filteredLandmarks.length }));
+    }, 400);
+    return () => clearTimeout(id);
+  }, [filteredLandmarks]);
+
+  const focusMap = () => mapRef.current?.getContainer();
+  const sheetFocus = useDialogFocus(Boolean(selected), () => setSelected(null), {
+    fallbackFocus: focusMap,
+  });
+  const drawerFocus = useDialogFocus(filtersOpen, () => setFiltersOpen(false));
+  const helpFocus = useDialogFocus(showHelp, () => setShowHelp(false));
+  const promptFocus = useDialogFocus(showLocationPrompt && !userLocation, () =>
+    setShowLocationPrompt(false)
+  );
+
+  // Which view is showing, for the axe checks in MapView.test.js
+  const a11yView = [
+    filtersOpen ? `drawer:${activeView}` : listMode ? "list" : "map",
+    selected && "sheet",
+    showHelp && "help",
+    showOffline && "offline",
+    suggestView && "suggest",
+    showCurator && "curator",
+    pickingPin && "pick-pin",
+    listPickerFor && "lists",
+    showLocationPrompt && !userLocation && "location-prompt",
+  ]
+    .filter(Boolean)
+    .join("+");
+
+  // The open place's description in the UI language, or the English one
+  // (marked as English so screen readers switch voice)
+  const selectedDescription = selected ? localizedField(selected, "description", locale) : "";
+  const descriptionLang =
+    selectedDescription === selected?.description ? DEFAULT_LOCALE : locale;
+
+  // Tab label with a count when there's something in it: "Saved (3)"
+  const tabLabel = (id, count = 0) => `${t(`tabs.${id}`)} ${count > 0 ? `(${count})` : ""}`;
+
+  const drawerTabs = [
+    { id: "filters", label: tabLabel("filters", activeCount) },
+    { id: "now", label: tabLabel("now") },
+    { id: "nearby", label: tabLabel("nearby", nearby.length) },
+    { id: "saved", label: tabLabel("saved", savedLandmarks.length) },
+    { id: "trip", label: tabLabel("trip", activeItinerary.stops.length) },
+    { id: "passport", label: tabLabel("passport") },
+    { id: "events", label: tabLabel("events") },
+  ];
+
+  // Arrow keys move between drawer tabs (WAI-ARIA tabs pattern)
+  function handleTabKeyDown(e) {
+    const step = { ArrowRight: 1, ArrowLeft: -1 }[e.key];
+    const index = drawerTabs.findIndex((tab) => tab.id === activeView);
+    let next = null;
+    if (step) next = (index + step + drawerTabs.length) % drawerTabs.length;
+    else if (e.key === "Home") next = 0;
+    else if (e.key === "End") next = drawerTabs.length - 1;
+    if (next === null) return;
+
+    e.preventDefault();
+    setActiveView(drawerTabs[next].id);
+    document.getElementById(`drawer-tab-${drawerTabs[next].id}`)?.focus();
+  }
+
   return (
-    <div className="map-page">
+    <div className={`map-page ${listMode ? "list-mode" : ""}`} data-a11y-view={a11yView}>
+      {/* ✅ Skip past the map for keyboard and screen-reader users */}
+      <button
+        className="skip-link"
+        type="button"
+        onClick={() => {
+          setListMode(true);
+          setTimeout(() => document.getElementById("results-list-title")?.focus());
+        }}
+      >
+        {t("a11y.skipToList")}
+      </button>
+
+      {/* Result count changes, read out by screen readers */}
+      <div className="sr-only" role="status" aria-live="polite">
+        {announcement}
+      </div>
+
       {/* ✅ Map behind everything */}
-      <MapContainer center={[42.68, -73.75]} zoom={12} className="map">
-        <TileLayer
-          attribution="&copy; OpenStreetMap contributors"
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        />
+      <MapContainer
+        {...(initialUrlState.view
+          ? { center: initialUrlState.view.center, zoom: initialUrlState.view.zoom }
+          : initialUrlState.selected
+            ? { center: [initialUrlState.selected.lat, initialUrlState.selected.lng], zoom: 15 }
+            : { bounds: regionBounds })}
+        className={`map ${pickingPin ? "picking-pin" : ""}`}
+      >
+        <TileLayer attribution={TILE_ATTRIBUTION} url={TILE_URL} />
+
+        {/* Selected city outlines (when the city file has a boundary) */}
+        {selectedCityEntries
+          .filter((entry) => entry.boundary)
+          .map((entry) => (
+            <GeoJSON
+              key={entry.id}
+              data={entry.boundary}
+              style={{ color: "#667eea", weight: 2, dashArray: "6 6", fillOpacity: 0.04 }}
+            />
+          ))}
+
+        {/* ✅ Trails as lines, districts and preserves as areas; a tap opens the sheet.
+            While a pin is being dropped, taps go through to the map instead. */}
+        {filteredLandmarks
+          .filter((lm) => lm.geometry)
+          .map((lm) => {
+            const { color } = getTypeStyle(lm.typetag);
+            const isSelected = lm.id === selected?.id;
+            const Shape = geometryKind(lm.geometry) === "line" ? Polyline : Polygon;
+            return (
+              <Shape
+                key={`shape-${lm.id}`}
+                positions={toLatLngs(lm.geometry)}
+                pathOptions={
+                  Shape === Polyline
+                    ? { color, weight: isSelected ? 8 : 5, opacity: isSelected ? 0.95 : 0.7 }
+                    : {
+                        color,
+                        weight: isSelected ? 3 : 2,
+                        dashArray: isSelected ? null : "4 6",
+                        fillOpacity: isSelected ? 0.22 : 0.1,
+                      }
+                }
+                eventHandlers={{ click: () => !pickingPin && setSelected(lm) }}
+              >
+                <Tooltip sticky>{lm.name}</Tooltip>
+              </Shape>
+            );
+          })}
+
+        {/* ✅ Bus routes from the GTFS feed, and stops once zoomed in */}
+        {showTransit &&
+          transit.routes.flatMap((route) =>
+            route.shapes.map((shape, i) => (
+              <Polyline
+                key={`route-${route.id}-${i}`}
+                positions={shape}
+                pathOptions={{
+                  color: route.color,
+                  weight: highlightedRoutes.has(route.id) ? 6 : 4,
+                  opacity:
+                    highlightedRoutes.size === 0 || highlightedRoutes.has(route.id) ? 0.8 : 0.25,
+                }}
+              >
+                <Tooltip sticky>
+                  {[route.shortName, route.longName].filter(Boolean).join(" · ")}
+                </Tooltip>
+              </Polyline>
+            ))
+          )}
+        {showTransit &&
+          transit.stops
+            .filter(
+              (stop) =>
+                (mapView?.zoom ?? 0) >= TRANSIT_STOPS_MIN_ZOOM ||
+                selectedStops.some((near) => near.id === stop.id)
+            )
+            .map((stop) => (
+              <CircleMarker
+                key={`stop-${stop.id}`}
+                center={[stop.lat, stop.lng]}
+                radius={5}
+                pathOptions={{ color: "#111827", weight: 2, fillColor: "white", fillOpacity: 1 }}
+              >
+                <Tooltip>{stop.name}</Tooltip>
+              </CircleMarker>
+            ))}
+
+        {/* Landmark markers, clustered by zoom level and styled by type */}
+        <MarkerClusterGroup
+          chunkedLoading
+          maxClusterRadius={45}
+          showCoverageOnHover={false}
+          iconCreateFunction={createClusterIcon}
+        >
+          {filteredLandmarks
+            .filter((lm) => lm.id !== selected?.id)
+            .map((lm) => (
+              <LandmarkMarker
+                key={lm.id}
+                landmark={lm}
+                label={markerLabel(lm, i18n)}
+                onOpen={() => setSelected(lm)}
+                icon={getLandmarkIcon(lm.typetag)}
+                draggable={curatorMode}
+                eventHandlers={{ dragend: (e) => moveLandmark(lm, e.target.getLatLng()) }}
+              />
+            ))}
+        </MarkerClusterGroup>
 
-        {/* Landmark markers */}
-        {filteredLandmarks.map((lm) => (
+        {/* Selected landmark stays outside the clusters so it's always visible */}
+        {selected && (
           <Marker
-            key={lm.id}
+            key={`selected-${selected.id}`}
+            position={[selected.lat, selected.lng]}
+            icon={getLandmarkIcon(selected.typetag, { selected: true })}
+            title={selected.name}
+            keyboard={false}
+            zIndexOffset={500}
+            draggable={curatorMode}
+            eventHandlers={{ dragend: (e) => moveLandmark(selected, e.target.getLatLng()) }}
+          />
+        )}
+
+        {/* Location of a standalone event opened from the Events tab */}
+        {eventPin && (
+          <Marker
+            position={[eventPin.lat, eventPin.lng]}
+            icon={getLandmarkIcon("Event", { selected: true })}
+            title={eventPin.title}
+            keyboard={false}
+            zIndexOffset={500}
+            eventHandlers={{ click: () => setEventPin(null) }}
+          >
+            <Tooltip direction="top" offset={[0, -44]} permanent>
+              <b>{eventPin.title}</b>
+              <br />
+              {eventPin.name}
+            </Tooltip>
+          </Marker>
+        )}
+
+        {/* ✅ Active trip: route line + numbered stops */}
+        {itineraryStops.length > 1 && (
+          <Polyline
+            positions={itineraryStops.map((lm) => [lm.lat, lm.lng])}
+            pathOptions={{ color: "#764ba2", weight: 4, opacity: 0.75, dashArray: "8 8" }}
+          />
+        )}
+        {itineraryStops.map((lm, i) => (
+          <Marker
+            key={`stop-${lm.id}`}
             position={[lm.lat, lm.lng]}
-            eventHandlers={{
-              click: () => setSelected(lm),
-            }}
+            icon={getStopIcon(i + 1)}
+            interactive={false}
+            keyboard={false}
+            zIndexOffset={600}
           />
         ))}
 
+        {/* ✅ Nearby radius, while the Nearby tab is the active one */}
+        {activeView === "nearby" && nearbyCenter && (
+          <Circle
+            center={[nearbyCenter.lat, nearbyCenter.lng]}
+            radius={nearbyRadius * 1609.344}
+            pathOptions={{ color: "#667eea", weight: 2, dashArray: "6 6", fillOpacity: 0.05 }}
+            interactive={false}
+          />
+        )}
+
         {/* ✅ User location (blue dot + accuracy ring) */}
         {userLocation && (
           <>
@@ -467,6 +1470,7 @@ export default function MapView() {
             <Marker
               position={[userLocation.lat, userLocation.lng]}
               zIndexOffset={1000}
+              keyboard={false}
               icon={L.divIcon({
                 className: "user-location-icon",
                 html: `<div class="user-dot"></div>`,
@@ -477,6 +1481,17 @@ export default function MapView() {
           </>
         )}
 
+        <MapViewSync onViewChange={setMapView} />
+
+        {pickingPin && <PinPicker onPick={finishPinPick} />}
+        {pickingPin && suggestDraft.lat != null && (
+          <Circle
+            center={[suggestDraft.lat, suggestDraft.lng]}
+            radius={12}
+            pathOptions={{ color: "#764ba2", fillOpacity: 0.6 }}
+          />
+        )}
+
         {/* ✅ Floating locate button that uses map instance */}
         <LocateButton
           userLocation={userLocation}
@@ -485,13 +1500,32 @@ export default function MapView() {
         />
       </MapContainer>
 
+      {/* ✅ List-only alternative to the map */}
+      {listMode && (
+        <ResultsList
+          landmarks={filteredLandmarks}
+          summary={describeFacets(facets, facetWords)}
+          savedIds={savedLandmarks}
+          onOpenLandmark={setSelected}
+          onShowMap={() => setListMode(false)}
+        />
+      )}
+
+      {/* ✅ Legend / quick type filter */}
+      <MapLegend types={typeOptions} selectedTypes={facets.types} onToggleType={toggleType} />
+
       {/* ✅ Location prompt (overlay) */}
       {showLocationPrompt && !userLocation && (
-        <div className="location-prompt">
-          <div className="location-prompt-title">See what's around you?</div>
-          <div className="location-prompt-text">
-            Enable location to show nearby places and your position on the map.
+        <div
+          className="location-prompt"
+          role="dialog"
+          aria-labelledby="location-prompt-title"
+          {...promptFocus}
+        >
+          <div className="location-prompt-title" id="location-prompt-title">
+            {t("location.promptTitle")}
           </div>
+          <div className="location-prompt-text">{t("location.promptText")}</div>
 
           {geoError && <div className="location-error">{geoError}</div>}
 
@@ -504,7 +1538,7 @@ export default function MapView() {
                 setShowLocationPrompt(false);
               }}
             >
-              Use my location
+              {t("location.allow")}
             </button>
 
             <button
@@ -512,7 +1546,7 @@ export default function MapView() {
               type="button"
               onClick={() => setShowLocationPrompt(false)}
             >
-              Not now
+              {t("location.dismiss")}
             </button>
           </div>
         </div>
@@ -520,25 +1554,52 @@ export default function MapView() {
 
       {/* ✅ Floating title with logo (top-left) */}
       <div className="floating-title">
-        <img src="/src/assets/logo.jpg" alt="Capital Region Explorer" className="app-logo" />
+        <img src="/src/assets/logo.jpg" alt={t("app.title")} className="app-logo" />
       </div>
 
+      {/* ✅ Search box (top-center) */}
+      <SearchBox
+        query={searchQuery}
+        onQueryChange={setSearchQuery}
+        results={visibleSearchResults}
+        onPick={selectSearchResult}
+      />
+
       {/* ✅ Floating buttons (top-right) */}
       <div className="floating-buttons">
         <button
           className="floating-help-btn"
           type="button"
           onClick={() => setShowHelp(true)}
-          title="How to use"
+          title={t("help.button")}
+          aria-label={t("help.button")}
         >
           ?
         </button>
+        <button
+          className="floating-help-btn"
+          type="button"
+          onClick={openRecommendations}
+          title={t("recommend.button")}
+          aria-label={t("recommend.button")}
+        >
+          ✨
+        </button>
+        <button
+          className="floating-filters-btn"
+          type="button"
+          onClick={() => setListMode((v) => !v)}
+          aria-pressed={listMode}
+        >
+          {listMode ? t("app.map") : t("app.list")}
+        </button>
         <button
           className="floating-filters-btn"
           type="button"
           onClick={() => setFiltersOpen(true)}
+          aria-expanded={filtersOpen}
         >
-          Menu
+          {t("app.menu")}
         </button>
       </div>
 
@@ -547,21 +1608,78 @@ export default function MapView() {
         <button
           className="filters-backdrop"
           type="button"
-          aria-label="Close menu"
+          aria-label={t("drawer.close")}
           onClick={() => setFiltersOpen(false)}
         />
       )}
 
       {/* ✅ Drawer with tabs */}
-      <aside className={`filters-drawer ${filtersOpen ? "open" : ""} ${darkMode ? "dark" : ""}`}>
+      <div
+        className={`filters-drawer ${filtersOpen ? "open" : ""} ${darkMode ? "dark" : ""}`}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("app.menu")}
+        inert={filtersOpen ? undefined : ""}
+        {...drawerFocus}
+      >
         <div className="drawer-header">
-          <div className="drawer-title">Capital Region Explorer</div>
+          <div className="drawer-title">{t("app.title")}</div>
           <div className="drawer-header-actions">
+            <select
+              className="language-select"
+              value={locale}
+              onChange={(e) => setLocale(e.target.value)}
+              aria-label={t("drawer.language")}
+              title={t("drawer.language")}
+            >
+              {Object.entries(LOCALES).map(([code, { name }]) => (
+                <option key={code} value={code} lang={code}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <button
+              className="dark-mode-toggle"
+              onClick={() => {
+                setSuggestView("form");
+                setFiltersOpen(false);
+              }}
+              type="button"
+              title={t("suggest.title")}
+              aria-label={t("suggest.title")}
+            >
+              ➕
+            </button>
+            {transit.routes.length > 0 && (
+              <button
+                className="dark-mode-toggle"
+                onClick={() => setShowTransit((v) => !v)}
+                type="button"
+                title={t("transit.toggle")}
+                aria-label={t("transit.toggle")}
+                aria-pressed={showTransit}
+              >
+                🚌
+              </button>
+            )}
+            <button
+              className="dark-mode-toggle"
+              onClick={() => {
+                setShowOffline(true);
+                setFiltersOpen(false);
+              }}
+              type="button"
+              title={t("offline.title")}
+              aria-label={t("offline.title")}
+            >
+              ⬇️
+            </button>
             <button
               className="dark-mode-toggle"
               onClick={() => setDarkMode(!darkMode)}
               type="button"
-              title={darkMode ? "Light mode" : "Dark mode"}
+              title={darkMode ? t("drawer.lightMode") : t("drawer.darkMode")}
+              aria-label={darkMode ? t("drawer.lightMode") : t("drawer.darkMode")}
             >
               {darkMode ? "☀️" : "🌙"}
             </button>
@@ -569,6 +1687,7 @@ export default function MapView() {
               className="drawer-close"
               type="button"
               onClick={() => setFiltersOpen(false)}
+              aria-label={t("drawer.close")}
             >
               ✕
             </button>
@@ -576,220 +1695,378 @@ export default function MapView() {
         </div>
 
         {/* ✅ Tab navigation */}
-        <div className="drawer-tabs">
-          <button
-            className={`drawer-tab ${activeView === "filters" ? "drawer-tab-active" : ""}`}
-            onClick={() => setActiveView("filters")}
-            type="button"
-          >
-            Filters {activeCount > 0 ? `(${activeCount})` : ""}
-          </button>
-          <button
-            className={`drawer-tab ${activeView === "nearby" ? "drawer-tab-active" : ""}`}
-            onClick={() => setActiveView("nearby")}
-            type="button"
-          >
-            Nearby {nearby.length > 0 ? `(${nearby.length})` : ""}
-          </button>
-          <button
-            className={`drawer-tab ${activeView === "saved" ? "drawer-tab-active" : ""}`}
-            onClick={() => setActiveView("saved")}
-            type="button"
-          >
-            Saved {savedLandmarks.length > 0 ? `(${savedLandmarks.length})` : ""}
-          </button>
+        <div className="drawer-tabs" role="tablist" aria-label={t("drawer.sections")}>
+          {drawerTabs.map((tab) => (
+            <button
+              key={tab.id}
+              id={`drawer-tab-${tab.id}`}
+              className={`drawer-tab ${activeView === tab.id ? "drawer-tab-active" : ""}`}
+              onClick={() => setActiveView(tab.id)}
+              onKeyDown={handleTabKeyDown}
+              role="tab"
+              aria-selected={activeView === tab.id}
+              aria-controls="drawer-panel"
+              tabIndex={activeView === tab.id ? 0 : -1}
+              type="button"
+            >
+              {tab.label}
+            </button>
+          ))}
         </div>
 
-        <div className="drawer-content">
+        <div
+          className="drawer-content"
+          id="drawer-panel"
+          role="tabpanel"
+          aria-labelledby={`drawer-tab-${activeView}`}
+        >
           {/* ✅ FILTERS VIEW */}
           {activeView === "filters" && (
             <>
               {/* City */}
               <div className="filter-section">
-                <div className="filter-section-title">City</div>
+                <div className="filter-section-title">{t("filters.city")}</div>
                 <div className="chip-row">
                   {cityOptions.map((city) => (
-                    <button
-                      key={city}
-                      className={`chip ${selectedCity === city ? "chip-active" : ""}`}
-                      onClick={() => toggleCity(city)}
-                      type="button"
-                    >
-                      {city}
-                    </button>
+                    <FilterChip
+                      key={city.id}
+                      label={city.displayName}
+                      count={chipCounts.cities.get(city.name)}
+                      active={facets.cities.includes(city.name)}
+                      onToggle={() => toggleCity(city.name)}
+                    />
                   ))}
                 </div>
               </div>
 
               {/* Type */}
               <div className="filter-section">
-                <div className="filter-section-title">Type</div>
-                <div className="chip-row">
-                  {typeOptions.map((type) => (
-                    <button
-                      key={type}
-                      className={`chip ${selectedType === type ? "chip-active" : ""}`}
-                      onClick={() => toggleType(type)}
-                      type="button"
-                    >
-                      {type}
-                    </button>
-                  ))}
-                </div>
+                <div className="filter-section-title">{t("filters.type")}</div>
+                {typeGroups.map((group) => (
+                  <div key={group.name ?? "other"} className="chip-row type-group-row">
+                    {group.name && (
+                      <FilterChip
+                        label={`${group.icon} ${typeLabel(group.name, locale)}`}
+                        title={tagDescription(TYPE_GROUPS, group.name, locale)}
+                        count={chipCounts.types.get(group.name)}
+                        active={facets.types.includes(group.name)}
+                        onToggle={() => toggleType(group.name)}
+                      />
+                    )}
+                    {group.types.map((type) => (
+                      <FilterChip
+                        key={type}
+                        label={typeLabel(type, locale)}
+                        title={tagDescription(TYPE_TAGS, type, locale)}
+                        count={chipCounts.types.get(type)}
+                        active={facets.types.includes(type)}
+                        onToggle={() => toggleType(type)}
+                      />
+                    ))}
+                  </div>
+                ))}
               </div>
 
               {/* Experience */}
               <div className="filter-section">
-                <div className="filter-section-title">Experience</div>
+                <div className="filter-section-header">
+                  <div className="filter-section-title">{t("filters.experience")}</div>
+                  <div
+                    className="filter-mode-switch"
+                    role="group"
+                    aria-label={t("filters.tagMatching")}
+                  >
+                    {Object.keys(TAG_MODES).map((mode) => (
+                      <button
+                        key={mode}
+                        className={facets.tagMode === mode ? "active" : ""}
+                        onClick={() => setTagMode(mode)}
+                        aria-pressed={facets.tagMode === mode}
+                        type="button"
+                      >
+                        {t(`filters.tagModes.${mode}`)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
                 <div className="chip-row">
                   {experienceOptions.map((tag) => (
-                    <button
+                    <FilterChip
                       key={tag}
-                      className={`chip ${
-                        selectedExperienceTags.includes(tag) ? "chip-active" : ""
-                      }`}
-                      onClick={() => toggleExperienceTag(tag)}
-                      type="button"
-                    >
-                      {tag}
-                    </button>
+                      label={experienceLabel(tag, locale)}
+                      title={tagDescription(EXPERIENCE_TAGS, tag, locale)}
+                      count={chipCounts.tags.get(tag)}
+                      active={facets.tags.includes(tag)}
+                      excluded={facets.excludedTags.includes(tag)}
+                      onToggle={() => toggleExperienceTag(tag)}
+                      onExclude={() => toggleExperienceTag(tag, { exclude: true })}
+                    />
+                  ))}
+                </div>
+                <div className="filter-hint">{t("filters.excludeHint")}</div>
+              </div>
+
+              {/* Amenities */}
+              <div className="filter-section">
+                <div className="filter-section-title">{t("filters.amenities")}</div>
+                <div className="chip-row">
+                  {Object.keys(AMENITY_FILTERS).map((id) => (
+                    <FilterChip
+                      key={id}
+                      label={t(`amenities.filters.${id}`)}
+                      count={chipCounts.amenities.get(id)}
+                      active={facets.amenities.includes(id)}
+                      onToggle={() => toggleAmenity(id)}
+                    />
                   ))}
                 </div>
+                {facets.amenities.length > 0 && (
+                  <label className="filter-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={facets.amenitiesIncludeUnknown}
+                      onChange={(e) =>
+                        applyFacets({ ...facets, amenitiesIncludeUnknown: e.target.checked })
+                      }
+                    />
+                    {t("filters.amenitiesIncludeUnknown")}
+                  </label>
+                )}
+              </div>
+
+              {/* Opening hours */}
+              <div className="filter-section">
+                <div className="filter-section-title">{t("filters.open")}</div>
+                <div className="chip-row">
+                  <button
+                    className={`chip ${openFilter.mode === "now" ? "chip-active" : ""}`}
+                    onClick={() => setOpenMode("now")}
+                    type="button"
+                  >
+                    {t("filters.openNow")}
+                  </button>
+                  <button
+                    className={`chip ${openFilter.mode === "at" ? "chip-active" : ""}`}
+                    onClick={() => setOpenMode("at")}
+                    type="button"
+                  >
+                    {t("filters.openAt")}
+                  </button>
+                </div>
+
+                {openFilter.mode === "at" && (
+                  <>
+                    <input
+                      className="open-at-input"
+                      type="datetime-local"
+                      value={openFilter.at}
+                      onChange={(e) => setOpenFilter((prev) => ({ ...prev, at: e.target.value }))}
+                      aria-label={t("filters.openAtLabel")}
+                    />
+                    <div className="filter-hint">{t("filters.timezoneHint")}</div>
+                  </>
+                )}
+
+                {openFilter.mode !== "any" && (
+                  <label className="filter-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={openFilter.includeUnknown}
+                      onChange={(e) =>
+                        setOpenFilter((prev) => ({ ...prev, includeUnknown: e.target.checked }))
+                      }
+                    />
+                    {t("filters.hoursIncludeUnknown")}
+                  </label>
+                )}
               </div>
 
               {activeCount > 0 && (
                 <button className="clear-btn" onClick={clearAllFilters} type="button">
-                  Clear all filters
+                  {t("filters.clearAll")}
                 </button>
               )}
+
+              {/* Saved presets */}
+              <div className="filter-section filter-presets">
+                <div className="filter-section-title">{t("presets.title")}</div>
+                {filterPresets.length > 0 && (
+                  <div className="chip-row">
+                    {filterPresets.map((preset) => (
+                      <span key={preset.id} className="preset-chip">
+                        <button
+                          className="chip"
+                          onClick={() => applyPreset(preset)}
+                          title={describeFacets({ ...EMPTY_FACETS, ...preset.facets }, facetWords)}
+                          type="button"
+                        >
+                          {preset.name}
+                        </button>
+                        <button
+                          className="preset-remove"
+                          onClick={() =>
+                            setFilterPresets((prev) => prev.filter((p) => p.id !== preset.id))
+                          }
+                          aria-label={t("presets.delete", { name: preset.name })}
+                          type="button"
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {countActiveFacets(facets) > 0 || searchQuery.trim() ? (
+                  <form className="preset-form" onSubmit={savePreset}>
+                    <input
+                      value={presetName}
+                      onChange={(e) => setPresetName(e.target.value)}
+                      placeholder={describeFacets(facets, facetWords)}
+                      aria-label={t("presets.name")}
+                      maxLength={60}
+                    />
+                    <button type="submit">{t("presets.save")}</button>
+                  </form>
+                ) : (
+                  <div className="filter-hint">{t("presets.hint")}</div>
+                )}
+              </div>
             </>
           )}
 
           {/* ✅ NEARBY VIEW */}
           {activeView === "nearby" && (
-            <div className="list-view">
-              {!userLocation ? (
-                <div className="empty-state">
-                  <div className="empty-state-icon">📍</div>
-                  <div className="empty-state-title">Location needed</div>
-                  <div className="empty-state-text">
-                    Enable location access to see landmarks near you
-                  </div>
-                  <button
-                    className="empty-state-btn"
-                    onClick={() => {
-                      setShowLocationPrompt(true);
-                      setFiltersOpen(false);
-                    }}
-                    type="button"
-                  >
-                    Enable location
-                  </button>
-                </div>
-              ) : nearby.length === 0 ? (
-                <div className="empty-state">
-                  <div className="empty-state-icon">🔍</div>
-                  <div className="empty-state-title">Nothing nearby</div>
-                  <div className="empty-state-text">
-                    No landmarks found within {NEARBY_RADIUS_MI} miles
-                  </div>
-                </div>
-              ) : (
-                <>
-                  <div className="list-header">
-                    Within {NEARBY_RADIUS_MI} miles of you
-                  </div>
-                  {nearby.map((lm) => (
-                    <div
-                      key={lm.id}
-                      className="list-item"
-                      onClick={() => {
-                        setSelected(lm);
-                        setFiltersOpen(false);
-                      }}
-                    >
-                      <div className="list-item-content">
-                        <div className="list-item-title">{lm.name}</div>
-                        <div className="list-item-subtitle">
-                          {lm.distanceMi.toFixed(1)} mi · {lm.city}
-                        </div>
-                      </div>
-                      <button
-                        className="star-btn"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          toggleSaved(lm.id);
-                        }}
-                        type="button"
-                        title={savedLandmarks.includes(lm.id) ? "Remove from saved" : "Save"}
-                      >
-                        {savedLandmarks.includes(lm.id) ? "★" : "☆"}
-                      </button>
-                    </div>
-                  ))}
-                </>
-              )}
-            </div>
+            <NearbyPanel
+              results={nearby}
+              originLandmark={nearbyOrigin}
+              hasLocation={Boolean(userLocation)}
+              radiusMi={nearbyRadius}
+              sort={nearbySort}
+              savedIds={savedLandmarks}
+              onRadiusChange={setNearbyRadius}
+              onSortChange={setNearbySort}
+              onClearOrigin={() => setNearbyOrigin(null)}
+              onEnableLocation={() => {
+                setShowLocationPrompt(true);
+                setFiltersOpen(false);
+              }}
+              onOpenLandmark={(lm) => {
+                setSelected(lm);
+                setFiltersOpen(false);
+              }}
+              onOpenPicker={setListPickerFor}
+            />
+          )}
+
+          {/* ✅ NOW VIEW */}
+          {activeView === "now" && (
+            <RecommendPanel
+              picks={recommendations}
+              weather={weather}
+              weatherOverride={weatherOverride}
+              hasLocation={hasLocation}
+              savedIds={savedLandmarks}
+              onWeatherOverride={setWeatherOverride}
+              onAskAgain={() => setRecommendAsk((n) => n + 1)}
+              onEnableLocation={() => {
+                setShowLocationPrompt(true);
+                setFiltersOpen(false);
+              }}
+              onOpenLandmark={(lm) => {
+                setSelected(lm);
+                setFiltersOpen(false);
+              }}
+              onOpenPicker={setListPickerFor}
+            />
           )}
 
           {/* ✅ SAVED VIEW */}
           {activeView === "saved" && (
             <div className="list-view">
-              {savedLandmarkObjects.length === 0 ? (
-                <div className="empty-state">
-                  <div className="empty-state-icon">⭐</div>
-                  <div className="empty-state-title">No saved landmarks</div>
-                  <div className="empty-state-text">
-                    Star landmarks you want to visit to save them here
-                  </div>
-                </div>
-              ) : (
-                <>
-                  <div className="list-header">
-                    Your saved landmarks ({savedLandmarkObjects.length})
-                  </div>
-                  {savedLandmarkObjects.map((lm) => (
-                    <div
-                      key={lm.id}
-                      className="list-item"
-                      onClick={() => {
-                        setSelected(lm);
-                        setFiltersOpen(false);
-                      }}
-                    >
-                      <div className="list-item-content">
-                        <div className="list-item-title">{lm.name}</div>
-                        <div className="list-item-subtitle">
-                          {lm.city} · {lm.typetag}
-                        </div>
-                      </div>
-                      <button
-                        className="star-btn"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          toggleSaved(lm.id);
-                        }}
-                        type="button"
-                        title="Remove from saved"
-                      >
-                        ★
-                      </button>
-                    </div>
-                  ))}
-                </>
-              )}
+              <SavedListsPanel
+                listsState={savedLists}
+                activeListId={activeListId}
+                onSelectList={setActiveListId}
+                onChange={setSavedLists}
+                landmarksById={landmarksById}
+                onOpenLandmark={(lm) => {
+                  setSelected(lm);
+                  setFiltersOpen(false);
+                }}
+                onOpenPicker={setListPickerFor}
+              />
+
+              <ExportPanel
+                savedLandmarks={activeListLandmarks}
+                savedLabel={activeList ? activeList.name : t("saved.all")}
+                filteredLandmarks={filteredLandmarks}
+                knownIds={landmarksById}
+                backupState={{
+                  savedLists,
+                  checkIns,
+                  itineraries,
+                  activeItinerary: activeItinerary.id,
+                  preferences: { darkMode },
+                }}
+                onRestore={restoreBackup}
+              />
             </div>
           )}
+
+          {/* ✅ TRIP VIEW */}
+          {activeView === "trip" && (
+            <ItineraryPanel
+              itineraries={itineraries}
+              itinerary={activeItinerary}
+              landmarksById={landmarksById}
+              savedLandmarks={savedLandmarks}
+              userLocation={userLocation}
+              onSelectItinerary={setActiveItineraryId}
+              onCreateItinerary={addItinerary}
+              onDeleteItinerary={deleteItinerary}
+              onChange={updateItinerary}
+              onOpenLandmark={(lm) => {
+                setSelected(lm);
+                setFiltersOpen(false);
+              }}
+            />
+          )}
+
+          {/* ✅ PASSPORT VIEW */}
+          {activeView === "passport" && (
+            <PassportPanel
+              cities={cityOptions}
+              landmarks={landmarks}
+              landmarksById={landmarksById}
+              checkIns={checkIns}
+              onOpenLandmark={(lm) => {
+                setSelected(lm);
+                setFiltersOpen(false);
+              }}
+            />
+          )}
+
+          {/* ✅ EVENTS VIEW */}
+          {activeView === "events" && (
+            <EventsPanel events={events} landmarksById={landmarksById} onOpenEvent={openEvent} />
+          )}
         </div>
-      </aside>
+      </div>
 
       {/* Bottom sheet with photos */}
       {selected && (
-        <div className="bottom-sheet" role="dialog" aria-modal="true">
+        <div
+          className="bottom-sheet"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="sheet-title"
+          {...sheetFocus}
+        >
           <button
             className="close-btn"
             onClick={() => setSelected(null)}
             type="button"
+            aria-label={t("sheet.close")}
           >
             ✕
           </button>
@@ -798,93 +2075,275 @@ export default function MapView() {
           <PhotoCarousel photos={getLandmarkPhotos(selected)} />
 
           <div className="sheet-header">
-            <h2 className="sheet-title">{selected.name}</h2>
+            <h2 className="sheet-title" id="sheet-title">
+              {selected.name}
+            </h2>
+            <button
+              className="share-btn"
+              onClick={async () => {
+                const status = await shareLink({
+                  title: selected.name,
+                  text: `${selected.name} · ${selected.city}`,
+                });
+                setShareStatus(status);
+              }}
+              type="button"
+              title={t("sheet.shareTitle")}
+            >
+              {shareStatus === "copied" ? t("sheet.linkCopied") : t("sheet.share")}
+            </button>
+            <button
+              className="share-btn"
+              onClick={() => toggleInItinerary(selected.id)}
+              type="button"
+              title={t("sheet.tripTitle", { trip: activeItinerary.name })}
+            >
+              {activeItinerary.stops.includes(selected.id)
+                ? `✓ ${t("sheet.inTrip")}`
+                : `＋ ${t("sheet.addToTrip")}`}
+            </button>
             <button
               className="star-btn-large"
-              onClick={() => toggleSaved(selected.id)}
+              onClick={() => setListPickerFor(selected)}
               type="button"
-              title={savedLandmarks.includes(selected.id) ? "Remove from saved" : "Save"}
+              title={t("common.saveToList")}
+              aria-label={t("common.saveNameToList", { name: selected.name })}
             >
               {savedLandmarks.includes(selected.id) ? "★" : "☆"}
             </button>
           </div>
 
-          <p className="sheet-desc">{selected.description}</p>
+          {/* ✅ Curator mode: the sheet's fields become editable */}
+          {selectedRecord && (
+            <LandmarkEditor
+              record={selectedRecord}
+              issues={selectedIssues}
+              onChange={(changes) => updateLandmark(selected, changes)}
+              onDelete={() => deleteLandmark(selected)}
+            />
+          )}
+
+          <button
+            className="share-btn nearby-here-btn"
+            type="button"
+            onClick={() => showNearbyOf(selected)}
+          >
+            🧭 {t("sheet.nearHere")}
+          </button>
 
-          {selected.address && (
-            <p className="sheet-desc">
-              <b>Address:</b> {selected.address}
+          <CheckInButton
+            landmark={selected}
+            userLocation={userLocation}
+            checkIns={checkIns}
+            onCheckIn={() => checkIn(selected)}
+            onRequestLocation={startLocationTracking}
+          />
+
+          {!selectedRecord && (
+            <p className="sheet-desc" lang={descriptionLang}>
+              {selectedDescription}
             </p>
           )}
 
-          {selected.website && (
-            <p className="sheet-desc">
-              <a href={selected.website} target="_blank" rel="noreferrer">
-                Official site →
-              </a>
-            </p>
+          <TrailInfo landmark={selected} />
+
+          <OpeningHours landmark={selected} />
+
+          <AmenityIcons amenities={selected.amenities} />
+
+          <TransitInfo
+            transit={transit}
+            stops={selectedStops}
+            showRoutes={showTransit}
+            onToggleRoutes={() => setShowTransit((v) => !v)}
+          />
+
+          <LandmarkEvents landmark={selected} events={events} />
+
+          {!selectedRecord && (
+            <>
+              {selected.address && (
+                <p className="sheet-desc">
+                  <b>{t("sheet.address")}</b> {selected.address}
+                </p>
+              )}
+
+              {selected.website && (
+                <p className="sheet-desc">
+                  <a href={selected.website} target="_blank" rel="noreferrer">
+                    {t("sheet.website")} →
+                  </a>
+                </p>
+              )}
+
+              <div className="tag-row">
+                <span className="tag-pill">{selected.city}</span>
+                {selected.typetag && (
+                  <span className="tag-pill">{typeLabel(selected.typetag, locale)}</span>
+                )}
+                {selected.experiencetag.map((tag) => (
+                  <span
+                    key={tag}
+                    className="tag-pill"
+                    title={tagDescription(EXPERIENCE_TAGS, tag, locale)}
+                  >
+                    {EXPERIENCE_TAGS[tag]?.icon} {experienceLabel(tag, locale)}
+                  </span>
+                ))}
+              </div>
+            </>
           )}
+        </div>
+      )}
 
-          <div className="tag-row">
-            <span className="tag-pill">{selected.city}</span>
-            {selected.typetag && <span className="tag-pill">{selected.typetag}</span>}
-            {selected.experiencetag.map((t) => (
-              <span key={t} className="tag-pill">
-                {t}
-              </span>
-            ))}
-          </div>
+      {/* ✅ Offline indicator + download dialog */}
+      {!isOnline && (
+        <div className="offline-indicator" role="status">
+          {t("app.offline")}
         </div>
       )}
 
+      {showOffline && (
+        <OfflinePanel
+          cities={cityOptions}
+          landmarks={landmarks}
+          initialCity={facets.cities[0] ?? null}
+          isOnline={isOnline}
+          onClose={() => setShowOffline(false)}
+        />
+      )}
+
+      {/* ✅ Suggest a place: form + My submissions, and the pin-drop banner */}
+      {suggestView && (
+        <SuggestPlacePanel
+          cities={cityOptions}
+          draft={suggestDraft}
+          onDraftChange={setSuggestDraft}
+          onPickOnMap={() => {
+            setSuggestView(null);
+            setSelected(null);
+            setPickingPin(true);
+          }}
+          userLocation={userLocation}
+          submissions={submissions}
+          onSubmit={addSubmission}
+          onRemove={(id) => setSubmissions((prev) => prev.filter((s) => s.id !== id))}
+          onRefresh={refreshSubmissions}
+          isOnline={isOnline}
+          view={suggestView}
+          onViewChange={setSuggestView}
+          onClose={() => setSuggestView(null)}
+        />
+      )}
+
+      {pickingPin && (
+        <div className="pin-picker-banner">
+          <span role="status">{t("suggest.tapMap")}</span>
+          <button
+            type="button"
+            autoFocus
+            onClick={() => finishPinPick(mapRef.current?.getCenter())}
+          >
+            {t("suggest.useCenter")}
+          </button>
+          <button type="button" onClick={() => finishPinPick(null)}>
+            {t("common.cancel")}
+          </button>
+        </div>
+      )}
+
+      {/* ✅ Curator mode: toolbar and the review & download dialog */}
+      {curatorMode && !pickingPin && (
+        <div className="curator-toolbar" role="region" aria-label={t("curator.title")}>
+          <span role="status">
+            ✏️ {t("curator.title")} · {t("curator.changes", { count: curatorChangeCount })}
+            {curatorNotice && ` · ${curatorNotice}`}
+          </span>
+          <button type="button" onClick={addLandmarkHere}>
+            ＋ {t("curator.addHere")}
+          </button>
+          <button type="button" onClick={() => setShowCurator(true)}>
+            {t("curator.review")}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setCuratorMode(false);
+              setShowCurator(false);
+            }}
+          >
+            {t("curator.exit")}
+          </button>
+        </div>
+      )}
+
+      {showCurator && (
+        <CuratorPanel
+          cities={cityOptions}
+          edits={curatorEdits}
+          onRestore={(cityName, id) =>
+            editCityFile(cityName, (file) => restoreRecord(file, getCity(cityName).data, id))
+          }
+          onDiscard={discardCityEdits}
+          onOpen={(cityName, id) => {
+            setSelected(landmarksById.get(landmarkId(cityName, id)) ?? null);
+            setShowCurator(false);
+          }}
+          onClose={() => setShowCurator(false)}
+        />
+      )}
+
+      {/* ✅ List picker (behind every star button) */}
+      {listPickerFor && (
+        <ListPicker
+          landmark={listPickerFor}
+          listsState={savedLists}
+          onChange={setSavedLists}
+          onClose={() => setListPickerFor(null)}
+        />
+      )}
+
       {/* ✅ Help Modal */}
       {showHelp && (
         <>
           <button
             className="filters-backdrop"
             type="button"
-            aria-label="Close help"
+            aria-label={t("help.close")}
             onClick={() => setShowHelp(false)}
           />
-          <div className="help-modal">
+          <div
+            className="help-modal"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="help-title"
+            {...helpFocus}
+          >
             <button
               className="close-btn"
               onClick={() => setShowHelp(false)}
               type="button"
+              aria-label={t("help.close")}
             >
               ✕
             </button>
-            <h2 className="help-title">How to Use Capital Region Explorer</h2>
-            
-            <div className="help-section">
-              <h3 className="help-subtitle">🗺️ Exploring the Map</h3>
-              <p>Click any blue marker on the map to see details about that landmark, including photos, description, and address.</p>
-            </div>
-
-            <div className="help-section">
-              <h3 className="help-subtitle">📍 Your Location</h3>
-              <p>Allow location access to see a blue dot showing where you are. The map will automatically center on your location. Click the ◎ button in the bottom-right to recenter anytime.</p>
-            </div>
-
-            <div className="help-section">
-              <h3 className="help-subtitle">🔍 Filters Tab</h3>
-              <p>Filter landmarks by city, type (museum, park, etc.), or experience tags (family-friendly, outdoors, free, etc.). Filters combine to narrow your search.</p>
-            </div>
-
-            <div className="help-section">
-              <h3 className="help-subtitle">📌 Nearby Tab</h3>
-              <p>See all landmarks within 3 miles of your current location, sorted by distance. Perfect for finding something to do right now!</p>
-            </div>
-
-            <div className="help-section">
-              <h3 className="help-subtitle">⭐ Saved Tab</h3>
-              <p>Star any landmark to save it for later. Your saved landmarks are stored permanently and perfect for planning future trips.</p>
-            </div>
-
-            <div className="help-section">
-              <h3 className="help-subtitle">🌙 Dark Mode</h3>
-              <p>Toggle dark mode using the moon/sun icon in the menu drawer for comfortable viewing at any time of day.</p>
-            </div>
+            <h2 className="help-title" id="help-title">
+              {t("help.title")}
+            </h2>
+
+            {message("help.sections")
+              // The bus section only applies when a GTFS feed is bundled
+              .filter((section) => section.needs !== "transit" || transit.routes.length > 0)
+              .map((section) => (
+                <div key={section.title} className="help-section">
+                  <h3 className="help-subtitle">
+                    {section.icon} {section.title}
+                  </h3>
+                  {section.paragraphs.map((text) => (
+                    <p key={text}>{text}</p>
+                  ))}
+                </div>
+              ))}
           </div>
         </>
       )}
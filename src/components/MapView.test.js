@@ -0,0 +1,185 @@
+// Accessibility checks: renders the whole app under jsdom, opens each of the
+// main views the way a user would and asserts axe-core finds no violations.
+// Vite's SSR loader compiles the JSX and answers the virtual: modules, so the
+// components run exactly as in the browser, only with React and Leaflet in Node.
+
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+import { JSDOM } from "jsdom";
+
+const ROOT = fileURLToPath(new URL("../../", import.meta.url));
+const require = createRequire(import.meta.url);
+const en = JSON.parse(readFileSync(new URL("../locales/en.json", import.meta.url), "utf8"));
+
+// The real page, without its entry script (the app is rendered below)
+const page = readFileSync(new URL("../../index.html", import.meta.url), "utf8");
+const dom = new JSDOM(page.replace(/<script[^>]*><\/script>/g, ""), {
+  url: "http://localhost/",
+  pretendToBeVisual: true,
+});
+for (const key of ["window", "document", "navigator", "localStorage", "sessionStorage"]) {
+  Object.defineProperty(globalThis, key, {
+    value: key === "window" ? dom.window : dom.window[key],
+    configurable: true,
+  });
+}
+for (const key of ["HTMLElement", "Element", "Node", "MutationObserver", "getComputedStyle"]) {
+  globalThis[key] ??= dom.window[key];
+}
+globalThis.requestAnimationFrame = dom.window.requestAnimationFrame;
+globalThis.cancelAnimationFrame = dom.window.cancelAnimationFrame;
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// leaflet.markercluster and react-leaflet-cluster are CommonJS packages that
+// expect a global L and require their own CSS and images
+for (const ext of [".css", ".png"]) {
+  require.extensions[ext] = (module) => {
+    module.exports = "";
+  };
+}
+globalThis.L = require("leaflet");
+
+// Node's ESM loader would hand MapView the CommonJS exports object, not the
+// component, so load react-leaflet-cluster through require instead
+const clusterInterop = {
+  name: "test-cluster-interop",
+  enforce: "pre",
+  resolveId(id) {
+    if (id === "react-leaflet-cluster") return "\0react-leaflet-cluster";
+  },
+  load(id) {
+    if (id !== "\0react-leaflet-cluster") return;
+    return [
+      'import { createRequire } from "node:module";',
+      'export default createRequire(import.meta.url)("react-leaflet-cluster").default;',
+    ].join("\n");
+  },
+};
+
+let server;
+let App;
+let React;
+let act;
+let createRoot;
+let axe;
+let root;
+
+async function settle(ms = 50) {
+  await act(() => new Promise((resolve) => setTimeout(resolve, ms)));
+}
+
+async function click(selector) {
+  const el = document.querySelector(selector);
+  assert.ok(el, `nothing matches ${selector}`);
+  await act(async () => el.click());
+  await settle();
+}
+
+async function renderApp() {
+  root?.unmount();
+  localStorage.clear();
+  window.history.replaceState(null, "", "/");
+  root = createRoot(document.getElementById("root"));
+  await act(async () => root.render(React.createElement(App)));
+  await settle(200);
+  await click(".location-dismiss");
+}
+
+function currentView() {
+  return document.querySelector("[data-a11y-view]")?.dataset.a11yView;
+}
+
+async function assertNoViolations(view) {
+  assert.equal(currentView(), view);
+  const { violations } = await axe.run(document, { resultTypes: ["violations"] });
+  const found = violations.flatMap((v) =>
+    v.nodes.map((node) => `${v.id} (${v.impact}): ${node.target.join(" ")}`)
+  );
+  assert.deepEqual(found, [], `axe violations in "${view}"`);
+}
+
+before(async () => {
+  const { createServer } = await import("vite");
+  server = await createServer({
+    root: ROOT,
+    logLevel: "error",
+    appType: "custom",
+    server: { middlewareMode: true, hmr: false },
+    ssr: { noExternal: ["react-leaflet-cluster"] },
+    plugins: [clusterInterop],
+  });
+  ({ default: App } = await server.ssrLoadModule("/src/App.jsx"));
+  React = await import("react");
+  ({ act } = React);
+  ({ createRoot } = await import("react-dom/client"));
+  ({ default: axe } = await import("axe-core"));
+  // Contrast needs real layout and canvas, which jsdom doesn't have
+  axe.configure({ rules: [{ id: "color-contrast", enabled: false }] });
+});
+
+after(async () => {
+  await act(async () => root?.unmount());
+  await server?.close();
+});
+
+describe("accessibility", () => {
+  test("map", async () => {
+    await renderApp();
+    await assertNoViolations("map");
+  });
+
+  test("list view and a place's sheet", async () => {
+    await renderApp();
+    await click(".floating-buttons [aria-pressed]");
+    await assertNoViolations("list");
+    await click(".results-list-item");
+    await assertNoViolations("list+sheet");
+  });
+
+  test("every menu tab", async () => {
+    await renderApp();
+    await click(".floating-buttons [aria-expanded]");
+    for (const tab of ["filters", "now", "nearby", "saved", "trip", "passport", "events"]) {
+      await click(`#drawer-tab-${tab}`);
+      await assertNoViolations(`drawer:${tab}`);
+    }
+  });
+
+  test("help", async () => {
+    await renderApp();
+    await click(".floating-help-btn");
+    await assertNoViolations("map+help");
+  });
+
+  test("offline maps", async () => {
+    await renderApp();
+    await click(".floating-buttons [aria-expanded]");
+    await click(`.drawer-header-actions [aria-label="${en.offline.title}"]`);
+    await assertNoViolations("map+offline");
+  });
+});
+
+test("a marker's accessible name follows its label", async () => {
+  const { useMarkerA11y } = await server.ssrLoadModule("/src/lib/a11y.js");
+  const { MapContainer, Marker } = await server.ssrLoadModule("react-leaflet");
+  const h = React.createElement;
+
+  function Pin({ label }) {
+    const { ref, eventHandlers } = useMarkerA11y(label, () => {});
+    return h(Marker, { ref, position: [42.65, -73.75], eventHandlers });
+  }
+  const map = (label) => h(MapContainer, { center: [42.65, -73.75], zoom: 13 }, h(Pin, { label }));
+  const name = () => document.querySelector(".leaflet-marker-icon").getAttribute("aria-label");
+
+  root?.unmount();
+  root = createRoot(document.getElementById("root"));
+  await act(async () => root.render(map("Museum, Museum in Albany")));
+  assert.equal(name(), "Museum, Museum in Albany");
+
+  // What a switch to Spanish does to the label
+  await act(async () => root.render(map("Museum, Museo en Albany")));
+  assert.equal(name(), "Museum, Museo en Albany");
+});
@@ -0,0 +1,156 @@
+import { NEARBY_RADII_MI, NEARBY_SORTS } from "../lib/nearby";
+import { compassPoint } from "../lib/geo";
+import { formatMinutes } from "../lib/itinerary";
+import { typeLabel } from "../data/taxonomy";
+import { useI18n } from "../lib/i18n";
+import "./NearbyPanel.css";
+
+/**
+ * Nearby tab: landmarks around the user's location, or around a landmark
+ * picked with "What's near here?", with radius and sort controls.
+ */
+export default function NearbyPanel({
+  results,
+  originLandmark,
+  hasLocation,
+  radiusMi,
+  sort,
+  savedIds,
+  onRadiusChange,
+  onSortChange,
+  onClearOrigin,
+  onEnableLocation,
+  onOpenLandmark,
+  onOpenPicker,
+}) {
+  const { t, locale, formatDistance } = useI18n();
+
+  if (!originLandmark && !hasLocation) {
+    return (
+      <div className="list-view">
+        <div className="empty-state">
+          <div className="empty-state-icon">📍</div>
+          <div className="empty-state-title">{t("nearby.locationNeeded")}</div>
+          <div className="empty-state-text">{t("nearby.locationNeededText")}</div>
+          <button className="empty-state-btn" onClick={onEnableLocation} type="button">
+            {t("nearby.enableLocation")}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const originLabel = originLandmark ? originLandmark.name : t("nearby.you");
+  const radius = formatDistance(radiusMi, { maximumSignificantDigits: 2 });
+  const compass = (bearing) => t(`nearby.compass.${compassPoint(bearing)}`);
+
+  return (
+    <div className="list-view nearby">
+      {originLandmark && (
+        <div className="nearby-origin">
+          <span>
+            {t("nearby.around")} <b>{originLandmark.name}</b>
+          </span>
+          <button type="button" onClick={onClearOrigin}>
+            {hasLocation ? t("nearby.useMyLocation") : t("common.clear")}
+          </button>
+        </div>
+      )}
+
+      <div className="filter-section-title">{t("nearby.radius")}</div>
+      <div className="chip-row">
+        {NEARBY_RADII_MI.map((r) => (
+          <button
+            key={r}
+            className={`chip ${radiusMi === r ? "chip-active" : ""}`}
+            type="button"
+            onClick={() => onRadiusChange(r)}
+          >
+            {formatDistance(r, { maximumSignificantDigits: 2 })}
+          </button>
+        ))}
+      </div>
+
+      <div className="filter-section-title nearby-sort-title">{t("nearby.sortBy")}</div>
+      <div className="chip-row">
+        {Object.entries(NEARBY_SORTS).map(([key, { label }]) => (
+          <button
+            key={key}
+            className={`chip ${sort === key ? "chip-active" : ""}`}
+            type="button"
+            onClick={() => onSortChange(key)}
+          >
+            {t(`nearby.sorts.${key}`)}
+          </button>
+        ))}
+      </div>
+
+      {results.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">🔍</div>
+          <div className="empty-state-title">{t("nearby.emptyTitle")}</div>
+          <div className="empty-state-text">
+            {t("nearby.emptyText", { distance: radius, origin: originLabel })}
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="list-header">
+            {t("nearby.within", { distance: radius, origin: originLabel })}
+          </div>
+          {results.map((lm) => (
+            <div key={lm.id} className="list-item">
+              {lm.distanceMi > 0 ? (
+                <div
+                  className="nearby-direction"
+                  title={`${Math.round(lm.bearing)}° ${compass(lm.bearing)}`}
+                  aria-hidden="true"
+                >
+                  <span
+                    className="nearby-arrow"
+                    style={{ transform: `rotate(${lm.bearing}deg)` }}
+                  >
+                    ↑
+                  </span>
+                  <span className="nearby-compass">{compass(lm.bearing)}</span>
+                </div>
+              ) : (
+                // Inside an area (a district or preserve): no direction to give
+                <div className="nearby-direction" aria-hidden="true">
+                  <span className="nearby-arrow">◎</span>
+                </div>
+              )}
+              <button
+                className="list-item-content"
+                type="button"
+                onClick={() => onOpenLandmark(lm)}
+              >
+                <span className="list-item-title">{lm.name}</span>
+                <span className="list-item-subtitle">
+                  {lm.distanceMi > 0 ? (
+                    <>
+                      {formatDistance(lm.distanceMi)} {compass(lm.bearing)} · 🚶{" "}
+                      {formatMinutes(lm.walkMinutes)}
+                    </>
+                  ) : (
+                    t("nearby.inside")
+                  )}{" "}
+                  · {typeLabel(lm.typetag, locale)}
+                </span>
+              </button>
+              <button
+                className="star-btn"
+                onClick={() => onOpenPicker(lm)}
+                type="button"
+                title={t("common.saveToList")}
+                aria-label={t("common.saveNameToList", { name: lm.name })}
+              >
+                {savedIds.includes(lm.id) ? "★" : "☆"}
+              </button>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+import { useEffect, useRef, useState } from "react";
+import photoManifest from "virtual:photo-manifest";
+import {
+  TILE_CACHE,
+  PHOTO_CACHE,
+  MAX_DOWNLOAD_ZOOM,
+  MAX_DOWNLOAD_TILES,
+  countTiles,
+  listTiles,
+  tileUrl,
+  estimateBytes,
+  formatBytes,
+  cacheUrls,
+  getOfflineUsage,
+  clearOfflineData,
+  isOfflineSupported,
+  canDownloadTiles,
+} from "../lib/offline";
+import { useDialogFocus } from "../lib/a11y";
+import { useI18n } from "../lib/i18n";
+import "./OfflinePanel.css";
+
+const MIN_ZOOM_CHOICES = [10, 11, 12, 13, 14];
+const MAX_ZOOM_CHOICES = [13, 14, 15, 16, MAX_DOWNLOAD_ZOOM];
+
+// Full-size and thumbnail WebP for every photo of the city's landmarks
+function photoUrlsForCity(landmarks, cityName) {
+  return landmarks
+    .filter((lm) => lm.city === cityName)
+    .flatMap((lm) => photoManifest[lm.id] ?? [])
+    .flatMap((photo) => [photo.webp ?? photo.src, photo.thumb])
+    .filter(Boolean);
+}
+
+/**
+ * "Offline maps" dialog: download a city's tiles (and photos) ahead of time,
+ * see what's stored and clear it again.
+ */
+export default function OfflinePanel({ cities, landmarks, initialCity, isOnline, onClose }) {
+  const { t, formatNumber } = useI18n();
+  const [cityName, setCityName] = useState(initialCity || cities[0]?.name || "");
+  const [minZoom, setMinZoom] = useState(12);
+  const [maxZoom, setMaxZoom] = useState(15);
+  const [includePhotos, setIncludePhotos] = useState(true);
+  const [progress, setProgress] = useState(null); // {done, total, failed}
+  const [status, setStatus] = useState("");
+  const dialogFocus = useDialogFocus(true, onClose);
+  const [usage, setUsage] = useState(null);
+  const abortRef = useRef(null);
+
+  const city = cities.find((c) => c.name === cityName);
+  const tileCount =
+    canDownloadTiles && city?.bounds ? countTiles(city.bounds, minZoom, maxZoom) : 0;
+  const photoUrls = includePhotos ? photoUrlsForCity(landmarks, cityName) : [];
+  const tooMany = tileCount > MAX_DOWNLOAD_TILES;
+  const downloading = progress != null;
+
+  const refreshUsage = () => getOfflineUsage().then(setUsage);
+
+  useEffect(() => {
+    refreshUsage();
+    return () => abortRef.current?.abort();
+  }, []);
+
+  async function download() {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setStatus("");
+
+    try {
+      const urls = canDownloadTiles ? listTiles(city.bounds, minZoom, maxZoom).map(tileUrl) : [];
+      const total = urls.length + photoUrls.length;
+      setProgress({ done: 0, total, failed: 0 });
+
+      const tiles = await cacheUrls(TILE_CACHE, urls, {
+        signal: controller.signal,
+        maxUrls: MAX_DOWNLOAD_TILES,
+        onProgress: (p) => setProgress({ ...p, total }),
+      });
+      const photos = await cacheUrls(PHOTO_CACHE, photoUrls, {
+        signal: controller.signal,
+        onProgress: (p) =>
+          setProgress({ done: tiles.done + p.done, total, failed: tiles.failed + p.failed }),
+      });
+
+      const failed = tiles.failed + photos.failed;
+      if (controller.signal.aborted) setStatus(t("offline.cancelled"));
+      else if (failed > 0) setStatus(t("offline.missing", { count: failed }));
+      else setStatus(t("offline.ready", { city: city.displayName }));
+    } catch (err) {
+      setStatus(
+        err?.name === "QuotaExceededError" ? t("offline.quotaFailed") : t("offline.failed")
+      );
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+      refreshUsage();
+    }
+  }
+
+  async function clearAll() {
+    await clearOfflineData();
+    setStatus(t("offline.cleared"));
+    refreshUsage();
+  }
+
+  return (
+    <>
+      <button
+        className="filters-backdrop"
+        type="button"
+        aria-label={t("offline.close")}
+        onClick={onClose}
+      />
+      <div
+        className="help-modal offline-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="offline-panel-title"
+        {...dialogFocus}
+      >
+        <button className="close-btn" onClick={onClose} type="button" aria-label={t("common.close")}>
+          ✕
+        </button>
+        <h2 className="help-title" id="offline-panel-title">
+          {t("offline.title")}
+        </h2>
+
+        {!isOfflineSupported() ? (
+          <p className="offline-text">{t("offline.unsupported")}</p>
+        ) : (
+          <>
+            <p className="offline-text">{t("offline.intro")}</p>
+            {!canDownloadTiles && <p className="offline-text">{t("offline.noTileSource")}</p>}
+
+            <div className="filter-section-title">{t("filters.city")}</div>
+            <div className="chip-row">
+              {cities.map((c) => (
+                <button
+                  key={c.id}
+                  className={`chip ${cityName === c.name ? "chip-active" : ""}`}
+                  type="button"
+                  disabled={downloading}
+                  onClick={() => setCityName(c.name)}
+                >
+                  {c.displayName}
+                </button>
+              ))}
+            </div>
+
+            {canDownloadTiles && (
+              <div className="offline-zoom">
+                <label>
+                  {t("offline.fromZoom")}
+                  <select
+                    value={minZoom}
+                    disabled={downloading}
+                    onChange={(e) => setMinZoom(Math.min(Number(e.target.value), maxZoom))}
+                  >
+                    {MIN_ZOOM_CHOICES.map((z) => (
+                      <option key={z} value={z}>
+                        {z}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  {t("offline.toZoom")}
+                  <select
+                    value={maxZoom}
+                    disabled={downloading}
+                    onChange={(e) => setMaxZoom(Math.max(Number(e.target.value), minZoom))}
+                  >
+                    {MAX_ZOOM_CHOICES.map((z) => (
+                      <option key={z} value={z}>
+                        {z}
+                        {z === 15 ? ` (${t("offline.streets")})` : ""}
+                        {z === MAX_DOWNLOAD_ZOOM ? ` (${t("offline.trails")})` : ""}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            )}
+
+            <label className="filter-checkbox">
+              <input
+                type="checkbox"
+                checked={includePhotos}
+                disabled={downloading}
+                onChange={(e) => setIncludePhotos(e.target.checked)}
+              />
+              {t("offline.includePhotos")}
+            </label>
+
+            <div className={`offline-estimate ${tooMany ? "offline-estimate-over" : ""}`}>
+              {[
+                canDownloadTiles && t("offline.tiles", { count: tileCount }),
+                photoUrls.length > 0 && t("offline.photoFiles", { count: photoUrls.length }),
+              ]
+                .filter(Boolean)
+                .join(" + ")}{" "}
+              · {t("offline.about", { size: formatBytes(estimateBytes(tileCount)) })}
+              {tooMany && ` — ${t("offline.tooMany", { limit: formatNumber(MAX_DOWNLOAD_TILES) })}`}
+            </div>
+
+            {downloading ? (
+              <div className="offline-progress">
+                <progress value={progress.done} max={progress.total} />
+                <div className="offline-progress-row">
+                  <span>
+                    {progress.done} / {progress.total}
+                  </span>
+                  <button
+                    className="offline-small-btn"
+                    type="button"
+                    onClick={() => abortRef.current?.abort()}
+                  >
+                    {t("common.cancel")}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button
+                className="clear-btn"
+                type="button"
+                disabled={
+                  !isOnline || !city?.bounds || tooMany || tileCount + photoUrls.length === 0
+                }
+                onClick={download}
+              >
+                {isOnline
+                  ? t("offline.download", { city: city?.displayName ?? "" })
+                  : t("offline.connect")}
+              </button>
+            )}
+
+            {status && (
+              <div className="offline-status" role="status">
+                {status}
+              </div>
+            )}
+
+            {usage && (
+              <div className="offline-usage">
+                <span>
+                  {t("offline.stored", {
+                    tiles: t("offline.tiles", { count: usage.tiles }),
+                    photos: t("offline.photos", { count: usage.photos }),
+                  })}
+                  {usage.bytes != null
+                    ? ` · ${t("offline.used", { size: formatBytes(usage.bytes) })}`
+                    : ""}
+                </span>
+                <button
+                  className="offline-small-btn"
+                  type="button"
+                  disabled={downloading || (usage.tiles === 0 && usage.photos === 0)}
+                  onClick={clearAll}
+                >
+                  {t("common.clear")}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,63 @@
+import { getOpenStatus, weeklySummary, zonedParts } from "../lib/hours";
+import { useI18n } from "../lib/i18n";
+import "./OpeningHours.css";
+
+const BADGE_CLASSES = {
+  open: "hours-badge-open",
+  closed: "hours-badge-closed",
+  unknown: "hours-badge-unknown",
+};
+
+/**
+ * Today's hours with an open/closed badge, plus the full week on demand.
+ * Evaluated in New York time (see lib/hours.js).
+ */
+export default function OpeningHours({ landmark }) {
+  const { t, intl } = useI18n();
+  const parts = zonedParts();
+  const status = getOpenStatus(landmark, parts, intl);
+  const week = weeklySummary(landmark, parts, intl);
+  const closed = t("hours.closed");
+
+  let detail = null;
+  if (status.state === "open" && status.closesAt) {
+    detail = t("hours.until", { time: status.closesAt });
+  } else if (status.reason) {
+    detail = t(`hours.reasons.${status.reason}`);
+  } else if (status.opensAt) detail = t("hours.opens", { time: status.opensAt });
+
+  return (
+    <div className="opening-hours">
+      <div className="hours-row">
+        <span className={`hours-badge ${BADGE_CLASSES[status.state]}`}>
+          {t(`hours.badges.${status.state}`)}
+        </span>
+        {detail && <span className="hours-detail">{detail}</span>}
+      </div>
+
+      {status.state !== "unknown" && (
+        <div className="hours-today">
+          <b>{t("hours.today")}</b> {status.today.length > 0 ? status.today.join(", ") : closed}
+        </div>
+      )}
+
+      {landmark.hours?.note && <div className="hours-note">{landmark.hours.note}</div>}
+
+      {week.length > 0 && (
+        <details className="hours-week">
+          <summary>{t("hours.allHours")}</summary>
+          <table>
+            <tbody>
+              {week.map(({ day, ranges }) => (
+                <tr key={day}>
+                  <th scope="row">{t(`hours.days.${day}`)}</th>
+                  <td>{ranges.length > 0 ? ranges.join(", ") : closed}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+    </div>
+  );
+}
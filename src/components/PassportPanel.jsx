@@ -0,0 +1,174 @@
+import { useState } from "react";
+import { passportProgress, computeBadges, stampsOf } from "../lib/checkins";
+import { typeLabel } from "../data/taxonomy";
+import { useI18n } from "../lib/i18n";
+import "./PassportPanel.css";
+
+function ProgressRow({ label, visited, total }) {
+  const { t } = useI18n();
+  return (
+    <div className="passport-row">
+      <div className="passport-row-label">
+        <span>{label}</span>
+        <span>{t("passport.ofTotal", { visited, total })}</span>
+      </div>
+      <div
+        className="passport-bar"
+        role="progressbar"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={total}
+        aria-valuenow={visited}
+      >
+        <div className="passport-bar-fill" style={{ width: `${(visited / total) * 100}%` }} />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Passport tab: check-in progress per city and per type, badges, and the
+ * stamps themselves with where each check-in was verified from.
+ */
+export default function PassportPanel({ cities, landmarks, landmarksById, checkIns, onOpenLandmark }) {
+  const { t, locale, formatDate, formatShortDistance } = useI18n();
+  const [shareStatus, setShareStatus] = useState("");
+
+  const progress = passportProgress(landmarks, checkIns);
+  const stamps = stampsOf(checkIns).reverse();
+  const cityLabel = (name) => cities.find((c) => c.name === name)?.displayName ?? name;
+  const formatStampDate = (iso) =>
+    formatDate(new Date(iso), { month: "short", day: "numeric", year: "numeric" });
+
+  // Badge text by id; city badges ("city-albany") share one message
+  const badges = computeBadges(cities, landmarks, checkIns).map((b) => {
+    const city = cities.find((c) => b.id === `city-${c.id}`);
+    const key = city ? "passport.badges.city" : `passport.badges.${b.id}`;
+    const vars = {
+      city: city?.displayName,
+      cities: cities.map((c) => c.displayName).join(", "),
+    };
+    return {
+      ...b,
+      title: t(`${key}.title`, vars),
+      description: t(`${key}.description`, vars),
+    };
+  });
+  const earned = badges.filter((b) => b.earnedAt);
+
+  async function shareProgress() {
+    const lines = [
+      t("passport.shareSummary", { visited: progress.visited, total: progress.total }),
+      ...progress.byCity.map((c) =>
+        t("passport.cityProgress", { city: cityLabel(c.key), visited: c.visited, total: c.total })
+      ),
+      earned.length > 0
+        ? `${t("passport.badgesLine")} ${earned.map((b) => `${b.icon} ${b.title}`).join(", ")}`
+        : null,
+    ].filter(Boolean);
+    const text = lines.join("\n");
+
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: t("passport.shareTitle"), text });
+        setShareStatus("shared");
+      } else {
+        await navigator.clipboard.writeText(text);
+        setShareStatus("copied");
+      }
+    } catch {
+      setShareStatus("");
+    }
+  }
+
+  return (
+    <div className="list-view passport">
+      <div className="passport-summary">
+        <div className="passport-count">
+          {progress.visited}
+          <span> / {progress.total}</span>
+        </div>
+        <div className="passport-summary-text">
+          {t("passport.checkedIn")}
+          <button className="passport-share" type="button" onClick={shareProgress}>
+            {shareStatus === "copied" ? t("passport.copied") : t("passport.share")}
+          </button>
+        </div>
+      </div>
+
+      <div className="filter-section-title">{t("passport.byCity")}</div>
+      {progress.byCity.map((c) => (
+        <ProgressRow
+          key={c.key}
+          label={t("passport.cityLandmarks", { city: cityLabel(c.key) })}
+          visited={c.visited}
+          total={c.total}
+        />
+      ))}
+
+      <div className="filter-section-title passport-section">
+        {t("passport.badgesTitle")} ({earned.length})
+      </div>
+      <div className="passport-badges">
+        {badges.map((b) => (
+          <div
+            key={b.id}
+            className={`passport-badge ${b.earnedAt ? "passport-badge-earned" : ""}`}
+            title={b.description}
+          >
+            <div className="passport-badge-icon">{b.icon}</div>
+            <div className="passport-badge-title">{b.title}</div>
+            <div className="passport-badge-detail">
+              {b.earnedAt ? formatStampDate(b.earnedAt) : b.description}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="filter-section-title passport-section">{t("passport.byType")}</div>
+      {progress.byType.map((type) => (
+        <ProgressRow
+          key={type.key}
+          label={typeLabel(type.key, locale)}
+          visited={type.visited}
+          total={type.total}
+        />
+      ))}
+
+      <div className="filter-section-title passport-section">{t("passport.stamps")}</div>
+      {stamps.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">🎟️</div>
+          <div className="empty-state-title">{t("passport.emptyTitle")}</div>
+          <div className="empty-state-text">{t("passport.emptyText")}</div>
+        </div>
+      ) : (
+        stamps.map((stamp) => {
+          const lm = landmarksById.get(stamp.landmarkId);
+          if (!lm) return null;
+          return (
+            <div key={stamp.landmarkId} className="list-item">
+              <button
+                className="list-item-content"
+                type="button"
+                onClick={() => onOpenLandmark(lm)}
+              >
+                <span className="list-item-title">{lm.name}</span>
+                <span className="list-item-subtitle">
+                  {formatStampDate(stamp.at)} ·{" "}
+                  {t("passport.verified", {
+                    distance: formatShortDistance(stamp.distanceM),
+                    accuracy: formatShortDistance(stamp.accuracy),
+                  })}
+                </span>
+              </button>
+              <span className="passport-stamp" aria-hidden="true">
+                ✓
+              </span>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { WEATHER_CONDITIONS } from "../lib/weather";
+import { typeLabel } from "../data/taxonomy";
+import { useI18n } from "../lib/i18n";
+import "./RecommendPanel.css";
+
+/**
+ * Now tab: "What should I do now?" — a short ranked list of places for this
+ * moment (lib/recommend.js), each with a one-line reason, and the weather
+ * it was picked for. The weather can be set by hand when the provider
+ * doesn't know it, or knows it wrong.
+ */
+export default function RecommendPanel({
+  picks,
+  weather,
+  weatherOverride,
+  hasLocation,
+  savedIds,
+  onWeatherOverride,
+  onAskAgain,
+  onEnableLocation,
+  onOpenLandmark,
+  onOpenPicker,
+}) {
+  const { t, locale, formatDistance } = useI18n();
+
+  const conditionLabel = (condition) => t(`recommend.conditions.${condition}`);
+
+  // Reasons are translated by code
+  const reasonLine = (pick) => {
+    const line = pick.reasons
+      .map(({ code, values }) =>
+        t(`recommend.reasons.${code}`, {
+          time: values.time,
+          distance: values.distanceMi != null ? formatDistance(values.distanceMi) : "",
+        })
+      )
+      .join(", ");
+    return line.charAt(0).toUpperCase() + line.slice(1);
+  };
+
+  let weatherText = t("recommend.weatherUnknown");
+  if (weather) {
+    const { icon } = WEATHER_CONDITIONS[weather.condition];
+    weatherText = `${icon} ${conditionLabel(weather.condition)}`;
+    if (weather.tempF != null) weatherText += ` · ${Math.round(weather.tempF)}°F`;
+  }
+
+  return (
+    <div className="list-view recommend">
+      <div className="recommend-weather">
+        <span>
+          {weatherText}
+          {weather?.source && !weatherOverride && (
+            <span className="recommend-source"> · {weather.source}</span>
+          )}
+        </span>
+        <button type="button" onClick={onAskAgain}>
+          {t("recommend.askAgain")}
+        </button>
+      </div>
+
+      <div className="filter-section-title">{t("recommend.weather")}</div>
+      <div className="chip-row">
+        <button
+          className={`chip ${weatherOverride ? "" : "chip-active"}`}
+          type="button"
+          onClick={() => onWeatherOverride(null)}
+        >
+          {t("recommend.auto")}
+        </button>
+        {Object.entries(WEATHER_CONDITIONS).map(([condition, { icon }]) => (
+          <button
+            key={condition}
+            className={`chip ${weatherOverride === condition ? "chip-active" : ""}`}
+            type="button"
+            onClick={() => onWeatherOverride(condition)}
+          >
+            {icon} {conditionLabel(condition)}
+          </button>
+        ))}
+      </div>
+
+      {!hasLocation && (
+        <div className="recommend-hint">
+          {t("recommend.noLocation")}{" "}
+          <button type="button" onClick={onEnableLocation}>
+            {t("nearby.enableLocation")}
+          </button>
+        </div>
+      )}
+
+      {picks.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">🌙</div>
+          <div className="empty-state-title">{t("recommend.emptyTitle")}</div>
+          <div className="empty-state-text">{t("recommend.emptyText")}</div>
+        </div>
+      ) : (
+        <>
+          <div className="list-header">{t("recommend.title")}</div>
+          <ol className="recommend-list">
+            {picks.map((pick, index) => (
+              <li key={pick.landmark.id} className="list-item">
+                <span className="recommend-rank" aria-hidden="true">
+                  {index + 1}
+                </span>
+                <button
+                  className="list-item-content"
+                  type="button"
+                  onClick={() => onOpenLandmark(pick.landmark)}
+                >
+                  <span className="list-item-title">{pick.landmark.name}</span>
+                  <span className="list-item-subtitle">
+                    {typeLabel(pick.landmark.typetag, locale)}
+                  </span>
+                  <span className="recommend-reason">{reasonLine(pick)}</span>
+                </button>
+                <button
+                  className="star-btn"
+                  onClick={() => onOpenPicker(pick.landmark)}
+                  type="button"
+                  title={t("common.saveToList")}
+                  aria-label={t("common.saveNameToList", { name: pick.landmark.name })}
+                >
+                  {savedIds.includes(pick.landmark.id) ? "★" : "☆"}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
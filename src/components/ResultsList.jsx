@@ -0,0 +1,58 @@
+import { typeLabel } from "../data/taxonomy";
+import { useI18n } from "../lib/i18n";
+import "./ResultsList.css";
+
+/**
+ * List-only alternative to the map: every place the current filters show,
+ * as plain buttons in name order. Opening one brings up the usual sheet.
+ */
+export default function ResultsList({ landmarks, summary, savedIds, onOpenLandmark, onShowMap }) {
+  const { t, locale } = useI18n();
+  const sorted = [...landmarks].sort((a, b) => a.name.localeCompare(b.name, locale));
+
+  return (
+    <section className="results-list" aria-labelledby="results-list-title">
+      <div className="results-list-header">
+        <div>
+          <h2 className="results-list-title" id="results-list-title" tabIndex={-1}>
+            {t("common.places", { count: sorted.length })}
+          </h2>
+          <div className="results-list-summary">{summary}</div>
+        </div>
+        <button className="results-list-map-btn" type="button" onClick={onShowMap}>
+          {t("results.showMap")}
+        </button>
+      </div>
+
+      {sorted.length === 0 ? (
+        <p className="results-list-empty">{t("results.empty")}</p>
+      ) : (
+        <ul className="results-list-items">
+          {sorted.map((lm) => (
+            <li key={lm.id}>
+              <button
+                className="results-list-item"
+                type="button"
+                onClick={() => onOpenLandmark(lm)}
+              >
+                <span className="results-list-name">
+                  {lm.name}
+                  {savedIds.includes(lm.id) && (
+                    <span className="results-list-saved" aria-label={t("results.saved")}>
+                      {" "}
+                      ★
+                    </span>
+                  )}
+                </span>
+                <span className="results-list-meta">
+                  {typeLabel(lm.typetag, locale)} · {lm.city}
+                  {lm.address ? ` · ${lm.address}` : ""}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
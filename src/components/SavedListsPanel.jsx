@@ -0,0 +1,140 @@
+import { addList, renameList, deleteList, allSavedIds, getPlace } from "../lib/lists";
+import { typeLabel } from "../data/taxonomy";
+import { useI18n } from "../lib/i18n";
+import "./SavedListsPanel.css";
+
+export const ALL_LISTS = "all";
+
+function formatVisited(ymd, formatDate) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return formatDate(new Date(y, m - 1, d), { month: "short", day: "numeric", year: "numeric" });
+}
+
+/**
+ * Saved tab: switch between lists (or everything saved), manage them and
+ * see each place's note and visited date. The ★ on a row opens the picker.
+ */
+export default function SavedListsPanel({
+  listsState,
+  activeListId,
+  onSelectList,
+  onChange,
+  landmarksById,
+  onOpenLandmark,
+  onOpenPicker,
+}) {
+  const { t, locale, formatDate } = useI18n();
+  const activeList = listsState.lists.find((list) => list.id === activeListId) ?? null;
+  const ids = activeList ? activeList.items : allSavedIds(listsState);
+  const items = ids.map((id) => landmarksById.get(id)).filter(Boolean);
+
+  function createList() {
+    const { state, list } = addList(
+      listsState,
+      t("saved.defaultListName", { number: listsState.lists.length + 1 })
+    );
+    onChange(state);
+    onSelectList(list.id);
+  }
+
+  return (
+    <>
+      <div className="chip-row saved-lists-chips">
+        <button
+          className={`chip ${activeList ? "" : "chip-active"}`}
+          type="button"
+          onClick={() => onSelectList(ALL_LISTS)}
+        >
+          {t("saved.all")} ({allSavedIds(listsState).length})
+        </button>
+        {listsState.lists.map((list) => (
+          <button
+            key={list.id}
+            className={`chip ${activeList?.id === list.id ? "chip-active" : ""}`}
+            type="button"
+            onClick={() => onSelectList(list.id)}
+          >
+            {list.name} ({list.items.length})
+          </button>
+        ))}
+        <button className="chip saved-lists-new" type="button" onClick={createList}>
+          ＋ {t("saved.newList")}
+        </button>
+      </div>
+
+      {activeList && (
+        <div className="saved-lists-toolbar">
+          <input
+            className="saved-lists-name"
+            value={activeList.name}
+            onChange={(e) => onChange(renameList(listsState, activeList.id, e.target.value))}
+            aria-label={t("saved.listName")}
+          />
+          {listsState.lists.length > 1 && (
+            <button
+              className="saved-lists-delete"
+              type="button"
+              onClick={() => {
+                onChange(deleteList(listsState, activeList.id));
+                onSelectList(ALL_LISTS);
+              }}
+              title={t("saved.deleteList")}
+            >
+              🗑
+            </button>
+          )}
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">⭐</div>
+          <div className="empty-state-title">
+            {activeList ? t("saved.emptyList") : t("saved.emptyTitle")}
+          </div>
+          <div className="empty-state-text">{t("saved.emptyText")}</div>
+        </div>
+      ) : (
+        <>
+          <div className="list-header">
+            {activeList ? activeList.name : t("saved.allPlaces")} ({items.length})
+          </div>
+          {items.map((lm) => {
+            const place = getPlace(listsState, lm.id);
+            return (
+              <div key={lm.id} className="list-item">
+                <button
+                  className="list-item-content"
+                  type="button"
+                  onClick={() => onOpenLandmark(lm)}
+                >
+                  <span className="list-item-title">
+                    {lm.name}
+                    {place.visitedAt && (
+                      <span className="saved-visited" title={t("saved.visited")}>
+                        ✓ {formatVisited(place.visitedAt, formatDate)}
+                      </span>
+                    )}
+                  </span>
+                  <span className="list-item-subtitle">
+                    {lm.city} · {typeLabel(lm.typetag, locale)}
+                  </span>
+                  {place.note && <span className="saved-note">{place.note}</span>}
+                </button>
+                <button
+                  className="star-btn"
+                  onClick={() => onOpenPicker(lm)}
+                  type="button"
+                  title={t("saved.pickerTitle")}
+                  aria-label={t("saved.pickerLabel", { name: lm.name })}
+                >
+                  ★
+                </button>
+              </div>
+            );
+          })}
+        </>
+      )}
+    </>
+  );
+}
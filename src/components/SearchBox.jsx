@@ -0,0 +1,160 @@
+import { useState } from "react";
+import { splitHighlights } from "../lib/search";
+import { typeLabel } from "../data/taxonomy";
+import { useI18n } from "../lib/i18n";
+import "./SearchBox.css";
+
+const MAX_RESULTS = 8;
+const SNIPPET_RADIUS = 40;
+
+// ✅ Render text with <mark> around matched ranges
+function Highlight({ text, ranges }) {
+  return splitHighlights(text, ranges).map((part, i) =>
+    part.match ? <mark key={i}>{part.text}</mark> : <span key={i}>{part.text}</span>
+  );
+}
+
+// Trim long text (descriptions) to a window around the first match
+function snippet(match) {
+  const [start] = match.ranges[0];
+  if (match.text.length <= SNIPPET_RADIUS * 2) return match;
+
+  const from = Math.max(0, start - SNIPPET_RADIUS);
+  const to = Math.min(match.text.length, start + SNIPPET_RADIUS);
+  const prefix = from > 0 ? "…" : "";
+  const suffix = to < match.text.length ? "…" : "";
+
+  return {
+    text: prefix + match.text.slice(from, to) + suffix,
+    ranges: match.ranges
+      .filter(([s, e]) => s >= from && e <= to)
+      .map(([s, e]) => [s - from + prefix.length, e - from + prefix.length]),
+  };
+}
+
+function ResultItem({ result, active, onPick, onHover }) {
+  const { locale } = useI18n();
+  const { landmark, matches } = result;
+  const nameMatch = matches.find((m) => m.key === "name");
+  const otherMatch = matches.find((m) => m.key !== "name");
+
+  return (
+    <li
+      role="option"
+      aria-selected={active}
+      className={`search-result ${active ? "search-result-active" : ""}`}
+      onMouseDown={(e) => {
+        e.preventDefault(); // keep focus in the input until the pick is handled
+        onPick(landmark);
+      }}
+      onMouseEnter={onHover}
+    >
+      <div className="search-result-title">
+        <Highlight text={landmark.name} ranges={nameMatch?.ranges} />
+      </div>
+      <div className="search-result-subtitle">
+        {landmark.city} · {typeLabel(landmark.typetag, locale)}
+        {otherMatch && otherMatch.key !== "typetag" && (
+          <>
+            {" · "}
+            <Highlight {...snippet(otherMatch)} />
+          </>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Search box floating over the map.
+ *
+ * `results` are already ranked and filtered by the parent; this component
+ * only handles the input, the dropdown and keyboard navigation.
+ */
+export default function SearchBox({ query, onQueryChange, results, onPick }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const visible = results.slice(0, MAX_RESULTS);
+  const showDropdown = open && query.trim() !== "";
+
+  function pick(landmark) {
+    onPick(landmark);
+    setOpen(false);
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex((i) => Math.min(i + 1, visible.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter" && showDropdown && visible[activeIndex]) {
+      e.preventDefault();
+      pick(visible[activeIndex].landmark);
+    } else if (e.key === "Escape") {
+      if (showDropdown) setOpen(false);
+      else onQueryChange("");
+    }
+  }
+
+  return (
+    <div className="floating-search">
+      <div className="search-input-row">
+        <span className="search-icon" aria-hidden="true">
+          🔍
+        </span>
+        <input
+          className="search-input"
+          type="search"
+          placeholder={t("search.placeholder")}
+          value={query}
+          onChange={(e) => {
+            onQueryChange(e.target.value);
+            setActiveIndex(0);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded={showDropdown}
+          aria-controls="search-results"
+          aria-autocomplete="list"
+          aria-label={t("search.label")}
+        />
+        {query && (
+          <button
+            className="search-clear"
+            type="button"
+            onClick={() => onQueryChange("")}
+            aria-label={t("search.clear")}
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {showDropdown && (
+        <ul className="search-results" id="search-results" role="listbox">
+          {visible.length === 0 ? (
+            <li className="search-empty">{t("search.empty", { query: query.trim() })}</li>
+          ) : (
+            visible.map((result, i) => (
+              <ResultItem
+                key={result.landmark.id}
+                result={result}
+                active={i === activeIndex}
+                onPick={pick}
+                onHover={() => setActiveIndex(i)}
+              />
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,436 @@
+import { useEffect, useState } from "react";
+import {
+  EMPTY_DRAFT,
+  MAX_PHOTOS,
+  SUBMISSION_STATUSES,
+  cityForPoint,
+  createSubmission,
+  draftToPlace,
+  resizePhoto,
+  validateSubmission,
+} from "../lib/submissions";
+import {
+  TYPE_TAGS,
+  TYPE_GROUPS,
+  SETTABLE_EXPERIENCE_TAGS,
+  typeLabel,
+  experienceLabel,
+} from "../data/taxonomy";
+import { useDialogFocus } from "../lib/a11y";
+import { useI18n } from "../lib/i18n";
+import "./SuggestPlacePanel.css";
+
+// Schema fields -> the form control their error belongs to
+const ERROR_FIELDS = {
+  latitude: "location",
+  longitude: "location",
+};
+
+const TABS = ["form", "list"];
+
+/**
+ * "Suggest a place" dialog: a form for a new place (pin, tags, description,
+ * website, photos) and "My submissions" with each one's review status.
+ * The draft lives in MapView so it survives closing the dialog to drop a pin.
+ */
+export default function SuggestPlacePanel({
+  cities,
+  draft,
+  onDraftChange,
+  onPickOnMap,
+  userLocation,
+  submissions,
+  onSubmit,
+  onRemove,
+  onRefresh,
+  isOnline,
+  view,
+  onViewChange,
+  onClose,
+}) {
+  const { t, locale, formatDate } = useI18n();
+  const dialogFocus = useDialogFocus(true, onClose);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState("");
+  const [busy, setBusy] = useState(""); // "locating" | "photos"
+
+  // Review statuses can change while we're away
+  useEffect(() => {
+    if (view === "list" && isOnline) onRefresh();
+  }, [view, isOnline]);
+
+  // Functional updates: photos resize in the background while typing goes on
+  const update = (changes) =>
+    onDraftChange((prev) => ({
+      ...prev,
+      ...(typeof changes === "function" ? changes(prev) : changes),
+    }));
+
+  // A new pin also picks the city when none is chosen yet
+  function setLocation(lat, lng) {
+    update((prev) => ({
+      lat,
+      lng,
+      city: prev.city || cityForPoint(cities, lat, lng)?.name || "",
+    }));
+  }
+
+  function locateMe() {
+    if (userLocation) {
+      setLocation(userLocation.lat, userLocation.lng);
+      return;
+    }
+    if (!("geolocation" in navigator)) {
+      setErrors((prev) => ({ ...prev, location: t("location.unsupported") }));
+      return;
+    }
+    setBusy("locating");
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setBusy("");
+        setLocation(pos.coords.latitude, pos.coords.longitude);
+      },
+      (err) => {
+        setBusy("");
+        setErrors((prev) => ({ ...prev, location: err.message || t("location.failed") }));
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  }
+
+  function toggleTag(tag) {
+    update(({ experiencetag: tags }) => ({
+      experiencetag: tags.includes(tag) ? tags.filter((x) => x !== tag) : [...tags, tag],
+    }));
+  }
+
+  async function addPhotos(e) {
+    const files = Array.from(e.target.files ?? []).slice(0, MAX_PHOTOS - draft.photos.length);
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    setBusy("photos");
+    try {
+      const photos = await Promise.all(files.map(resizePhoto));
+      update((prev) => ({ photos: [...prev.photos, ...photos].slice(0, MAX_PHOTOS) }));
+    } catch {
+      setErrors((prev) => ({ ...prev, photos: t("suggest.photoFailed") }));
+    }
+    setBusy("");
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    setStatus("");
+    const place = draftToPlace(draft);
+    const problems = Object.entries(validateSubmission(draft.city, place, draft.photos)).reduce(
+      (acc, [field, message]) => {
+        const key = ERROR_FIELDS[field] ?? field;
+        acc[key] ??= t(`suggest.errors.${key}`, { defaultValue: message });
+        return acc;
+      },
+      {}
+    );
+    setErrors(problems);
+    if (Object.keys(problems).length > 0) {
+      document.getElementById(`suggest-${Object.keys(problems)[0]}`)?.focus();
+      return;
+    }
+
+    onSubmit(createSubmission(draft.city, place, draft.photos));
+    onDraftChange(EMPTY_DRAFT);
+    setStatus(isOnline ? t("suggest.sent") : t("suggest.queued"));
+    onViewChange("list");
+  }
+
+  // Props for a form control and its error message
+  const fieldProps = (key) => ({
+    id: `suggest-${key}`,
+    "aria-invalid": errors[key] ? true : undefined,
+    "aria-describedby": errors[key] ? `suggest-${key}-error` : undefined,
+  });
+  const fieldError = (key) =>
+    errors[key] && (
+      <div className="suggest-error" id={`suggest-${key}-error`}>
+        {errors[key]}
+      </div>
+    );
+
+  const hasPin = draft.lat != null && draft.lng != null;
+  const pinText = hasPin
+    ? `📍 ${draft.lat.toFixed(5)}, ${draft.lng.toFixed(5)}`
+    : t("suggest.noPin");
+
+  return (
+    <>
+      <button
+        className="filters-backdrop"
+        type="button"
+        aria-label={t("suggest.close")}
+        onClick={onClose}
+      />
+      <div
+        className="help-modal suggest-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="suggest-panel-title"
+        {...dialogFocus}
+      >
+        <button className="close-btn" onClick={onClose} type="button" aria-label={t("common.close")}>
+          ✕
+        </button>
+        <h2 className="help-title" id="suggest-panel-title">
+          {t("suggest.title")}
+        </h2>
+
+        <div className="suggest-tabs" role="tablist">
+          {TABS.map((id) => (
+            <button
+              key={id}
+              type="button"
+              role="tab"
+              aria-selected={view === id}
+              className={`chip ${view === id ? "chip-active" : ""}`}
+              onClick={() => onViewChange(id)}
+            >
+              {id === "form"
+                ? t("suggest.formTab")
+                : t("suggest.listTab", { count: submissions.length })}
+            </button>
+          ))}
+        </div>
+
+        {status && (
+          <div className="offline-status" role="status">
+            {status}
+          </div>
+        )}
+
+        {view === "form" ? (
+          <form className="suggest-form" onSubmit={submit} noValidate>
+            <p className="offline-text">{t("suggest.intro")}</p>
+
+            <label className="suggest-label" htmlFor="suggest-name">
+              {t("suggest.name")}
+            </label>
+            <input
+              {...fieldProps("name")}
+              className="suggest-input"
+              value={draft.name}
+              onChange={(e) => update({ name: e.target.value })}
+              autoComplete="off"
+            />
+            {fieldError("name")}
+
+            <div className="suggest-label" id="suggest-location-label">
+              {t("suggest.location")}
+            </div>
+            <div className="suggest-location">
+              <span
+                {...fieldProps("location")}
+                className="suggest-coords"
+                aria-labelledby="suggest-location-label"
+                tabIndex={-1}
+              >
+                {pinText}
+              </span>
+              <button className="offline-small-btn" type="button" onClick={onPickOnMap}>
+                {hasPin ? t("suggest.movePin") : t("suggest.pickOnMap")}
+              </button>
+              <button
+                className="offline-small-btn"
+                type="button"
+                onClick={locateMe}
+                disabled={busy === "locating"}
+              >
+                {busy === "locating" ? t("suggest.locating") : t("suggest.useLocation")}
+              </button>
+            </div>
+            {fieldError("location")}
+
+            <label className="suggest-label" htmlFor="suggest-city">
+              {t("filters.city")}
+            </label>
+            <select
+              {...fieldProps("city")}
+              className="suggest-input"
+              value={draft.city}
+              onChange={(e) => update({ city: e.target.value })}
+            >
+              <option value="">{t("suggest.chooseCity")}</option>
+              {cities.map((c) => (
+                <option key={c.id} value={c.name}>
+                  {c.displayName}
+                </option>
+              ))}
+            </select>
+            {fieldError("city")}
+
+            <label className="suggest-label" htmlFor="suggest-typetag">
+              {t("suggest.type")}
+            </label>
+            <select
+              {...fieldProps("typetag")}
+              className="suggest-input"
+              value={draft.typetag}
+              onChange={(e) => update({ typetag: e.target.value })}
+            >
+              <option value="">{t("suggest.chooseType")}</option>
+              {Object.entries(TYPE_GROUPS).map(([group, { icon }]) => (
+                <optgroup key={group} label={`${icon} ${typeLabel(group, locale)}`}>
+                  {Object.keys(TYPE_TAGS)
+                    .filter((type) => TYPE_TAGS[type].group === group)
+                    .map((type) => (
+                      <option key={type} value={type}>
+                        {typeLabel(type, locale)}
+                      </option>
+                    ))}
+                </optgroup>
+              ))}
+            </select>
+            {fieldError("typetag")}
+
+            <div className="suggest-label" id="suggest-tags-label">
+              {t("suggest.tags")}
+            </div>
+            <div className="chip-row" role="group" aria-labelledby="suggest-tags-label">
+              {Object.entries(SETTABLE_EXPERIENCE_TAGS).map(([tag, { icon }]) => (
+                <button
+                  key={tag}
+                  type="button"
+                  className={`chip ${draft.experiencetag.includes(tag) ? "chip-active" : ""}`}
+                  aria-pressed={draft.experiencetag.includes(tag)}
+                  onClick={() => toggleTag(tag)}
+                >
+                  {icon} {experienceLabel(tag, locale)}
+                </button>
+              ))}
+            </div>
+            {fieldError("experiencetag")}
+
+            <label className="suggest-label" htmlFor="suggest-description">
+              {t("suggest.description")}
+            </label>
+            <textarea
+              {...fieldProps("description")}
+              className="suggest-input"
+              rows={3}
+              value={draft.description}
+              onChange={(e) => update({ description: e.target.value })}
+            />
+            {fieldError("description")}
+
+            <label className="suggest-label" htmlFor="suggest-website">
+              {t("suggest.website")}
+            </label>
+            <input
+              {...fieldProps("website")}
+              className="suggest-input"
+              type="url"
+              inputMode="url"
+              placeholder="https://"
+              value={draft.website}
+              onChange={(e) => update({ website: e.target.value })}
+            />
+            {fieldError("website")}
+
+            <label className="suggest-label" htmlFor="suggest-photos">
+              {t("suggest.photos", { max: MAX_PHOTOS })}
+            </label>
+            <input
+              {...fieldProps("photos")}
+              type="file"
+              accept="image/*"
+              multiple
+              disabled={draft.photos.length >= MAX_PHOTOS || busy === "photos"}
+              onChange={addPhotos}
+            />
+            {draft.photos.length > 0 && (
+              <ul className="suggest-photos">
+                {draft.photos.map((photo, i) => (
+                  <li key={`${photo.name}-${i}`}>
+                    <img src={photo.dataUrl} alt={photo.name} />
+                    <button
+                      type="button"
+                      aria-label={t("suggest.removePhoto", { name: photo.name })}
+                      onClick={() =>
+                        update((prev) => ({ photos: prev.photos.filter((_, j) => j !== i) }))
+                      }
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {fieldError("photos")}
+
+            <button className="clear-btn" type="submit" disabled={busy === "photos"}>
+              {isOnline ? t("suggest.submit") : t("suggest.submitOffline")}
+            </button>
+          </form>
+        ) : (
+          <MySubmissions
+            submissions={submissions}
+            isOnline={isOnline}
+            onRemove={onRemove}
+            onRefresh={onRefresh}
+            formatDate={formatDate}
+          />
+        )}
+      </div>
+    </>
+  );
+}
+
+function MySubmissions({ submissions, isOnline, onRemove, onRefresh, formatDate }) {
+  const { t, locale } = useI18n();
+
+  if (submissions.length === 0) {
+    return <p className="offline-text">{t("suggest.none")}</p>;
+  }
+
+  return (
+    <>
+      <ul className="suggest-list">
+        {[...submissions].reverse().map((s) => {
+          const { icon } = SUBMISSION_STATUSES[s.status] ?? SUBMISSION_STATUSES.pending;
+          return (
+            <li key={s.id} className="suggest-item">
+              <div className="suggest-item-head">
+                <span className="suggest-item-name">{s.place.name}</span>
+                <span className={`suggest-status suggest-status-${s.status}`}>
+                  {icon} {t(`suggest.status.${s.status}`)}
+                </span>
+              </div>
+              <div className="suggest-item-meta">
+                {[
+                  s.city,
+                  typeLabel(s.place.typetag, locale),
+                  formatDate(new Date(s.createdAt), { month: "short", day: "numeric" }),
+                  s.photoCount > 0 && t("suggest.photoCount", { count: s.photoCount }),
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </div>
+              {(s.note || s.error) && <div className="suggest-item-note">{s.note || s.error}</div>}
+              {(s.status === "queued" || s.status === "invalid") && (
+                <button className="offline-small-btn" type="button" onClick={() => onRemove(s.id)}>
+                  {s.status === "queued" ? t("suggest.withdraw") : t("common.remove")}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        className="offline-small-btn suggest-refresh"
+        type="button"
+        disabled={!isOnline}
+        onClick={onRefresh}
+      >
+        {isOnline ? t("suggest.refresh") : t("suggest.offline")}
+      </button>
+    </>
+  );
+}
@@ -0,0 +1,43 @@
+import { describeGeometry } from "../lib/geometry";
+import { useI18n } from "../lib/i18n";
+import "./TrailInfo.css";
+
+/**
+ * Length, difficulty and surface of a trail, district or preserve in the
+ * bottom sheet, plus a note on how its distances are measured. Renders
+ * nothing for plain point landmarks.
+ */
+export default function TrailInfo({ landmark }) {
+  const { t, formatDistance } = useI18n();
+  const info = describeGeometry(landmark);
+  if (!info) return null;
+
+  return (
+    <div className="trail-info">
+      <ul className="trail-facts" aria-label={t("geometry.title")}>
+        {info.kind === "line" ? (
+          <li className="trail-fact">
+            <span aria-hidden="true">📏</span>{" "}
+            {t("geometry.length", { distance: formatDistance(info.lengthMi) })}
+          </li>
+        ) : (
+          <li className="trail-fact">
+            <span aria-hidden="true">🗺️</span> {t("geometry.area")}
+          </li>
+        )}
+        {info.details.map((detail) => (
+          <li key={detail.field} className="trail-fact">
+            <span aria-hidden="true">{detail.icon}</span>{" "}
+            {t("geometry.detail", {
+              label: t(`geometry.fields.${detail.field}`),
+              value: t(`geometry.values.${detail.field}.${detail.value}`),
+            })}
+          </li>
+        ))}
+      </ul>
+      <p className="trail-note">
+        {t(info.kind === "line" ? "geometry.lineNote" : "geometry.areaNote")}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { formatMinutes } from "../lib/itinerary";
+import { sortRoutes } from "../lib/transit";
+import { useI18n } from "../lib/i18n";
+import "./TransitInfo.css";
+
+/**
+ * "Getting here by bus" in the bottom sheet: the closest stops to a place
+ * with their walking time and the routes that serve them, from the bundled
+ * GTFS feed. Renders nothing when there's no feed.
+ */
+export default function TransitInfo({ transit, stops, showRoutes, onToggleRoutes }) {
+  const { t, formatDistance } = useI18n();
+  if (transit.stops.length === 0) return null;
+
+  const routesById = new Map(transit.routes.map((route) => [route.id, route]));
+
+  return (
+    <section className="transit-info" aria-labelledby="transit-info-title">
+      <h3 className="transit-info-title" id="transit-info-title">
+        🚌 {t("transit.title")}
+      </h3>
+
+      {stops.length === 0 ? (
+        <p className="transit-none">{t("transit.none")}</p>
+      ) : (
+        <ul className="transit-stops">
+          {stops.map((stop) => (
+            <li key={stop.id} className="transit-stop">
+              <div className="transit-stop-name">
+                {stop.name}
+                {stop.code && (
+                  <span className="transit-stop-code">
+                    {" "}
+                    · {t("transit.stopCode", { code: stop.code })}
+                  </span>
+                )}
+              </div>
+              <div className="transit-stop-meta">
+                🚶 {formatMinutes(stop.walkMinutes)} · {formatDistance(stop.distanceMi)}
+              </div>
+              {stop.routes.length > 0 && (
+                <ul className="transit-routes" aria-label={t("transit.routes")}>
+                  {sortRoutes(stop.routes.map((id) => routesById.get(id)).filter(Boolean)).map(
+                    (route) => (
+                      <li
+                        key={route.id}
+                        className="transit-route"
+                        style={{ background: route.color, color: route.textColor }}
+                        title={route.longName}
+                      >
+                        {route.shortName || route.longName}
+                      </li>
+                    )
+                  )}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        className="share-btn transit-toggle"
+        type="button"
+        aria-pressed={showRoutes}
+        onClick={onToggleRoutes}
+      >
+        {showRoutes ? t("transit.hideRoutes") : t("transit.showRoutes")}
+      </button>
+
+      {transit.feed?.name && (
+        <p className="transit-source">{t("transit.source", { name: transit.feed.name })}</p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,71 @@
+import L from "leaflet";
+import { TYPE_TAGS } from "../data/taxonomy";
+
+// ✅ Marker look per type tag, from the taxonomy. Anything not listed gets the fallback.
+export const TYPE_STYLES = {
+  ...Object.fromEntries(
+    Object.entries(TYPE_TAGS).map(([tag, { color, icon }]) => [tag, { color, icon }])
+  ),
+  Event: { color: "#e11d48", icon: "📅" },
+};
+
+const FALLBACK_STYLE = { color: "#667eea", icon: "📍" };
+
+export function getTypeStyle(type) {
+  return TYPE_STYLES[type] ?? FALLBACK_STYLE;
+}
+
+// Leaflet icons are plain objects, so build each variant once and reuse it
+const iconCache = new Map();
+
+export function getLandmarkIcon(type, { selected = false } = {}) {
+  const key = `${type}|${selected}`;
+  if (iconCache.has(key)) return iconCache.get(key);
+
+  const { color, icon } = getTypeStyle(type);
+  const size = selected ? 44 : 34;
+
+  const divIcon = L.divIcon({
+    className: "landmark-marker",
+    html: `<div class="marker-pin ${selected ? "marker-pin-selected" : ""}" style="--pin-color: ${color}">
+      <span class="marker-pin-icon">${icon}</span>
+    </div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size],
+    popupAnchor: [0, -size],
+  });
+
+  iconCache.set(key, divIcon);
+  return divIcon;
+}
+
+// ✅ Cluster bubble with the number of landmarks inside
+export function createClusterIcon(cluster) {
+  const count = cluster.getChildCount();
+  const size = count < 10 ? 36 : count < 50 ? 42 : 50;
+
+  return L.divIcon({
+    className: "landmark-cluster",
+    html: `<div class="cluster-bubble" aria-hidden="true"><span>${count}</span></div>
+      <span class="sr-only">${count} landmarks, press Enter to zoom in</span>`,
+    iconSize: [size, size],
+  });
+}
+
+// ✅ Numbered badge for trip stops, pinned to the top-right of the marker
+const stopIconCache = new Map();
+
+export function getStopIcon(number) {
+  if (!stopIconCache.has(number)) {
+    stopIconCache.set(
+      number,
+      L.divIcon({
+        className: "itinerary-marker",
+        html: `<div class="itinerary-marker-number">${number}</div>`,
+        iconSize: [22, 22],
+        iconAnchor: [-4, 44],
+      })
+    );
+  }
+  return stopIconCache.get(number);
+}
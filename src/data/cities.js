@@ -0,0 +1,71 @@
+// ✅ City registry
+//
+// Every `{ city, landmarks }` file dropped into src/data/cities is picked up
+// here automatically; adding Saratoga Springs or Cohoes is just a new JSON
+// file. Map metadata (displayName, center, zoom, bounds, boundary) is
+// optional in the file and derived from the landmarks when left out.
+
+const cityModules = import.meta.glob("./cities/*.json", { eager: true, import: "default" });
+
+const DEFAULT_CITY_ZOOM = 13;
+const BOUNDS_PADDING_DEG = 0.01;
+// Albany, Troy and Schenectady, for a registry with nothing placeable in it
+const FALLBACK_REGION_BOUNDS = [
+  [42.6, -74.0],
+  [42.85, -73.6],
+];
+
+function boundsOfLandmarks(landmarks) {
+  const lats = landmarks.map((lm) => lm.latitude).filter(Number.isFinite);
+  const lngs = landmarks.map((lm) => lm.longitude).filter(Number.isFinite);
+  if (lats.length === 0 || lngs.length === 0) return null;
+
+  return [
+    [Math.min(...lats) - BOUNDS_PADDING_DEG, Math.min(...lngs) - BOUNDS_PADDING_DEG],
+    [Math.max(...lats) + BOUNDS_PADDING_DEG, Math.max(...lngs) + BOUNDS_PADDING_DEG],
+  ];
+}
+
+function centerOfBounds([[south, west], [north, east]]) {
+  return [(south + north) / 2, (west + east) / 2];
+}
+
+function unionBounds(boundsList) {
+  if (boundsList.length === 0) return FALLBACK_REGION_BOUNDS;
+  return boundsList.reduce(
+    ([[s, w], [n, e]], [[s2, w2], [n2, e2]]) => [
+      [Math.min(s, s2), Math.min(w, w2)],
+      [Math.max(n, n2), Math.max(e, e2)],
+    ]
+  );
+}
+
+function toCityEntry(data) {
+  const bounds = data.bounds ?? boundsOfLandmarks(data.landmarks ?? []);
+
+  return {
+    id: data.city.toLowerCase(),
+    name: data.city,
+    displayName: data.displayName ?? data.city,
+    center: data.center ?? (bounds ? centerOfBounds(bounds) : null),
+    zoom: data.zoom ?? DEFAULT_CITY_ZOOM,
+    bounds,
+    boundary: data.boundary ?? null,
+    data,
+  };
+}
+
+export const cities = Object.values(cityModules)
+  .filter((data) => data && typeof data.city === "string" && Array.isArray(data.landmarks))
+  .map(toCityEntry)
+  .sort((a, b) => a.displayName.localeCompare(b.displayName));
+
+const citiesByName = new Map(cities.map((c) => [c.name, c]));
+
+export function getCity(name) {
+  return citiesByName.get(name) ?? null;
+}
+
+// Initial map view: everything the registry knows about.
+export const regionBounds = unionBounds(cities.map((c) => c.bounds).filter(Boolean));
+export const regionCenter = centerOfBounds(regionBounds);
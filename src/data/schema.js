@@ -0,0 +1,368 @@
+// ✅ Landmark schema for the city JSON files in src/data/cities
+//
+// Shared by the Vite plugin (build + dev server), the `validate:data` script
+// and anything else that needs to know what a city file should look like.
+
+import { validateHours } from "../lib/hours.js";
+import { validateEvent } from "../lib/events.js";
+import { validateTypeTag, validateExperienceTags } from "./taxonomy.js";
+import { validateAmenities } from "../lib/amenities.js";
+import { TRANSLATED_LOCALES, localizedKey } from "../lib/locales.js";
+import {
+  validateGeometry,
+  validateTrail,
+  geometryKind,
+  nearestPointOn,
+} from "../lib/geometry.js";
+
+// Rough box around the Capital Region. Anything outside is almost always a
+// swapped lat/lng or a dropped minus sign.
+export const CAPITAL_REGION_BOUNDS = {
+  minLat: 42.3,
+  maxLat: 43.3,
+  minLng: -74.5,
+  maxLng: -73.2,
+};
+
+// A marker further than this from its own line or area is probably misplaced
+export const MAX_MARKER_OFFSET_MI = 0.5;
+
+// Field definitions for a single landmark record.
+//   type:     "integer" | "number" | "string" | "string[]" | "object"
+//   required: must be present (an alias counts)
+//   nonEmpty: strings/arrays must not be empty
+//   format:   extra checks ("url", "latitude", "longitude")
+//   validate: custom check returning a list of messages
+export const LANDMARK_FIELDS = {
+  id: { type: "integer", required: true },
+  name: { type: "string", required: true, nonEmpty: true },
+  typetag: {
+    type: "string",
+    required: true,
+    nonEmpty: true,
+    aliases: ["type"],
+    validate: validateTypeTag,
+  },
+  experiencetag: { type: "string[]", required: true, validate: validateExperienceTags },
+  description: { type: "string", required: true, nonEmpty: true },
+  address: { type: "string" },
+  latitude: { type: "number", required: true, format: "latitude" },
+  longitude: { type: "number", required: true, format: "longitude" },
+  website: { type: "string", format: "url" },
+  images: { type: "string[]" },
+  hours: { type: "object", validate: validateHours },
+  amenities: { type: "object", validate: validateAmenities },
+  // Optional line or area next to the point (see lib/geometry.js)
+  geometry: { type: "object", validate: validateLandmarkGeometry },
+  trail: { type: "object", validate: validateTrail },
+  // Translated descriptions: description_es, ... (see lib/locales.js)
+  ...Object.fromEntries(
+    TRANSLATED_LOCALES.map((code) => [
+      localizedKey("description", code),
+      { type: "string", nonEmpty: true },
+    ])
+  ),
+};
+
+// Optional per-city metadata at the top of each file, next to `city` and
+// `landmarks`. The city registry fills in anything left out.
+//   center:   [lat, lng]
+//   bounds:   [[south, west], [north, east]]
+//   boundary: GeoJSON Polygon / MultiPolygon geometry
+export const CITY_FIELDS = {
+  displayName: { type: "string", nonEmpty: true },
+  center: { type: "latlng", format: "inRegion" },
+  zoom: { type: "integer", format: "zoom" },
+  bounds: { type: "bounds", format: "inRegion" },
+  boundary: { type: "geometry" },
+};
+
+const KNOWN_KEYS = new Set(
+  Object.entries(LANDMARK_FIELDS).flatMap(([key, def]) => [key, ...(def.aliases ?? [])])
+);
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// "typeTag", "type_tag", "Experience-Tag" -> the field they were meant to be
+function suggestField(key) {
+  const squash = (s) => s.toLowerCase().replace(/[^a-z]/g, "").replace(/s$/, "");
+  return Object.keys(LANDMARK_FIELDS).find((field) => squash(field) === squash(key));
+}
+
+function isLatLng(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    value.every((v) => typeof v === "number" && Number.isFinite(v))
+  );
+}
+
+// Geometry positions are [lng, lat] and must be in the region like the point
+function validateLandmarkGeometry(geometry) {
+  return validateGeometry(geometry, ([lng, lat]) =>
+    checkFormat([lat, lng], { format: "inRegion" })
+  );
+}
+
+function checkType(value, def) {
+  switch (def.type) {
+    case "integer":
+      return Number.isInteger(value) ? null : `expected an integer, got ${describeType(value)}`;
+    case "number":
+      return typeof value === "number" && Number.isFinite(value)
+        ? null
+        : `expected a number, got ${describeType(value)}`;
+    case "string":
+      return typeof value === "string" ? null : `expected a string, got ${describeType(value)}`;
+    case "latlng":
+      return isLatLng(value) ? null : "expected [lat, lng]";
+    case "bounds":
+      return Array.isArray(value) && value.length === 2 && value.every(isLatLng)
+        ? null
+        : "expected [[south, west], [north, east]]";
+    case "geometry":
+      return value && ["Polygon", "MultiPolygon"].includes(value.type) && Array.isArray(value.coordinates)
+        ? null
+        : "expected a GeoJSON Polygon or MultiPolygon";
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? null
+        : `expected an object, got ${describeType(value)}`;
+    case "string[]":
+      if (!Array.isArray(value)) return `expected an array of strings, got ${describeType(value)}`;
+      return value.every((v) => typeof v === "string")
+        ? null
+        : "expected an array of strings, found a non-string entry";
+    default:
+      return null;
+  }
+}
+
+function checkFormat(value, def) {
+  const { minLat, maxLat, minLng, maxLng } = CAPITAL_REGION_BOUNDS;
+
+  switch (def.format) {
+    case "latitude":
+      return value >= minLat && value <= maxLat
+        ? null
+        : `${value} is outside the Capital Region (${minLat} to ${maxLat})`;
+    case "longitude":
+      return value >= minLng && value <= maxLng
+        ? null
+        : `${value} is outside the Capital Region (${minLng} to ${maxLng})`;
+    case "inRegion": {
+      const points = isLatLng(value) ? [value] : value;
+      const outside = points.find(
+        ([lat, lng]) => lat < minLat || lat > maxLat || lng < minLng || lng > maxLng
+      );
+      return outside ? `[${outside.join(", ")}] is outside the Capital Region` : null;
+    }
+    case "zoom":
+      return value >= 1 && value <= 19 ? null : `zoom ${value} is outside 1-19`;
+    case "url":
+      if (value === "") return null; // empty means "no website"
+      return /^https?:\/\/\S+$/.test(value) ? null : `"${value}" is not an http(s) URL`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate one parsed city file.
+ *
+ * Returns a flat list of issues:
+ *   { severity: "error" | "warning", city, id, field, message }
+ * `id` is null for problems with the file itself.
+ */
+export function validateCityFile(cityFile, { source = "" } = {}) {
+  const issues = [];
+  const city = typeof cityFile?.city === "string" && cityFile.city ? cityFile.city : source || "?";
+
+  const report = (severity, id, field, message) =>
+    issues.push({ severity, city, id, field, message });
+
+  if (!cityFile || typeof cityFile !== "object" || Array.isArray(cityFile)) {
+    report("error", null, null, "file must be an object like { city, landmarks: [...] }");
+    return issues;
+  }
+
+  if (typeof cityFile.city !== "string" || !cityFile.city.trim()) {
+    report("error", null, "city", "missing city name");
+  }
+
+  Object.entries(CITY_FIELDS).forEach(([field, def]) => {
+    const value = cityFile[field];
+    if (value === undefined) return;
+
+    const error =
+      checkType(value, def) ??
+      (def.nonEmpty && !value.trim() ? "must not be empty" : null) ??
+      checkFormat(value, def);
+    if (error) report("error", null, field, error);
+  });
+
+  if (!Array.isArray(cityFile.landmarks)) {
+    report("error", null, "landmarks", `expected an array, got ${describeType(cityFile.landmarks)}`);
+    return issues;
+  }
+
+  const seenIds = new Map();
+
+  cityFile.landmarks.forEach((lm, index) => {
+    const id = lm && Number.isInteger(lm.id) ? lm.id : `#${index}`;
+
+    if (!lm || typeof lm !== "object" || Array.isArray(lm)) {
+      report("error", id, null, `landmark must be an object, got ${describeType(lm)}`);
+      return;
+    }
+
+    Object.entries(LANDMARK_FIELDS).forEach(([field, def]) => {
+      const key = [field, ...(def.aliases ?? [])].find((k) => lm[k] !== undefined);
+
+      if (key === undefined) {
+        if (def.required) report("error", id, field, "missing required field");
+        return;
+      }
+
+      const value = lm[key];
+      const typeError = checkType(value, def);
+      if (typeError) {
+        report("error", id, key, typeError);
+        return;
+      }
+
+      if (def.nonEmpty && (value.length === 0 || (typeof value === "string" && !value.trim()))) {
+        report("error", id, key, "must not be empty");
+        return;
+      }
+
+      const formatError = checkFormat(value, def);
+      if (formatError) report("error", id, key, formatError);
+
+      (def.validate?.(value) ?? []).forEach((message) => report("error", id, key, message));
+    });
+
+    if (
+      geometryKind(lm.geometry) &&
+      validateLandmarkGeometry(lm.geometry).length === 0 &&
+      Number.isFinite(lm.latitude) &&
+      Number.isFinite(lm.longitude)
+    ) {
+      const marker = { lat: lm.latitude, lng: lm.longitude };
+      const { distanceMi } = nearestPointOn({ ...marker, geometry: lm.geometry }, marker);
+      if (distanceMi > MAX_MARKER_OFFSET_MI) {
+        report(
+          "warning",
+          id,
+          "geometry",
+          `the marker is ${distanceMi.toFixed(1)} mi from its own line or area`
+        );
+      }
+    }
+
+    Object.keys(lm)
+      .filter((key) => !KNOWN_KEYS.has(key))
+      .forEach((key) => {
+        const suggestion = suggestField(key);
+        report(
+          "warning",
+          id,
+          key,
+          suggestion ? `unknown field (did you mean "${suggestion}"?)` : "unknown field"
+        );
+      });
+
+    if (Number.isInteger(lm.id)) {
+      if (seenIds.has(lm.id)) {
+        report("error", lm.id, "id", `duplicate id (also used by "${seenIds.get(lm.id)}")`);
+      } else {
+        seenIds.set(lm.id, lm.name ?? `#${index}`);
+      }
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validate several city files together. On top of the per-file checks this
+ * catches two files claiming the same city, which would collide on the
+ * `${city}-${id}` ids the app builds.
+ */
+export function validateCityFiles(files) {
+  const issues = [];
+  const seenCities = new Map();
+
+  files.forEach(({ source, data }) => {
+    issues.push(...validateCityFile(data, { source }));
+
+    const city = data?.city;
+    if (typeof city !== "string" || !city) return;
+
+    const key = city.toLowerCase();
+    if (seenCities.has(key)) {
+      issues.push({
+        severity: "error",
+        city,
+        id: null,
+        field: "city",
+        message: `city is also defined in ${seenCities.get(key)}`,
+      });
+    } else {
+      seenCities.set(key, source);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validate the events file against the landmarks it refers to. Issues use
+ * the same shape as the city checks, with city "events".
+ */
+export function validateEventsFile(eventsFile, cityFiles) {
+  const issues = [];
+  const report = (id, field, message) =>
+    issues.push({ severity: "error", city: "events", id, field, message });
+
+  if (!eventsFile || !Array.isArray(eventsFile.events)) {
+    report(null, "events", "file must be an object like { events: [...] }");
+    return issues;
+  }
+
+  const landmarkIds = new Set(
+    cityFiles
+      .filter(({ data }) => typeof data?.city === "string" && Array.isArray(data.landmarks))
+      .flatMap(({ data }) => data.landmarks.map((lm) => `${data.city.toLowerCase()}-${lm?.id}`))
+  );
+  const seen = new Set();
+
+  eventsFile.events.forEach((event, index) => {
+    const id = typeof event?.id === "string" && event.id ? event.id : `#${index}`;
+
+    if (!event || typeof event !== "object") {
+      report(id, null, "event must be an object");
+      return;
+    }
+    if (typeof event.id !== "string" || !event.id) report(id, "id", "missing id");
+    else if (seen.has(event.id)) report(id, "id", "duplicate id");
+    seen.add(event.id);
+
+    validateEvent(event, landmarkIds).forEach(([field, message]) => report(id, field, message));
+  });
+
+  return issues;
+}
+
+export function formatValidationIssues(issues) {
+  return issues
+    .map(({ severity, city, id, field, message }) => {
+      const where = [city, id != null ? `id ${id}` : null, field].filter(Boolean).join(" › ");
+      return `  ${severity === "error" ? "✖" : "⚠"} ${where}: ${message}`;
+    })
+    .join("\n");
+}
@@ -0,0 +1,341 @@
+// ✅ Tag taxonomy: the allowed type and experience tags
+//
+// City files may use any canonical tag or one of its aliases; aliases are
+// mapped to the canonical tag when the data is loaded, and anything else is
+// reported by the validator. Type tags belong to a parent group, and
+// filtering by a group matches every type in it.
+
+import { localizedField } from "../lib/locales.js";
+
+// Type tags: what a place is. `color` and `icon` style its map marker.
+// `label_es` / `description_es` are the Spanish text (see lib/locales.js).
+export const TYPE_TAGS = {
+  Museum: {
+    label: "Museum",
+    label_es: "Museo",
+    icon: "🏛️",
+    color: "#7c3aed",
+    group: "Arts & Culture",
+    description: "Museums, science centers and galleries",
+    description_es: "Museos, centros de ciencia y galerías",
+  },
+  Historic: {
+    label: "Historic",
+    label_es: "Histórico",
+    icon: "📜",
+    color: "#b45309",
+    group: "Arts & Culture",
+    description: "Landmarks, monuments and historic buildings",
+    description_es: "Monumentos y edificios históricos",
+  },
+  Arts: {
+    label: "Arts",
+    label_es: "Artes",
+    icon: "🎨",
+    color: "#c026d3",
+    group: "Arts & Culture",
+    description: "Public art, studios and arts centers",
+    description_es: "Arte público, estudios y centros de arte",
+  },
+  Park: {
+    label: "Park",
+    label_es: "Parque",
+    icon: "🌳",
+    color: "#16a34a",
+    group: "Nature",
+    description: "City parks, gardens and playgrounds",
+    description_es: "Parques urbanos, jardines y áreas de juego",
+  },
+  Preserve: {
+    label: "Preserve",
+    label_es: "Reserva",
+    icon: "🌲",
+    color: "#047857",
+    group: "Nature",
+    description: "Nature preserves, falls and wild areas",
+    description_es: "Reservas naturales, cascadas y zonas silvestres",
+  },
+  Scenic: {
+    label: "Scenic",
+    label_es: "Panorámico",
+    icon: "🌅",
+    color: "#0891b2",
+    group: "Nature",
+    description: "Overlooks, waterfronts and views",
+    description_es: "Miradores, paseos junto al agua y vistas",
+  },
+  Venue: {
+    label: "Venue",
+    label_es: "Escenario",
+    icon: "🎭",
+    color: "#db2777",
+    group: "Entertainment",
+    description: "Theaters, concert halls and performance spaces",
+    description_es: "Teatros, salas de conciertos y espacios de espectáculos",
+  },
+  Attraction: {
+    label: "Attraction",
+    label_es: "Atracción",
+    icon: "🎡",
+    color: "#ea580c",
+    group: "Entertainment",
+    description: "Aquariums, haunted attractions and other ticketed fun",
+    description_es: "Acuarios, casas embrujadas y otras diversiones con entrada",
+  },
+  Recreation: {
+    label: "Recreation",
+    label_es: "Recreación",
+    icon: "🚴",
+    color: "#65a30d",
+    group: "Entertainment",
+    description: "Trails, sports and active things to do",
+    description_es: "Senderos, deportes y actividades al aire libre",
+  },
+  District: {
+    label: "District",
+    label_es: "Barrio",
+    icon: "🏙️",
+    color: "#475569",
+    group: "Around Town",
+    description: "Neighborhoods and streets worth wandering",
+    description_es: "Barrios y calles para pasear",
+  },
+  Market: {
+    label: "Market",
+    label_es: "Mercado",
+    icon: "🧺",
+    color: "#ca8a04",
+    group: "Around Town",
+    description: "Farmers markets and food halls",
+    description_es: "Mercados de agricultores y de comida",
+  },
+  Shopping: {
+    label: "Shopping",
+    label_es: "Compras",
+    icon: "🛍️",
+    color: "#2563eb",
+    group: "Around Town",
+    description: "Malls and shopping streets",
+    description_es: "Centros comerciales y calles de tiendas",
+  },
+};
+
+// Parent groups for type tags, in display order
+export const TYPE_GROUPS = {
+  "Arts & Culture": {
+    label: "Arts & Culture",
+    label_es: "Arte y cultura",
+    icon: "🏛️",
+    description: "Museums, history and the arts",
+    description_es: "Museos, historia y artes",
+  },
+  Nature: {
+    label: "Nature",
+    label_es: "Naturaleza",
+    icon: "🌲",
+    description: "Parks, preserves and scenic spots",
+    description_es: "Parques, reservas y lugares panorámicos",
+  },
+  Entertainment: {
+    label: "Entertainment",
+    label_es: "Entretenimiento",
+    icon: "🎭",
+    description: "Shows, attractions and recreation",
+    description_es: "Espectáculos, atracciones y recreación",
+  },
+  "Around Town": {
+    label: "Around Town",
+    label_es: "Por la ciudad",
+    icon: "🏙️",
+    description: "Neighborhoods, markets and shopping",
+    description_es: "Barrios, mercados y compras",
+  },
+};
+
+// Experience tags: how a place fits into a day. `derived` tags are worked
+// out by the app (from the transit feed, see lib/transit.js) and can't be
+// set in a city file.
+export const EXPERIENCE_TAGS = {
+  Free: {
+    label: "Free",
+    label_es: "Gratis",
+    icon: "🆓",
+    description: "No admission charge",
+    description_es: "Entrada gratuita",
+  },
+  "Day Trip": {
+    label: "Day Trip",
+    label_es: "Excursión",
+    icon: "🗓️",
+    description: "Worth planning a day around",
+    description_es: "Vale la pena dedicarle un día",
+  },
+  Family: {
+    label: "Family",
+    label_es: "En familia",
+    icon: "👨‍👩‍👧",
+    description: "Good with kids",
+    description_es: "Ideal para ir con niños",
+  },
+  Outdoors: {
+    label: "Outdoors",
+    label_es: "Al aire libre",
+    icon: "🌤️",
+    description: "Mostly outside",
+    description_es: "Casi todo al aire libre",
+  },
+  Adventure: {
+    label: "Adventure",
+    label_es: "Aventura",
+    icon: "🧗",
+    description: "Hikes, climbs and getting muddy",
+    description_es: "Caminatas, escaladas y barro",
+  },
+  "Rainy Day": {
+    label: "Rainy Day",
+    label_es: "Día de lluvia",
+    icon: "☔",
+    description: "Indoors, good whatever the weather",
+    description_es: "Bajo techo, bien con cualquier clima",
+  },
+  Educational: {
+    label: "Educational",
+    label_es: "Educativo",
+    icon: "🎓",
+    description: "You'll learn something",
+    description_es: "Para aprender algo nuevo",
+  },
+  "Night Life": {
+    label: "Nightlife",
+    label_es: "Vida nocturna",
+    icon: "🌙",
+    description: "Open or best after dark",
+    description_es: "Abierto o mejor de noche",
+  },
+  Food: {
+    label: "Food",
+    label_es: "Comida",
+    icon: "🍽️",
+    description: "Places to eat and drink",
+    description_es: "Lugares para comer y beber",
+  },
+  Shopping: {
+    label: "Shopping",
+    label_es: "Compras",
+    icon: "🛍️",
+    description: "Somewhere to shop",
+    description_es: "Un lugar para ir de compras",
+  },
+  "Reachable by Bus": {
+    label: "Reachable by bus",
+    label_es: "Accesible en autobús",
+    icon: "🚌",
+    description: "A bus stop within about a five-minute walk",
+    description_es: "Con una parada de autobús a unos cinco minutos a pie",
+    derived: true,
+  },
+};
+
+// The experience tags a city file (or a suggestion) can use
+export const SETTABLE_EXPERIENCE_TAGS = Object.fromEntries(
+  Object.entries(EXPERIENCE_TAGS).filter(([, tag]) => !tag.derived)
+);
+
+// Old or alternative spellings -> canonical tag. Matching ignores case. Group
+// names can't be aliases: a group used as a type tag is an error.
+export const TYPE_ALIASES = {
+  Theater: "Venue",
+  Theatre: "Venue",
+  Garden: "Park",
+  Monument: "Historic",
+  Art: "Arts",
+  Gallery: "Arts",
+  Mall: "Shopping",
+  Neighborhood: "District",
+};
+
+export const EXPERIENCE_ALIASES = {
+  Indoors: "Rainy Day",
+  Indoor: "Rainy Day",
+  Nightlife: "Night Life",
+  Kids: "Family",
+  "Family Friendly": "Family",
+  Education: "Educational",
+  Outdoor: "Outdoors",
+};
+
+function resolver(tags, aliases) {
+  const lookup = new Map();
+  Object.keys(tags).forEach((tag) => lookup.set(tag.toLowerCase(), tag));
+  Object.entries(aliases).forEach(([alias, tag]) => lookup.set(alias.toLowerCase(), tag));
+  return (value) =>
+    typeof value === "string" ? lookup.get(value.trim().toLowerCase()) ?? null : null;
+}
+
+const resolveType = resolver(TYPE_TAGS, TYPE_ALIASES);
+const resolveExperience = resolver(EXPERIENCE_TAGS, EXPERIENCE_ALIASES);
+
+// Canonical type tag, or the value unchanged when it isn't known
+export function canonicalTypeTag(value) {
+  return resolveType(value) ?? value;
+}
+
+// Canonical experience tags, de-duplicated, unknown ones kept as they are
+export function canonicalExperienceTags(values) {
+  return Array.from(new Set(values.map((v) => resolveExperience(v) ?? v)));
+}
+
+export function isTypeGroup(value) {
+  return Object.hasOwn(TYPE_GROUPS, value);
+}
+
+// Type tags a type filter value stands for: a group's children, or itself
+export function expandTypeTag(value) {
+  return isTypeGroup(value)
+    ? Object.keys(TYPE_TAGS).filter((tag) => TYPE_TAGS[tag].group === value)
+    : [value];
+}
+
+// Display text in a locale; unknown tags show as they are. typeLabel also
+// covers groups, since a type filter can hold either.
+export function typeLabel(value, locale) {
+  return localizedField(TYPE_TAGS[value] ?? TYPE_GROUPS[value], "label", locale) ?? value;
+}
+
+export function experienceLabel(value, locale) {
+  return localizedField(EXPERIENCE_TAGS[value], "label", locale) ?? value;
+}
+
+// Tooltip text for a type, group or experience tag
+export function tagDescription(tags, value, locale) {
+  return localizedField(tags[value], "description", locale);
+}
+
+// Sort tags into taxonomy order; unknown ones go last, alphabetically
+export function sortByTaxonomy(values, tags) {
+  const order = Object.keys(tags);
+  const rank = (v) => (order.includes(v) ? order.indexOf(v) : order.length);
+  return [...values].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function unknownTagMessage(kind, value, tags) {
+  return `unknown ${kind} tag "${value}" (use one of: ${Object.keys(tags).join(", ")})`;
+}
+
+// Validator hooks for schema.js: a list of messages, empty when fine
+export function validateTypeTag(value) {
+  if (isTypeGroup(value)) {
+    return [`"${value}" is a group; use one of: ${expandTypeTag(value).join(", ")}`];
+  }
+  if (resolveType(value)) return [];
+  return [unknownTagMessage("type", value, TYPE_TAGS)];
+}
+
+export function validateExperienceTags(values) {
+  return values.flatMap((value) => {
+    const tag = resolveExperience(value);
+    if (!tag) return [unknownTagMessage("experience", value, SETTABLE_EXPERIENCE_TAGS)];
+    if (EXPERIENCE_TAGS[tag].derived) return [`"${tag}" is added by the app; leave it out`];
+    return [];
+  });
+}
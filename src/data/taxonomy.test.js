@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalTypeTag, validateTypeTag } from "./taxonomy.js";
+import { validateCityFile } from "./schema.js";
+
+const cityWith = (typetag) => ({
+  city: "Albany",
+  landmarks: [
+    {
+      id: 1,
+      name: "Washington Park",
+      typetag,
+      experiencetag: [],
+      description: "Park",
+      latitude: 42.6555,
+      longitude: -73.7686,
+    },
+  ],
+});
+
+test("aliases resolve to their tag, ignoring case", () => {
+  assert.equal(canonicalTypeTag("theatre"), "Venue");
+  assert.deepEqual(validateTypeTag("Garden"), []);
+});
+
+test("a group name used as a type tag is an error, not an alias", () => {
+  ["Nature", "Entertainment"].forEach((group) => {
+    assert.equal(canonicalTypeTag(group), group);
+    const [issue, ...rest] = validateCityFile(cityWith(group));
+    assert.deepEqual(rest, []);
+    assert.equal(issue.field, "typetag");
+    assert.match(issue.message, new RegExp(`^"${group}" is a group; use one of: `));
+  });
+});
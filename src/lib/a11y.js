@@ -0,0 +1,110 @@
+// ✅ Accessibility helpers: overlay focus handling and keyboard-operable markers
+
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(", ");
+
+export function focusableWithin(container) {
+  if (!container) return [];
+  return Array.from(container.querySelectorAll(FOCUSABLE)).filter(
+    (el) => el.getClientRects().length > 0
+  );
+}
+
+/**
+ * Focus handling for an overlay (bottom sheet, drawer, modals). While
+ * `active`, focus moves into the overlay, Tab cycles inside it and Escape
+ * calls `onClose`; when it closes, focus goes back to whatever had it before
+ * (or to `fallbackFocus()` when that element is gone, e.g. a re-rendered
+ * marker).
+ *
+ * Returns props to spread on the overlay element.
+ */
+export function useDialogFocus(active, onClose, { fallbackFocus } = {}) {
+  const ref = useRef(null);
+  const onCloseRef = useRef(onClose);
+  const fallbackRef = useRef(fallbackFocus);
+  onCloseRef.current = onClose;
+  fallbackRef.current = fallbackFocus;
+
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const previous = document.activeElement;
+    const container = ref.current;
+    if (container && !container.contains(document.activeElement)) {
+      const [first] = focusableWithin(container);
+      (first ?? container).focus({ preventScroll: true });
+    }
+
+    return () => {
+      const target =
+        previous && previous !== document.body && previous.isConnected
+          ? previous
+          : fallbackRef.current?.();
+      target?.focus?.({ preventScroll: true });
+    };
+  }, [active]);
+
+  function onKeyDown(e) {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      onCloseRef.current?.();
+      return;
+    }
+    if (e.key !== "Tab") return;
+
+    const items = focusableWithin(ref.current);
+    if (items.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  return { ref, onKeyDown, tabIndex: -1 };
+}
+
+/**
+ * Gives a react-leaflet <Marker> an accessible name and lets Enter/Space open
+ * it (Leaflet makes markers focusable buttons, but only fires click for the
+ * mouse). The name is set whenever the marker is added to the map, and again
+ * on the marker already there when `label` changes (e.g. a locale switch).
+ *
+ * Returns { ref, eventHandlers } to pass to the marker.
+ */
+export function useMarkerA11y(label, onActivate) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    ref.current?.getElement()?.setAttribute("aria-label", label);
+  }, [label]);
+
+  return {
+    ref,
+    eventHandlers: {
+      add: (e) => e.target.getElement()?.setAttribute("aria-label", label),
+      keydown: (e) => {
+        const { key } = e.originalEvent;
+        if (key !== "Enter" && key !== " ") return;
+        e.originalEvent.preventDefault();
+        onActivate();
+      },
+    },
+  };
+}
@@ -0,0 +1,144 @@
+// ✅ Accessibility and amenities
+//
+// Landmarks may carry an optional `amenities` object. Every field is
+// optional, and a field that is left out means "unknown", never "no":
+//
+//   "amenities": {
+//     "wheelchair": "full",        // "full" | "partial" | "none"
+//     "accessibleRestroom": true,
+//     "parking": "paid",           // "free" | "paid" | "street" | "none"
+//     "bikeRacks": true,
+//     "petFriendly": false,
+//     "busStop": true,             // a CDTA stop within a short walk
+//     "cost": "free"               // "free" | "low" | "medium" | "high"
+//   }
+
+// Field definitions, in the order the bottom sheet shows them.
+//   values: allowed values -> short label (booleans use yes/no)
+export const AMENITY_FIELDS = {
+  wheelchair: {
+    icon: "♿",
+    label: "Wheelchair access",
+    values: { full: "Step-free", partial: "Partly step-free", none: "Not step-free" },
+  },
+  accessibleRestroom: {
+    icon: "🚻",
+    label: "Accessible restroom",
+    values: { true: "Accessible restroom", false: "No accessible restroom" },
+  },
+  parking: {
+    icon: "🅿️",
+    label: "Parking",
+    values: {
+      free: "Free parking",
+      paid: "Paid parking",
+      street: "Street parking",
+      none: "No parking",
+    },
+  },
+  bikeRacks: {
+    icon: "🚲",
+    label: "Bike racks",
+    values: { true: "Bike racks", false: "No bike racks" },
+  },
+  petFriendly: {
+    icon: "🐕",
+    label: "Pet policy",
+    values: { true: "Pet-friendly", false: "No pets" },
+  },
+  busStop: {
+    icon: "🚌",
+    label: "Bus access",
+    values: { true: "Bus stop nearby", false: "No bus nearby" },
+  },
+  cost: {
+    icon: "💲",
+    label: "Admission",
+    values: { free: "Free entry", low: "Under $10", medium: "$10–25", high: "Over $25" },
+  },
+};
+
+// Amenity filters for the Filters tab. A place with the field unknown never
+// passes unless the user asks to include unknowns.
+export const AMENITY_FILTERS = {
+  "step-free": { field: "wheelchair", label: "♿ Step-free", test: (v) => v === "full" },
+  "accessible-restroom": {
+    field: "accessibleRestroom",
+    label: "🚻 Accessible restroom",
+    test: (v) => v === true,
+  },
+  parking: {
+    field: "parking",
+    label: "🅿️ Parking",
+    test: (v) => ["free", "paid", "street"].includes(v),
+  },
+  "free-parking": { field: "parking", label: "🅿️ Free parking", test: (v) => v === "free" },
+  "bike-racks": { field: "bikeRacks", label: "🚲 Bike racks", test: (v) => v === true },
+  "pet-friendly": { field: "petFriendly", label: "🐕 Pet-friendly", test: (v) => v === true },
+  "bus-stop": { field: "busStop", label: "🚌 Bus nearby", test: (v) => v === true },
+  "free-entry": { field: "cost", label: "💲 Free entry", test: (v) => v === "free" },
+  "under-10": { field: "cost", label: "💲 Under $10", test: (v) => ["free", "low"].includes(v) },
+};
+
+const isBooleanField = (def) => Object.hasOwn(def.values, "true");
+
+// Every field present, null where the data doesn't say
+export function normalizeAmenities(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  return Object.fromEntries(
+    Object.keys(AMENITY_FIELDS).map((field) => [field, source[field] ?? null])
+  );
+}
+
+/**
+ * One entry per field for the bottom sheet:
+ *   { field, icon, label, value, text, known }
+ * Unknown fields read "<label> unknown" rather than a "no".
+ */
+export function describeAmenities(amenities) {
+  return Object.entries(AMENITY_FIELDS).map(([field, def]) => {
+    const value = amenities?.[field] ?? null;
+    const known = value !== null;
+    return {
+      field,
+      icon: def.icon,
+      label: def.label,
+      value,
+      known,
+      text: known ? def.values[String(value)] : `${def.label} unknown`,
+    };
+  });
+}
+
+/**
+ * Whether a landmark's amenities pass every selected filter id. Unknown
+ * values fail unless `includeUnknown` is set.
+ */
+export function matchesAmenities(amenities, filterIds, { includeUnknown = false } = {}) {
+  return filterIds.every((id) => {
+    const filter = AMENITY_FILTERS[id];
+    if (!filter) return true;
+    const value = amenities?.[filter.field] ?? null;
+    return value === null ? includeUnknown : filter.test(value);
+  });
+}
+
+export function validateAmenities(amenities) {
+  if (!amenities || typeof amenities !== "object" || Array.isArray(amenities)) {
+    return ["amenities must be an object"];
+  }
+
+  return Object.entries(amenities).flatMap(([field, value]) => {
+    const def = AMENITY_FIELDS[field];
+    if (value === null && def) return []; // explicit "unknown"
+    if (!def) {
+      return [`amenities: unknown field "${field}" (use ${Object.keys(AMENITY_FIELDS).join(", ")})`];
+    }
+    if (isBooleanField(def)) {
+      return typeof value === "boolean" ? [] : [`amenities.${field} must be true or false`];
+    }
+    return Object.hasOwn(def.values, value)
+      ? []
+      : [`amenities.${field} must be one of: ${Object.keys(def.values).join(", ")}`];
+  });
+}
@@ -0,0 +1,128 @@
+// ✅ JSON backup / restore of everything the app keeps in localStorage
+//
+//   {
+//     "app": "capital-region-explorer",
+//     "version": 2,
+//     "exportedAt": "2026-10-18T14:02:11.000Z",
+//     "savedLists": { "lists": [...], "places": { ... } },   // see lib/lists.js
+//     "checkIns": [{ "landmarkId": "troy-1", "at": "...", ... }],  // see lib/checkins.js
+//     "itineraries": [{ "id": "...", "name": "...", "stops": [...], "mode": "walk" }],
+//     "activeItinerary": "...",
+//     "preferences": { "darkMode": true }
+//   }
+//
+// Restoring checks every landmark id against the current datasets; ids that
+// no longer exist are dropped and reported rather than failing the restore.
+// Version 1 backups (a flat "savedLandmarks" id array) restore into the
+// default list.
+
+import { TRAVEL_MODES } from "./itinerary.js";
+import { normalizeListsState } from "./lists.js";
+
+export const BACKUP_APP = "capital-region-explorer";
+export const BACKUP_VERSION = 2;
+
+export function createBackup({ savedLists, checkIns, itineraries, activeItinerary, preferences }) {
+  return JSON.stringify(
+    {
+      app: BACKUP_APP,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      savedLists,
+      checkIns,
+      itineraries,
+      activeItinerary,
+      preferences,
+    },
+    null,
+    2
+  );
+}
+
+export function backupFilename(date = new Date()) {
+  return `capital-region-explorer-backup-${date.toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Why a file couldn't be restored. `code` is "invalidJson", "notBackup" or
+ * "newerVersion", for the UI to translate; the message is for logs.
+ */
+export class BackupError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "BackupError";
+    this.code = code;
+  }
+}
+
+const isIdList = (value) => Array.isArray(value) && value.every((id) => typeof id === "string");
+
+/**
+ * Parses and checks a backup file. Throws a BackupError when it isn't one;
+ * otherwise returns the cleaned-up contents plus `missingIds`, the landmark
+ * ids that aren't in `knownIds` any more. `names` fills in missing names: the
+ * list names of normalizeListsState() plus `restoredTrip`.
+ */
+export function parseBackup(text, knownIds, names) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new BackupError("invalidJson", "Not valid JSON");
+  }
+
+  if (data?.app !== BACKUP_APP || typeof data.version !== "number") {
+    throw new BackupError("notBackup", `Not a ${BACKUP_APP} backup`);
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new BackupError(
+      "newerVersion",
+      `Backup version ${data.version} is newer than ${BACKUP_VERSION}`
+    );
+  }
+
+  const missing = new Set();
+  const keepKnown = (ids) =>
+    ids.filter((id) => {
+      if (knownIds.has(id)) return true;
+      missing.add(id);
+      return false;
+    });
+
+  const lists = normalizeListsState(
+    data.version >= 2 ? data.savedLists : null,
+    names,
+    data.version < 2 ? data.savedLandmarks : null
+  );
+  const savedLists = {
+    lists: lists.lists.map((list) => ({ ...list, items: keepKnown(list.items) })),
+    places: Object.fromEntries(
+      Object.entries(lists.places).filter(([id]) => knownIds.has(id))
+    ),
+  };
+
+  const checkIns = (Array.isArray(data.checkIns) ? data.checkIns : [])
+    .filter((c) => c && typeof c.landmarkId === "string" && typeof c.at === "string")
+    .filter((c) => keepKnown([c.landmarkId]).length > 0);
+
+  const itineraries = (Array.isArray(data.itineraries) ? data.itineraries : [])
+    .filter((it) => it && typeof it.id === "string" && isIdList(it.stops))
+    .map((it) => ({
+      id: it.id,
+      name: typeof it.name === "string" && it.name ? it.name : names.restoredTrip,
+      stops: keepKnown(it.stops),
+      mode: TRAVEL_MODES[it.mode] ? it.mode : "walk",
+    }));
+
+  const preferences =
+    data.preferences && typeof data.preferences === "object" ? data.preferences : {};
+
+  return {
+    savedLists,
+    checkIns,
+    itineraries,
+    activeItinerary: typeof data.activeItinerary === "string" ? data.activeItinerary : null,
+    preferences: { darkMode: preferences.darkMode === true },
+    missingIds: [...missing],
+  };
+}
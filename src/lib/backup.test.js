@@ -0,0 +1,108 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { BACKUP_APP, BackupError, createBackup, parseBackup } from "./backup.js";
+
+const KNOWN = new Set(["troy-1", "albany-2", "albany-6"]);
+const NAMES = { defaultList: "Guardados", untitledList: "Sin nombre", restoredTrip: "Restaurado" };
+const TRIP = { id: "trip-1", name: "Saturday", stops: ["albany-2", "troy-1"], mode: "drive" };
+
+const backup = (fields) => JSON.stringify({ app: BACKUP_APP, version: 2, ...fields });
+
+describe("parseBackup", () => {
+  test("restores what createBackup wrote", () => {
+    const text = createBackup({
+      savedLists: {
+        lists: [{ id: "saved", name: "Saved", items: ["troy-1", "albany-6"] }],
+        places: { "troy-1": { note: "Go after rain", visitedAt: "2026-10-11" } },
+      },
+      checkIns: [{ landmarkId: "troy-1", at: "2026-10-11T15:04:05.000Z", distanceM: 31 }],
+      itineraries: [TRIP],
+      activeItinerary: "trip-1",
+      preferences: { darkMode: true },
+    });
+
+    assert.deepEqual(parseBackup(text, KNOWN, NAMES), {
+      savedLists: {
+        lists: [{ id: "saved", name: "Saved", items: ["troy-1", "albany-6"] }],
+        places: { "troy-1": { note: "Go after rain", visitedAt: "2026-10-11" } },
+      },
+      checkIns: [{ landmarkId: "troy-1", at: "2026-10-11T15:04:05.000Z", distanceM: 31 }],
+      itineraries: [TRIP],
+      activeItinerary: "trip-1",
+      preferences: { darkMode: true },
+      missingIds: [],
+    });
+  });
+
+  test("drops and reports ids that no longer exist", () => {
+    const restored = parseBackup(
+      backup({
+        savedLists: {
+          lists: [{ id: "saved", name: "Saved", items: ["troy-1", "troy-99"] }],
+          places: { "troy-99": { note: "Gone", visitedAt: null } },
+        },
+        checkIns: [{ landmarkId: "albany-50", at: "2026-10-11T15:04:05.000Z" }],
+        itineraries: [{ id: "trip-1", name: "Trip", stops: ["troy-99", "albany-2"], mode: "walk" }],
+      }),
+      KNOWN,
+      NAMES
+    );
+
+    assert.deepEqual(restored.savedLists.lists[0].items, ["troy-1"]);
+    assert.deepEqual(restored.savedLists.places, {});
+    assert.deepEqual(restored.checkIns, []);
+    assert.deepEqual(restored.itineraries[0].stops, ["albany-2"]);
+    assert.deepEqual(restored.missingIds.sort(), ["albany-50", "troy-99"]);
+  });
+
+  test("a list without a name gets the untitled name", () => {
+    const restored = parseBackup(
+      backup({ savedLists: { lists: [{ id: "list-1", name: " ", items: [] }], places: {} } }),
+      KNOWN,
+      NAMES
+    );
+    assert.equal(restored.savedLists.lists[0].name, "Sin nombre");
+  });
+
+  test("fills in what a backup leaves out", () => {
+    const restored = parseBackup(
+      backup({ itineraries: [{ id: "trip-1", stops: ["troy-1"], mode: "teleport" }] }),
+      KNOWN,
+      NAMES
+    );
+    assert.deepEqual(restored.savedLists.lists, [{ id: "saved", name: "Guardados", items: [] }]);
+    assert.deepEqual(restored.checkIns, []);
+    assert.equal(restored.itineraries[0].name, "Restaurado");
+    assert.equal(restored.itineraries[0].mode, "walk");
+    assert.equal(restored.activeItinerary, null);
+    assert.deepEqual(restored.preferences, { darkMode: false });
+  });
+
+  test("a version 1 backup restores into the default list", () => {
+    const restored = parseBackup(
+      JSON.stringify({ app: BACKUP_APP, version: 1, savedLandmarks: ["albany-6", "troy-7"] }),
+      KNOWN,
+      NAMES
+    );
+    assert.deepEqual(restored.savedLists.lists.map((list) => list.items), [["albany-6"]]);
+    assert.deepEqual(restored.missingIds, ["troy-7"]);
+  });
+
+  test("throws a BackupError with a code for files it can't restore", () => {
+    const codeOf = (text) => {
+      try {
+        parseBackup(text, KNOWN, NAMES);
+      } catch (err) {
+        assert.ok(err instanceof BackupError);
+        return err.code;
+      }
+      return null;
+    };
+
+    assert.equal(codeOf("{ not json"), "invalidJson");
+    assert.equal(codeOf(JSON.stringify({ app: "something-else", version: 2 })), "notBackup");
+    assert.equal(codeOf(JSON.stringify([])), "notBackup");
+    assert.equal(codeOf(JSON.stringify({ app: BACKUP_APP })), "notBackup");
+    assert.equal(codeOf(JSON.stringify({ app: BACKUP_APP, version: 3 })), "newerVersion");
+  });
+});
@@ -0,0 +1,216 @@
+// ✅ Location-verified check-ins and the passport built from them
+//
+// A check-in is only allowed when the device's reported position is within
+// CHECKIN_RADIUS_M of the landmark and its accuracy is MAX_ACCURACY_M or
+// better. Each one is stored in localStorage under "checkIns" with the
+// position it was made from:
+//
+//   { "landmarkId": "troy-1", "at": "2026-10-18T15:04:05.000Z",
+//     "lat": 42.7481, "lng": -73.6544, "accuracy": 12, "distanceM": 31 }
+//
+// Progress and badges are always derived from that list, never stored. Days
+// and times of day are New York's, like opening hours (see lib/hours.js).
+
+import { nearestPointOn } from "./geometry.js";
+import { zonedParts } from "./hours.js";
+import { todayString } from "./lists.js";
+
+export const CHECKIN_RADIUS_M = 150;
+export const MAX_ACCURACY_M = 50;
+
+const METERS_PER_MILE = 1609.344;
+
+/**
+ * Whether the user can check in at a landmark right now:
+ *   { ok, code, reason, distanceM }
+ * `code` ("no-location" | "imprecise" | "too-far") names the reason for
+ * translated messages. A fix without a reported accuracy counts as imprecise.
+ */
+export function checkInEligibility(landmark, userLocation) {
+  if (!userLocation) {
+    return {
+      ok: false,
+      code: "no-location",
+      reason: "Turn on location to check in",
+      distanceM: null,
+    };
+  }
+
+  // A trail or area counts from its nearest point, so anywhere along it works
+  const distanceM = nearestPointOn(landmark, userLocation).distanceMi * METERS_PER_MILE;
+  const accuracy = userLocation.accuracy ?? Infinity;
+
+  if (accuracy > MAX_ACCURACY_M) {
+    return {
+      ok: false,
+      code: "imprecise",
+      reason: "Waiting for a more precise location…",
+      distanceM,
+    };
+  }
+  if (distanceM > CHECKIN_RADIUS_M) {
+    return {
+      ok: false,
+      code: "too-far",
+      reason: `Get within ${CHECKIN_RADIUS_M} m to check in`,
+      distanceM,
+    };
+  }
+  return { ok: true, code: null, reason: null, distanceM };
+}
+
+export function createCheckIn(landmark, userLocation, now = new Date()) {
+  const { distanceM } = checkInEligibility(landmark, userLocation);
+  return {
+    landmarkId: landmark.id,
+    at: now.toISOString(),
+    lat: Number(userLocation.lat.toFixed(5)),
+    lng: Number(userLocation.lng.toFixed(5)),
+    accuracy: Math.round(userLocation.accuracy ?? 0),
+    distanceM: Math.round(distanceM),
+  };
+}
+
+// The New York date a check-in was made on, as "YYYY-MM-DD"
+export function checkInDay(checkIn) {
+  return todayString(new Date(checkIn.at));
+}
+
+// One check-in per place per day is enough
+export function checkedInToday(checkIns, landmarkId, now = new Date()) {
+  const today = todayString(now);
+  return checkIns.some((c) => c.landmarkId === landmarkId && checkInDay(c) === today);
+}
+
+// First check-in per landmark, oldest first
+export function stampsOf(checkIns) {
+  const first = new Map();
+  [...checkIns]
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .forEach((c) => {
+      if (!first.has(c.landmarkId)) first.set(c.landmarkId, c);
+    });
+  return Array.from(first.values());
+}
+
+function tally(landmarks, visitedIds, keyOf) {
+  const groups = new Map();
+  landmarks.forEach((lm) => {
+    const key = keyOf(lm);
+    if (!key) return;
+    const group = groups.get(key) ?? { key, visited: 0, total: 0 };
+    group.total += 1;
+    if (visitedIds.has(lm.id)) group.visited += 1;
+    groups.set(key, group);
+  });
+  return Array.from(groups.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * { visited, total, byCity: [{ key, visited, total }], byType: [...] }
+ */
+export function passportProgress(landmarks, checkIns) {
+  const visitedIds = new Set(checkIns.map((c) => c.landmarkId));
+  return {
+    visited: landmarks.filter((lm) => visitedIds.has(lm.id)).length,
+    total: landmarks.length,
+    byCity: tally(landmarks, visitedIds, (lm) => lm.city),
+    byType: tally(landmarks, visitedIds, (lm) => lm.typetag),
+  };
+}
+
+const countWhere = (stamps, landmarksById, test) =>
+  stamps.filter((s) => {
+    const lm = landmarksById.get(s.landmarkId);
+    return lm && test(lm);
+  }).length;
+
+/**
+ * Badge definitions for the current datasets. City badges are generated per
+ * city so a new city file brings its own.
+ */
+export function badgeDefinitions(cities) {
+  return [
+    {
+      id: "first-stamp",
+      icon: "🎟️",
+      title: "First Stamp",
+      description: "Check in anywhere",
+      earned: ({ stamps }) => stamps.length >= 1,
+    },
+    {
+      id: "tri-city",
+      icon: "🧭",
+      title: "Tri-City Traveler",
+      description: `Check in at least once in each of ${cities.map((c) => c.displayName).join(", ")}`,
+      earned: ({ progress }) => progress.byCity.every((c) => c.visited > 0),
+    },
+    {
+      id: "museum-buff",
+      icon: "🏛️",
+      title: "Museum Buff",
+      description: "Check in at 3 museums",
+      earned: ({ stamps, landmarksById }) =>
+        countWhere(stamps, landmarksById, (lm) => lm.typetag === "Museum") >= 3,
+    },
+    {
+      id: "trail-blazer",
+      icon: "🥾",
+      title: "Trail Blazer",
+      description: "Check in at 5 outdoor places",
+      earned: ({ stamps, landmarksById }) =>
+        countWhere(stamps, landmarksById, (lm) => lm.experiencetag.includes("Outdoors")) >= 5,
+    },
+    {
+      id: "night-owl",
+      icon: "🦉",
+      title: "Night Owl",
+      description: "Check in after 8 PM",
+      earned: ({ stamps }) => stamps.some((s) => zonedParts(new Date(s.at)).minutes >= 20 * 60),
+    },
+    ...cities.map((city) => ({
+      id: `city-${city.id}`,
+      icon: "🏅",
+      title: `${city.displayName} Complete`,
+      description: `Check in at every ${city.displayName} landmark`,
+      earned: ({ progress }) => {
+        const entry = progress.byCity.find((c) => c.key === city.name);
+        return Boolean(entry) && entry.visited === entry.total;
+      },
+    })),
+    {
+      id: "capital-champion",
+      icon: "👑",
+      title: "Capital Region Champion",
+      description: "Check in at every landmark on the map",
+      earned: ({ progress }) => progress.total > 0 && progress.visited === progress.total,
+    },
+  ];
+}
+
+/**
+ * Every badge with `earnedAt`: the time of the check-in that completed it,
+ * found by replaying stamps in order, or null when not earned yet.
+ */
+export function computeBadges(cities, landmarks, checkIns) {
+  const landmarksById = new Map(landmarks.map((lm) => [lm.id, lm]));
+  const stamps = stampsOf(checkIns);
+  const definitions = badgeDefinitions(cities);
+  const earnedAt = new Map();
+
+  stamps.forEach((stamp, i) => {
+    const sofar = stamps.slice(0, i + 1);
+    const context = { stamps: sofar, landmarksById, progress: passportProgress(landmarks, sofar) };
+    definitions.forEach((badge) => {
+      if (!earnedAt.has(badge.id) && badge.earned(context)) earnedAt.set(badge.id, stamp.at);
+    });
+  });
+
+  return definitions.map(({ id, icon, title, description }) => ({
+    id,
+    icon,
+    title,
+    description,
+    earnedAt: earnedAt.get(id) ?? null,
+  }));
+}
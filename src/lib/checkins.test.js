@@ -0,0 +1,58 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { checkInEligibility, checkInDay, checkedInToday, computeBadges } from "./checkins.js";
+
+const MUSEUM = {
+  id: "albany-1",
+  lat: 42.65,
+  lng: -73.76,
+  city: "Albany",
+  typetag: "Museum",
+  experiencetag: [],
+};
+
+// About 111 m per thousandth of a degree of latitude
+const north = (meters, accuracy) => ({
+  lat: MUSEUM.lat + meters / 111_195,
+  lng: MUSEUM.lng,
+  accuracy,
+});
+
+describe("checkInEligibility", () => {
+  test("within the radius with a sharp fix", () => {
+    const { ok, distanceM } = checkInEligibility(MUSEUM, north(100, 10));
+    assert.equal(ok, true);
+    assert.equal(Math.round(distanceM), 100);
+  });
+
+  test("a loose fix doesn't stretch the radius", () => {
+    assert.equal(checkInEligibility(MUSEUM, north(180, 45)).code, "too-far");
+    assert.equal(checkInEligibility(MUSEUM, north(400, 250)).code, "imprecise");
+  });
+
+  test("needs a location with a reported accuracy", () => {
+    assert.equal(checkInEligibility(MUSEUM, null).code, "no-location");
+    assert.equal(checkInEligibility(MUSEUM, north(20)).code, "imprecise");
+  });
+});
+
+test("a day is a New York day, whatever the device's time zone", () => {
+  // 11:30 PM on the 17th in New York; then 10 PM that day, and 12:30 AM on the 18th
+  const checkIns = [{ landmarkId: MUSEUM.id, at: "2026-10-18T03:30:00.000Z" }];
+  assert.equal(checkedInToday(checkIns, MUSEUM.id, new Date("2026-10-18T02:00:00Z")), true);
+  assert.equal(checkedInToday(checkIns, MUSEUM.id, new Date("2026-10-18T04:30:00Z")), false);
+});
+
+test("an evening check-in is visited on its New York date", () => {
+  // 9:45 PM EDT on October 17 is already the 18th in UTC
+  assert.equal(checkInDay({ landmarkId: MUSEUM.id, at: "2026-10-18T01:45:00.000Z" }), "2026-10-17");
+  assert.equal(checkInDay({ landmarkId: MUSEUM.id, at: "2026-10-17T14:00:00.000Z" }), "2026-10-17");
+});
+
+test("Night Owl counts New York evening check-ins", () => {
+  const nightOwl = (at) =>
+    computeBadges([], [MUSEUM], [{ landmarkId: MUSEUM.id, at }]).find((b) => b.id === "night-owl");
+  // 8:15 PM EDT is past midnight UTC; 2 PM EDT is 18:00 UTC
+  assert.equal(nightOwl("2026-10-18T00:15:00.000Z").earnedAt, "2026-10-18T00:15:00.000Z");
+  assert.equal(nightOwl("2026-10-17T18:00:00.000Z").earnedAt, null);
+});
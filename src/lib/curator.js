@@ -0,0 +1,178 @@
+// ✅ Curator mode: edit city files in the browser and download them again
+//
+// Curators fix coordinates, tags and descriptions on the map itself instead
+// of hunting for the record in src/data/cities. Edits are made to a copy of
+// the raw city file ({ city, landmarks: [...] }, the same shape as on disk)
+// so the download can replace the original as-is:
+//
+//   let file = updateRecord(albany, 3, { latitude: 42.65012, typetag: "Park" });
+//   ({ file } = addRecord(file, albany, { name: "New place", latitude, longitude }));
+//   diffCityFile(albany, file);   // what changed, for review
+//   formatCityFile(file);         // JSON text in the repo's layout
+//
+// Existing ids never change; new landmarks get the next free number.
+
+import { validateCityFile } from "../data/schema.js";
+import { landmarkId } from "./landmarks.js";
+
+// ~1 m, plenty for a map pin and short enough to read in a diff
+const COORDINATE_DECIMALS = 5;
+
+// Optional text fields that are left out of the file rather than saved empty
+const OPTIONAL_TEXT_FIELDS = ["address", "website", "description_es"];
+
+// Arrays written one entry per line (long photo paths); others stay inline
+const MULTILINE_KEYS = new Set(["images"]);
+const MAX_INLINE_LENGTH = 80;
+
+const roundCoordinate = (value) =>
+  Number.isFinite(value) ? Number(value.toFixed(COORDINATE_DECIMALS)) : value;
+
+// Changes as the file stores them: rounded coordinates, and empty optional
+// fields marked for removal (undefined). Text is kept as typed.
+function cleanChanges(changes) {
+  return Object.fromEntries(
+    Object.entries(changes).map(([field, value]) => {
+      if (field === "latitude" || field === "longitude") return [field, roundCoordinate(value)];
+      const empty = typeof value === "string" && !value.trim();
+      return [field, empty && OPTIONAL_TEXT_FIELDS.includes(field) ? undefined : value];
+    })
+  );
+}
+
+function applyChanges(record, changes) {
+  const next = { ...record, ...cleanChanges(changes) };
+  Object.keys(next).forEach((key) => next[key] === undefined && delete next[key]);
+  return next;
+}
+
+/** The raw record behind an app landmark id ("troy-3"), or null. */
+export function findRecord(cityFile, id) {
+  return cityFile.landmarks.find((lm) => landmarkId(cityFile.city, lm.id) === id) ?? null;
+}
+
+/** A copy of the city file with record `id` (the numeric one) changed. */
+export function updateRecord(cityFile, id, changes) {
+  return {
+    ...cityFile,
+    landmarks: cityFile.landmarks.map((lm) => (lm.id === id ? applyChanges(lm, changes) : lm)),
+  };
+}
+
+/**
+ * A copy of the city file with a new landmark at the end, numbered one past
+ * the highest id in either it or `original`, so a deleted landmark's id (which
+ * saved lists, trips and check-ins may still point at) is never reused.
+ * Returns { file, record }.
+ */
+export function addRecord(cityFile, original, fields) {
+  const id =
+    [...original.landmarks, ...cityFile.landmarks].reduce((max, lm) => Math.max(max, lm.id), 0) +
+    1;
+  const record = applyChanges(
+    { id, name: "", typetag: "", experiencetag: [], description: "" },
+    fields
+  );
+  return { file: { ...cityFile, landmarks: [...cityFile.landmarks, record] }, record };
+}
+
+export function removeRecord(cityFile, id) {
+  return { ...cityFile, landmarks: cityFile.landmarks.filter((lm) => lm.id !== id) };
+}
+
+/**
+ * Puts record `id` back the way it is in `original`: undoes changes to it,
+ * or brings it back (in id order) after a delete.
+ */
+export function restoreRecord(cityFile, original, id) {
+  const record = original.landmarks.find((lm) => lm.id === id);
+  if (!record) return removeRecord(cityFile, id);
+  if (cityFile.landmarks.some((lm) => lm.id === id)) {
+    return {
+      ...cityFile,
+      landmarks: cityFile.landmarks.map((lm) => (lm.id === id ? record : lm)),
+    };
+  }
+  const landmarks = [...cityFile.landmarks];
+  const index = landmarks.findIndex((lm) => lm.id > id);
+  landmarks.splice(index === -1 ? landmarks.length : index, 0, record);
+  return { ...cityFile, landmarks };
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * What the edited file changes compared to the original:
+ *   { added: [record], removed: [record],
+ *     changed: [{ id, name, fields: [{ field, before, after }] }] }
+ * `before`/`after` are undefined for fields that were added or removed.
+ */
+export function diffCityFile(original, edited) {
+  const before = new Map(original.landmarks.map((lm) => [lm.id, lm]));
+  const after = new Map(edited.landmarks.map((lm) => [lm.id, lm]));
+
+  const changed = edited.landmarks
+    .filter((lm) => before.has(lm.id))
+    .map((lm) => {
+      const old = before.get(lm.id);
+      const keys = Array.from(new Set([...Object.keys(old), ...Object.keys(lm)]));
+      const fields = keys
+        .filter((field) => !sameValue(old[field], lm[field]))
+        .map((field) => ({ field, before: old[field], after: lm[field] }));
+      return { id: lm.id, name: lm.name, fields };
+    })
+    .filter((change) => change.fields.length > 0);
+
+  return {
+    added: edited.landmarks.filter((lm) => !before.has(lm.id)),
+    removed: original.landmarks.filter((lm) => !after.has(lm.id)),
+    changed,
+  };
+}
+
+export const countChanges = ({ added, removed, changed }) =>
+  added.length + removed.length + changed.length;
+
+/**
+ * Schema problems in an edited file, errors first. A file with errors isn't
+ * offered for download: it would fail `npm run validate:data`.
+ */
+export function curatorIssues(cityFile) {
+  return validateCityFile(cityFile).sort(
+    (a, b) => (a.severity === "error" ? 0 : 1) - (b.severity === "error" ? 0 : 1)
+  );
+}
+
+function formatValue(value, indent, key) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+
+  const pad = "  ".repeat(indent + 1);
+  const end = "  ".repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    const inline = `[${value.map((v) => formatValue(v, 0)).join(", ")}]`;
+    const flat = value.every((v) => v === null || typeof v !== "object" || Array.isArray(v));
+    const fits = !inline.includes("\n") && inline.length <= MAX_INLINE_LENGTH;
+    if (flat && fits && !MULTILINE_KEYS.has(key)) return inline;
+    return `[\n${value.map((v) => pad + formatValue(v, indent + 1)).join(",\n")}\n${end}]`;
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return "{}";
+  return `{\n${entries
+    .map(([k, v]) => `${pad}${JSON.stringify(k)}: ${formatValue(v, indent + 1, k)}`)
+    .join(",\n")}\n${end}}`;
+}
+
+/**
+ * JSON text for a city file in the layout of the hand-written ones: two
+ * spaces, short lists and coordinate pairs on one line, trailing newline.
+ * Keeps diffs against the checked-in file down to what actually changed
+ * (plus trailing zeros, which JSON numbers don't keep: -73.7570 -> -73.757).
+ */
+export function formatCityFile(cityFile) {
+  return `${formatValue(cityFile, 0)}\n`;
+}
+
+export const cityFileName = (city) => `${city}.json`;
@@ -0,0 +1,142 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findRecord,
+  updateRecord,
+  addRecord,
+  removeRecord,
+  restoreRecord,
+  diffCityFile,
+  countChanges,
+  curatorIssues,
+  formatCityFile,
+} from "./curator.js";
+import { readCityFiles } from "./fixtures/cityFiles.js";
+
+const TROY = {
+  city: "Troy",
+  center: [42.7284, -73.6918],
+  landmarks: [
+    {
+      id: 1,
+      name: "Troy Music Hall",
+      typetag: "Venue",
+      experiencetag: ["Night Life"],
+      description: "Concert hall.",
+      address: "30 2nd St, Troy, NY",
+      latitude: 42.7312,
+      longitude: -73.6914,
+    },
+    {
+      id: 4,
+      name: "Prospect Park",
+      typetag: "Park",
+      experiencetag: ["Free", "Family"],
+      description: "Hilltop park.",
+      latitude: 42.7239,
+      longitude: -73.6828,
+    },
+  ],
+};
+
+describe("editing records", () => {
+  test("findRecord goes from an app id to the raw record", () => {
+    assert.equal(findRecord(TROY, "troy-4").name, "Prospect Park");
+    assert.equal(findRecord(TROY, "albany-4"), null);
+  });
+
+  test("updateRecord changes a copy, rounds coordinates and drops empty optional text", () => {
+    const edited = updateRecord(TROY, 1, {
+      latitude: 42.731234567,
+      address: "  ",
+      name: "Troy Savings Bank Music Hall",
+    });
+    const record = findRecord(edited, "troy-1");
+
+    assert.equal(record.latitude, 42.73123);
+    assert.equal(record.name, "Troy Savings Bank Music Hall");
+    assert.equal("address" in record, false);
+    assert.equal(TROY.landmarks[0].address, "30 2nd St, Troy, NY");
+    assert.equal(edited.center, TROY.center);
+  });
+
+  test("addRecord numbers the new landmark after the highest id", () => {
+    const fields = { name: "New", latitude: 42.7, longitude: -73.7 };
+    const { file, record } = addRecord(TROY, TROY, fields);
+    assert.equal(record.id, 5);
+    assert.deepEqual(file.landmarks.map((lm) => lm.id), [1, 4, 5]);
+    assert.deepEqual(record.experiencetag, []);
+  });
+
+  test("addRecord never reuses the id of a deleted landmark", () => {
+    const { file, record } = addRecord(removeRecord(TROY, 4), TROY, { name: "New" });
+    assert.equal(record.id, 5);
+
+    const diff = diffCityFile(TROY, file);
+    assert.deepEqual(diff.added.map((lm) => lm.id), [5]);
+    assert.deepEqual(diff.removed.map((lm) => lm.id), [4]);
+    assert.deepEqual(diff.changed, []);
+  });
+
+  test("restoreRecord undoes an edit and brings a deleted record back in place", () => {
+    const edited = updateRecord(removeRecord(TROY, 1), 4, { typetag: "Trail" });
+    const restored = restoreRecord(restoreRecord(edited, TROY, 1), TROY, 4);
+    assert.deepEqual(restored, TROY);
+  });
+
+  test("restoreRecord on an added record removes it", () => {
+    const { file, record } = addRecord(TROY, TROY, { name: "New" });
+    assert.deepEqual(restoreRecord(file, TROY, record.id), TROY);
+  });
+});
+
+describe("diffCityFile", () => {
+  test("reports added, removed and changed records field by field", () => {
+    let edited = updateRecord(TROY, 4, { experiencetag: ["Free"], website: "https://x.org" });
+    edited = removeRecord(edited, 1);
+    ({ file: edited } = addRecord(edited, TROY, { name: "New" }));
+
+    const diff = diffCityFile(TROY, edited);
+    assert.deepEqual(diff.added.map((lm) => lm.name), ["New"]);
+    assert.deepEqual(diff.removed.map((lm) => lm.id), [1]);
+    assert.deepEqual(diff.changed, [
+      {
+        id: 4,
+        name: "Prospect Park",
+        fields: [
+          { field: "experiencetag", before: ["Free", "Family"], after: ["Free"] },
+          { field: "website", before: undefined, after: "https://x.org" },
+        ],
+      },
+    ]);
+    assert.equal(countChanges(diff), 3);
+  });
+
+  test("an edit set back to the original value is no change", () => {
+    const edited = updateRecord(updateRecord(TROY, 1, { name: "X" }), 1, {
+      name: "Troy Music Hall",
+    });
+    assert.equal(countChanges(diffCityFile(TROY, edited)), 0);
+  });
+});
+
+describe("curatorIssues", () => {
+  test("a fresh record is flagged until it's filled in", () => {
+    const { file } = addRecord(TROY, TROY, { name: "New", latitude: 42.7, longitude: -73.7 });
+    const fields = curatorIssues(file)
+      .filter((issue) => issue.severity === "error")
+      .map((issue) => issue.field);
+    assert.deepEqual(fields.sort(), ["description", "typetag"]);
+  });
+});
+
+describe("formatCityFile", () => {
+  test("writes the shipped files back in their own layout", () => {
+    // Numbers don't keep trailing zeros (-73.7570 -> -73.757); nothing else moves
+    const dropZeros = (text) => text.replace(/(\.\d*?)0+\b/g, "$1");
+
+    readCityFiles().forEach(({ name, text, data }) => {
+      assert.equal(formatCityFile(data), dropZeros(text), name);
+    });
+  });
+});
@@ -0,0 +1,254 @@
+// ✅ Dated events attached to landmarks (src/data/events.json)
+//
+//   {
+//     "id": "troy-market-saturdays",
+//     "title": "Troy Waterfront Farmers Market",
+//     "landmark": "troy-5",                         // or "location": { name, address, lat, lng }
+//     "start": "2026-10-24T09:00",                  // New York wall-clock time
+//     "end": "2026-10-24T14:00",
+//     "recurrence": { "freq": "weekly", "byday": ["sat"], "until": "2027-04-24" },
+//     "exceptions": ["2026-12-26"],
+//     "price": 0,                                   // or { "min": 15, "max": 40 }
+//     "link": "https://www.troymarket.org",
+//     "description": "..."
+//   }
+//
+// Recurrence: freq "daily" | "weekly" | "monthly". Weekly uses byday (default:
+// the start's weekday). Monthly uses the start's day of month, or byday +
+// setpos for "last Friday" (setpos -1) / "first Sunday" (setpos 1).
+//
+// Times are "YYYY-MM-DDTHH:MM" strings in New York time, so comparing them as
+// strings compares them in time.
+
+import { DAY_KEYS, zonedParts, formatTime } from "./hours.js";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const toDate = (ymd) => {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+
+const fromDate = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+export function addDays(ymd, days) {
+  const d = toDate(ymd);
+  d.setUTCDate(d.getUTCDate() + days);
+  return fromDate(d);
+}
+
+export function weekdayOf(ymd) {
+  return toDate(ymd).getUTCDay();
+}
+
+// Minutes between two "YYYY-MM-DDTHH:MM" strings
+function minutesBetween(a, b) {
+  const ms = (s) =>
+    toDate(s.slice(0, 10)).getTime() +
+    (Number(s.slice(11, 13)) * 60 + Number(s.slice(14, 16))) * 60000;
+  return Math.round((ms(b) - ms(a)) / 60000);
+}
+
+function addMinutes(dateTime, minutes) {
+  const total = Number(dateTime.slice(11, 13)) * 60 + Number(dateTime.slice(14, 16)) + minutes;
+  const days = Math.floor(total / (24 * 60));
+  const rest = total - days * 24 * 60;
+  return `${addDays(dateTime.slice(0, 10), days)}T${pad(Math.floor(rest / 60))}:${pad(rest % 60)}`;
+}
+
+// Day of month of the nth (setpos) weekday in a month
+function nthWeekdayOfMonth(year, month, weekday, setpos) {
+  const matches = [];
+  for (let d = 1; d <= 31; d++) {
+    const date = new Date(Date.UTC(year, month - 1, d));
+    if (date.getUTCMonth() !== month - 1) break;
+    if (date.getUTCDay() === weekday) matches.push(d);
+  }
+  return setpos > 0 ? matches[setpos - 1] : matches[matches.length + setpos];
+}
+
+function occursOn(event, ymd) {
+  const startDay = event.start.slice(0, 10);
+  const rule = event.recurrence;
+
+  if (ymd < startDay) return false;
+  if (event.exceptions?.includes(ymd)) return false;
+  if (!rule) return ymd === startDay;
+  if (rule.until && ymd > rule.until) return false;
+
+  const weekday = weekdayOf(ymd);
+  const byday = rule.byday?.map((d) => DAY_KEYS.indexOf(d));
+
+  switch (rule.freq) {
+    case "daily":
+      return byday ? byday.includes(weekday) : true;
+    case "weekly":
+      return (byday ?? [weekdayOf(startDay)]).includes(weekday);
+    case "monthly": {
+      const [y, m, d] = ymd.split("-").map(Number);
+      if (byday) {
+        const setpos = rule.setpos ?? 1;
+        return byday.some((wd) => nthWeekdayOfMonth(y, m, wd, setpos) === d);
+      }
+      return d === Number(startDay.slice(8, 10));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Occurrences of one event overlapping [from, to) (both "YYYY-MM-DDTHH:MM").
+ * Each is { event, start, end }.
+ */
+export function expandEvent(event, from, to) {
+  const duration = event.end ? Math.max(0, minutesBetween(event.start, event.end)) : 120;
+  const startTime = event.start.slice(11, 16);
+  const occurrences = [];
+
+  // An occurrence can start before `from` and still be running
+  const spanDays = Math.ceil(duration / (24 * 60));
+  let day = addDays(from.slice(0, 10), -spanDays);
+  const lastDay = to.slice(0, 10);
+
+  while (day <= lastDay) {
+    if (occursOn(event, day)) {
+      const start = `${day}T${startTime}`;
+      const end = addMinutes(start, duration);
+      if (start < to && end > from) occurrences.push({ event, start, end });
+    }
+    day = addDays(day, 1);
+  }
+
+  return occurrences;
+}
+
+/**
+ * All occurrences of all events in [from, to), sorted by start time.
+ */
+export function eventsBetween(events, from, to) {
+  return events
+    .flatMap((event) => expandEvent(event, from, to))
+    .sort((a, b) => a.start.localeCompare(b.start) || a.event.title.localeCompare(b.event.title));
+}
+
+export function nowLocalString(parts = zonedParts()) {
+  const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  return `${date}T${pad(Math.floor(parts.minutes / 60))}:${pad(parts.minutes % 60)}`;
+}
+
+/**
+ * Named agenda windows, all in New York time:
+ *   today:   now -> midnight
+ *   weekend: Friday 5 PM -> Sunday midnight (or now, if already underway)
+ *   week:    now -> 7 days out
+ */
+export function agendaWindow(name, now = nowLocalString()) {
+  const today = now.slice(0, 10);
+  const weekday = weekdayOf(today);
+
+  switch (name) {
+    case "today":
+      return { from: now, to: `${addDays(today, 1)}T00:00` };
+    case "weekend": {
+      const daysToFriday = weekday === 0 ? -2 : 5 - weekday;
+      const friday = addDays(today, daysToFriday);
+      const from = `${friday}T17:00`;
+      return { from: from > now ? from : now, to: `${addDays(friday, 3)}T00:00` };
+    }
+    case "week":
+    default:
+      return { from: now, to: `${addDays(today, 7)}T00:00` };
+  }
+}
+
+// `free` is the word for a $0 price (translated by the caller)
+export function formatPrice(price, free = "Free") {
+  if (price == null) return null;
+  if (typeof price === "number") return price === 0 ? free : `$${price}`;
+  if (price.max == null || price.max === price.min) return price.min === 0 ? free : `$${price.min}`;
+  return `${price.min === 0 ? free : `$${price.min}`}–$${price.max}`;
+}
+
+export function formatEventTime({ start, end }, intlLocale = "en-US") {
+  const time = (s) =>
+    formatTime(Number(s.slice(11, 13)) * 60 + Number(s.slice(14, 16)), intlLocale);
+  return end ? `${time(start)} – ${time(end)}` : time(start);
+}
+
+export function formatEventDay(ymd, intlLocale = "en-US") {
+  return toDate(ymd).toLocaleDateString(intlLocale, {
+    weekday: "long",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+const DATE_TIME_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Schema check for one event. `landmarkIds` is the set of app ids
+ * ("albany-2") the `landmark` field may point at. Returns messages as
+ * [field, message] pairs.
+ */
+export function validateEvent(event, landmarkIds) {
+  const errors = [];
+  const add = (field, message) => errors.push([field, message]);
+
+  if (typeof event.title !== "string" || !event.title.trim()) add("title", "missing title");
+  if (!DATE_TIME_RE.test(event.start ?? "")) add("start", 'expected "YYYY-MM-DDTHH:MM"');
+  if (event.end !== undefined) {
+    if (!DATE_TIME_RE.test(event.end)) add("end", 'expected "YYYY-MM-DDTHH:MM"');
+    else if (event.start && event.end < event.start) add("end", "ends before it starts");
+  }
+
+  if (event.landmark !== undefined) {
+    if (!landmarkIds.has(event.landmark)) add("landmark", `no landmark with id "${event.landmark}"`);
+  } else if (event.location) {
+    const { lat, lng, name } = event.location;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) add("location", "needs numeric lat and lng");
+    if (typeof name !== "string" || !name) add("location", "needs a name");
+  } else {
+    add("landmark", 'needs either "landmark" or "location"');
+  }
+
+  const rule = event.recurrence;
+  if (rule !== undefined) {
+    if (!["daily", "weekly", "monthly"].includes(rule?.freq)) {
+      add("recurrence", 'freq must be "daily", "weekly" or "monthly"');
+    }
+    const validDays = Array.isArray(rule?.byday) && rule.byday.every((d) => DAY_KEYS.includes(d));
+    if (rule?.byday !== undefined && !validDays) {
+      add("recurrence", `byday must list days (${DAY_KEYS.join(", ")})`);
+    }
+    if (rule?.until !== undefined && !DATE_RE.test(rule.until)) {
+      add("recurrence", 'until must be "YYYY-MM-DD"');
+    }
+    if (rule?.setpos !== undefined && ![1, 2, 3, 4, -1].includes(rule.setpos)) {
+      add("recurrence", "setpos must be 1-4 or -1");
+    }
+  }
+
+  const { exceptions } = event;
+  if (exceptions !== undefined && !(Array.isArray(exceptions) && exceptions.every((d) => DATE_RE.test(d)))) {
+    add("exceptions", 'expected a list of "YYYY-MM-DD"');
+  }
+
+  const { price } = event;
+  if (
+    price !== undefined &&
+    !(typeof price === "number" && price >= 0) &&
+    !(price && typeof price.min === "number" && (price.max === undefined || price.max >= price.min))
+  ) {
+    add("price", 'expected a number or { "min", "max" }');
+  }
+
+  if (event.link !== undefined && !/^https?:\/\/\S+$/.test(event.link)) {
+    add("link", "not an http(s) URL");
+  }
+
+  return errors;
+}
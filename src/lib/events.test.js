@@ -0,0 +1,161 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  expandEvent,
+  eventsBetween,
+  agendaWindow,
+  formatPrice,
+  formatEventTime,
+} from "./events.js";
+
+const starts = (occurrences) => occurrences.map((o) => o.start);
+
+// October 2026: the 16th is a Friday, the 18th a Sunday
+const MARKET = {
+  title: "Farmers Market",
+  start: "2026-10-03T09:00",
+  end: "2026-10-03T14:00",
+  recurrence: { freq: "weekly", byday: ["sat"], until: "2026-11-14" },
+  exceptions: ["2026-10-31"],
+};
+
+describe("expandEvent", () => {
+  test("a one-off event occurs once", () => {
+    const talk = { title: "Talk", start: "2026-10-20T18:30", end: "2026-10-20T20:00" };
+    assert.deepEqual(expandEvent(talk, "2026-10-01T00:00", "2026-11-01T00:00"), [
+      { event: talk, start: "2026-10-20T18:30", end: "2026-10-20T20:00" },
+    ]);
+    assert.deepEqual(expandEvent(talk, "2026-10-21T00:00", "2026-11-01T00:00"), []);
+  });
+
+  test("weekly repeats on its days, skips exceptions and stops at until", () => {
+    assert.deepEqual(starts(expandEvent(MARKET, "2026-10-01T00:00", "2027-01-01T00:00")), [
+      "2026-10-03T09:00",
+      "2026-10-10T09:00",
+      "2026-10-17T09:00",
+      "2026-10-24T09:00",
+      "2026-11-07T09:00",
+      "2026-11-14T09:00",
+    ]);
+  });
+
+  test("weekly without byday repeats on the start's weekday", () => {
+    const club = { title: "Club", start: "2026-10-14T19:00", recurrence: { freq: "weekly" } };
+    assert.deepEqual(starts(expandEvent(club, "2026-10-01T00:00", "2026-10-29T00:00")), [
+      "2026-10-14T19:00",
+      "2026-10-21T19:00",
+      "2026-10-28T19:00",
+    ]);
+  });
+
+  test("daily can be limited to some days", () => {
+    const tours = {
+      title: "Tours",
+      start: "2026-10-15T11:00",
+      recurrence: { freq: "daily", byday: ["sat", "sun"] },
+    };
+    assert.deepEqual(starts(expandEvent(tours, "2026-10-15T00:00", "2026-10-26T00:00")), [
+      "2026-10-17T11:00",
+      "2026-10-18T11:00",
+      "2026-10-24T11:00",
+      "2026-10-25T11:00",
+    ]);
+  });
+
+  test("monthly on the last Friday and on a day of the month", () => {
+    const artWalk = {
+      title: "Art Walk",
+      start: "2026-09-25T17:00",
+      recurrence: { freq: "monthly", byday: ["fri"], setpos: -1 },
+    };
+    assert.deepEqual(starts(expandEvent(artWalk, "2026-10-01T00:00", "2027-01-01T00:00")), [
+      "2026-10-30T17:00",
+      "2026-11-27T17:00",
+      "2026-12-25T17:00",
+    ]);
+
+    // Months without a 31st are skipped
+    const payday = { title: "Sale", start: "2026-08-31T10:00", recurrence: { freq: "monthly" } };
+    assert.deepEqual(starts(expandEvent(payday, "2026-09-01T00:00", "2027-01-01T00:00")), [
+      "2026-10-31T10:00",
+      "2026-12-31T10:00",
+    ]);
+  });
+
+  test("an occurrence past midnight counts in the next day's window", () => {
+    const party = {
+      title: "Late show",
+      start: "2026-10-16T22:00",
+      end: "2026-10-17T01:00",
+      recurrence: { freq: "weekly" },
+    };
+    assert.deepEqual(expandEvent(party, "2026-10-17T00:30", "2026-10-18T00:00"), [
+      { event: party, start: "2026-10-16T22:00", end: "2026-10-17T01:00" },
+    ]);
+  });
+
+  test("without an end an event lasts two hours", () => {
+    const open = { title: "Open house", start: "2026-10-20T16:00" };
+    const [occurrence] = expandEvent(open, "2026-10-20T00:00", "2026-10-21T00:00");
+    assert.equal(occurrence.end, "2026-10-20T18:00");
+  });
+});
+
+test("eventsBetween merges events in start order", () => {
+  const talk = { title: "Talk", start: "2026-10-10T08:00" };
+  assert.deepEqual(
+    eventsBetween([MARKET, talk], "2026-10-10T00:00", "2026-10-18T00:00").map(
+      (o) => `${o.event.title} ${o.start}`
+    ),
+    ["Talk 2026-10-10T08:00", "Farmers Market 2026-10-10T09:00", "Farmers Market 2026-10-17T09:00"]
+  );
+});
+
+describe("agendaWindow", () => {
+  test("today runs from now to midnight", () => {
+    assert.deepEqual(agendaWindow("today", "2026-10-14T20:15"), {
+      from: "2026-10-14T20:15",
+      to: "2026-10-15T00:00",
+    });
+  });
+
+  test("the weekend is Friday 5 PM to Sunday midnight", () => {
+    const weekend = { from: "2026-10-16T17:00", to: "2026-10-19T00:00" };
+    // Wednesday, and Friday morning: the coming weekend
+    assert.deepEqual(agendaWindow("weekend", "2026-10-14T09:00"), weekend);
+    assert.deepEqual(agendaWindow("weekend", "2026-10-16T10:00"), weekend);
+  });
+
+  test("once the weekend is underway it starts now", () => {
+    assert.deepEqual(agendaWindow("weekend", "2026-10-16T21:00"), {
+      from: "2026-10-16T21:00",
+      to: "2026-10-19T00:00",
+    });
+    assert.deepEqual(agendaWindow("weekend", "2026-10-18T13:00"), {
+      from: "2026-10-18T13:00",
+      to: "2026-10-19T00:00",
+    });
+  });
+
+  test("a week runs to midnight seven days out", () => {
+    assert.deepEqual(agendaWindow("week", "2026-10-18T13:00"), {
+      from: "2026-10-18T13:00",
+      to: "2026-10-25T00:00",
+    });
+  });
+});
+
+test("formatPrice", () => {
+  assert.equal(formatPrice(undefined), null);
+  assert.equal(formatPrice(0), "Free");
+  assert.equal(formatPrice(12), "$12");
+  assert.equal(formatPrice({ min: 0, max: 20 }, "Gratis"), "Gratis–$20");
+  assert.equal(formatPrice({ min: 15, max: 15 }), "$15");
+});
+
+test("formatEventTime follows the locale", () => {
+  const occurrence = { start: "2026-10-24T09:00", end: "2026-10-24T14:30" };
+  assert.equal(formatEventTime(occurrence), "9:00 AM – 2:30 PM");
+  assert.equal(formatEventTime(occurrence, "es-US"), "9:00 a.m. – 2:30 p.m.");
+  assert.equal(formatEventTime({ start: "2026-10-24T19:00" }, "es-US"), "7:00 p.m.");
+});
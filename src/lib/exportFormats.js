@@ -0,0 +1,140 @@
+// ✅ Landmarks -> GPX waypoints, KML placemarks and GeoJSON features
+//
+// Takes the normalized landmark shape used by MapView ({ id, name, lat, lng,
+// description, address, city, typetag, experiencetag, website, geometry })
+// and returns file contents as strings, ready for downloadFile(). GeoJSON
+// keeps trail and area geometries; GPX and KML use the marker point.
+
+export const EXPORT_FORMATS = {
+  gpx: { label: "GPX", extension: "gpx", mime: "application/gpx+xml" },
+  kml: { label: "KML", extension: "kml", mime: "application/vnd.google-earth.kml+xml" },
+  geojson: { label: "GeoJSON", extension: "geojson", mime: "application/geo+json" },
+};
+
+const APP_NAME = "Capital Region Explorer";
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function tagsOf(landmark) {
+  return [landmark.typetag, ...(landmark.experiencetag ?? [])].filter(Boolean);
+}
+
+// Plain-text description with address and tags folded in, for formats
+// without dedicated fields for them
+function describe(landmark) {
+  return [
+    landmark.description,
+    landmark.address && `Address: ${landmark.address}`,
+    tagsOf(landmark).length > 0 && `Tags: ${tagsOf(landmark).join(", ")}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function toGeoJSON(landmarks) {
+  const collection = {
+    type: "FeatureCollection",
+    features: landmarks.map((lm) => ({
+      type: "Feature",
+      id: lm.id,
+      geometry: lm.geometry ?? { type: "Point", coordinates: [lm.lng, lm.lat] },
+      properties: {
+        id: lm.id,
+        name: lm.name,
+        description: lm.description ?? "",
+        address: lm.address ?? "",
+        city: lm.city,
+        type: lm.typetag ?? "",
+        tags: lm.experiencetag ?? [],
+        website: lm.website ?? null,
+      },
+    })),
+  };
+  return JSON.stringify(collection, null, 2);
+}
+
+export function toGPX(landmarks, { name = APP_NAME } = {}) {
+  const waypoints = landmarks.map((lm) =>
+    [
+      `  <wpt lat="${lm.lat}" lon="${lm.lng}">`,
+      `    <name>${escapeXml(lm.name)}</name>`,
+      lm.address && `    <cmt>${escapeXml(lm.address)}</cmt>`,
+      `    <desc>${escapeXml(describe(lm))}</desc>`,
+      lm.website && `    <link href="${escapeXml(lm.website)}"><text>Official site</text></link>`,
+      lm.typetag && `    <type>${escapeXml(lm.typetag)}</type>`,
+      `  </wpt>`,
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="${APP_NAME}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...waypoints,
+    `</gpx>`,
+    "",
+  ].join("\n");
+}
+
+export function toKML(landmarks, { name = APP_NAME } = {}) {
+  const placemarks = landmarks.map((lm) => {
+    const data = [
+      ["city", lm.city],
+      ["type", lm.typetag],
+      ["tags", (lm.experiencetag ?? []).join(", ")],
+      ["website", lm.website],
+    ].filter(([, value]) => value);
+
+    return [
+      `    <Placemark id="${escapeXml(lm.id)}">`,
+      `      <name>${escapeXml(lm.name)}</name>`,
+      lm.address && `      <address>${escapeXml(lm.address)}</address>`,
+      `      <description>${escapeXml(describe(lm))}</description>`,
+      `      <ExtendedData>`,
+      ...data.map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`),
+      `      </ExtendedData>`,
+      `      <Point><coordinates>${lm.lng},${lm.lat},0</coordinates></Point>`,
+      `    </Placemark>`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+    `  <Document>`,
+    `    <name>${escapeXml(name)}</name>`,
+    ...placemarks,
+    `  </Document>`,
+    `</kml>`,
+    "",
+  ].join("\n");
+}
+
+const SERIALIZERS = { gpx: toGPX, kml: toKML, geojson: toGeoJSON };
+
+export function exportLandmarks(format, landmarks, options) {
+  return SERIALIZERS[format](landmarks, options);
+}
+
+// Save a string as a file through a temporary object URL
+export function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
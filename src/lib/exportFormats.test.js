@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+import { exportLandmarks, toGeoJSON, toGPX, toKML } from "./exportFormats.js";
+
+const PLACES = [
+  {
+    id: "troy-3",
+    name: `Rice & Beans <"Bar">`,
+    lat: 42.7312,
+    lng: -73.6914,
+    description: "Tacos & late-night sets",
+    address: "30 2nd St, Troy, NY",
+    city: "Troy",
+    typetag: "Venue",
+    experiencetag: ["Night Life", "Food"],
+    website: "https://example.org/?a=1&b=2",
+  },
+  {
+    id: "albany-6",
+    name: "Washington Park",
+    lat: 42.6555,
+    lng: -73.7686,
+    city: "Albany",
+    typetag: "Park",
+    experiencetag: [],
+  },
+];
+
+const parseXml = (text) => new JSDOM(text, { contentType: "text/xml" }).window.document;
+const texts = (doc, selector) => Array.from(doc.querySelectorAll(selector), (el) => el.textContent);
+
+test("GPX escapes names and keeps one waypoint per place", () => {
+  const gpx = toGPX(PLACES, { name: "Ben & Jo's list" });
+  assert.match(gpx, /<name>Rice &amp; Beans &lt;&quot;Bar&quot;&gt;<\/name>/);
+
+  const doc = parseXml(gpx);
+  assert.equal(doc.querySelector("parsererror"), null);
+  assert.deepEqual(texts(doc, "metadata > name"), ["Ben & Jo's list"]);
+  assert.deepEqual(texts(doc, "wpt > name"), [`Rice & Beans <"Bar">`, "Washington Park"]);
+  assert.equal(doc.querySelector("wpt link").getAttribute("href"), "https://example.org/?a=1&b=2");
+  assert.equal(doc.querySelector("wpt").getAttribute("lat"), "42.7312");
+});
+
+test("KML escapes names and data and places points as lng,lat", () => {
+  const doc = parseXml(toKML(PLACES));
+  assert.equal(doc.querySelector("parsererror"), null);
+  assert.deepEqual(texts(doc, "Placemark > name"), [`Rice & Beans <"Bar">`, "Washington Park"]);
+  assert.match(doc.querySelector("Placemark description").textContent, /^Tacos & late-night sets/);
+  assert.deepEqual(texts(doc, "Placemark coordinates"), [
+    "-73.6914,42.7312,0",
+    "-73.7686,42.6555,0",
+  ]);
+});
+
+test("GeoJSON keeps a landmark's own geometry, or its point", () => {
+  const line = { type: "LineString", coordinates: [[-73.77, 42.65], [-73.76, 42.66]] };
+  const { features } = JSON.parse(toGeoJSON([PLACES[0], { ...PLACES[1], geometry: line }]));
+  assert.deepEqual(features[0].geometry, { type: "Point", coordinates: [-73.6914, 42.7312] });
+  assert.equal(features[0].properties.name, `Rice & Beans <"Bar">`);
+  assert.deepEqual(features[1].geometry, line);
+  assert.equal(features[1].properties.website, null);
+});
+
+test("exportLandmarks picks the serializer by format", () => {
+  assert.equal(exportLandmarks("kml", PLACES), toKML(PLACES));
+  assert.equal(exportLandmarks("gpx", PLACES, { name: "Saved" }), toGPX(PLACES, { name: "Saved" }));
+});
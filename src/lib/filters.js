@@ -0,0 +1,165 @@
+// ✅ Facet filters: multi-select cities and types, experience tags with an
+// all/any switch, excluded tags and required amenities
+//
+//   { cities: ["Albany", "Troy"], types: ["Museum", "Historic"],
+//     tags: ["Free"], tagMode: "all", excludedTags: ["Night Life"],
+//     amenities: ["step-free"], amenitiesIncludeUnknown: false }
+//
+// Values inside cities or types are OR'd; the dimensions are AND'd together.
+// A type can also be a taxonomy group ("Nature"), which matches its children.
+// Excluded tags always apply, whatever the tag mode. Every amenity must hold
+// (see lib/amenities.js for how unknown values are treated).
+
+import { expandTypeTag } from "../data/taxonomy.js";
+import { AMENITY_FILTERS, matchesAmenities } from "./amenities.js";
+
+export const TAG_MODES = {
+  all: "Match all",
+  any: "Match any",
+};
+
+const matchesType = (landmark, types) =>
+  types.some((type) => expandTypeTag(type).includes(landmark.typetag));
+
+export const EMPTY_FACETS = {
+  cities: [],
+  types: [],
+  tags: [],
+  tagMode: "all",
+  excludedTags: [],
+  amenities: [],
+  amenitiesIncludeUnknown: false,
+};
+
+/**
+ * Whether a landmark passes the facets. `skip` leaves one dimension
+ * ("cities" | "types" | "tags") out, which is what chip counts need.
+ */
+export function matchesFacets(landmark, facets, skip = null) {
+  const has = (tag) => landmark.experiencetag.includes(tag);
+
+  if (skip !== "cities" && facets.cities.length > 0 && !facets.cities.includes(landmark.city)) {
+    return false;
+  }
+  if (skip !== "types" && facets.types.length > 0 && !matchesType(landmark, facets.types)) {
+    return false;
+  }
+  if (skip !== "tags" && facets.tags.length > 0) {
+    const ok = facets.tagMode === "any" ? facets.tags.some(has) : facets.tags.every(has);
+    if (!ok) return false;
+  }
+  if (facets.excludedTags.some(has)) return false;
+
+  return matchesAmenities(landmark.amenities, facets.amenities, {
+    includeUnknown: facets.amenitiesIncludeUnknown,
+  });
+}
+
+export function countActiveFacets(facets) {
+  return (
+    facets.cities.length +
+    facets.types.length +
+    facets.tags.length +
+    facets.excludedTags.length +
+    facets.amenities.length
+  );
+}
+
+/**
+ * How many landmarks each chip would show, given everything else that is
+ * active: { cities: Map, types: Map, tags: Map } of value -> count.
+ * City and type chips are counted on their own against the other dimensions
+ * (picking one more widens the OR). Tag chips in "all" mode count what adding
+ * that tag would leave; in "any" mode they count on their own, like cities.
+ * An excluded tag counts as if it were included instead. Amenity chips count
+ * what adding that amenity would leave.
+ */
+export function facetCounts(landmarks, facets, { cities, types, tags, amenities = [] }) {
+  const countBy = (values, skip, keyMatches, facetsFor = () => facets) =>
+    new Map(
+      values.map((value) => [
+        value,
+        landmarks.filter((l) => keyMatches(l, value) && matchesFacets(l, facetsFor(value), skip))
+          .length,
+      ])
+    );
+
+  return {
+    cities: countBy(cities, "cities", (l, city) => l.city === city),
+    types: countBy(types, "types", (l, type) => matchesType(l, [type])),
+    tags: countBy(
+      tags,
+      facets.tagMode === "any" ? "tags" : null,
+      (l, tag) => l.experiencetag.includes(tag),
+      (tag) =>
+        facets.excludedTags.includes(tag)
+          ? { ...facets, excludedTags: facets.excludedTags.filter((t) => t !== tag) }
+          : facets
+    ),
+    amenities: countBy(
+      amenities,
+      null,
+      () => true,
+      (id) =>
+        facets.amenities.includes(id) ? facets : { ...facets, amenities: [...facets.amenities, id] }
+    ),
+  };
+}
+
+// Cycle for a tag chip: tap includes/clears, the "exclude" gesture excludes/clears
+export function nextTagState(facets, tag, { exclude = false } = {}) {
+  const without = (list) => list.filter((t) => t !== tag);
+  const tags = without(facets.tags);
+  const excludedTags = without(facets.excludedTags);
+
+  if (exclude) {
+    return facets.excludedTags.includes(tag)
+      ? { ...facets, tags, excludedTags }
+      : { ...facets, tags, excludedTags: [...excludedTags, tag] };
+  }
+  if (facets.tags.includes(tag) || facets.excludedTags.includes(tag)) {
+    return { ...facets, tags, excludedTags };
+  }
+  return { ...facets, tags: [...tags, tag], excludedTags };
+}
+
+export function toggleValue(list, value) {
+  return list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+}
+
+// ✅ Saved presets ("filterPresets" in localStorage): facets plus the search text
+export function createPreset(name, facets, q = "") {
+  return {
+    id: `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    facets,
+    q,
+  };
+}
+
+// Words for describeFacets; MapView passes translated ones
+const FACET_WORDS = {
+  or: " or ",
+  and: ", ",
+  inCities: (cities) => `in ${cities}`,
+  notTags: (tags) => `not ${tags}`,
+  everything: "Everything",
+  type: (value) => value,
+  tag: (value) => value,
+  amenity: (id) => AMENITY_FILTERS[id]?.label ?? id,
+};
+
+export function describeFacets(facets, words = FACET_WORDS) {
+  const w = { ...FACET_WORDS, ...words };
+  const parts = [];
+  if (facets.types.length > 0) parts.push(facets.types.map(w.type).join(w.or));
+  if (facets.cities.length > 0) parts.push(w.inCities(facets.cities.join(w.or)));
+  if (facets.tags.length > 0) {
+    parts.push(facets.tags.map(w.tag).join(facets.tagMode === "any" ? w.or : w.and));
+  }
+  if (facets.excludedTags.length > 0) {
+    parts.push(w.notTags(facets.excludedTags.map(w.tag).join(w.and)));
+  }
+  if (facets.amenities.length > 0) parts.push(facets.amenities.map(w.amenity).join(w.and));
+  return parts.join(" · ") || w.everything;
+}
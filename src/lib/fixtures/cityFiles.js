@@ -0,0 +1,15 @@
+import { readdirSync, readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const CITIES_DIR = fileURLToPath(new URL("../../data/cities/", import.meta.url));
+
+// The shipped city files for tests: [{ name, text, data }] in file name order
+export function readCityFiles() {
+  return readdirSync(CITIES_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => {
+      const text = readFileSync(CITIES_DIR + name, "utf8");
+      return { name, text, data: JSON.parse(text) };
+    });
+}
@@ -0,0 +1,252 @@
+// ✅ Trails, districts and areas: landmark geometry beyond a single point
+//
+// Every landmark has a point (latitude/longitude), which places its marker.
+// Places that are really a line or an area can add a GeoJSON geometry next
+// to it, in GeoJSON's [lng, lat] order:
+//
+//   "geometry": { "type": "LineString", "coordinates": [[-73.95, 42.81], ...] }
+//
+// LineString / MultiLineString for trails and streets, Polygon /
+// MultiPolygon for districts and preserves. Distances to such a place are
+// measured to the nearest point of its geometry (zero inside an area), not
+// to the marker.
+//
+// Trails may also say how hard they are, without any elevation data:
+//
+//   "trail": { "difficulty": "easy", "surface": "paved" }
+
+import { haversineMiles } from "./geo.js";
+
+export const LINE_GEOMETRY_TYPES = ["LineString", "MultiLineString"];
+export const AREA_GEOMETRY_TYPES = ["Polygon", "MultiPolygon"];
+
+// Field definitions for `trail`, in the order the bottom sheet shows them
+export const TRAIL_FIELDS = {
+  difficulty: {
+    icon: "🥾",
+    label: "Difficulty",
+    values: { easy: "Easy", moderate: "Moderate", challenging: "Challenging" },
+  },
+  surface: {
+    icon: "🛤️",
+    label: "Surface",
+    values: { paved: "Paved", gravel: "Gravel or stone dust", natural: "Dirt and roots" },
+  },
+};
+
+const toRad = (v) => (v * Math.PI) / 180;
+
+// "line" | "area", or null for anything that isn't a geometry we draw
+export function geometryKind(geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+  if (LINE_GEOMETRY_TYPES.includes(geometry.type)) return "line";
+  if (AREA_GEOMETRY_TYPES.includes(geometry.type)) return "area";
+  return null;
+}
+
+// Every line of a geometry as a list of [lng, lat] positions. Polygon rings
+// count as lines, so this also gives an area's outline.
+function linesOf(geometry) {
+  switch (geometry.type) {
+    case "LineString":
+      return [geometry.coordinates];
+    case "MultiLineString":
+    case "Polygon":
+      return geometry.coordinates;
+    case "MultiPolygon":
+      return geometry.coordinates.flat();
+    default:
+      return [];
+  }
+}
+
+/**
+ * The geometry's coordinates in Leaflet's [lat, lng] order, nested the same
+ * way, ready for <Polyline positions> or <Polygon positions>.
+ */
+export function toLatLngs(geometry) {
+  const swap = (c) => (typeof c[0] === "number" ? [c[1], c[0]] : c.map(swap));
+  return geometry.coordinates.map(swap);
+}
+
+// Length of a line geometry in miles (every part added up); null for areas
+export function lineLengthMi(geometry) {
+  if (geometryKind(geometry) !== "line") return null;
+  return linesOf(geometry).reduce((total, line) => {
+    for (let i = 1; i < line.length; i++) {
+      const [lng1, lat1] = line[i - 1];
+      const [lng2, lat2] = line[i];
+      total += haversineMiles(lat1, lng1, lat2, lng2);
+    }
+    return total;
+  }, 0);
+}
+
+// Even-odd ray casting on one ring of [lng, lat] positions
+function ringContains(ring, { lat, lng }) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Whether a { lat, lng } point is inside an area (and not in one of its holes)
+export function areaContains(geometry, point) {
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+  return polygons.some(
+    ([outer, ...holes]) =>
+      ringContains(outer, point) && !holes.some((hole) => ringContains(hole, point))
+  );
+}
+
+// Closest [lng, lat] on segment a-b to the point. At these distances the
+// earth is flat enough: longitude is scaled by cos(latitude) and that's it.
+function closestOnSegment(point, a, b) {
+  const kx = Math.cos(toRad(point.lat));
+  const ax = (a[0] - point.lng) * kx;
+  const ay = a[1] - point.lat;
+  const dx = (b[0] - a[0]) * kx;
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSq));
+  return {
+    position: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t],
+    distanceSq: (ax + dx * t) ** 2 + (ay + dy * t) ** 2,
+  };
+}
+
+/**
+ * The point of a landmark closest to `point` ({ lat, lng }), with the
+ * distance to it: { lat, lng, distanceMi }. That's the landmark's own point
+ * when it has no geometry, somewhere along a line, and the point itself
+ * when it's inside an area.
+ */
+export function nearestPointOn(landmark, point) {
+  const kind = geometryKind(landmark.geometry);
+  if (!kind) {
+    return {
+      lat: landmark.lat,
+      lng: landmark.lng,
+      distanceMi: haversineMiles(point.lat, point.lng, landmark.lat, landmark.lng),
+    };
+  }
+  if (kind === "area" && areaContains(landmark.geometry, point)) {
+    return { lat: point.lat, lng: point.lng, distanceMi: 0 };
+  }
+
+  let best = null;
+  linesOf(landmark.geometry).forEach((line) => {
+    line.forEach((position, i) => {
+      const candidate = closestOnSegment(point, line[Math.max(0, i - 1)], position);
+      if (!best || candidate.distanceSq < best.distanceSq) best = candidate;
+    });
+  });
+
+  const [lng, lat] = best.position;
+  return { lat, lng, distanceMi: haversineMiles(point.lat, point.lng, lat, lng) };
+}
+
+// Both fields present, null where the data doesn't say; null without `trail`
+export function normalizeTrail(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  return Object.fromEntries(
+    Object.keys(TRAIL_FIELDS).map((field) => [field, raw[field] ?? null])
+  );
+}
+
+/**
+ * What the bottom sheet says about a line or area landmark:
+ *   { kind, lengthMi, details: [{ field, icon, label, value, text }] }
+ * `details` only lists the trail fields the data fills in. null for a
+ * plain point.
+ */
+export function describeGeometry(landmark) {
+  const kind = geometryKind(landmark.geometry);
+  if (!kind) return null;
+
+  const details = Object.entries(TRAIL_FIELDS)
+    .map(([field, def]) => ({ field, def, value: landmark.trail?.[field] ?? null }))
+    .filter(({ def, value }) => Object.hasOwn(def.values, value ?? ""))
+    .map(({ field, def, value }) => ({
+      field,
+      icon: def.icon,
+      label: def.label,
+      value,
+      text: def.values[value],
+    }));
+
+  return { kind, lengthMi: landmark.lengthMi ?? lineLengthMi(landmark.geometry), details };
+}
+
+/**
+ * Checks a landmark geometry's shape: a supported type, positions as
+ * [lng, lat] numbers, lines with two or more positions and closed polygon
+ * rings. `checkPosition([lng, lat])` can add its own message (the schema
+ * uses it for the region check).
+ */
+export function validateGeometry(geometry, checkPosition = () => null) {
+  const types = [...LINE_GEOMETRY_TYPES, ...AREA_GEOMETRY_TYPES];
+  if (!geometryKind(geometry)) return [`geometry must be a GeoJSON ${types.join(", ")}`];
+
+  const isPosition = (p) =>
+    Array.isArray(p) && p.length >= 2 && p.slice(0, 2).every((v) => Number.isFinite(v));
+  const rings = AREA_GEOMETRY_TYPES.includes(geometry.type);
+  const depth = { LineString: 0, MultiLineString: 1, Polygon: 1, MultiPolygon: 2 }[geometry.type];
+
+  // Unwrap to lists of positions, checking every level is an array
+  let lines = [geometry.coordinates];
+  for (let level = 0; level < depth; level++) {
+    if (!lines.every((item) => Array.isArray(item) && item.every(Array.isArray))) {
+      return [`geometry: coordinates aren't nested like a ${geometry.type}`];
+    }
+    lines = lines.flat();
+  }
+
+  const messages = [];
+  lines.forEach((line) => {
+    if (!line.every(isPosition)) {
+      messages.push("geometry: every position must be [lng, lat] numbers");
+      return;
+    }
+    if (rings) {
+      const [first, last] = [line[0], line[line.length - 1]];
+      if (line.length < 4) messages.push("geometry: a polygon ring needs at least 4 positions");
+      else if (first[0] !== last[0] || first[1] !== last[1]) {
+        messages.push("geometry: a polygon ring must end where it starts");
+      }
+    } else if (line.length < 2) {
+      messages.push("geometry: a line needs at least 2 positions");
+    }
+    const outside = line.map(checkPosition).find(Boolean);
+    if (outside) messages.push(`geometry: ${outside}`);
+  });
+  if (lines.length === 0) messages.push("geometry: no coordinates");
+  return [...new Set(messages)];
+}
+
+export function validateTrail(trail) {
+  if (!trail || typeof trail !== "object" || Array.isArray(trail)) {
+    return ["trail must be an object"];
+  }
+
+  return Object.entries(trail).flatMap(([field, value]) => {
+    const def = TRAIL_FIELDS[field];
+    if (!def) {
+      return [`trail: unknown field "${field}" (use ${Object.keys(TRAIL_FIELDS).join(", ")})`];
+    }
+    if (value === null) return []; // explicit "unknown"
+    return Object.hasOwn(def.values, value)
+      ? []
+      : [`trail.${field} must be one of: ${Object.keys(def.values).join(", ")}`];
+  });
+}
@@ -0,0 +1,200 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  geometryKind,
+  toLatLngs,
+  lineLengthMi,
+  areaContains,
+  nearestPointOn,
+  describeGeometry,
+  validateGeometry,
+  validateTrail,
+} from "./geometry.js";
+import { normalizeCityFile, query } from "./landmarks.js";
+import { validateCityFile } from "../data/schema.js";
+
+// A trail running due east along 42.8°N, and a square district with a hole
+const TRAIL = {
+  type: "LineString",
+  coordinates: [
+    [-73.96, 42.8],
+    [-73.94, 42.8],
+    [-73.92, 42.8],
+  ],
+};
+const SQUARE = [
+  [-73.76, 42.64],
+  [-73.74, 42.64],
+  [-73.74, 42.66],
+  [-73.76, 42.66],
+  [-73.76, 42.64],
+];
+const HOLE = [
+  [-73.752, 42.648],
+  [-73.748, 42.648],
+  [-73.748, 42.652],
+  [-73.752, 42.652],
+  [-73.752, 42.648],
+];
+const DISTRICT = { type: "Polygon", coordinates: [SQUARE, HOLE] };
+
+const near = (actual, expected, tolerance = 0.01) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not about ${expected}`);
+
+describe("shapes", () => {
+  test("geometryKind tells lines from areas and rejects anything else", () => {
+    assert.equal(geometryKind(TRAIL), "line");
+    assert.equal(geometryKind({ type: "MultiPolygon", coordinates: [[SQUARE]] }), "area");
+    assert.equal(geometryKind({ type: "Point", coordinates: [-73.9, 42.8] }), null);
+    assert.equal(geometryKind(null), null);
+  });
+
+  test("toLatLngs swaps to Leaflet order and keeps the nesting", () => {
+    assert.deepEqual(toLatLngs(TRAIL)[0], [42.8, -73.96]);
+    assert.deepEqual(toLatLngs(DISTRICT)[1][0], [42.648, -73.752]);
+  });
+
+  test("lineLengthMi adds up every segment, and is null for areas", () => {
+    // 0.04° of longitude at 42.8°N is about 2.03 miles
+    near(lineLengthMi(TRAIL), 2.03);
+    const split = { type: "MultiLineString", coordinates: [TRAIL.coordinates, TRAIL.coordinates] };
+    near(lineLengthMi(split), 4.06);
+    assert.equal(lineLengthMi(DISTRICT), null);
+  });
+
+  test("areaContains respects holes", () => {
+    assert.equal(areaContains(DISTRICT, { lat: 42.645, lng: -73.755 }), true);
+    assert.equal(areaContains(DISTRICT, { lat: 42.65, lng: -73.75 }), false);
+    assert.equal(areaContains(DISTRICT, { lat: 42.67, lng: -73.75 }), false);
+  });
+});
+
+describe("nearestPointOn", () => {
+  test("finds the closest point along a line, not the marker", () => {
+    const trail = { lat: 42.8, lng: -73.96, geometry: TRAIL };
+    const nearest = nearestPointOn(trail, { lat: 42.81, lng: -73.93 });
+    near(nearest.lat, 42.8, 1e-9);
+    near(nearest.lng, -73.93, 1e-9);
+    // 0.01° of latitude is about 0.69 miles
+    near(nearest.distanceMi, 0.69);
+  });
+
+  test("is zero inside an area and measured to the edge outside it", () => {
+    const district = { lat: 42.65, lng: -73.75, geometry: DISTRICT };
+    assert.deepEqual(nearestPointOn(district, { lat: 42.645, lng: -73.755 }), {
+      lat: 42.645,
+      lng: -73.755,
+      distanceMi: 0,
+    });
+    near(nearestPointOn(district, { lat: 42.67, lng: -73.75 }).distanceMi, 0.69);
+    // In the hole, the closest edge is the hole's
+    assert.ok(nearestPointOn(district, { lat: 42.65, lng: -73.75 }).distanceMi < 0.2);
+  });
+
+  test("falls back to the landmark's point without a geometry", () => {
+    const nearest = nearestPointOn({ lat: 42.8, lng: -73.9 }, { lat: 42.8, lng: -73.9 });
+    assert.deepEqual(nearest, { lat: 42.8, lng: -73.9, distanceMi: 0 });
+  });
+});
+
+describe("landmarks with geometry", () => {
+  const [trail, district, plain] = normalizeCityFile({
+    city: "Schenectady",
+    landmarks: [
+      {
+        id: 1,
+        name: "River Trail",
+        typetag: "Recreation",
+        latitude: 42.8,
+        longitude: -73.96,
+        geometry: TRAIL,
+        trail: { difficulty: "easy", surface: "paved" },
+      },
+      {
+        id: 2,
+        name: "Old Town",
+        typetag: "District",
+        latitude: 42.65,
+        longitude: -73.75,
+        geometry: DISTRICT,
+      },
+      { id: 3, name: "Statue", typetag: "Historic", latitude: 42.8, longitude: -73.9 },
+    ],
+  });
+
+  test("normalizeCityFile keeps the geometry, length and trail details", () => {
+    assert.equal(trail.geometry, TRAIL);
+    near(trail.lengthMi, 2.03);
+    assert.deepEqual(trail.trail, { difficulty: "easy", surface: "paved" });
+    assert.equal(district.lengthMi, null);
+    assert.equal(plain.geometry, null);
+    assert.equal(plain.trail, null);
+  });
+
+  test("near queries measure to the nearest point of the geometry", () => {
+    // Closer to the statue than to the trail's marker, but right by the trail
+    const results = query([trail, plain], { near: { lat: 42.801, lng: -73.925 }, radius: 2 });
+    assert.deepEqual(results.map((l) => l.name), ["River Trail", "Statue"]);
+    assert.ok(results[0].distanceMi < 0.1);
+    // The trail is due south
+    near(results[0].bearing, 180, 1);
+  });
+
+  test("describeGeometry lists the trail details the data has", () => {
+    const info = describeGeometry(trail);
+    assert.equal(info.kind, "line");
+    assert.deepEqual(info.details.map((d) => d.text), ["Easy", "Paved"]);
+    assert.deepEqual(describeGeometry(district).details, []);
+    assert.equal(describeGeometry(plain), null);
+  });
+});
+
+describe("validation", () => {
+  test("accepts well-formed lines and polygons", () => {
+    assert.deepEqual(validateGeometry(TRAIL), []);
+    assert.deepEqual(validateGeometry(DISTRICT), []);
+    assert.deepEqual(validateGeometry({ type: "MultiPolygon", coordinates: [[SQUARE]] }), []);
+  });
+
+  test("reports bad shapes", () => {
+    const open = { type: "Polygon", coordinates: [SQUARE.slice(0, -1)] };
+    assert.deepEqual(validateGeometry(open), ["geometry: a polygon ring must end where it starts"]);
+    const short = { type: "LineString", coordinates: [[-73.9, 42.8]] };
+    assert.deepEqual(validateGeometry(short), ["geometry: a line needs at least 2 positions"]);
+    const flat = { type: "Polygon", coordinates: TRAIL.coordinates };
+    assert.equal(validateGeometry(flat).length, 1);
+    assert.equal(validateGeometry({ type: "Point", coordinates: [-73.9, 42.8] }).length, 1);
+  });
+
+  test("the schema catches swapped coordinates and a misplaced marker", () => {
+    const record = (fields) => ({
+      city: "Schenectady",
+      landmarks: [
+        {
+          id: 1,
+          name: "River Trail",
+          typetag: "Recreation",
+          experiencetag: [],
+          description: "Along the river.",
+          latitude: 42.8,
+          longitude: -73.96,
+          ...fields,
+        },
+      ],
+    });
+    const swapped = { type: "LineString", coordinates: TRAIL.coordinates.map(([x, y]) => [y, x]) };
+
+    assert.deepEqual(validateCityFile(record({ geometry: TRAIL })), []);
+    assert.match(validateCityFile(record({ geometry: swapped }))[0].message, /outside/);
+
+    const [far] = validateCityFile(record({ geometry: TRAIL, latitude: 42.9 }));
+    assert.equal(far.severity, "warning");
+    assert.equal(far.field, "geometry");
+  });
+
+  test("validateTrail knows its fields and values", () => {
+    assert.deepEqual(validateTrail({ difficulty: "moderate", surface: null }), []);
+    assert.equal(validateTrail({ difficulty: "steep" }).length, 1);
+    assert.equal(validateTrail({ elevation: 300 }).length, 1);
+  });
+});
@@ -0,0 +1,308 @@
+// ✅ Opening hours, seasons and holiday closures
+//
+// Landmarks may carry an optional `hours` object:
+//
+//   "hours": {
+//     "weekly": { "tue": [["09:30", "17:00"]], "sat": [["09:00", "14:00"]] },
+//     "seasons": [{ "from": "09-26", "to": "11-01", "weekly": { ... } }],
+//     "closed": ["thanksgiving", "12-25", "2026-07-03"],
+//     "note": "Box office opens 90 minutes before shows"
+//   }
+//
+// - weekly:  ranges per day; a day that is left out is closed. A range that
+//            ends before it starts ("18:00"-"02:00") runs past midnight.
+// - seasons: when present the place is only open inside one of these date
+//            ranges (which may wrap the new year). A season can bring its own
+//            weekly schedule; otherwise the top-level one applies.
+// - closed:  holiday names (see HOLIDAYS), yearly "MM-DD" or one-off dates.
+//
+// Everything is evaluated in America/New_York wall-clock time, whatever the
+// device's own time zone is. No schedule (a bare note, or no hours at all)
+// means "unknown", never "closed".
+
+export const TIME_ZONE = "America/New_York";
+
+export const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// nth weekday of a month (n = -1 for the last one); month is 1-12
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+  return lastDay - ((last - weekday + 7) % 7);
+}
+
+// US holidays that commonly close attractions -> [month, day] for a year
+export const HOLIDAYS = {
+  "new-years-day": () => [1, 1],
+  "mlk-day": (y) => [1, nthWeekday(y, 1, 1, 3)],
+  "presidents-day": (y) => [2, nthWeekday(y, 2, 1, 3)],
+  "memorial-day": (y) => [5, nthWeekday(y, 5, 1, -1)],
+  juneteenth: () => [6, 19],
+  "independence-day": () => [7, 4],
+  "labor-day": (y) => [9, nthWeekday(y, 9, 1, 1)],
+  "columbus-day": (y) => [10, nthWeekday(y, 10, 1, 2)],
+  "veterans-day": () => [11, 11],
+  thanksgiving: (y) => [11, nthWeekday(y, 11, 4, 4)],
+  "christmas-eve": () => [12, 24],
+  christmas: () => [12, 25],
+  "new-years-eve": () => [12, 31],
+};
+
+const TIME_RE = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const MONTH_DAY_RE = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Wall-clock parts of an instant in New York:
+ * { year, month, day, weekday (0 = Sunday), minutes (since midnight) }
+ */
+export function zonedParts(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: TIME_ZONE,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      weekday: "short",
+      hour: "numeric",
+      minute: "numeric",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: DAY_KEYS.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * Parts from a "YYYY-MM-DDTHH:MM" string (an <input type="datetime-local">
+ * value), read as New York wall-clock time.
+ */
+export function partsFromLocalString(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value ?? "");
+  if (!m) return null;
+  const [year, month, day, hour, minute] = m.slice(1).map(Number);
+  return {
+    year,
+    month,
+    day,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    minutes: hour * 60 + minute,
+  };
+}
+
+/**
+ * The next whole hour in New York as "YYYY-MM-DDTHH:00" (capped at 23:00),
+ * a sensible default for an "Open at…" picker.
+ */
+export function nextHourLocalString(parts = zonedParts()) {
+  const hour = Math.min(23, Math.floor(parts.minutes / 60) + 1);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(hour)}:00`;
+}
+
+function shiftDay({ year, month, day }, delta) {
+  const d = new Date(Date.UTC(year, month - 1, day + delta));
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    weekday: d.getUTCDay(),
+  };
+}
+
+function isClosedDate(hours, { year, month, day }) {
+  const md = `${pad(month)}-${pad(day)}`;
+  const ymd = `${year}-${md}`;
+
+  return (hours.closed ?? []).some((entry) => {
+    if (Object.hasOwn(HOLIDAYS, entry)) {
+      const [hm, hd] = HOLIDAYS[entry](year);
+      return hm === month && hd === day;
+    }
+    return entry === md || entry === ymd;
+  });
+}
+
+function inSeason({ from, to }, { month, day }) {
+  const md = `${pad(month)}-${pad(day)}`;
+  return from <= to ? md >= from && md <= to : md >= from || md <= to;
+}
+
+// Weekly schedule that applies on a date, or null when out of season
+function scheduleFor(hours, date) {
+  if (!Array.isArray(hours.seasons) || hours.seasons.length === 0) return hours.weekly ?? {};
+  const season = hours.seasons.find((s) => inSeason(s, date));
+  if (!season) return null;
+  return season.weekly ?? hours.weekly ?? {};
+}
+
+// Ranges for a date as [openMin, closeMin]; overnight ranges end past 1440
+function rangesOn(hours, date) {
+  if (isClosedDate(hours, date)) return [];
+  const schedule = scheduleFor(hours, date);
+  if (!schedule) return [];
+
+  return (schedule[DAY_KEYS[date.weekday]] ?? []).map(([open, close]) => {
+    const o = toMinutes(open);
+    const c = toMinutes(close);
+    return [o, c <= o ? c + 24 * 60 : c];
+  });
+}
+
+export function hasHours(landmark) {
+  return Boolean(landmark.hours && (landmark.hours.weekly || landmark.hours.seasons));
+}
+
+/**
+ * Status at a New York wall-clock moment (see zonedParts):
+ *   { state: "open" | "closed" | "unknown", today, closesAt, opensAt, reason }
+ * `reason` is "holiday" or "outOfSeason" when the place is closed all day.
+ * `today` is the list of ranges for that date; it and the times are
+ * formatted for `intlLocale` (see formatTime).
+ */
+export function getOpenStatus(landmark, parts = zonedParts(), intlLocale = "en-US") {
+  if (!hasHours(landmark)) {
+    return { state: "unknown", today: [], closesAt: null, opensAt: null, reason: null };
+  }
+
+  const { hours } = landmark;
+  const today = rangesOn(hours, parts);
+  const yesterday = rangesOn(hours, shiftDay(parts, -1));
+
+  const openToday = today.find(([o, c]) => parts.minutes >= o && parts.minutes < c);
+  const openFromYesterday = yesterday.find(([, c]) => c > 24 * 60 && parts.minutes < c - 24 * 60);
+
+  let reason = null;
+  if (isClosedDate(hours, parts)) reason = "holiday";
+  else if (!scheduleFor(hours, parts)) reason = "outOfSeason";
+
+  const next = today.find(([o]) => o > parts.minutes);
+
+  const time = (minutes) => formatTime(minutes, intlLocale);
+
+  return {
+    state: openToday || openFromYesterday ? "open" : "closed",
+    today: today.map((range) => formatRange(range, intlLocale)),
+    closesAt: openToday
+      ? time(openToday[1])
+      : openFromYesterday
+        ? time(openFromYesterday[1])
+        : null,
+    opensAt: !openToday && !openFromYesterday && next ? time(next[0]) : null,
+    reason,
+  };
+}
+
+const timeFormats = new Map();
+
+/**
+ * Minutes since midnight as a clock time in a locale's style, given as the
+ * Intl tag: "5:00 PM" (en-US), "5:00 p.m." (es-US).
+ */
+export function formatTime(minutes, intlLocale = "en-US") {
+  if (!timeFormats.has(intlLocale)) {
+    timeFormats.set(
+      intlLocale,
+      new Intl.DateTimeFormat(intlLocale, { hour: "numeric", minute: "2-digit", timeZone: "UTC" })
+    );
+  }
+  const m = minutes % (24 * 60);
+  return timeFormats.get(intlLocale).format(Date.UTC(2000, 0, 1, Math.floor(m / 60), m % 60));
+}
+
+function formatRange([open, close], intlLocale) {
+  return `${formatTime(open, intlLocale)} – ${formatTime(close, intlLocale)}`;
+}
+
+/**
+ * Weekly table for display: [{ day: "mon", ranges: ["9:30 AM – 5:00 PM"] }]
+ * using the schedule that applies on the given date (current season).
+ */
+export function weeklySummary(landmark, parts = zonedParts(), intlLocale = "en-US") {
+  if (!hasHours(landmark)) return [];
+  const schedule = scheduleFor(landmark.hours, parts) ?? {};
+  return [1, 2, 3, 4, 5, 6, 0].map((i) => ({
+    day: DAY_KEYS[i],
+    ranges: (schedule[DAY_KEYS[i]] ?? []).map(([o, c]) =>
+      formatRange([toMinutes(o), toMinutes(c)], intlLocale)
+    ),
+  }));
+}
+
+function validateWeekly(weekly, path) {
+  if (!weekly || typeof weekly !== "object" || Array.isArray(weekly)) {
+    return [`${path} must be an object of day -> [[open, close], ...]`];
+  }
+  return Object.entries(weekly).flatMap(([day, ranges]) => {
+    if (!DAY_KEYS.includes(day)) return [`${path}.${day} is not a day (use ${DAY_KEYS.join(", ")})`];
+    if (!Array.isArray(ranges)) return [`${path}.${day} must be a list of [open, close] pairs`];
+    return ranges.flatMap((range, i) =>
+      Array.isArray(range) && range.length === 2 && range.every((t) => TIME_RE.test(t))
+        ? []
+        : [`${path}.${day}[${i}] must be ["HH:MM", "HH:MM"]`]
+    );
+  });
+}
+
+/**
+ * Schema check for an `hours` object. Returns a list of messages.
+ */
+export function validateHours(hours) {
+  if (!hours || typeof hours !== "object" || Array.isArray(hours)) {
+    return ["hours must be an object"];
+  }
+
+  const errors = [];
+  if (hours.weekly !== undefined) errors.push(...validateWeekly(hours.weekly, "weekly"));
+
+  if (hours.seasons !== undefined) {
+    if (!Array.isArray(hours.seasons)) {
+      errors.push("seasons must be a list");
+    } else {
+      hours.seasons.forEach((season, i) => {
+        if (!MONTH_DAY_RE.test(season?.from ?? "") || !MONTH_DAY_RE.test(season?.to ?? "")) {
+          errors.push(`seasons[${i}] needs "from" and "to" as "MM-DD"`);
+        }
+        if (season?.weekly !== undefined) {
+          errors.push(...validateWeekly(season.weekly, `seasons[${i}].weekly`));
+        }
+      });
+    }
+  }
+
+  if (hours.closed !== undefined) {
+    if (!Array.isArray(hours.closed)) {
+      errors.push("closed must be a list");
+    } else {
+      hours.closed
+        .filter((c) => !Object.hasOwn(HOLIDAYS, c) && !MONTH_DAY_RE.test(c) && !DATE_RE.test(c))
+        .forEach((c) =>
+          errors.push(`closed: "${c}" is not a holiday name, "MM-DD" or "YYYY-MM-DD"`)
+        );
+    }
+  }
+
+  if (hours.note !== undefined && typeof hours.note !== "string") {
+    errors.push("note must be a string");
+  }
+
+  return errors;
+}
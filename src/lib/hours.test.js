@@ -0,0 +1,158 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DAY_KEYS,
+  zonedParts,
+  partsFromLocalString,
+  getOpenStatus,
+  weeklySummary,
+  formatTime,
+  validateHours,
+} from "./hours.js";
+
+const at = partsFromLocalString;
+
+// Open nine to five every day
+const DAYTIME = {
+  hours: { weekly: Object.fromEntries(DAY_KEYS.map((day) => [day, [["09:00", "17:00"]]])) },
+};
+
+describe("zonedParts", () => {
+  test("reads New York wall-clock time across the spring DST change", () => {
+    // 2 AM EST on Sunday March 8, 2026 jumps to 3 AM EDT (07:00 UTC)
+    assert.deepEqual(zonedParts(new Date("2026-03-08T06:30:00Z")), {
+      year: 2026,
+      month: 3,
+      day: 8,
+      weekday: 0,
+      minutes: 90,
+    });
+    assert.equal(zonedParts(new Date("2026-03-08T07:30:00Z")).minutes, 3 * 60 + 30);
+  });
+
+  test("the same UTC time is an hour later in New York after the change", () => {
+    const winter = getOpenStatus(DAYTIME, zonedParts(new Date("2026-03-06T13:30:00Z")));
+    const summer = getOpenStatus(DAYTIME, zonedParts(new Date("2026-03-09T13:30:00Z")));
+    assert.equal(winter.state, "closed"); // 8:30 EST
+    assert.equal(summer.state, "open"); // 9:30 EDT
+  });
+
+  test("reads the repeated hour when clocks fall back", () => {
+    // 2 AM EDT on Sunday November 1, 2026 falls back to 1 AM EST (06:00 UTC)
+    assert.equal(zonedParts(new Date("2026-11-01T05:30:00Z")).minutes, 90);
+    assert.equal(zonedParts(new Date("2026-11-01T06:30:00Z")).minutes, 90);
+    assert.equal(zonedParts(new Date("2026-11-01T07:30:00Z")).minutes, 2 * 60 + 30);
+  });
+});
+
+describe("getOpenStatus", () => {
+  test("no schedule is unknown, never closed", () => {
+    assert.equal(getOpenStatus({}, at("2026-10-17T12:00")).state, "unknown");
+    assert.equal(getOpenStatus({ hours: { note: "Call ahead" } }).state, "unknown");
+  });
+
+  test("a range past midnight stays open into the next day", () => {
+    // Friday 6 PM to 2 AM; October 16, 2026 is a Friday
+    const bar = { hours: { weekly: { fri: [["18:00", "02:00"]] } } };
+
+    const late = getOpenStatus(bar, at("2026-10-16T23:30"));
+    assert.equal(late.state, "open");
+    assert.equal(late.closesAt, "2:00 AM");
+    assert.deepEqual(late.today, ["6:00 PM – 2:00 AM"]);
+
+    const afterMidnight = getOpenStatus(bar, at("2026-10-17T01:15"));
+    assert.equal(afterMidnight.state, "open");
+    assert.equal(afterMidnight.closesAt, "2:00 AM");
+    assert.deepEqual(afterMidnight.today, []);
+
+    assert.equal(getOpenStatus(bar, at("2026-10-17T02:00")).state, "closed");
+    assert.equal(getOpenStatus(bar, at("2026-10-16T17:00")).opensAt, "6:00 PM");
+  });
+
+  test("switches to the next season's schedule on its first day", () => {
+    const farm = {
+      hours: {
+        seasons: [
+          { from: "05-01", to: "10-31", weekly: { sat: [["09:00", "17:00"]] } },
+          { from: "11-01", to: "04-30", weekly: { sat: [["10:00", "14:00"]] } },
+        ],
+      },
+    };
+    // Saturdays October 31 and November 7, 2026
+    assert.equal(getOpenStatus(farm, at("2026-10-31T15:00")).state, "open");
+    const winter = getOpenStatus(farm, at("2026-11-07T15:00"));
+    assert.equal(winter.state, "closed");
+    assert.equal(winter.reason, null);
+    assert.deepEqual(winter.today, ["10:00 AM – 2:00 PM"]);
+    assert.deepEqual(
+      weeklySummary(farm, at("2026-11-07T15:00")).find((d) => d.day === "sat").ranges,
+      ["10:00 AM – 2:00 PM"]
+    );
+  });
+
+  test("outside every season is closed for the season, including across the new year", () => {
+    const rink = {
+      hours: {
+        weekly: { sat: [["12:00", "20:00"]] },
+        seasons: [{ from: "12-01", to: "02-28" }],
+      },
+    };
+    assert.equal(getOpenStatus(rink, at("2027-01-02T13:00")).state, "open");
+    const spring = getOpenStatus(rink, at("2026-03-07T13:00"));
+    assert.equal(spring.state, "closed");
+    assert.equal(spring.reason, "outOfSeason");
+  });
+
+  test("closes on named holidays, yearly dates and one-off dates", () => {
+    const museum = {
+      hours: {
+        weekly: { thu: [["10:00", "17:00"]], fri: [["10:00", "17:00"]] },
+        closed: ["thanksgiving", "12-25", "2026-07-03"],
+      },
+    };
+    // Thanksgiving 2026 is Thursday November 26
+    const thanksgiving = getOpenStatus(museum, at("2026-11-26T12:00"));
+    assert.equal(thanksgiving.state, "closed");
+    assert.equal(thanksgiving.reason, "holiday");
+    assert.equal(getOpenStatus(museum, at("2026-11-19T12:00")).state, "open");
+    assert.equal(getOpenStatus(museum, at("2025-12-25T12:00")).state, "closed");
+    assert.equal(getOpenStatus(museum, at("2026-07-03T12:00")).state, "closed");
+    assert.equal(getOpenStatus(museum, at("2027-07-02T12:00")).state, "open");
+  });
+});
+
+test("formatTime follows the locale", () => {
+  assert.equal(formatTime(17 * 60), "5:00 PM");
+  assert.equal(formatTime(30, "en-US"), "12:30 AM");
+  assert.equal(formatTime(17 * 60, "es-US"), "5:00 p.m.");
+  assert.equal(formatTime(26 * 60, "es-US"), "2:00 a.m.");
+  assert.equal(getOpenStatus(DAYTIME, at("2026-10-17T12:00"), "es-US").closesAt, "5:00 p.m.");
+});
+
+describe("validateHours", () => {
+  test("accepts a full schedule", () => {
+    assert.deepEqual(
+      validateHours({
+        weekly: { mon: [["09:00", "24:00"]] },
+        seasons: [{ from: "11-01", to: "03-31", weekly: { sat: [["18:00", "02:00"]] } }],
+        closed: ["thanksgiving", "12-25", "2026-07-03"],
+        note: "Last entry 30 minutes before closing",
+      }),
+      []
+    );
+  });
+
+  test("rejects unknown days, bad times and bad dates", () => {
+    assert.equal(validateHours({ weekly: { monday: [] } }).length, 1);
+    assert.equal(validateHours({ weekly: { mon: [["9:00", "17:00"]] } }).length, 1);
+    assert.equal(validateHours({ seasons: [{ from: "13-01", to: "02-01" }] }).length, 1);
+  });
+
+  test("only its own holiday names count, not Object.prototype's", () => {
+    assert.deepEqual(validateHours({ closed: ["toString", "constructor", "easter"] }), [
+      'closed: "toString" is not a holiday name, "MM-DD" or "YYYY-MM-DD"',
+      'closed: "constructor" is not a holiday name, "MM-DD" or "YYYY-MM-DD"',
+      'closed: "easter" is not a holiday name, "MM-DD" or "YYYY-MM-DD"',
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+// ✅ UI translations and locale-aware formatting
+//
+// Messages live in src/locales/<code>.json as nested objects:
+//
+//   { "nearby": { "title": "Nearby", "within": "Within {distance} of {origin}" } }
+//
+// `t("nearby.within", { distance, origin })` fills in {placeholders}. A
+// message can also be a plural set ({ "one": "…", "other": "…" }) chosen by
+// the `count` option with Intl.PluralRules. Missing messages fall back to
+// English, then to `defaultValue` (for keys built from open-ended data, like
+// a field name), then to the key itself. en.json is the source catalog:
+// every other locale has the same keys.
+//
+// The chosen locale is kept in localStorage ("locale"); the first visit goes
+// by the browser's language list.
+
+import { createContext, createElement, useContext, useEffect, useMemo, useState } from "react";
+import { LOCALES, DEFAULT_LOCALE, matchLocale } from "./locales";
+import en from "../locales/en.json";
+import es from "../locales/es.json";
+
+const MESSAGES = { en, es };
+
+const KM_PER_MILE = 1.609344;
+
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => node?.[part], messages);
+}
+
+function interpolate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] != null ? vars[name] : match));
+}
+
+function initialLocale() {
+  try {
+    const saved = localStorage.getItem("locale");
+    if (saved && Object.hasOwn(LOCALES, saved)) return saved;
+  } catch {
+    // fall through to the browser's languages
+  }
+  return matchLocale(navigator.languages ?? [navigator.language]);
+}
+
+/**
+ * Translator and formatters for one locale. Plain functions so they can be
+ * built outside React too.
+ */
+export function createTranslator(locale) {
+  const { intl, units } = LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE];
+  const plurals = new Intl.PluralRules(intl);
+
+  // Raw message (string, plural set, list...) with the English fallback
+  function message(key) {
+    return lookup(MESSAGES[locale], key) ?? lookup(MESSAGES[DEFAULT_LOCALE], key);
+  }
+
+  function formatNumber(value, options) {
+    return new Intl.NumberFormat(intl, options).format(value);
+  }
+
+  function t(key, { defaultValue, count, ...vars } = {}) {
+    let entry = message(key) ?? defaultValue ?? key;
+    if (entry && typeof entry === "object") {
+      entry = entry[count != null ? plurals.select(count) : "other"] ?? entry.other;
+    }
+    if (typeof entry !== "string") return key;
+    return interpolate(entry, count != null ? { ...vars, count: formatNumber(count) } : vars);
+  }
+
+  // A distance given in miles, in the locale's units: "1.2 mi", "1,9 km"
+  function formatDistance(miles, options = { maximumFractionDigits: 1 }) {
+    const metric = units === "metric";
+    return formatNumber(metric ? miles * KM_PER_MILE : miles, {
+      ...options,
+      style: "unit",
+      unit: metric ? "kilometer" : "mile",
+    });
+  }
+
+  // A short distance given in metres: metres up close, then miles or km
+  function formatShortDistance(meters) {
+    if (meters < 1000) {
+      return formatNumber(Math.round(meters), { style: "unit", unit: "meter" });
+    }
+    return formatDistance(meters / 1000 / KM_PER_MILE);
+  }
+
+  // Dates for Date.toLocaleDateString-style options
+  function formatDate(date, options) {
+    return date.toLocaleDateString(intl, options);
+  }
+
+  return {
+    locale,
+    intl,
+    units,
+    t,
+    message,
+    formatNumber,
+    formatDistance,
+    formatShortDistance,
+    formatDate,
+  };
+}
+
+const I18nContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+/**
+ * Provides the current locale to the app. Also keeps <html lang> in step so
+ * screen readers pronounce the page in the right language.
+ */
+export function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(initialLocale);
+
+  useEffect(() => {
+    localStorage.setItem("locale", locale);
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({ ...createTranslator(locale), setLocale }), [locale]);
+
+  return createElement(I18nContext.Provider, { value }, children);
+}
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
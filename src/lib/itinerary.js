@@ -0,0 +1,113 @@
+import { haversineMiles } from "./geo.js";
+
+// ✅ Trip planning helpers: stop ordering and travel time estimates
+//
+// Distances are straight-line (haversine) miles stretched by a detour factor
+// to approximate real streets. Good enough to plan a day, not turn-by-turn.
+
+export const TRAVEL_MODES = {
+  walk: { label: "Walking", mph: 3, detour: 1.3, overheadMin: 0 },
+  drive: { label: "Driving", mph: 22, detour: 1.4, overheadMin: 5 }, // + parking
+};
+
+export function createItinerary(name) {
+  return {
+    id: `trip-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    stops: [], // landmark ids, in visiting order
+    mode: "walk",
+  };
+}
+
+const distance = (a, b) => haversineMiles(a.lat, a.lng, b.lat, b.lng);
+
+export function estimateLeg(from, to, modeKey = "walk") {
+  const mode = TRAVEL_MODES[modeKey] ?? TRAVEL_MODES.walk;
+  const miles = distance(from, to) * mode.detour;
+  const minutes = Math.round((miles / mode.mph) * 60 + mode.overheadMin);
+  return { miles, minutes };
+}
+
+/**
+ * Legs between consecutive points. With a `start` (e.g. the user's
+ * location) the first leg runs from there to the first stop.
+ */
+export function planLegs(stops, modeKey, start = null) {
+  const points = start ? [start, ...stops] : stops;
+  return points.slice(1).map((to, i) => ({
+    from: points[i],
+    to,
+    ...estimateLeg(points[i], to, modeKey),
+  }));
+}
+
+function pathLength(route, start) {
+  const points = start ? [start, ...route] : route;
+  let total = 0;
+  for (let i = 1; i < points.length; i++) total += distance(points[i - 1], points[i]);
+  return total;
+}
+
+function nearestNeighbor(stops, first) {
+  const remaining = stops.filter((s) => s !== first);
+  const route = [first];
+  while (remaining.length) {
+    const last = route[route.length - 1];
+    let bestIndex = 0;
+    remaining.forEach((s, i) => {
+      if (distance(last, s) < distance(last, remaining[bestIndex])) bestIndex = i;
+    });
+    route.push(remaining.splice(bestIndex, 1)[0]);
+  }
+  return route;
+}
+
+// 2-opt: reverse any stretch of the route that makes it shorter, until
+// nothing improves. Fine for the handful of stops in a day trip.
+function twoOpt(route, start) {
+  let best = route;
+  let bestLength = pathLength(best, start);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const length = pathLength(candidate, start);
+        if (length < bestLength - 1e-9) {
+          best = candidate;
+          bestLength = length;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Order stops ({ lat, lng, ... }) into a short open tour. Starts from
+ * `start` when given (the user's location); otherwise tries every stop as
+ * the first one and keeps the shortest.
+ */
+export function optimizeStopOrder(stops, start = null) {
+  if (stops.length < 2) return [...stops];
+
+  if (start) {
+    const first = stops.reduce((a, b) => (distance(start, a) <= distance(start, b) ? a : b));
+    return twoOpt(nearestNeighbor(stops, first), start);
+  }
+
+  return stops
+    .map((first) => twoOpt(nearestNeighbor(stops, first), null))
+    .reduce((a, b) => (pathLength(a, null) <= pathLength(b, null) ? a : b));
+}
+
+export function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
@@ -0,0 +1,189 @@
+// ✅ Headless landmark engine: load, filter, sort and measure landmarks
+//
+// Everything the map does with the data, minus the map, for a kiosk or a
+// newsletter script as much as for the app:
+//
+//   import { loadLandmarks, query } from "./src/lib/landmarks.js";
+//
+//   const landmarks = loadLandmarks([albanyJson, troyJson]);
+//   query(landmarks, { types: ["Nature"], tags: ["Free"], near: { lat, lng }, radius: 3 });
+//
+// City files are the raw `{ city, landmarks }` JSON from src/data/cities
+// (in the app they come from the city registry, src/data/cities.js).
+
+import {
+  TYPE_TAGS,
+  TYPE_GROUPS,
+  EXPERIENCE_TAGS,
+  canonicalTypeTag,
+  canonicalExperienceTags,
+  sortByTaxonomy,
+} from "../data/taxonomy.js";
+import { normalizeAmenities } from "./amenities.js";
+import { translationsOf } from "./locales.js";
+import { getOpenStatus } from "./hours.js";
+import { haversineMiles } from "./geo.js";
+import { geometryKind, lineLengthMi, normalizeTrail } from "./geometry.js";
+import { EMPTY_FACETS, matchesFacets } from "./filters.js";
+import { findNearby, NEARBY_SORTS } from "./nearby.js";
+
+// App id for a city-file record: Troy's id 3 -> "troy-3"
+export const landmarkId = (city, id) => `${city.toLowerCase()}-${id}`;
+
+export const hasCoordinates = (point) =>
+  Boolean(point) && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+
+/**
+ * One city file -> app landmarks. Tag aliases become canonical taxonomy tags,
+ * translated descriptions are kept next to the English one, and anything
+ * missing gets a safe empty value (no type: "", no tags: [], no or bad
+ * coordinates: null). Lines and areas keep their GeoJSON `geometry`, and
+ * lines get their `lengthMi` (see lib/geometry.js).
+ */
+export function normalizeCityFile(cityFile) {
+  const city = cityFile.city;
+
+  return (cityFile.landmarks ?? []).map((lm) => {
+    const lat = Number.isFinite(lm.latitude) ? lm.latitude : null;
+    const lng = Number.isFinite(lm.longitude) ? lm.longitude : null;
+    const geometry = geometryKind(lm.geometry) ? lm.geometry : null;
+
+    return {
+      id: landmarkId(city, lm.id),
+      city,
+      name: lm.name,
+      description: lm.description,
+      ...translationsOf(lm, "description"),
+      address: lm.address,
+      lat,
+      lng,
+      website: lm.website,
+      typetag: canonicalTypeTag(lm.typetag ?? lm.type ?? ""),
+      experiencetag: canonicalExperienceTags(
+        Array.isArray(lm.experiencetag) ? lm.experiencetag : []
+      ),
+      hours: lm.hours ?? null,
+      amenities: normalizeAmenities(lm.amenities),
+      geometry,
+      lengthMi: lineLengthMi(geometry),
+      trail: normalizeTrail(lm.trail),
+    };
+  });
+}
+
+/**
+ * Every landmark in the given city files, normalized. Landmarks without
+ * usable coordinates are left out: they can't be mapped or measured.
+ */
+export function loadLandmarks(cityFiles) {
+  return cityFiles
+    .filter((file) => file && typeof file.city === "string" && Array.isArray(file.landmarks))
+    .flatMap(normalizeCityFile)
+    .filter(hasCoordinates);
+}
+
+/**
+ * Filter options for a set of landmarks, limited to values the data uses
+ * and in taxonomy order:
+ *   { cities, types, typeGroups: [{ name, label, icon, description, types }],
+ *     experienceTags }
+ * Types the taxonomy doesn't know end up in a last group with name null.
+ */
+export function landmarkOptions(landmarks) {
+  const cities = Array.from(new Set(landmarks.map((l) => l.city))).sort();
+  const types = sortByTaxonomy(
+    Array.from(new Set(landmarks.map((l) => l.typetag).filter(Boolean))),
+    TYPE_TAGS
+  );
+
+  const typeGroups = Object.entries(TYPE_GROUPS).map(([name, group]) => ({
+    name,
+    ...group,
+    types: types.filter((type) => TYPE_TAGS[type]?.group === name),
+  }));
+  const ungrouped = types.filter((type) => !TYPE_TAGS[type]);
+  if (ungrouped.length > 0) typeGroups.push({ name: null, types: ungrouped });
+
+  const experienceTags = sortByTaxonomy(
+    Array.from(new Set(landmarks.flatMap((l) => l.experiencetag))),
+    EXPERIENCE_TAGS
+  );
+
+  return {
+    cities,
+    types,
+    typeGroups: typeGroups.filter((group) => group.types.length > 0),
+    experienceTags,
+  };
+}
+
+/**
+ * Straight-line distance in miles between two { lat, lng } points (or
+ * landmarks' marker points). null when either has no coordinates. `near`
+ * queries measure to a line or area's nearest point instead.
+ */
+export function distance(a, b) {
+  if (!hasCoordinates(a) || !hasCoordinates(b)) return null;
+  return haversineMiles(a.lat, a.lng, b.lat, b.lng);
+}
+
+// Sorts for results without a `near` point (distance needs one)
+const PLAIN_SORTS = {
+  name: NEARBY_SORTS.name.compare,
+  type: (a, b) => a.typetag.localeCompare(b.typetag) || a.name.localeCompare(b.name),
+};
+
+/**
+ * Landmarks matching every given option. All are optional:
+ *
+ *   cities, types, tags, tagMode, excludedTags,
+ *   amenities, amenitiesIncludeUnknown    facets (see lib/filters.js)
+ *   ids                                   only these landmark ids (search results)
+ *   openAt                                open at this moment (hours.js zonedParts)
+ *   includeUnknownHours                   ...or with no hours listed (default true)
+ *   near, radius                          within `radius` miles of { lat, lng }
+ *   excludeId                             leave this landmark out (the `near` one)
+ *   sort                                  "distance" | "name" | "type"
+ *
+ * With `near`, results are the closest NEARBY_LIMIT and carry distanceMi,
+ * bearing and walkMinutes (see lib/nearby.js); `radius` defaults to
+ * everything. Without it, results keep their input order unless sorted by
+ * name or type.
+ */
+export function query(landmarks, options = {}) {
+  const {
+    ids = null,
+    openAt = null,
+    includeUnknownHours = true,
+    near = null,
+    radius = Infinity,
+    excludeId = null,
+    sort = null,
+  } = options;
+  const facets = { ...EMPTY_FACETS };
+  Object.keys(EMPTY_FACETS).forEach((key) => {
+    if (options[key] != null) facets[key] = options[key];
+  });
+  const idSet = ids ? new Set(ids) : null;
+
+  const matches = landmarks.filter((l) => {
+    if (idSet && !idSet.has(l.id)) return false;
+    if (l.id === excludeId) return false;
+    if (openAt) {
+      const { state } = getOpenStatus(l, openAt);
+      if (state === "unknown" ? !includeUnknownHours : state !== "open") return false;
+    }
+    return matchesFacets(l, facets);
+  });
+
+  if (near) {
+    if (!hasCoordinates(near)) return [];
+    return findNearby(matches.filter(hasCoordinates), near, {
+      radiusMi: radius,
+      sort: sort ?? "distance",
+    });
+  }
+
+  const compare = PLAIN_SORTS[sort];
+  return compare ? [...matches].sort(compare) : matches;
+}
@@ -0,0 +1,321 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeCityFile,
+  loadLandmarks,
+  landmarkOptions,
+  distance,
+  hasCoordinates,
+  query,
+} from "./landmarks.js";
+import { readCityFiles } from "./fixtures/cityFiles.js";
+
+// Small made-up region: a few places around Albany and one in Troy
+const ALBANY = {
+  city: "Albany",
+  landmarks: [
+    {
+      id: 1,
+      name: "Washington Park",
+      description: "Park",
+      description_es: "Parque",
+      latitude: 42.6555,
+      longitude: -73.7689,
+      typetag: "Park",
+      experiencetag: ["Free", "Outdoors", "Family"],
+      amenities: { wheelchair: "yes", cost: "free" },
+    },
+    {
+      id: 2,
+      name: "State Museum",
+      description: "Museum",
+      latitude: 42.6483,
+      longitude: -73.7607,
+      type: "Museum",
+      experiencetag: ["Free", "Indoors", "Educational"],
+      hours: { weekly: { tue: [["09:30", "17:00"]] } },
+    },
+    {
+      id: 3,
+      name: "Nowhere",
+      description: "No coordinates",
+      typetag: "Historic",
+      experiencetag: ["Free"],
+    },
+    {
+      id: 4,
+      name: "Bare Spot",
+      description: "No tags",
+      latitude: 42.65,
+      longitude: -73.75,
+    },
+  ],
+};
+
+const TROY = {
+  city: "Troy",
+  landmarks: [
+    {
+      id: 1,
+      name: "Prospect Park",
+      description: "Park",
+      latitude: 42.7257,
+      longitude: -73.6787,
+      typetag: "Park",
+      experiencetag: ["Outdoors", "Night Life"],
+    },
+  ],
+};
+
+const landmarks = loadLandmarks([ALBANY, TROY]);
+const names = (results) => results.map((l) => l.name);
+
+describe("normalizeCityFile", () => {
+  const [park, museum, nowhere, bare] = normalizeCityFile(ALBANY);
+
+  test("builds city-scoped ids and app field names", () => {
+    assert.equal(park.id, "albany-1");
+    assert.equal(park.city, "Albany");
+    assert.equal(park.lat, 42.6555);
+    assert.equal(park.lng, -73.7689);
+  });
+
+  test("keeps translated descriptions", () => {
+    assert.equal(park.description_es, "Parque");
+    assert.equal(Object.hasOwn(museum, "description_es"), false);
+  });
+
+  test("reads the legacy `type` field and canonicalizes tag aliases", () => {
+    assert.equal(museum.typetag, "Museum");
+    assert.deepEqual(museum.experiencetag, ["Free", "Rainy Day", "Educational"]);
+  });
+
+  test("fills in missing tags, hours and amenities", () => {
+    assert.equal(bare.typetag, "");
+    assert.deepEqual(bare.experiencetag, []);
+    assert.equal(bare.hours, null);
+    assert.equal(bare.amenities.wheelchair, null);
+    assert.equal(park.amenities.wheelchair, "yes");
+  });
+
+  test("turns missing coordinates into null", () => {
+    assert.equal(nowhere.lat, null);
+    assert.equal(nowhere.lng, null);
+    assert.equal(hasCoordinates(nowhere), false);
+  });
+
+  test("handles a file without landmarks", () => {
+    assert.deepEqual(normalizeCityFile({ city: "Cohoes" }), []);
+  });
+});
+
+describe("loadLandmarks", () => {
+  test("merges cities and drops landmarks without coordinates", () => {
+    assert.deepEqual(names(landmarks), [
+      "Washington Park",
+      "State Museum",
+      "Bare Spot",
+      "Prospect Park",
+    ]);
+  });
+
+  test("skips anything that isn't a city file", () => {
+    assert.equal(loadLandmarks([null, { city: "Troy" }, TROY]).length, 1);
+  });
+
+  test("loads every landmark in src/data/cities", () => {
+    const files = readCityFiles().map(({ data }) => data);
+    const all = loadLandmarks(files);
+    const total = files.reduce((sum, file) => sum + file.landmarks.length, 0);
+
+    assert.equal(all.length, total);
+    assert.equal(new Set(all.map((l) => l.id)).size, total);
+    all.forEach((l) => assert.ok(l.typetag, `${l.id} has a type`));
+  });
+});
+
+describe("landmarkOptions", () => {
+  const options = landmarkOptions(landmarks);
+
+  test("lists only values in use, in taxonomy order", () => {
+    assert.deepEqual(options.cities, ["Albany", "Troy"]);
+    assert.deepEqual(options.types, ["Museum", "Park"]);
+    assert.deepEqual(options.experienceTags, [
+      "Free",
+      "Family",
+      "Outdoors",
+      "Rainy Day",
+      "Educational",
+      "Night Life",
+    ]);
+  });
+
+  test("groups types and leaves out empty groups", () => {
+    assert.deepEqual(
+      options.typeGroups.map((g) => [g.name, g.types]),
+      [
+        ["Arts & Culture", ["Museum"]],
+        ["Nature", ["Park"]],
+      ]
+    );
+  });
+
+  test("puts unknown types in an unnamed group", () => {
+    const castle = { id: 9, name: "Odd", latitude: 42.7, longitude: -73.7, typetag: "Castle" };
+    const odd = loadLandmarks([{ city: "Troy", landmarks: [castle] }]);
+    assert.deepEqual(landmarkOptions(odd).typeGroups, [{ name: null, types: ["Castle"] }]);
+  });
+});
+
+describe("distance", () => {
+  test("matches known great-circle distances", () => {
+    const nyc = { lat: 40.7128, lng: -74.006 };
+    const la = { lat: 34.0522, lng: -118.2437 };
+    assert.ok(Math.abs(distance(nyc, la) - 2445.6) < 1);
+    // One degree of latitude is about 69.09 miles
+    assert.ok(Math.abs(distance({ lat: 42, lng: -73 }, { lat: 43, lng: -73 }) - 69.09) < 0.05);
+  });
+
+  test("is symmetric and zero for the same point", () => {
+    const [park, museum] = landmarks;
+    assert.equal(distance(park, park), 0);
+    assert.equal(distance(park, museum), distance(museum, park));
+  });
+
+  test("is null without coordinates", () => {
+    assert.equal(distance({ lat: 42, lng: null }, { lat: 42, lng: -73 }), null);
+    assert.equal(distance(null, { lat: 42, lng: -73 }), null);
+  });
+});
+
+describe("query", () => {
+  test("returns everything, in order, with no options", () => {
+    assert.deepEqual(query(landmarks), landmarks);
+    assert.deepEqual(query(landmarks, {}), landmarks);
+  });
+
+  test("ORs values within cities and types", () => {
+    assert.deepEqual(names(query(landmarks, { cities: ["Troy"] })), ["Prospect Park"]);
+    assert.deepEqual(names(query(landmarks, { types: ["Museum", "Park"] })), [
+      "Washington Park",
+      "State Museum",
+      "Prospect Park",
+    ]);
+  });
+
+  test("expands type groups", () => {
+    assert.deepEqual(names(query(landmarks, { types: ["Nature"] })), [
+      "Washington Park",
+      "Prospect Park",
+    ]);
+  });
+
+  test("ANDs dimensions together", () => {
+    assert.deepEqual(names(query(landmarks, { cities: ["Albany"], types: ["Park"] })), [
+      "Washington Park",
+    ]);
+    assert.deepEqual(query(landmarks, { cities: ["Troy"], types: ["Museum"] }), []);
+  });
+
+  test("matches all tags by default, any tag on request", () => {
+    assert.deepEqual(names(query(landmarks, { tags: ["Free", "Outdoors"] })), ["Washington Park"]);
+    assert.deepEqual(names(query(landmarks, { tags: ["Family", "Night Life"], tagMode: "any" })), [
+      "Washington Park",
+      "Prospect Park",
+    ]);
+  });
+
+  test("excluded tags always apply, and untagged places survive them", () => {
+    assert.deepEqual(names(query(landmarks, { excludedTags: ["Free"] })), [
+      "Bare Spot",
+      "Prospect Park",
+    ]);
+    assert.deepEqual(query(landmarks, { tags: ["Free"], excludedTags: ["Free"] }), []);
+  });
+
+  test("untagged places fail any tag filter", () => {
+    const bare = landmarks.filter((l) => l.name === "Bare Spot");
+    assert.deepEqual(query(bare, { tags: ["Free"] }), []);
+    assert.deepEqual(query(bare, { tags: ["Free"], tagMode: "any" }), []);
+  });
+
+  test("filters by amenities, treating unknown as not matching unless asked", () => {
+    assert.deepEqual(names(query(landmarks, { amenities: ["free-entry"] })), ["Washington Park"]);
+    assert.equal(
+      query(landmarks, { amenities: ["free-entry"], amenitiesIncludeUnknown: true }).length,
+      4
+    );
+  });
+
+  test("restricts to ids", () => {
+    assert.deepEqual(names(query(landmarks, { ids: ["troy-1", "albany-2", "nope"] })), [
+      "State Museum",
+      "Prospect Park",
+    ]);
+    assert.deepEqual(query(landmarks, { ids: [] }), []);
+  });
+
+  test("checks opening hours, with unknown hours included by default", () => {
+    const tuesdayNoon = { year: 2026, month: 10, day: 20, weekday: 2, minutes: 12 * 60 };
+    const mondayNoon = { year: 2026, month: 10, day: 19, weekday: 1, minutes: 12 * 60 };
+
+    assert.equal(query(landmarks, { openAt: tuesdayNoon }).length, 4);
+    assert.deepEqual(names(query(landmarks, { openAt: tuesdayNoon, includeUnknownHours: false })), [
+      "State Museum",
+    ]);
+    assert.deepEqual(query(landmarks, { openAt: mondayNoon, includeUnknownHours: false }), []);
+  });
+
+  test("finds places near a point, closest first, with distance and direction", () => {
+    const [park] = landmarks;
+    const results = query(landmarks, { near: park, radius: 2, excludeId: park.id });
+
+    assert.deepEqual(names(results), ["State Museum", "Bare Spot"]);
+    assert.ok(results[0].distanceMi < results[1].distanceMi);
+    assert.equal(results[0].distanceMi, distance(park, results[0]));
+    assert.ok(results.every((r) => r.bearing >= 0 && r.bearing < 360 && r.walkMinutes > 0));
+  });
+
+  test("includes everything without a radius, and sorts near results as asked", () => {
+    const origin = { lat: 42.65, lng: -73.76 };
+    assert.equal(query(landmarks, { near: origin }).length, 4);
+    assert.deepEqual(names(query(landmarks, { near: origin, radius: 10, sort: "name" })), [
+      "Bare Spot",
+      "Prospect Park",
+      "State Museum",
+      "Washington Park",
+    ]);
+  });
+
+  test("returns nothing near a point without coordinates", () => {
+    assert.deepEqual(query(landmarks, { near: { lat: null, lng: null }, radius: 5 }), []);
+  });
+
+  test("skips landmarks without coordinates near a point", () => {
+    const unmapped = normalizeCityFile(ALBANY);
+    assert.equal(query(unmapped, { near: { lat: 42.65, lng: -73.76 } }).length, 3);
+  });
+
+  test("sorts by name or type without a point, and ignores a distance sort", () => {
+    assert.deepEqual(names(query(landmarks, { sort: "name" })), [
+      "Bare Spot",
+      "Prospect Park",
+      "State Museum",
+      "Washington Park",
+    ]);
+    assert.deepEqual(names(query(landmarks, { sort: "type" })), [
+      "Bare Spot",
+      "State Museum",
+      "Prospect Park",
+      "Washington Park",
+    ]);
+    assert.deepEqual(query(landmarks, { sort: "distance" }), landmarks);
+  });
+
+  test("doesn't modify its input", () => {
+    const copy = [...landmarks];
+    query(landmarks, { sort: "name" });
+    query(landmarks, { near: { lat: 42.65, lng: -73.76 } });
+    assert.deepEqual(landmarks, copy);
+  });
+});
@@ -0,0 +1,137 @@
+// ✅ Named lists of saved places, with a private note and visited date per place
+//
+// Stored in localStorage under "savedLists":
+//
+//   {
+//     "lists": [{ "id": "saved", "name": "Saved", "items": ["troy-1", "albany-6"] }],
+//     "places": { "troy-1": { "note": "Go after rain", "visitedAt": "2026-10-11" } }
+//   }
+//
+// A place can sit in any number of lists; its note and visited date belong to
+// the place, not to a list, so they show up wherever it does. Older versions
+// kept a single id array under "savedLandmarks", which migrates into the
+// default list.
+//
+// Names the app makes up come from the caller, in the user's language:
+//   names: { defaultList: "Saved", untitledList: "Untitled list" }
+
+import { zonedParts } from "./hours.js";
+
+export const DEFAULT_LIST_ID = "saved";
+
+export function createList(name) {
+  return {
+    id: `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    items: [],
+  };
+}
+
+export function emptyListsState(names, items = []) {
+  return { lists: [{ id: DEFAULT_LIST_ID, name: names.defaultList, items }], places: {} };
+}
+
+const isIdList = (value) => Array.isArray(value) && value.every((id) => typeof id === "string");
+
+/**
+ * Cleans up stored (or restored) list data, falling back to a single empty
+ * default list. `legacyIds` is the old "savedLandmarks" array, if any.
+ */
+export function normalizeListsState(raw, names, legacyIds = null) {
+  if (!raw || !Array.isArray(raw.lists)) {
+    return emptyListsState(names, isIdList(legacyIds) ? Array.from(new Set(legacyIds)) : []);
+  }
+
+  const lists = raw.lists
+    .filter((list) => list && typeof list.id === "string" && isIdList(list.items))
+    .map((list) => ({
+      id: list.id,
+      name: typeof list.name === "string" && list.name.trim() ? list.name : names.untitledList,
+      items: Array.from(new Set(list.items)),
+    }));
+
+  const places = {};
+  Object.entries(raw.places ?? {}).forEach(([id, place]) => {
+    const note = typeof place?.note === "string" ? place.note : "";
+    const visitedAt = typeof place?.visitedAt === "string" ? place.visitedAt : null;
+    if (note || visitedAt) places[id] = { note, visitedAt };
+  });
+
+  return { lists: lists.length > 0 ? lists : emptyListsState(names).lists, places };
+}
+
+// Every saved place once, in the order it was first added to any list
+export function allSavedIds(state) {
+  return Array.from(new Set(state.lists.flatMap((list) => list.items)));
+}
+
+export function listsContaining(state, landmarkId) {
+  return state.lists.filter((list) => list.items.includes(landmarkId));
+}
+
+export function toggleInList(state, listId, landmarkId) {
+  return {
+    ...state,
+    lists: state.lists.map((list) => {
+      if (list.id !== listId) return list;
+      const items = list.items.includes(landmarkId)
+        ? list.items.filter((id) => id !== landmarkId)
+        : [...list.items, landmarkId];
+      return { ...list, items };
+    }),
+  };
+}
+
+export function addList(state, name) {
+  const list = createList(name);
+  return { state: { ...state, lists: [...state.lists, list] }, list };
+}
+
+export function renameList(state, listId, name) {
+  return {
+    ...state,
+    lists: state.lists.map((list) => (list.id === listId ? { ...list, name } : list)),
+  };
+}
+
+// The last list can't be deleted, so there's always somewhere to save to
+export function deleteList(state, listId) {
+  if (state.lists.length <= 1) return state;
+  return { ...state, lists: state.lists.filter((list) => list.id !== listId) };
+}
+
+export function getPlace(state, landmarkId) {
+  return state.places[landmarkId] ?? { note: "", visitedAt: null };
+}
+
+export function updatePlace(state, landmarkId, changes) {
+  const next = { ...getPlace(state, landmarkId), ...changes };
+  const places = { ...state.places };
+  if (next.note || next.visitedAt) places[landmarkId] = next;
+  else delete places[landmarkId];
+  return { ...state, places };
+}
+
+// The New York date of an instant as "YYYY-MM-DD", for "visited today"
+export function todayString(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const { year, month, day } = zonedParts(date);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Folds restored lists into the current ones: lists with the same id get the
+ * union of their places, new lists are appended, and notes/visited dates
+ * already on this device win over the restored ones.
+ */
+export function mergeListsState(current, incoming) {
+  const lists = current.lists.map((list) => {
+    const match = incoming.lists.find((l) => l.id === list.id);
+    return match ? { ...list, items: Array.from(new Set([...list.items, ...match.items])) } : list;
+  });
+  incoming.lists
+    .filter((l) => !current.lists.some((list) => list.id === l.id))
+    .forEach((l) => lists.push(l));
+
+  return { lists, places: { ...incoming.places, ...current.places } };
+}
@@ -0,0 +1,53 @@
+// ✅ Supported locales and per-locale data fields
+//
+// Data can carry a translation of any text field next to the English one,
+// suffixed with the locale code:
+//
+//   "description": "Large urban park famous for the Tulip Festival.",
+//   "description_es": "Gran parque urbano famoso por su Festival de Tulipanes."
+//
+// Anything left out falls back to English.
+
+// intl:  the BCP 47 tag handed to Intl (numbers, dates, plural rules)
+// units: "imperial" shows miles, "metric" kilometres
+export const LOCALES = {
+  en: { name: "English", intl: "en-US", units: "imperial" },
+  es: { name: "Español", intl: "es-US", units: "metric" },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+// Locales with translated data fields (everything but English)
+export const TRANSLATED_LOCALES = Object.keys(LOCALES).filter((code) => code !== DEFAULT_LOCALE);
+
+// "description" + "es" -> "description_es"
+export function localizedKey(field, locale) {
+  return locale === DEFAULT_LOCALE ? field : `${field}_${locale}`;
+}
+
+// The locale's version of a field, or the English one when there isn't one
+export function localizedField(record, field, locale = DEFAULT_LOCALE) {
+  if (!record) return undefined;
+  return record[localizedKey(field, locale)] || record[field];
+}
+
+// The translations of a field present on a record: { description_es: "…" }
+export function translationsOf(record, field) {
+  return Object.fromEntries(
+    TRANSLATED_LOCALES.map((code) => localizedKey(field, code))
+      .filter((key) => typeof record[key] === "string" && record[key])
+      .map((key) => [key, record[key]])
+  );
+}
+
+/**
+ * First supported locale among the user's preferred languages
+ * (navigator.languages order), matching on the language part
+ * ("es-MX" -> "es"). English when none match.
+ */
+export function matchLocale(preferred = []) {
+  const match = preferred
+    .map((tag) => String(tag).toLowerCase().split("-")[0])
+    .find((code) => Object.hasOwn(LOCALES, code));
+  return match ?? DEFAULT_LOCALE;
+}
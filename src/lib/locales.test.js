@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+const catalog = (code) =>
+  JSON.parse(fs.readFileSync(new URL(`../locales/${code}.json`, import.meta.url), "utf8"));
+
+const PLURAL_FORMS = ["zero", "one", "two", "few", "many", "other"];
+const isPlural = (value) => Object.keys(value).every((key) => PLURAL_FORMS.includes(key));
+
+// Dotted message keys; plural sets count as one message
+function messageKeys(node, prefix = "") {
+  return Object.entries(node).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === "object" && !Array.isArray(value) && !isPlural(value)
+      ? messageKeys(value, path)
+      : [path];
+  });
+}
+
+test("every locale has exactly the messages of the English catalog", () => {
+  const en = messageKeys(catalog("en")).sort();
+  assert.deepEqual(messageKeys(catalog("es")).sort(), en);
+});
@@ -0,0 +1,45 @@
+import { bearingDegrees } from "./geo.js";
+import { estimateLeg } from "./itinerary.js";
+import { nearestPointOn } from "./geometry.js";
+
+// ✅ Nearby query: landmarks within a radius of a point, with direction and
+// walking time. The point is the user's location or, for "What's near
+// here?", a landmark. Trails and areas count from their nearest point.
+
+export const NEARBY_RADII_MI = [0.5, 1, 3, 5, 10];
+export const DEFAULT_NEARBY_RADIUS_MI = 3;
+export const NEARBY_LIMIT = 25;
+
+export const NEARBY_SORTS = {
+  distance: { label: "Distance", compare: (a, b) => a.distanceMi - b.distanceMi },
+  name: { label: "Name", compare: (a, b) => a.name.localeCompare(b.name) },
+  type: {
+    label: "Type",
+    compare: (a, b) => a.typetag.localeCompare(b.typetag) || a.distanceMi - b.distanceMi,
+  },
+};
+
+/**
+ * Landmarks within `radiusMi` of `origin` ({ lat, lng }), closest
+ * NEARBY_LIMIT first, then sorted as asked. Each result gets distanceMi,
+ * bearing (degrees) and walkMinutes, all to the landmark's nearest point
+ * (see lib/geometry.js). `excludeId` leaves out the landmark the query is
+ * centered on.
+ */
+export function findNearby(landmarks, origin, { radiusMi, sort = "distance", excludeId = null }) {
+  const compare = (NEARBY_SORTS[sort] ?? NEARBY_SORTS.distance).compare;
+
+  return landmarks
+    .filter((l) => l.id !== excludeId)
+    .map((l) => ({ landmark: l, nearest: nearestPointOn(l, origin) }))
+    .filter(({ nearest }) => nearest.distanceMi <= radiusMi)
+    .sort((a, b) => a.nearest.distanceMi - b.nearest.distanceMi)
+    .slice(0, NEARBY_LIMIT)
+    .map(({ landmark, nearest }) => ({
+      ...landmark,
+      distanceMi: nearest.distanceMi,
+      bearing: bearingDegrees(origin.lat, origin.lng, nearest.lat, nearest.lng),
+      walkMinutes: estimateLeg(origin, nearest, "walk").minutes,
+    }))
+    .sort(compare);
+}
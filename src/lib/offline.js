@@ -0,0 +1,173 @@
+// ✅ Offline maps: tile math plus the Cache Storage side of "Download region"
+//
+// The service worker (vite.config.js) caches tiles and photos as they are
+// viewed, in the caches named below. Downloading a region just fetches every
+// tile for a city's bounds into that same cache ahead of time, so the worker
+// serves them later without knowing the difference.
+//
+// Only the cache names and tileUrlPattern are used by vite.config.js from
+// Node; everything that touches `caches` or `fetch` runs in the browser.
+
+export const TILE_CACHE = "osm-tiles";
+export const PHOTO_CACHE = "landmark-photos";
+
+const OSM_TILE_URL = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+const OSM_ATTRIBUTION = "&copy; OpenStreetMap contributors";
+
+// The OSM tile policy forbids bulk-downloading its tiles for offline use, so
+// "Download region" only works against a provider that allows it, set with
+// VITE_TILE_URL (and VITE_TILE_ATTRIBUTION). Without one the map still shows
+// OSM tiles, cached as they're viewed, and the download is turned off.
+const CONFIGURED_TILE_URL = import.meta.env?.VITE_TILE_URL || "";
+
+export const TILE_URL = CONFIGURED_TILE_URL || OSM_TILE_URL;
+export const TILE_ATTRIBUTION = import.meta.env?.VITE_TILE_ATTRIBUTION || OSM_ATTRIBUTION;
+export const canDownloadTiles = CONFIGURED_TILE_URL !== "";
+const SUBDOMAINS = ["a", "b", "c"];
+
+// Matches requests for a tile URL template, for the service worker's cache
+export function tileUrlPattern(template = OSM_TILE_URL) {
+  const origin = template.slice(0, template.indexOf("/", template.indexOf("//") + 2));
+  const escaped = origin.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace("\\{s\\}", "[a-z0-9-]+");
+  return new RegExp(`^${escaped}/`);
+}
+
+// Keep regions small even where the provider allows offline caching
+export const MAX_DOWNLOAD_ZOOM = 17;
+export const MAX_DOWNLOAD_TILES = 4000;
+
+// Typical OSM raster tile size, used for the estimate before downloading
+const AVG_TILE_BYTES = 18 * 1024;
+
+function lngToTileX(lng, z) {
+  return Math.floor(((lng + 180) / 360) * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+}
+
+// Tile index ranges per zoom covering bounds [[south, west], [north, east]]
+function tileRanges(bounds, minZoom, maxZoom) {
+  const [[south, west], [north, east]] = bounds;
+  const ranges = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    ranges.push({
+      z,
+      x0: lngToTileX(west, z),
+      x1: lngToTileX(east, z),
+      y0: latToTileY(north, z),
+      y1: latToTileY(south, z),
+    });
+  }
+  return ranges;
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  return tileRanges(bounds, minZoom, maxZoom).reduce(
+    (sum, { x0, x1, y0, y1 }) => sum + (x1 - x0 + 1) * (y1 - y0 + 1),
+    0
+  );
+}
+
+/**
+ * Every tile to download for bounds between two zooms. Throws when no
+ * download source is configured or the region is over MAX_DOWNLOAD_ZOOM or
+ * MAX_DOWNLOAD_TILES, so the limits hold whatever the UI lets through.
+ */
+export function listTiles(bounds, minZoom, maxZoom) {
+  if (!canDownloadTiles) throw new Error("No tile source allows offline downloads");
+  if (maxZoom > MAX_DOWNLOAD_ZOOM) {
+    throw new RangeError(`Zoom ${maxZoom} is over the download limit of ${MAX_DOWNLOAD_ZOOM}`);
+  }
+  const count = countTiles(bounds, minZoom, maxZoom);
+  if (count > MAX_DOWNLOAD_TILES) {
+    throw new RangeError(`${count} tiles is over the download limit of ${MAX_DOWNLOAD_TILES}`);
+  }
+  const tiles = [];
+  tileRanges(bounds, minZoom, maxZoom).forEach(({ z, x0, x1, y0, y1 }) => {
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) tiles.push({ z, x, y });
+    }
+  });
+  return tiles;
+}
+
+export function estimateBytes(tileCount) {
+  return tileCount * AVG_TILE_BYTES;
+}
+
+// Same subdomain Leaflet picks for a tile, so the cached URL matches its request
+export function tileUrl({ z, x, y }) {
+  const s = SUBDOMAINS[Math.abs(x + y) % SUBDOMAINS.length];
+  return TILE_URL.replace("{s}", s).replace("{z}", z).replace("{x}", x).replace("{y}", y);
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export function isOfflineSupported() {
+  return typeof window !== "undefined" && "caches" in window;
+}
+
+/**
+ * Fetches URLs into a cache, skipping ones already there. Calls
+ * onProgress({ done, total, failed }) as it goes and stops early when
+ * `signal` is aborted. Resolves to { done, failed }. Rejects without fetching
+ * anything when there are more than `maxUrls`, and when the cache can't be
+ * opened or written (no Cache API, quota exceeded).
+ */
+export async function cacheUrls(
+  cacheName,
+  urls,
+  { onProgress, signal, concurrency = 4, maxUrls = Infinity } = {}
+) {
+  if (urls.length > maxUrls) {
+    throw new RangeError(`${urls.length} files is over the download limit of ${maxUrls}`);
+  }
+  const cache = await caches.open(cacheName);
+  const total = urls.length;
+  let next = 0;
+  let done = 0;
+  let failed = 0;
+
+  async function worker() {
+    while (next < total && !signal?.aborted) {
+      const url = urls[next++];
+      try {
+        if (!(await cache.match(url))) {
+          const response = await fetch(url, { mode: "cors", signal });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          await cache.put(url, response);
+        }
+      } catch (err) {
+        if (signal?.aborted) return;
+        // Out of storage: every later put would fail the same way
+        if (err?.name === "QuotaExceededError") throw err;
+        failed += 1;
+      }
+      done += 1;
+      onProgress?.({ done, total, failed });
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+  return { done, failed };
+}
+
+// Number of entries and, where the browser reports it, total bytes stored
+export async function getOfflineUsage() {
+  if (!isOfflineSupported()) return null;
+  const tiles = await caches.open(TILE_CACHE).then((c) => c.keys());
+  const photos = await caches.open(PHOTO_CACHE).then((c) => c.keys());
+  const estimate = await navigator.storage?.estimate?.();
+  return { tiles: tiles.length, photos: photos.length, bytes: estimate?.usage ?? null };
+}
+
+export async function clearOfflineData() {
+  if (!isOfflineSupported()) return;
+  await Promise.all([caches.delete(TILE_CACHE), caches.delete(PHOTO_CACHE)]);
+}
@@ -0,0 +1,236 @@
+// ✅ "What should I do now?": a short ranked list of places for this moment
+//
+// recommend() scores every landmark from
+//   - the time of day and day of week, in Capital Region time (open now,
+//     nightlife after dark, a weekend morning for a day trip, ...)
+//   - how far away it is (to the nearest point of a trail or area)
+//   - the user's history: saved but not yet visited goes up, visited goes down
+//   - its experience tags (Free, ...)
+//   - the weather, when a provider knows it (lib/weather.js): rain or snow
+//     favors indoor places, a clear day outdoor ones
+// and explains each pick in one line ("Free, indoors, 0.8 mi away").
+//
+// Pure and deterministic: the same landmarks and context always give the
+// same list, so it's tested with fixed inputs.
+
+import { getOpenStatus } from "./hours.js";
+import { nearestPointOn } from "./geometry.js";
+
+export const RECOMMEND_LIMIT = 5;
+
+// No more picks than this of one type, so the list isn't five museums
+const MAX_PER_TYPE = 2;
+
+// Beyond this a place gets nothing for being close
+export const RECOMMEND_RADIUS_MI = 10;
+
+// Closer than this is "a few steps away" rather than a distance
+const STEPS_MI = 0.1;
+
+const INDOORS_TAG = "Rainy Day";
+
+// Score contributions. Positive ones can become the pick's reason.
+export const RECOMMEND_WEIGHTS = {
+  openNow: 1.5, // hours known and open right now
+  nearby: 3, // at the user's door; falls to 0 at RECOMMEND_RADIUS_MI
+  saved: 2, // on one of the user's lists and not visited yet
+  visited: -3, // checked in or marked visited before
+  free: 1,
+  indoorsInBadWeather: 3,
+  outdoorsInBadWeather: -3,
+  outdoorsInClearWeather: 2,
+  outdoorsInExtremeTemp: -1.5,
+  outdoorsAfterDark: -3,
+  nightLifeAtNight: 2.5,
+  nightLifeInDaytime: -2,
+  familyLate: -1.5,
+  dayTripOnWeekendMorning: 1,
+  dayTripLate: -1,
+  foodAtMealtime: 1,
+};
+
+// What a reason says, in English; the app translates by `code`
+export const REASON_TEXT = {
+  free: "free",
+  indoors: "indoors",
+  outdoors: "outdoors on a clear day",
+  openNow: "open until {time}",
+  nightLife: "best after dark",
+  dayTrip: "a weekend day trip",
+  food: "time to eat",
+  saved: "on your list",
+  distance: "{distance} away",
+  steps: "a few steps away",
+  here: "you're here",
+  anytime: "worth a visit",
+};
+
+const PLACE_REASONS = ["distance", "steps", "here"];
+
+const BAD_WEATHER = ["rain", "snow"];
+const COLD_F = 25;
+const HOT_F = 92;
+
+// Part of the day from minutes since midnight
+export function partOfDay(minutes) {
+  const hour = Math.floor(minutes / 60);
+  if (hour >= 5 && hour < 12) return "morning";
+  if (hour >= 12 && hour < 17) return "afternoon";
+  if (hour >= 17 && hour < 21) return "evening";
+  return "night";
+}
+
+// Lunch 11:30-2, dinner 5:30-9
+const MEALTIMES = [
+  [11 * 60 + 30, 14 * 60],
+  [17 * 60 + 30, 21 * 60],
+];
+const isMealtime = (minutes) => MEALTIMES.some(([from, to]) => minutes >= from && minutes < to);
+
+const formatMiles = (miles) => `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+
+const fill = (text, values) => text.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? "");
+
+/**
+ * One landmark's score for the moment, with every contribution that made
+ * it: { score, excluded, distanceMi, factors: [{ code, weight, values }] }.
+ * Factors with a code in REASON_TEXT can be shown as reasons. Places closed
+ * right now are `excluded`.
+ */
+export function scoreLandmark(landmark, context) {
+  const { now, origin = null, weather = null, savedIds = [], visitedIds = [], intl } = context;
+  const w = RECOMMEND_WEIGHTS;
+  const tags = landmark.experiencetag ?? [];
+  const factors = [];
+  const add = (code, weight, values = {}) => factors.push({ code, weight, values });
+
+  const status = getOpenStatus(landmark, now, intl);
+  if (status.state === "open") add("openNow", w.openNow, { time: status.closesAt });
+
+  let distanceMi = null;
+  if (origin) {
+    distanceMi = nearestPointOn(landmark, origin).distanceMi;
+    const closeness = Math.max(0, 1 - distanceMi / RECOMMEND_RADIUS_MI);
+    const code = distanceMi === 0 ? "here" : distanceMi < STEPS_MI ? "steps" : "distance";
+    add(code, w.nearby * closeness, { distance: formatMiles(distanceMi), distanceMi });
+  }
+
+  const visited = visitedIds.includes(landmark.id);
+  if (visited) add("visited", w.visited);
+  else if (savedIds.includes(landmark.id)) add("saved", w.saved);
+
+  if (tags.includes("Free")) add("free", w.free);
+
+  const indoors = tags.includes(INDOORS_TAG);
+  const outdoors = tags.includes("Outdoors");
+  if (weather && BAD_WEATHER.includes(weather.condition)) {
+    if (indoors) add("indoors", w.indoorsInBadWeather);
+    if (outdoors) add("badWeather", w.outdoorsInBadWeather);
+  } else if (weather?.condition === "clear" && outdoors) {
+    add("outdoors", w.outdoorsInClearWeather);
+  }
+  if (outdoors && weather?.tempF != null && (weather.tempF < COLD_F || weather.tempF > HOT_F)) {
+    add("extremeTemp", w.outdoorsInExtremeTemp);
+  }
+
+  const part = partOfDay(now.minutes);
+  const weekend = now.weekday === 0 || now.weekday === 6;
+  if (outdoors && part === "night") add("dark", w.outdoorsAfterDark);
+  if (tags.includes("Night Life")) {
+    if (part === "evening" || part === "night") add("nightLife", w.nightLifeAtNight);
+    else add("daytime", w.nightLifeInDaytime);
+  }
+  if (tags.includes("Family") && part === "night") add("late", w.familyLate);
+  if (tags.includes("Day Trip")) {
+    if (weekend && part === "morning") add("dayTrip", w.dayTripOnWeekendMorning);
+    else if (part === "evening" || part === "night") add("late", w.dayTripLate);
+  }
+  if (tags.includes("Food") && isMealtime(now.minutes)) add("food", w.foodAtMealtime);
+
+  return {
+    score: factors.reduce((sum, f) => sum + f.weight, 0),
+    excluded: status.state === "closed",
+    distanceMi,
+    factors,
+  };
+}
+
+/**
+ * The one-line "why" for a pick: its two strongest reasons, then the
+ * distance when there is one ("anytime" when nothing stands out). Returns
+ * [{ code, text, values }] in English; see REASON_TEXT.
+ */
+export function pickReasons(factors) {
+  const shown = (f) => Object.hasOwn(REASON_TEXT, f.code) && f.weight > 0;
+  const place = factors.find((f) => PLACE_REASONS.includes(f.code) && shown(f));
+  const strongest = factors
+    .filter((f) => shown(f) && f !== place)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, place ? 2 : 3);
+
+  const reasons = [...strongest, ...(place ? [place] : [])];
+  if (reasons.length === 0) reasons.push({ code: "anytime", values: {} });
+
+  return reasons.map(({ code, values }) => ({
+    code,
+    values,
+    text: fill(REASON_TEXT[code], values),
+  }));
+}
+
+// "free, indoors, 0.8 mi away" -> "Free, indoors, 0.8 mi away"
+export function reasonLine(texts) {
+  const line = texts.join(", ");
+  return line.charAt(0).toUpperCase() + line.slice(1);
+}
+
+/**
+ * Ranked picks for the moment:
+ *   [{ landmark, score, distanceMi, reasons, reason }]
+ *
+ * context:
+ *   now         zoned time parts (lib/hours.js zonedParts), required
+ *   origin      { lat, lng } the user is at, or null
+ *   weather     from a weather provider, or null when unknown
+ *   savedIds    landmark ids on the user's lists
+ *   visitedIds  landmark ids checked in or marked visited
+ *   limit       how many picks (RECOMMEND_LIMIT)
+ *   intl        Intl locale tag for times in reasons ("en-US" by default)
+ *
+ * Ties go to the closer place, then by name, so the order is stable.
+ */
+export function recommend(landmarks, context) {
+  const { limit = RECOMMEND_LIMIT } = context;
+
+  const ranked = landmarks
+    .map((landmark) => ({ landmark, ...scoreLandmark(landmark, context) }))
+    .filter((r) => !r.excluded)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (a.distanceMi ?? 0) - (b.distanceMi ?? 0) ||
+        a.landmark.name.localeCompare(b.landmark.name) ||
+        a.landmark.id.localeCompare(b.landmark.id)
+    );
+
+  const picks = [];
+  const perType = new Map();
+  for (const r of ranked) {
+    if (picks.length === limit) break;
+    const type = r.landmark.typetag;
+    if ((perType.get(type) ?? 0) >= MAX_PER_TYPE) continue;
+    perType.set(type, (perType.get(type) ?? 0) + 1);
+    picks.push(r);
+  }
+
+  return picks.map(({ landmark, score, distanceMi, factors }) => {
+    const reasons = pickReasons(factors);
+    return {
+      landmark,
+      score,
+      distanceMi,
+      reasons,
+      reason: reasonLine(reasons.map((r) => r.text)),
+    };
+  });
+}
@@ -0,0 +1,181 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { recommend, scoreLandmark, partOfDay, reasonLine } from "./recommend.js";
+import {
+  normalizeWeather,
+  createStaticWeatherProvider,
+  createHttpWeatherProvider,
+} from "./weather.js";
+
+// A made-up downtown: the user stands at ORIGIN
+const ORIGIN = { lat: 42.65, lng: -73.75 };
+const place = (id, name, typetag, experiencetag, milesNorth, extra = {}) => ({
+  id,
+  name,
+  typetag,
+  experiencetag,
+  // One mile north is about 1/69 of a degree
+  lat: ORIGIN.lat + milesNorth / 69.05,
+  lng: ORIGIN.lng,
+  hours: null,
+  ...extra,
+});
+
+const MUSEUM = place("a-1", "Museum", "Museum", ["Free", "Rainy Day"], 0.8, {
+  hours: { weekly: { sat: [["10:00", "17:00"]], tue: [["10:00", "17:00"]] } },
+});
+const PARK = place("a-2", "Park", "Park", ["Free", "Outdoors"], 0.5);
+const BAR = place("a-3", "Bar Row", "District", ["Night Life", "Food"], 0.3);
+const GALLERY = place("a-4", "Gallery", "Arts", ["Rainy Day"], 2);
+const PRESERVE = place("a-5", "Preserve", "Preserve", ["Outdoors", "Adventure"], 6);
+const LANDMARKS = [MUSEUM, PARK, BAR, GALLERY, PRESERVE];
+
+// Saturday 17 October 2026, 10:30 AM and 10 PM in New York
+const SATURDAY_MORNING = { year: 2026, month: 10, day: 17, weekday: 6, minutes: 10 * 60 + 30 };
+const SATURDAY_NIGHT = { ...SATURDAY_MORNING, minutes: 22 * 60 };
+const RAIN = { condition: "rain", tempF: 50 };
+const CLEAR = { condition: "clear", tempF: 65 };
+
+const names = (picks) => picks.map((p) => p.landmark.name);
+
+describe("recommend", () => {
+  test("rain pushes indoor places up and outdoor ones down", () => {
+    const picks = recommend(LANDMARKS, { now: SATURDAY_MORNING, origin: ORIGIN, weather: RAIN });
+    assert.deepEqual(names(picks).slice(0, 2), ["Museum", "Gallery"]);
+    assert.equal(names(picks).at(-1), "Preserve");
+  });
+
+  test("a clear day does the opposite", () => {
+    const picks = recommend(LANDMARKS, { now: SATURDAY_MORNING, origin: ORIGIN, weather: CLEAR });
+    assert.equal(names(picks)[0], "Park");
+    assert.ok(names(picks).indexOf("Preserve") < names(picks).indexOf("Gallery"));
+  });
+
+  test("explains each pick in one line, strongest reasons first", () => {
+    const [museum] = recommend(LANDMARKS, { now: SATURDAY_MORNING, origin: ORIGIN, weather: RAIN });
+    assert.equal(museum.reason, "Indoors, open until 5:00 PM, 0.8 mi away");
+    assert.deepEqual(
+      museum.reasons.map((r) => r.code),
+      ["indoors", "openNow", "distance"]
+    );
+    assert.equal(museum.reasons[2].values.distanceMi, museum.distanceMi);
+  });
+
+  test("leaves out places that are closed right now", () => {
+    const picks = recommend(LANDMARKS, { now: SATURDAY_NIGHT, origin: ORIGIN });
+    assert.equal(names(picks).includes("Museum"), false);
+  });
+
+  test("favors nightlife after dark and keeps people off trails", () => {
+    const night = recommend(LANDMARKS, { now: SATURDAY_NIGHT, origin: ORIGIN });
+    assert.equal(names(night)[0], "Bar Row");
+    assert.equal(night[0].reason, "Best after dark, 0.3 mi away");
+    assert.equal(names(night).at(-1), "Preserve");
+
+    const morning = recommend(LANDMARKS, { now: SATURDAY_MORNING, origin: ORIGIN });
+    assert.ok(names(morning).indexOf("Bar Row") > names(morning).indexOf("Park"));
+  });
+
+  test("saved places go up, visited ones down", () => {
+    const context = { now: SATURDAY_MORNING, origin: ORIGIN, weather: CLEAR };
+    const before = recommend(LANDMARKS, context);
+    const saved = recommend(LANDMARKS, { ...context, savedIds: ["a-4"] });
+    const visited = recommend(LANDMARKS, { ...context, visitedIds: ["a-2"] });
+
+    assert.ok(names(saved).indexOf("Gallery") < names(before).indexOf("Gallery"));
+    assert.equal(saved.find((p) => p.landmark.id === "a-4").reasons[0].code, "saved");
+    assert.equal(names(before)[0], "Park");
+    assert.notEqual(names(visited)[0], "Park");
+  });
+
+  test("works without a location or weather", () => {
+    const picks = recommend(LANDMARKS, { now: SATURDAY_MORNING });
+    assert.equal(picks.length, 5);
+    assert.ok(picks.every((p) => p.distanceMi === null && p.reason));
+  });
+
+  test("is deterministic, breaking ties by distance then name", () => {
+    const twin = { ...PARK, id: "a-6", name: "Another Park" };
+    const farTwin = place("a-7", "Aardvark Park", "Park", ["Free", "Outdoors"], 0.9);
+    const context = { now: SATURDAY_MORNING, weather: CLEAR };
+
+    const picks = recommend([farTwin, PARK, twin], context);
+    assert.deepEqual(names(picks), ["Aardvark Park", "Another Park"]);
+    assert.deepEqual(recommend([twin, farTwin, PARK], context), picks);
+
+    const near = recommend([farTwin, PARK, twin], { ...context, origin: ORIGIN, limit: 3 });
+    assert.deepEqual(names(near), ["Another Park", "Park"]);
+  });
+
+  test("limits the list and how many of one type it holds", () => {
+    const parks = [1, 2, 3, 4].map((n) => place(`p-${n}`, `Park ${n}`, "Park", ["Free"], n / 10));
+    const context = { now: SATURDAY_MORNING, origin: ORIGIN, limit: 3 };
+    const picks = recommend([...parks, GALLERY], context);
+    assert.deepEqual(names(picks), ["Park 1", "Park 2", "Gallery"]);
+  });
+});
+
+describe("scoring helpers", () => {
+  test("scoreLandmark lists what it counted", () => {
+    const { factors } = scoreLandmark(PRESERVE, { now: SATURDAY_NIGHT, weather: RAIN });
+    assert.deepEqual(
+      factors.map((f) => f.code),
+      ["badWeather", "dark"]
+    );
+  });
+
+  test("partOfDay", () => {
+    assert.deepEqual(
+      [4, 5, 12, 17, 21].map((hour) => partOfDay(hour * 60)),
+      ["night", "morning", "afternoon", "evening", "night"]
+    );
+  });
+
+  test("reasonLine capitalizes the first reason only", () => {
+    assert.equal(reasonLine(["free", "indoors", "0.8 mi away"]), "Free, indoors, 0.8 mi away");
+    assert.equal(reasonLine([]), "");
+  });
+});
+
+describe("weather providers", () => {
+  test("normalizeWeather keeps known conditions only", () => {
+    assert.deepEqual(normalizeWeather({ condition: "snow", tempF: 20, extra: 1 }), {
+      condition: "snow",
+      tempF: 20,
+      source: null,
+    });
+    assert.equal(normalizeWeather({ condition: "hail" }), null);
+    assert.equal(normalizeWeather(null), null);
+  });
+
+  test("a static provider always answers the same", async () => {
+    const provider = createStaticWeatherProvider(RAIN);
+    assert.deepEqual(await provider.getWeather(ORIGIN), { ...RAIN, source: null });
+    assert.equal(await createStaticWeatherProvider(null).getWeather(ORIGIN), null);
+  });
+
+  test("the HTTP provider asks for the point and shrugs off failures", async (t) => {
+    const requested = [];
+    const answers = [
+      () => ({ ok: true, json: async () => ({ condition: "clear", tempF: 70, source: "Test" }) }),
+      () => ({ ok: false, json: async () => ({}) }),
+      () => {
+        throw new TypeError("offline");
+      },
+    ];
+    t.mock.method(globalThis, "fetch", async (url) => {
+      requested.push(url);
+      return answers[requested.length - 1]();
+    });
+
+    const provider = createHttpWeatherProvider("https://weather.test/now");
+    assert.deepEqual(await provider.getWeather(ORIGIN), {
+      condition: "clear",
+      tempF: 70,
+      source: "Test",
+    });
+    assert.equal(await provider.getWeather(ORIGIN), null);
+    assert.equal(await provider.getWeather(ORIGIN), null);
+    assert.equal(requested[0], "https://weather.test/now?lat=42.65&lng=-73.75");
+  });
+});
@@ -0,0 +1,202 @@
+// ✅ Client-side fuzzy search over normalized landmarks
+//
+// No network and no dependencies, so it works offline inside the PWA. The
+// index is rebuilt in memory from the landmark list (a few hundred records at
+// most), which takes well under a millisecond per landmark.
+
+// Field weights: a hit in the name counts for more than one in the description.
+// Translated descriptions are searched too, whatever the UI language.
+const SEARCH_FIELDS = [
+  { key: "name", weight: 3 },
+  { key: "typetag", weight: 2 },
+  { key: "experiencetag", weight: 1.5 },
+  { key: "address", weight: 1 },
+  { key: "description", weight: 1 },
+  { key: "description_es", weight: 1 },
+];
+
+// Lowercase and strip accents one character at a time so offsets in the
+// folded string line up with the original (needed for highlighting).
+function fold(text) {
+  let out = "";
+  for (const ch of text) {
+    const base = ch.normalize("NFD")[0].toLowerCase();
+    out += base.length === ch.length ? base : ch.toLowerCase();
+  }
+  return out;
+}
+
+function tokenize(folded) {
+  const words = [];
+  const re = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = re.exec(folded))) {
+    words.push({ word: m[0], start: m.index, end: m.index + m[0].length });
+  }
+  return words;
+}
+
+// Optimal string alignment distance (Levenshtein + adjacent swaps), capped:
+// returns max + 1 as soon as the distance is known to exceed `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+function allowedTypos(term) {
+  if (term.length >= 7) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Best match of one query term against one field's words.
+// Returns { score, start, end } or null.
+function matchTerm(term, field) {
+  let best = null;
+  const consider = (score, start, end) => {
+    if (!best || score > best.score) best = { score, start, end };
+  };
+
+  const typos = allowedTypos(term);
+
+  for (const { word, start, end } of field.words) {
+    if (word === term) {
+      consider(1, start, end);
+    } else if (word.startsWith(term)) {
+      consider(0.9, start, start + term.length);
+    } else if (term.length >= 3 && word.includes(term)) {
+      const at = word.indexOf(term);
+      consider(0.7, start + at, start + at + term.length);
+    } else if (typos > 0) {
+      // Compare against the word and against a same-length prefix of it, so
+      // "musuem" finds "museum" and "proctr" finds "proctors".
+      const dWord = editDistance(term, word, typos);
+      const dPrefix = editDistance(term, word.slice(0, term.length), typos);
+      if (dWord <= typos) {
+        consider(0.6 - 0.15 * dWord, start, end);
+      } else if (dPrefix <= typos) {
+        consider(0.5 - 0.15 * dPrefix, start, start + Math.min(term.length, word.length));
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Build a search index from normalized landmarks.
+ */
+export function createSearchIndex(landmarks) {
+  return landmarks.map((landmark) => ({
+    landmark,
+    fields: SEARCH_FIELDS.flatMap(({ key, weight }) => {
+      const values = Array.isArray(landmark[key]) ? landmark[key] : [landmark[key]];
+      return values
+        .filter((v) => typeof v === "string" && v)
+        .map((text, i) => ({
+          key,
+          index: Array.isArray(landmark[key]) ? i : null,
+          weight,
+          text,
+          words: tokenize(fold(text)),
+        }));
+    }),
+  }));
+}
+
+/**
+ * Search the index. Every query word has to match somewhere (typos allowed);
+ * results are ranked by the weighted quality of their matches.
+ *
+ * Returns [{ landmark, score, matches }] where matches is a list of
+ * { key, index, text, ranges: [[start, end], ...] } for highlighting.
+ */
+export function searchLandmarks(index, query, { limit = Infinity } = {}) {
+  const terms = tokenize(fold(query)).map((t) => t.word);
+  if (terms.length === 0) return [];
+
+  const results = [];
+
+  for (const entry of index) {
+    let score = 0;
+    const hits = new Map(); // field -> ranges
+
+    const everyTermMatched = terms.every((term) => {
+      let bestForTerm = 0;
+      entry.fields.forEach((field) => {
+        const match = matchTerm(term, field);
+        if (!match) return;
+
+        bestForTerm = Math.max(bestForTerm, match.score * field.weight);
+        if (!hits.has(field)) hits.set(field, []);
+        hits.get(field).push([match.start, match.end]);
+      });
+      score += bestForTerm;
+      return bestForTerm > 0;
+    });
+
+    if (!everyTermMatched) continue;
+
+    results.push({
+      landmark: entry.landmark,
+      score,
+      matches: Array.from(hits, ([field, ranges]) => ({
+        key: field.key,
+        index: field.index,
+        text: field.text,
+        ranges: mergeRanges(ranges),
+      })),
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.landmark.name.localeCompare(b.landmark.name))
+    .slice(0, limit);
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+  return merged;
+}
+
+/**
+ * Split text into [{ text, match }] parts for rendering highlights.
+ */
+export function splitHighlights(text, ranges = []) {
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push({ text: text.slice(cursor, start), match: false });
+    parts.push({ text: text.slice(start, end), match: true });
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push({ text: text.slice(cursor), match: false });
+  return parts;
+}
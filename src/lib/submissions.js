@@ -0,0 +1,209 @@
+// ✅ "Suggest a place": community submissions and their offline queue
+//
+// A submission is a place someone proposes for the map:
+//
+//   { id: "sub-…", createdAt, city: "Troy", status: "queued",
+//     place: { name, typetag, experiencetag, description, website,
+//              latitude, longitude },
+//     photos: [{ name, dataUrl }], photoCount, serverId, error, note }
+//
+// `place` uses the city-file field names and is checked against the same
+// landmark schema, so an approved suggestion can be pasted straight into
+// src/data/cities. Submissions live in localStorage ("submissions") and are
+// posted to SUBMISSIONS_URL whenever there's a connection; once sent, the
+// photos are dropped from the local copy to free up storage.
+//
+//   queued    saved on this device, waiting to be sent
+//   pending   received, waiting for review
+//   approved  added (or about to be added) to the map
+//   rejected  not added; `note` says why when the reviewer gave a reason
+//   invalid   refused by the server (`error`); not retried
+//
+// The endpoint defaults to the development mock server
+// (plugins/mockSubmissions.js); set VITE_SUBMISSIONS_URL to post elsewhere.
+// The validation half is shared with that server; everything that touches
+// fetch or the DOM runs in the browser only.
+
+import { validateCityFile } from "../data/schema.js";
+
+export const SUBMISSIONS_URL = import.meta.env?.VITE_SUBMISSIONS_URL || "/api/submissions";
+
+export const SUBMISSION_STATUSES = {
+  queued: { icon: "⏳", label: "Waiting to send" },
+  pending: { icon: "🕓", label: "Waiting for review" },
+  approved: { icon: "✅", label: "Approved" },
+  rejected: { icon: "✖️", label: "Not added" },
+  invalid: { icon: "⚠️", label: "Couldn't be accepted" },
+};
+
+export const MAX_PHOTOS = 3;
+const PHOTO_MAX_PX = 1280;
+const PHOTO_QUALITY = 0.8;
+
+// Data URLs for MAX_PHOTOS resized JPEGs stay well under this
+export const MAX_PHOTO_CHARS = 1.5 * 1024 * 1024;
+
+export const EMPTY_DRAFT = {
+  name: "",
+  city: "",
+  lat: null,
+  lng: null,
+  typetag: "",
+  experiencetag: [],
+  description: "",
+  website: "",
+  photos: [],
+};
+
+// Form draft -> city-file landmark fields (trimmed, empty website dropped)
+export function draftToPlace(draft) {
+  const place = {
+    name: draft.name.trim(),
+    typetag: draft.typetag,
+    experiencetag: draft.experiencetag,
+    description: draft.description.trim(),
+    latitude: draft.lat,
+    longitude: draft.lng,
+  };
+  const website = draft.website.trim();
+  if (website) place.website = website;
+  return place;
+}
+
+/**
+ * Problems with a suggested place, as { field: message }; empty when it's
+ * good to send. Runs the landmark schema on it (with a stand-in id) plus
+ * the checks only a submission needs: a city and at most MAX_PHOTOS photos.
+ */
+export function validateSubmission(city, place, photos = []) {
+  const errors = {};
+  if (typeof city !== "string" || !city.trim()) errors.city = "pick a city";
+
+  validateCityFile({ city: city || "?", landmarks: [{ ...place, id: 0 }] })
+    .filter((issue) => issue.severity === "error" && issue.field && issue.field !== "id")
+    .forEach(({ field, message }) => {
+      errors[field] ??= message;
+    });
+
+  if (!Array.isArray(photos) || photos.length > MAX_PHOTOS) {
+    errors.photos = `at most ${MAX_PHOTOS} photos`;
+  } else if (
+    photos.some((p) => typeof p?.dataUrl !== "string" || !p.dataUrl.startsWith("data:image/")) ||
+    photos.reduce((sum, p) => sum + (p.dataUrl?.length ?? 0), 0) > MAX_PHOTO_CHARS
+  ) {
+    errors.photos = "photos must be images, and not too large";
+  }
+
+  return errors;
+}
+
+export function createSubmission(city, place, photos = []) {
+  return {
+    id: `sub-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    createdAt: new Date().toISOString(),
+    city,
+    place,
+    photos,
+    photoCount: photos.length,
+    status: "queued",
+    serverId: null,
+    error: null,
+    note: null,
+  };
+}
+
+// The city whose bounds hold a point, else the one with the nearest center;
+// null when no city has either
+export function cityForPoint(cities, lat, lng) {
+  const contains = ([[south, west], [north, east]]) =>
+    lat >= south && lat <= north && lng >= west && lng <= east;
+  const inside = cities.find((c) => c.bounds && contains(c.bounds));
+  if (inside) return inside;
+
+  const dist = ({ center }) => (center[0] - lat) ** 2 + (center[1] - lng) ** 2;
+  return cities
+    .filter((c) => c.center)
+    .reduce((best, c) => (best && dist(best) <= dist(c) ? best : c), null);
+}
+
+/**
+ * Posts one submission. Resolves to the updated submission: "pending" with
+ * the server's id, or "invalid" when the server refuses it. Rejects on
+ * network and server errors so the caller leaves it queued.
+ */
+export async function sendSubmission(submission, url = SUBMISSIONS_URL) {
+  const { id, createdAt, city, place, photos } = submission;
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ clientId: id, createdAt, city, place, photos }),
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (response.status >= 400 && response.status < 500) {
+    return { ...submission, status: "invalid", error: body.error ?? `HTTP ${response.status}` };
+  }
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  return {
+    ...submission,
+    status: body.status ?? "pending",
+    serverId: body.id,
+    photos: [],
+    error: null,
+  };
+}
+
+/**
+ * Sends every queued submission in order, stopping at the first one that
+ * can't get through. Calls onSent(updated) after each so progress is kept
+ * even if a later one fails. Resolves to whether everything went out.
+ */
+export async function sendQueued(submissions, onSent, url = SUBMISSIONS_URL) {
+  for (const submission of submissions.filter((s) => s.status === "queued")) {
+    try {
+      onSent(await sendSubmission(submission, url));
+    } catch {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Latest review status for sent submissions: Map of local id ->
+ * { status, note }. Empty when offline or nothing has been sent.
+ */
+export async function fetchStatuses(submissions, url = SUBMISSIONS_URL) {
+  const sent = submissions.filter((s) => s.serverId && s.status !== "invalid");
+  if (sent.length === 0) return new Map();
+
+  const params = new URLSearchParams({ ids: sent.map((s) => s.serverId).join(",") });
+  try {
+    const response = await fetch(`${url}?${params}`);
+    if (!response.ok) return new Map();
+    const byServerId = new Map((await response.json()).map((r) => [r.id, r]));
+    return new Map(
+      sent
+        .filter((s) => byServerId.has(s.serverId))
+        .map((s) => {
+          const { status, note = null } = byServerId.get(s.serverId);
+          return [s.id, { status, note }];
+        })
+    );
+  } catch {
+    return new Map();
+  }
+}
+
+// A picked photo, scaled down to fit PHOTO_MAX_PX and re-encoded as JPEG
+export async function resizePhoto(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, PHOTO_MAX_PX / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return { name: file.name, dataUrl: canvas.toDataURL("image/jpeg", PHOTO_QUALITY) };
+}
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cityForPoint } from "./submissions.js";
+
+const ALBANY = {
+  name: "Albany",
+  center: [42.6526, -73.7562],
+  bounds: [
+    [42.62, -73.87],
+    [42.74, -73.73],
+  ],
+};
+const TROY = { name: "Troy", center: [42.7284, -73.6918], bounds: null };
+
+test("cityForPoint takes the city around a point, else the nearest center", () => {
+  assert.equal(cityForPoint([TROY, ALBANY], 42.65, -73.75), ALBANY);
+  assert.equal(cityForPoint([ALBANY, TROY], 42.76, -73.68), TROY);
+});
+
+test("cityForPoint is null when no city can be placed", () => {
+  assert.equal(cityForPoint([], 42.65, -73.75), null);
+  assert.equal(cityForPoint([{ name: "Cohoes", center: null, bounds: null }], 42.77, -73.7), null);
+});
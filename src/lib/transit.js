@@ -0,0 +1,268 @@
+// ✅ Public transit from a static GTFS feed (stops, routes, shapes)
+//
+// Everything works from the agency's GTFS files dropped into src/data/gtfs
+// (none ship with the app, so by default there is no transit); there's no
+// live API. At build time plugins/gtfsTransit.js parses the feed with
+// buildTransit() into a compact model the app imports as `virtual:transit`:
+//
+//   { feed: { name, version },
+//     routes: [{ id, shortName, longName, color, textColor, shapes: [[[lat, lng], ...]] }],
+//     stops:  [{ id, code, name, lat, lng, routes: [routeId, ...] }] }
+//
+// The lookups below (nearest stops, "reachable by bus") run in the browser.
+
+import { estimateLeg } from "./itinerary.js";
+import { nearestPointOn } from "./geometry.js";
+
+// Derived experience tag (see data/taxonomy.js), never written in city files
+export const REACHABLE_BY_BUS_TAG = "Reachable by Bus";
+
+// About a five-minute walk
+export const REACHABLE_WALK_MI = 0.25;
+
+// Stops listed in a place's sheet: the closest few within a ten-minute walk
+export const STOP_SEARCH_MI = 0.5;
+export const SHEET_STOP_LIMIT = 3;
+
+// Shape points closer together than this (degrees, ~15 m) are thinned out
+const SHAPE_TOLERANCE_DEG = 0.00015;
+const COORDINATE_DECIMALS = 5;
+
+const DEFAULT_ROUTE_COLOR = "#4b5563";
+const DEFAULT_ROUTE_TEXT_COLOR = "#ffffff";
+
+export const EMPTY_TRANSIT = { feed: null, routes: [], stops: [] };
+
+/**
+ * Calls onRow(record) for every row of a GTFS CSV file, keyed by the header
+ * row. Handles quoted fields (with "" escapes and line breaks), CRLF line
+ * endings and a leading byte-order mark. Rows are never all held at once,
+ * which matters for stop_times.txt.
+ */
+export function eachCsvRow(text, onRow) {
+  let header = null;
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    field = "";
+    if (!header) {
+      header = row.map((name) => name.trim());
+    } else if (row.length > 1 || row[0] !== "") {
+      onRow(Object.fromEntries(header.map((name, j) => [name, (row[j] ?? "").trim()])));
+    }
+    row = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n") {
+      endRow();
+    } else if (char !== "\r") {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) endRow();
+}
+
+export function parseCsv(text) {
+  const rows = [];
+  eachCsvRow(text, (record) => rows.push(record));
+  return rows;
+}
+
+const round = (value) => Number(value.toFixed(COORDINATE_DECIMALS));
+
+const hexColor = (value, fallback) =>
+  /^[0-9a-f]{6}$/i.test(value ?? "") ? `#${value.toLowerCase()}` : fallback;
+
+// Drops points that barely move the line; keeps both ends
+function simplifyShape(points) {
+  if (points.length <= 2) return points;
+  const kept = [points[0]];
+  points.slice(1, -1).forEach((point) => {
+    const [lat, lng] = kept[kept.length - 1];
+    if (Math.hypot(point[0] - lat, point[1] - lng) >= SHAPE_TOLERANCE_DEG) kept.push(point);
+  });
+  kept.push(points[points.length - 1]);
+  return kept;
+}
+
+/**
+ * Static GTFS files (their text, keyed by file name) -> the compact transit
+ * model. stops.txt and routes.txt are required; trips.txt + stop_times.txt
+ * say which routes serve a stop and trips.txt + shapes.txt give the route
+ * lines, so either can be left out. Returns { transit, warnings }.
+ */
+export function buildTransit(files) {
+  const warnings = [];
+  const missing = ["stops.txt", "routes.txt"].filter((name) => !files[name]);
+  if (missing.length > 0) {
+    return { transit: EMPTY_TRANSIT, warnings: [`missing ${missing.join(" and ")}`] };
+  }
+
+  const routes = new Map();
+  eachCsvRow(files["routes.txt"], (r) => {
+    routes.set(r.route_id, {
+      id: r.route_id,
+      shortName: r.route_short_name,
+      longName: r.route_long_name,
+      color: hexColor(r.route_color, DEFAULT_ROUTE_COLOR),
+      textColor: hexColor(r.route_text_color, DEFAULT_ROUTE_TEXT_COLOR),
+      shapes: [],
+    });
+  });
+
+  // trip -> route, and the shapes each route runs along
+  const tripRoutes = new Map();
+  const routeShapeIds = new Map();
+  if (files["trips.txt"]) {
+    eachCsvRow(files["trips.txt"], (t) => {
+      if (!routes.has(t.route_id)) {
+        warnings.push(`trip ${t.trip_id}: unknown route ${t.route_id}`);
+        return;
+      }
+      tripRoutes.set(t.trip_id, t.route_id);
+      if (t.shape_id) {
+        if (!routeShapeIds.has(t.route_id)) routeShapeIds.set(t.route_id, new Set());
+        routeShapeIds.get(t.route_id).add(t.shape_id);
+      }
+    });
+  }
+
+  const stops = new Map();
+  eachCsvRow(files["stops.txt"], (s) => {
+    // Stations and entrances (location_type 1-4) aren't places a bus stops
+    if (s.location_type && s.location_type !== "0") return;
+    const lat = Number(s.stop_lat);
+    const lng = Number(s.stop_lon);
+    if (!s.stop_lat || !s.stop_lon || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      warnings.push(`stop ${s.stop_id}: no usable coordinates`);
+      return;
+    }
+    stops.set(s.stop_id, {
+      id: s.stop_id,
+      code: s.stop_code || null,
+      name: s.stop_name,
+      lat: round(lat),
+      lng: round(lng),
+      routes: new Set(),
+    });
+  });
+
+  if (files["stop_times.txt"] && tripRoutes.size > 0) {
+    eachCsvRow(files["stop_times.txt"], ({ trip_id: tripId, stop_id: stopId }) => {
+      const routeId = tripRoutes.get(tripId);
+      if (routeId) stops.get(stopId)?.routes.add(routeId);
+    });
+  }
+
+  if (files["shapes.txt"] && routeShapeIds.size > 0) {
+    const shapePoints = new Map();
+    eachCsvRow(files["shapes.txt"], (p) => {
+      if (!shapePoints.has(p.shape_id)) shapePoints.set(p.shape_id, []);
+      shapePoints
+        .get(p.shape_id)
+        .push([Number(p.shape_pt_sequence), Number(p.shape_pt_lat), Number(p.shape_pt_lon)]);
+    });
+
+    routeShapeIds.forEach((shapeIds, routeId) => {
+      shapeIds.forEach((shapeId) => {
+        const points = shapePoints.get(shapeId);
+        if (!points) {
+          warnings.push(`route ${routeId}: unknown shape ${shapeId}`);
+          return;
+        }
+        const line = points
+          .filter(([, lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng))
+          .sort((a, b) => a[0] - b[0])
+          .map(([, lat, lng]) => [round(lat), round(lng)]);
+        if (line.length > 1) routes.get(routeId).shapes.push(simplifyShape(line));
+      });
+    });
+  }
+
+  const feedInfo = files["feed_info.txt"] ? parseCsv(files["feed_info.txt"])[0] : null;
+  const agency = files["agency.txt"] ? parseCsv(files["agency.txt"])[0] : null;
+
+  return {
+    transit: {
+      feed: {
+        name: feedInfo?.feed_publisher_name || agency?.agency_name || null,
+        version: feedInfo?.feed_version || null,
+      },
+      routes: Array.from(routes.values()),
+      stops: Array.from(stops.values()).map((stop) => ({ ...stop, routes: [...stop.routes] })),
+    },
+    warnings,
+  };
+}
+
+// Routes in the order riders look for them: by number, then name
+export function sortRoutes(routes) {
+  return [...routes].sort(
+    (a, b) =>
+      (a.shortName || "").localeCompare(b.shortName || "", undefined, { numeric: true }) ||
+      (a.longName || "").localeCompare(b.longName || "")
+  );
+}
+
+/**
+ * Stops within `radiusMi` of a { lat, lng } point, closest first, each with
+ * distanceMi and walkMinutes. For a trail or area landmark that's the walk
+ * to its nearest point (see lib/geometry.js).
+ */
+export function nearestStops(
+  transit,
+  point,
+  { radiusMi = STOP_SEARCH_MI, limit = SHEET_STOP_LIMIT } = {}
+) {
+  return transit.stops
+    .map((stop) => ({ stop, nearest: nearestPointOn(point, stop) }))
+    .filter(({ nearest }) => nearest.distanceMi <= radiusMi)
+    .sort((a, b) => a.nearest.distanceMi - b.nearest.distanceMi)
+    .slice(0, limit)
+    .map(({ stop, nearest }) => ({
+      ...stop,
+      distanceMi: nearest.distanceMi,
+      walkMinutes: estimateLeg(nearest, stop, "walk").minutes,
+    }));
+}
+
+// Whether a served stop (one with at least one route) is within walkMi
+export function isReachableByBus(transit, point, walkMi = REACHABLE_WALK_MI) {
+  return transit.stops.some(
+    (stop) => stop.routes.length > 0 && nearestPointOn(point, stop).distanceMi <= walkMi
+  );
+}
+
+/**
+ * Landmarks with the derived REACHABLE_BY_BUS_TAG added to those near a
+ * served stop, so the usual experience filter, chips and links work on it.
+ * Landmarks come back unchanged when the feed has no stops.
+ */
+export function addTransitTags(landmarks, transit, walkMi = REACHABLE_WALK_MI) {
+  if (transit.stops.length === 0) return landmarks;
+  return landmarks.map((lm) =>
+    isReachableByBus(transit, lm, walkMi) && !lm.experiencetag.includes(REACHABLE_BY_BUS_TAG)
+      ? { ...lm, experiencetag: [...lm.experiencetag, REACHABLE_BY_BUS_TAG] }
+      : lm
+  );
+}
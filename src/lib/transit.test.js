@@ -0,0 +1,146 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import {
+  parseCsv,
+  buildTransit,
+  nearestStops,
+  isReachableByBus,
+  addTransitTags,
+  sortRoutes,
+  REACHABLE_BY_BUS_TAG,
+  EMPTY_TRANSIT,
+} from "./transit.js";
+import { validateExperienceTags } from "../data/taxonomy.js";
+import { loadGtfs } from "../../plugins/gtfsTransit.js";
+
+const FIXTURES = fileURLToPath(new URL("./fixtures/", import.meta.url));
+
+const FEED = {
+  "routes.txt": [
+    "route_id,route_short_name,route_long_name,route_type,route_color",
+    '10,10,"Central Ave, Albany",3,1565C0',
+    "2,2,Delaware Ave,3,",
+  ].join("\r\n"),
+  "stops.txt": [
+    "\uFEFFstop_id,stop_name,stop_lat,stop_lon,location_type",
+    "a,State & Pearl,42.6505,-73.7545,0",
+    "b,Lark St,42.6565,-73.7625,",
+    "c,Quiet Corner,42.6530,-73.7560,",
+    "st,Transit Center,42.6600,-73.7600,1",
+    "bad,No Coordinates,,,",
+  ].join("\n"),
+  "trips.txt": ["route_id,service_id,trip_id,shape_id", "10,W,t1,sh1", "2,W,t2,"].join("\n"),
+  "stop_times.txt": [
+    "trip_id,arrival_time,departure_time,stop_id,stop_sequence",
+    "t1,08:00:00,08:00:00,a,1",
+    "t1,08:06:00,08:06:00,b,2",
+    "t2,09:00:00,09:00:00,a,1",
+  ].join("\n"),
+  "shapes.txt": [
+    "shape_id,shape_pt_lat,shape_pt_lon,shape_pt_sequence",
+    "sh1,42.6565,-73.7625,3",
+    "sh1,42.6505,-73.7545,1",
+    "sh1,42.65051,-73.75451,2",
+  ].join("\n"),
+};
+
+describe("parseCsv", () => {
+  test("handles quotes, escaped quotes, line breaks in fields and blank lines", () => {
+    const rows = parseCsv('id,name\r\n1,"Hall, ""Main"""\r\n\r\n2,"Two\nlines"\r\n');
+    assert.deepEqual(rows, [
+      { id: "1", name: 'Hall, "Main"' },
+      { id: "2", name: "Two\nlines" },
+    ]);
+  });
+});
+
+describe("buildTransit", () => {
+  const { transit, warnings } = buildTransit(FEED);
+
+  test("keeps boarding stops with the routes that serve them", () => {
+    assert.deepEqual(
+      transit.stops.map((s) => [s.id, s.routes]),
+      [
+        ["a", ["10", "2"]],
+        ["b", ["10"]],
+        ["c", []],
+      ]
+    );
+    assert.deepEqual(warnings, ["stop bad: no usable coordinates"]);
+  });
+
+  test("reads route colors and orders, thins and attaches shapes", () => {
+    const [central, delaware] = transit.routes;
+    assert.equal(central.color, "#1565c0");
+    assert.equal(central.longName, "Central Ave, Albany");
+    assert.deepEqual(central.shapes, [
+      [
+        [42.6505, -73.7545],
+        [42.6565, -73.7625],
+      ],
+    ]);
+    assert.equal(delaware.color, "#4b5563");
+    assert.deepEqual(delaware.shapes, []);
+  });
+
+  test("needs stops and routes", () => {
+    const result = buildTransit({ "stops.txt": FEED["stops.txt"] });
+    assert.deepEqual(result.transit.stops, []);
+    assert.deepEqual(result.warnings, ["missing routes.txt"]);
+  });
+
+  test("sortRoutes orders route numbers numerically", () => {
+    assert.deepEqual(sortRoutes(transit.routes).map((r) => r.id), ["2", "10"]);
+  });
+});
+
+describe("lookups", () => {
+  const { transit } = buildTransit(FEED);
+  const museum = { id: "albany-1", lat: 42.6528, lng: -73.757, experiencetag: ["Free"] };
+  const farAway = { id: "albany-8", lat: 42.6894, lng: -73.8519, experiencetag: [] };
+
+  test("nearestStops lists the closest stops first with walking time", () => {
+    const stops = nearestStops(transit, museum);
+    assert.deepEqual(stops.map((s) => s.id), ["c", "a", "b"]);
+    assert.ok(stops[0].distanceMi < stops[1].distanceMi);
+    assert.ok(stops.every((s) => Number.isInteger(s.walkMinutes)));
+    assert.deepEqual(nearestStops(transit, farAway), []);
+  });
+
+  test("only a served stop makes a place reachable by bus", () => {
+    // The closest stop, "c", has no routes; "a" is ~0.15 mi away and does
+    assert.equal(isReachableByBus(transit, museum, 0.1), false);
+    assert.equal(isReachableByBus(transit, museum), true);
+  });
+
+  test("addTransitTags adds the derived tag once, and nothing without a feed", () => {
+    const [tagged, untouched] = addTransitTags(addTransitTags([museum, farAway], transit), transit);
+    assert.deepEqual(tagged.experiencetag, ["Free", REACHABLE_BY_BUS_TAG]);
+    assert.equal(untouched, farAway);
+
+    const empty = { routes: [], stops: [] };
+    assert.equal(addTransitTags([museum], empty)[0], museum);
+  });
+
+  test("city files can't set the derived tag themselves", () => {
+    assert.equal(validateExperienceTags([REACHABLE_BY_BUS_TAG]).length, 1);
+  });
+});
+
+describe("loadGtfs", () => {
+  test("converts a feed of loose .txt files", () => {
+    const { transit, warnings } = loadGtfs(FIXTURES + "gtfs-sample");
+    assert.deepEqual(warnings, []);
+    assert.equal(transit.feed.name, "Sample feed for tests");
+    assert.deepEqual(transit.routes.map((r) => r.id), ["S1", "S2", "S3"]);
+    assert.equal(transit.stops.length, 13);
+    assert.deepEqual(transit.stops.find((s) => s.id === "ALB-STPE").routes, ["S1", "S2"]);
+  });
+
+  test("no feed means no transit", () => {
+    const { transit, warnings } = loadGtfs(FIXTURES + "no-such-feed");
+    assert.deepEqual(transit, EMPTY_TRANSIT);
+    assert.deepEqual(warnings, []);
+  });
+});
@@ -0,0 +1,83 @@
+// ✅ Map/filter state <-> URL query string
+//
+//   ?city=Albany,Troy&type=Museum,Historic&tags=Free,Outdoors&q=falls&place=troy-1
+//   &at=42.7480,-73.6546,15
+//   &open=now   (or open=2026-10-31T19:00 for "open at")
+//   &tagmode=any   (experience tags match any instead of all)
+//   &xtags=Night%20Life   (excluded experience tags)
+//   &amen=step-free,bus-stop&amenunknown=1   (amenities, optionally allowing unknowns)
+//
+// Every param is optional. Unknown values are dropped by the caller, so an
+// old or hand-edited link degrades to the default view instead of breaking.
+
+const COORD_DIGITS = 4; // ~10 m, plenty for a shared map view
+
+const splitList = (value) =>
+  (value ?? "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+  const state = {
+    cities: splitList(params.get("city")),
+    types: splitList(params.get("type")),
+    tags: splitList(params.get("tags")),
+    tagMode: params.get("tagmode") === "any" ? "any" : "all",
+    excludedTags: splitList(params.get("xtags")),
+    amenities: splitList(params.get("amen")),
+    amenitiesIncludeUnknown: params.get("amenunknown") === "1",
+    q: params.get("q") ?? "",
+    open: params.get("open") ?? "",
+    place: params.get("place") ?? "",
+    view: null,
+  };
+
+  const [lat, lng, zoom] = (params.get("at") ?? "").split(",").map(Number);
+  if ([lat, lng, zoom].every(Number.isFinite)) {
+    state.view = { center: [lat, lng], zoom };
+  }
+
+  return state;
+}
+
+export function buildUrlSearch({
+  cities,
+  types,
+  tags,
+  tagMode,
+  excludedTags,
+  amenities,
+  amenitiesIncludeUnknown,
+  q,
+  open,
+  place,
+  view,
+}) {
+  const params = new URLSearchParams();
+  if (cities?.length) params.set("city", cities.join(","));
+  if (types?.length) params.set("type", types.join(","));
+  if (tags?.length) params.set("tags", tags.join(","));
+  if (tags?.length && tagMode === "any") params.set("tagmode", "any");
+  if (excludedTags?.length) params.set("xtags", excludedTags.join(","));
+  if (amenities?.length) params.set("amen", amenities.join(","));
+  if (amenities?.length && amenitiesIncludeUnknown) params.set("amenunknown", "1");
+  if (q?.trim()) params.set("q", q.trim());
+  if (open) params.set("open", open);
+  if (place) params.set("place", place);
+  if (view) {
+    const [lat, lng] = view.center;
+    params.set("at", `${lat.toFixed(COORD_DIGITS)},${lng.toFixed(COORD_DIGITS)},${view.zoom}`);
+  }
+
+  const search = params.toString().replace(/%2C/g, ",");
+  return search ? `?${search}` : "";
+}
+
+// Case-insensitive lookup of a URL value in a list of allowed options
+export function pickOption(value, options) {
+  if (!value) return "";
+  const lower = value.toLowerCase();
+  return options.find((o) => o.toLowerCase() === lower) ?? "";
+}
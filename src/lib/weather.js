@@ -0,0 +1,67 @@
+// ✅ Current weather for recommendations, from a pluggable provider
+//
+// A provider is any object with
+//
+//   { id, getWeather({ lat, lng }) -> Promise<weather | null> }
+//   weather = { condition: "clear" | "cloudy" | "rain" | "snow", tempF, source }
+//
+// resolving to null when it can't tell (offline, no service). The app uses
+// an HTTP provider asking WEATHER_URL (GET ?lat=&lng= -> weather), which
+// `npm run dev` and `npm run preview` answer with a local stand-in
+// (plugins/mockWeather.js); set VITE_WEATHER_URL to a real service with the
+// same contract. Tests and scripts use createStaticWeatherProvider().
+
+export const WEATHER_URL = import.meta.env?.VITE_WEATHER_URL || "/api/weather";
+
+export const WEATHER_CONDITIONS = {
+  clear: { icon: "☀️", label: "Clear" },
+  cloudy: { icon: "☁️", label: "Cloudy" },
+  rain: { icon: "🌧️", label: "Rain" },
+  snow: { icon: "❄️", label: "Snow" },
+};
+
+const WEATHER_TIMEOUT_MS = 5000;
+
+// A provider's answer checked and trimmed to the weather shape, or null
+export function normalizeWeather(raw) {
+  if (!raw || !Object.hasOwn(WEATHER_CONDITIONS, raw.condition ?? "")) return null;
+  return {
+    condition: raw.condition,
+    tempF: Number.isFinite(raw.tempF) ? raw.tempF : null,
+    source: typeof raw.source === "string" ? raw.source : null,
+  };
+}
+
+/**
+ * Provider asking a weather service over HTTP. Any failure (offline, slow,
+ * an error status or an answer in the wrong shape) resolves to null, so
+ * recommendations simply go ahead without the weather.
+ */
+export function createHttpWeatherProvider(
+  url = WEATHER_URL,
+  { timeoutMs = WEATHER_TIMEOUT_MS } = {}
+) {
+  return {
+    id: "http",
+    async getWeather({ lat, lng }) {
+      const params = new URLSearchParams({ lat: String(lat), lng: String(lng) });
+      try {
+        const response = await fetch(`${url}?${params}`, {
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!response.ok) return null;
+        return normalizeWeather(await response.json());
+      } catch {
+        return null;
+      }
+    },
+  };
+}
+
+// Provider that always reports the same weather (or none)
+export function createStaticWeatherProvider(weather) {
+  return {
+    id: "static",
+    getWeather: async () => normalizeWeather(weather),
+  };
+}
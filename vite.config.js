@@ -1,12 +1,47 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
 import { VitePWA } from "vite-plugin-pwa";
+import validateLandmarks from "./plugins/validateLandmarks.js";
+import photoManifest from "./plugins/photoManifest.js";
+import mockSubmissions from "./plugins/mockSubmissions.js";
+import gtfsTransit from "./plugins/gtfsTransit.js";
+import mockWeather from "./plugins/mockWeather.js";
+import { TILE_CACHE, PHOTO_CACHE, tileUrlPattern } from "./src/lib/offline.js";
 
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   plugins: [
     react(),
+    validateLandmarks(),
+    photoManifest(),
+    mockSubmissions(),
+    gtfsTransit(),
+    mockWeather(),
     VitePWA({
       registerType: "autoUpdate",
+      workbox: {
+        // Tiles and photos are cached as they're viewed (and by "Download
+        // region"), so the map keeps working without a signal
+        runtimeCaching: [
+          {
+            urlPattern: tileUrlPattern(loadEnv(mode, process.cwd()).VITE_TILE_URL || undefined),
+            handler: "CacheFirst",
+            options: {
+              cacheName: TILE_CACHE,
+              expiration: { maxEntries: 20000, maxAgeSeconds: 60 * 60 * 24 * 60 },
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          },
+          {
+            urlPattern: /\/photos(-generated)?\//,
+            handler: "CacheFirst",
+            options: {
+              cacheName: PHOTO_CACHE,
+              expiration: { maxEntries: 1000, maxAgeSeconds: 60 * 60 * 24 * 90 },
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          }
+        ]
+      },
       manifest: {
         name: "Capital Region Explorer",
         short_name: "CR Explorer",
@@ -30,4 +65,4 @@ export default defineConfig({
       }
     })
   ]
-});
+}));